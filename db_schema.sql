@@ -1,3 +1,6 @@
+-- The schema is created by the Postgres migrations in src/services/migrations/postgres
+-- (applied at startup, or with `npm run db:migrate -- --postgres`); this file matches migration 1.
+
 -- Create companies table
 CREATE TABLE IF NOT EXISTS companies (
     id SERIAL PRIMARY KEY,
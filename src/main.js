@@ -42,9 +42,25 @@ class MockMateApp {
         this._ocrService = null;
         this._questionDetectionService = null;
         this._documentIntelligenceService = null;
+        this._skillTaxonomy = null;
+        this._generationManager = null;
+        this._databaseService = null;
+        this._conversationService = null;
+        this._transcriptService = null;
+        this._promptTemplateService = null;
+        this._interviewerService = null;
+        this._questionBankService = null;
+        this._questionPackService = null;
+        this._answerFeedbackService = null;
+        this._sessionReviewService = null;
+        this.reviewWindow = null;
+        this._analyticsService = null;
+        this.dashboardWindow = null;
+        this._searchService = null;
+        this._backupService = null;
+        this._teamSyncService = null;
         // App state
         this.appState = {
-            isAIWorking: false,
             currentQuestion: '',
             companyName: '',
             jobDescription: '',
@@ -65,6 +81,52 @@ class MockMateApp {
 
 
 
+    get generationManager() {
+        if (!this._generationManager) {
+            const GenerationManager = require('./services/GenerationManager');
+            this._generationManager = new GenerationManager((status) => this.sendGenerationStatus(status));
+            console.log('GenerationManager lazy-loaded successfully');
+        }
+        return this._generationManager;
+    }
+
+    get databaseService() {
+        if (!this._databaseService) {
+            const DatabaseService = require('./services/DatabaseService');
+            this._databaseService = new DatabaseService();
+            console.log('DatabaseService lazy-loaded successfully');
+        }
+        return this._databaseService;
+    }
+
+    get transcriptService() {
+        if (!this._transcriptService) {
+            const TranscriptService = require('./services/TranscriptService');
+            this._transcriptService = new TranscriptService(this._databaseService);
+            console.log('TranscriptService lazy-loaded successfully');
+        }
+        return this._transcriptService;
+    }
+
+    get conversationService() {
+        if (!this._conversationService) {
+            const ConversationService = require('./services/ConversationService');
+            // Falls back to in-memory history when the local database could not be opened
+            this._conversationService = new ConversationService(this._databaseService, this.aiService);
+            console.log('ConversationService lazy-loaded successfully');
+        }
+        return this._conversationService;
+    }
+
+    get promptTemplateService() {
+        if (!this._promptTemplateService) {
+            const PromptTemplateService = require('./services/PromptTemplateService');
+            this._promptTemplateService = new PromptTemplateService(this._databaseService);
+            console.log('PromptTemplateService lazy-loaded successfully');
+        }
+        return this._promptTemplateService;
+    }
+
     get screenCaptureService() {
         if (!this._screenCaptureService) {
             const ScreenCaptureService = require('./services/ScreenCaptureService');
@@ -92,41 +154,169 @@ class MockMateApp {
         return this._questionDetectionService;
     }
 
+    get skillTaxonomy() {
+        if (!this._skillTaxonomy) {
+            const SkillTaxonomy = require('./services/SkillTaxonomy');
+            this._skillTaxonomy = new SkillTaxonomy();
+            console.log('SkillTaxonomy lazy-loaded successfully');
+        }
+        return this._skillTaxonomy;
+    }
+
     get documentIntelligenceService() {
         if (!this._documentIntelligenceService) {
             const DocumentIntelligenceService = require('./services/DocumentIntelligenceService');
-            this._documentIntelligenceService = new DocumentIntelligenceService(this.aiService, this.ocrService);
+            this._documentIntelligenceService = new DocumentIntelligenceService(this.aiService, this.ocrService, this.skillTaxonomy);
             console.log('DocumentIntelligenceService lazy-loaded successfully');
         }
         return this._documentIntelligenceService;
     }
 
+    get interviewerService() {
+        if (!this._interviewerService) {
+            const InterviewerService = require('./services/InterviewerService');
+            this._interviewerService = new InterviewerService(
+                this.documentIntelligenceService,
+                this.answerFeedbackService,
+                this._databaseService,
+                this.questionBankService
+            );
+            console.log('InterviewerService lazy-loaded successfully');
+        }
+        return this._interviewerService;
+    }
+
+    get questionBankService() {
+        if (!this._questionBankService) {
+            const QuestionBankService = require('./services/QuestionBankService');
+            this._questionBankService = new QuestionBankService({
+                databaseService: this._databaseService,
+                questionDetectionService: this.questionDetectionService
+            });
+            console.log('QuestionBankService lazy-loaded successfully');
+        }
+        return this._questionBankService;
+    }
+
+    get questionPackService() {
+        if (!this._questionPackService) {
+            const QuestionPackService = require('./services/QuestionPackService');
+            this._questionPackService = new QuestionPackService({
+                databaseService: this._databaseService,
+                questionBankService: this.questionBankService,
+                questionDetectionService: this.questionDetectionService
+            });
+            console.log('QuestionPackService lazy-loaded successfully');
+        }
+        return this._questionPackService;
+    }
+
+    get answerFeedbackService() {
+        if (!this._answerFeedbackService) {
+            const AnswerFeedbackService = require('./services/AnswerFeedbackService');
+            this._answerFeedbackService = new AnswerFeedbackService(this.questionDetectionService);
+            console.log('AnswerFeedbackService lazy-loaded successfully');
+        }
+        return this._answerFeedbackService;
+    }
+
+    get analyticsService() {
+        if (!this._analyticsService) {
+            const AnalyticsService = require('./services/AnalyticsService');
+            this._analyticsService = new AnalyticsService({
+                databaseService: this._databaseService,
+                questionDetectionService: this.questionDetectionService,
+                skillTaxonomy: this.skillTaxonomy
+            });
+            console.log('AnalyticsService lazy-loaded successfully');
+        }
+        return this._analyticsService;
+    }
+
+    get searchService() {
+        if (!this._searchService) {
+            const SearchService = require('./services/SearchService');
+            this._searchService = new SearchService({ databaseService: this._databaseService });
+            console.log('SearchService lazy-loaded successfully');
+        }
+        return this._searchService;
+    }
+
+    get backupService() {
+        if (!this._backupService) {
+            const BackupService = require('./services/BackupService');
+            this._backupService = new BackupService({
+                databaseService: this._databaseService,
+                audioDirectory: this.systemAudioCaptureService.saveDirectory,
+                appVersion: app.getVersion()
+            });
+            console.log('BackupService lazy-loaded successfully');
+        }
+        return this._backupService;
+    }
+
+    get sessionReviewService() {
+        if (!this._sessionReviewService) {
+            const SessionReviewService = require('./services/SessionReviewService');
+            this._sessionReviewService = new SessionReviewService({
+                databaseService: this._databaseService,
+                aiService: this.aiService,
+                promptTemplateService: this.promptTemplateService,
+                answerFeedbackService: this.answerFeedbackService,
+                audioDirectory: this.systemAudioCaptureService.saveDirectory
+            });
+            console.log('SessionReviewService lazy-loaded successfully');
+        }
+        return this._sessionReviewService;
+    }
 
 
-        get postgresService() {
+
+    get postgresService() {
         if (!this._postgresService) {
             const PostgresService = require('./services/PostgresService');
-            this._postgresService = PostgresService;
+            this._postgresService = new PostgresService();
             console.log('PostgresService lazy-loaded successfully');
         }
         return this._postgresService;
     }
 
+    get teamSyncService() {
+        if (!this._teamSyncService) {
+            const TeamSyncService = require('./services/TeamSyncService');
+            this._teamSyncService = new TeamSyncService({
+                databaseService: this._databaseService,
+                postgresService: this.postgresService
+            });
+            console.log('TeamSyncService lazy-loaded successfully');
+        }
+        return this._teamSyncService;
+    }
+
     get systemAudioCaptureService() {
         if (!this._systemAudioCaptureService) {
             const SystemAudioCaptureService = require('./services/SystemAudioCaptureService');
             this._systemAudioCaptureService = new SystemAudioCaptureService();
+            this._systemAudioCaptureService.addTranscriptionListener(transcription => {
+                this.handleTranscription(transcription, transcription.channel === 'microphone' ? 'microphone' : 'system_audio');
+            });
             console.log('SystemAudioCaptureService lazy-loaded successfully');
         }
         return this._systemAudioCaptureService;
     }
 
     async initialize() {
-        // Test PostgreSQL connection
+        // Test PostgreSQL connection and bring its schema up to date
         try {
             if (this.postgresService.isEnabled) {
-                const res = await this.postgresService.query('SELECT NOW()');
-                console.log('PostgreSQL connected successfully. Current database time:', res[0].now);
+                const health = await this.postgresService.checkHealth();
+                if (!health.healthy) throw new Error(health.error);
+                console.log('PostgreSQL connected successfully. Current database time:', health.serverTime);
+
+                const migration = await this.postgresService.migrate();
+                if (migration.applied.length > 0) {
+                    console.log(`PostgreSQL schema migrated from version ${migration.from} to ${migration.to}`);
+                }
             } else {
                 console.log('PostgreSQL connection skipped - database is disabled');
             }
@@ -134,7 +324,17 @@ class MockMateApp {
             console.error('PostgreSQL connection error:', err.message);
             console.log('Application will continue without database functionality');
         }
+
         await app.whenReady();
+
+        // Local SQLite store for sessions, questions and answers (after ready: its key may be held by the OS keychain)
+        try {
+            await this.databaseService.initialize();
+            await this.loadProfileContext();
+        } catch (err) {
+            console.error('Local database initialization failed:', err.message);
+            console.log('Conversation history will be kept in memory only');
+        }
         
         // Set up automatic permission handling for desktop capture
         this.setupAutomaticPermissions();
@@ -152,6 +352,12 @@ class MockMateApp {
         // Setup model-related IPC handlers
         this.setupModelIPCHandlers();
 
+        // Automatic local backups and team sync, when turned on
+        if (this.databaseService.isInitialized) {
+            this.backupService.startSchedule().catch(error => console.error('Failed to start automatic backups:', error));
+            this.teamSyncService.startSchedule().catch(error => console.error('Failed to start team sync:', error));
+        }
+
         this.isInitialized = true;
         console.log('MockMate AI initialized successfully (services will be loaded on demand)');
     }
@@ -278,6 +484,7 @@ class MockMateApp {
 
         this.responseWindow.once('ready-to-show', () => {
             this.responseWindowReady = true;
+            this.flushPendingStreamChunks();
             // Platform-specific settings for stealth
             if (process.platform === 'darwin') {
                 this.responseWindow.setAlwaysOnTop(true, 'screen-saver', 1);
@@ -316,7 +523,52 @@ class MockMateApp {
         console.log('Response window creation complete.');
     }
 
-    showResponseWindow(question = '', isLoading = true) {
+    // Session review and progress dashboard are regular windows since they are used outside the interview
+    createReviewWindow() {
+        this.showToolWindow('reviewWindow', 'mockmate-review-window.html', 'MockMate AI: Session Review');
+    }
+
+    createDashboardWindow() {
+        this.showToolWindow('dashboardWindow', 'mockmate-dashboard-window.html', 'MockMate AI: Progress');
+    }
+
+    showToolWindow(property, fileName, title) {
+        if (this[property]) {
+            this[property].show();
+            this[property].focus();
+            return;
+        }
+
+        const window = new BrowserWindow({
+            width: 1000,
+            height: 720,
+            minWidth: 700,
+            minHeight: 480,
+            title,
+            backgroundColor: '#121212',
+            autoHideMenuBar: true,
+            webPreferences: {
+                nodeIntegration: false,
+                contextIsolation: true,
+                enableRemoteModule: false,
+                preload: path.join(__dirname, 'preload.js')
+            },
+            show: false
+        });
+        this[property] = window;
+
+        window.loadFile(path.join(__dirname, '..', fileName));
+        window.once('ready-to-show', () => {
+            window.setContentProtection(true);
+            window.show();
+        });
+
+        window.on('closed', () => {
+            this[property] = null;
+        });
+    }
+
+    showResponseWindow(question = '', isLoading = true, requestId = null) {
         if (!this.responseWindow) {
             this.createResponseWindow();
         }
@@ -333,11 +585,182 @@ class MockMateApp {
                 model: this.appState.selectedModel,
                 timestamp: new Date().toISOString(),
                 isLoading: isLoading,
+                requestId: requestId
+            });
+        }
+    }
+
+    // Rubric scorecard for a practice answer, shown instead of an AI answer
+    showAnswerFeedback(entry) {
+        if (!this.responseWindow) {
+            this.createResponseWindow();
+        }
+
+        // A running generation would write over the scorecard
+        this.generationManager.cancel();
+
+        const bounds = this.responseWindow.getBounds();
+        this.responseWindow.setBounds({ height: INITIAL_RESPONSE_WINDOW_HEIGHT, x: bounds.x, y: bounds.y, width: bounds.width });
+        this.responseWindow.show();
+
+        this.responseWindow.webContents.send('display-feedback', {
+            question: entry.question,
+            answer: entry.answer,
+            source: entry.source,
+            ...entry.feedback,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Transcript timeline of the current session, shown instead of an AI answer
+    async showTranscript() {
+        if (!this.responseWindow) {
+            this.createResponseWindow();
+        }
+
+        try {
+            const transcript = await this.transcriptService.getTranscript(await this.getAudioSessionId());
+            this.responseWindow.show();
+            this.responseWindow.webContents.send('display-transcript', {
+                ...transcript,
+                formats: this.transcriptService.getExportFormats()
+            });
+        } catch (error) {
+            console.error('Failed to show transcript:', error);
+        }
+    }
+
+    // Search over past sessions, shown in the response window with the query prefilled
+    async showSearch(query = '') {
+        if (!this.responseWindow) {
+            this.createResponseWindow();
+        }
+
+        try {
+            const facets = this._databaseService && this._databaseService.isInitialized
+                ? await this.searchService.getFacets()
+                : null;
+            this.responseWindow.show();
+            this.responseWindow.webContents.send('display-search', { query, facets });
+        } catch (error) {
+            console.error('Failed to show search:', error);
+        }
+    }
+
+    // Backup, restore and automatic backup settings, shown in the response window
+    async showBackups() {
+        if (!this.responseWindow) {
+            this.createResponseWindow();
+        }
+
+        try {
+            const available = this._databaseService && this._databaseService.isInitialized;
+            this.responseWindow.show();
+            this.responseWindow.webContents.send('display-backups', {
+                available,
+                categories: this.backupService.getCategories(),
+                schedule: available ? await this.backupService.getSchedule() : null,
+                backups: available ? this.backupService.listBackups() : []
+            });
+        } catch (error) {
+            console.error('Failed to show backups:', error);
+        }
+    }
+
+    // Profile switching and management, shown in the response window
+    async showProfiles() {
+        if (!this.responseWindow) {
+            this.createResponseWindow();
+        }
+
+        try {
+            const available = this._databaseService && this._databaseService.isInitialized;
+            this.responseWindow.show();
+            this.responseWindow.webContents.send('display-profiles', {
+                available,
+                profiles: available ? await this.databaseService.getProfiles() : []
+            });
+        } catch (error) {
+            console.error('Failed to show profiles:', error);
+        }
+    }
+
+    // Company, job description and resume of the active profile, used for prompts and practice
+    async loadProfileContext() {
+        const profile = await this.databaseService.getProfile();
+        const resume = await this.databaseService.getActiveResume();
+
+        this.appState.companyName = profile.company_name || '';
+        this.appState.jobDescription = profile.job_description || '';
+        this.appState.companyId = null;
+        this.appState.jobDescriptionId = null;
+        this.appState.resumeData = null;
+
+        if (resume && resume.content) {
+            const analyzed = await this.documentIntelligenceService.analyzeResume(resume.content, {
+                useAI: false,
+                source: { fileName: resume.file_name, filePath: resume.file_path }
             });
+            if (analyzed.success) this.appState.resumeData = analyzed;
+        }
+        return profile;
+    }
+
+    // What the control panel shows for a profile
+    getProfileSummary(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            targetRole: profile.target_role,
+            companyName: profile.company_name || '',
+            jobDescription: profile.job_description || '',
+            hasResume: !!this.appState.resumeData
+        };
+    }
+
+    // The control panel lists profiles by name
+    notifyProfilesUpdated() {
+        if (this.controlWindow && !this.controlWindow.isDestroyed()) {
+            this.controlWindow.webContents.send('profiles-updated');
         }
     }
 
-    showLoadingResponse(question = '') {
+    async switchProfile(profileId) {
+        const profile = await this.databaseService.setActiveProfile(profileId);
+
+        // A conversation or practice interview belongs to the profile it was started in
+        await this.conversationService.endSession();
+        if (this._interviewerService && this._interviewerService.isActive()) {
+            await this._interviewerService.stop();
+        }
+        await this.loadProfileContext();
+
+        const summary = this.getProfileSummary(profile);
+        [this.controlWindow, this.responseWindow].forEach(target => {
+            if (target && !target.isDestroyed()) target.webContents.send('profile-changed', summary);
+        });
+        return summary;
+    }
+
+    // A restore rewrites tables behind the services that keep them in memory
+    async reloadRestoredData() {
+        if (this._questionBankService) this._questionBankService.unload();
+        if (this._promptTemplateService) await this._promptTemplateService.reloadOverrides();
+
+        await this.conversationService.endSession();
+        if (this._interviewerService && this._interviewerService.isActive()) {
+            await this._interviewerService.stop();
+        }
+        await this.loadProfileContext();
+
+        const summary = this.getProfileSummary(await this.databaseService.getProfile());
+        [this.controlWindow, this.responseWindow].forEach(target => {
+            if (target && !target.isDestroyed()) target.webContents.send('profile-changed', summary);
+        });
+        this.notifyProfilesUpdated();
+    }
+
+    showLoadingResponse(question = '', requestId = null) {
         console.log('showLoadingResponse called with question:', question);
         const loadingData = {
             response: 'Generating AI response...',
@@ -345,7 +768,7 @@ class MockMateApp {
             model: this.appState.selectedModel
         };
         
-        this.showResponseWindow(loadingData, true);
+        this.showResponseWindow(loadingData, true, requestId);
     }
 
     streamResponseUpdate(chunkData) {
@@ -359,6 +782,15 @@ class MockMateApp {
         }
     }
 
+    // Chunks buffered before the response window was ready; stale generations are dropped
+    flushPendingStreamChunks() {
+        const chunks = this.pendingStreamChunks;
+        this.pendingStreamChunks = [];
+        chunks
+            .filter(chunk => !chunk.requestId || this.generationManager.isActive(chunk.requestId))
+            .forEach(chunk => this.streamResponseUpdate(chunk));
+    }
+
     updateResponseWindow(responseData) {
         if (this.responseWindow && this.responseWindow.webContents) {
             this.responseWindow.webContents.send('display-response', {
@@ -367,8 +799,173 @@ class MockMateApp {
                 model: responseData.model,
                 timestamp: new Date().toISOString(),
                 isLoading: false,
+                requestId: responseData.requestId || null
+            });
+        }
+    }
+
+    // Lifecycle events (started, completed, cancelled, superseded, failed) from the GenerationManager
+    sendGenerationStatus(status) {
+        if (status.status === 'cancelled' || status.status === 'superseded') {
+            this.pendingStreamChunks = this.pendingStreamChunks.filter(chunk => chunk.requestId !== status.requestId);
+        }
+
+        if (this.responseWindow && this.responseWindow.webContents) {
+            this.responseWindow.webContents.send('generation-status', status);
+        }
+    }
+
+    // History of the current session, trimmed to the token budget, for follow-up questions
+    async getConversationHistory() {
+        try {
+            await this.conversationService.ensureSession({
+                companyName: this.appState.companyName,
+                jobDescription: this.appState.jobDescription,
+                model: this.appState.selectedModel
+            });
+            return this.conversationService.buildHistory();
+        } catch (error) {
+            console.error('Failed to build conversation history:', error);
+            return [];
+        }
+    }
+
+    async rememberTurn(turn) {
+        try {
+            const entry = await this.conversationService.recordTurn(turn);
+            if (entry) {
+                await this.transcriptService.linkResponse(turn.question, entry);
+            }
+        } catch (error) {
+            console.error('Failed to record conversation turn:', error);
+        }
+    }
+
+    // Speech belongs to the running practice interview, otherwise to the live conversation
+    async getAudioSessionId() {
+        if (this._interviewerService && this._interviewerService.isActive()) {
+            return this._interviewerService.getState().sessionId;
+        }
+        return this.conversationService.ensureSession({
+            companyName: this.appState.companyName,
+            jobDescription: this.appState.jobDescription,
+            model: this.appState.selectedModel
+        });
+    }
+
+    /**
+     * Add a final transcription to the session transcript, then route the speaker turn
+     */
+    async handleTranscription(transcription, source) {
+        let segment = null;
+        try {
+            segment = await this.transcriptService.recordSegment(await this.getAudioSessionId(), transcription, source);
+            if (segment && this.responseWindow && !this.responseWindow.isDestroyed()) {
+                this.responseWindow.webContents.send('transcript-segment-added', segment);
+            }
+        } catch (error) {
+            console.error('Failed to record transcript segment:', error);
+        }
+        await this.handleSpeakerTurn(transcription, segment);
+    }
+
+    /**
+     * Route a final, speaker-tagged transcription: interviewer turns are searched for a
+     * question, candidate turns are stored as the user's spoken answer to the last one.
+     */
+    async handleSpeakerTurn(transcription, segment = null) {
+        const text = transcription.text && transcription.text.trim();
+        if (!text || transcription.error || transcription.final === false) return;
+
+        const role = transcription.speaker ? transcription.speaker.role : 'interviewer';
+        try {
+            if (role === 'interviewer') {
+                const detection = await this.questionDetectionService.detectQuestions(text, { speakerRole: role, useAI: false });
+                if (!detection.success || !detection.question) return;
+
+                this.appState.currentQuestion = detection.question;
+                this.lastInterviewerQuestion = { text: detection.question, questionId: null };
+
+                if (this.databaseService.isInitialized) {
+                    const sessionId = await this.conversationService.ensureSession({
+                        companyName: this.appState.companyName,
+                        jobDescription: this.appState.jobDescription,
+                        model: this.appState.selectedModel
+                    });
+                    if (!sessionId.startsWith('local_')) {
+                        const stored = await this.databaseService.storeQuestion({
+                            sessionId,
+                            questionText: detection.question,
+                            questionType: detection.type,
+                            confidenceScore: detection.confidence,
+                            source: 'interviewer_audio',
+                            context: { speakerId: transcription.speaker?.id, channel: transcription.channel, startTime: transcription.startTime }
+                        });
+                        this.lastInterviewerQuestion.questionId = stored.questionId;
+                    }
+                }
+                await this.transcriptService.linkQuestion(segment, this.lastInterviewerQuestion.questionId, detection.question);
+
+                if (this.controlWindow && !this.controlWindow.isDestroyed()) {
+                    this.controlWindow.webContents.send('interviewer-question-detected', {
+                        question: detection.question,
+                        type: detection.type,
+                        confidence: detection.confidence,
+                        speaker: transcription.speaker
+                    });
+                }
+                return;
+            }
+
+            if (!this.databaseService.isInitialized) return;
+
+            // Practice answers belong to the practice session, anything else to the live conversation
+            const practicing = this._interviewerService && this._interviewerService.isActive();
+            const sessionId = await this.getAudioSessionId();
+            if (!this.transcriptService.isPersisted(sessionId)) return;
+
+            await this.databaseService.storeSpokenAnswer({
+                sessionId,
+                questionId: practicing ? null : this.lastInterviewerQuestion?.questionId,
+                speakerId: transcription.speaker?.id,
+                channel: transcription.channel,
+                answerText: text,
+                startTime: transcription.startTime,
+                endTime: transcription.endTime,
+                confidence: transcription.confidence
             });
+        } catch (error) {
+            console.error('Failed to handle speaker turn:', error);
+        }
+    }
+
+    /**
+     * Render a prompt template with the current company, job description and resume.
+     * Passing a question selects the variant for its QuestionDetectionService type.
+     */
+    async buildPrompt(name, variables = {}) {
+        try {
+            await this.promptTemplateService.loadOverrides();
+        } catch (error) {
+            console.error('Failed to load prompt template overrides:', error);
+        }
+
+        let questionType = variables.questionType;
+        if (!questionType && variables.question) {
+            try {
+                questionType = this.questionDetectionService.classifyQuestion(variables.question).type;
+            } catch (error) {
+                console.error('Question classification failed:', error);
+            }
         }
+
+        return this.promptTemplateService.render(name, this.promptTemplateService.buildVariables({
+            companyName: this.appState.companyName,
+            jobDescription: this.appState.jobDescription,
+            resumeData: this.appState.resumeData,
+            ...variables,
+            questionType
+        }));
     }
 
     hideResponseWindow() {
@@ -486,83 +1083,807 @@ class MockMateApp {
                     console.log(`[OK] Auto-granting device permission for: ${details.deviceType}`);
                     return true;
                 }
-                
-                return false;
-            });
+                
+                return false;
+            });
+
+            // Intercept getDisplayMedia for system audio
+            session.defaultSession.setDisplayMediaRequestHandler((_, callback) => {
+                desktopCapturer.getSources({ types: ['screen'] }).then(sources => {
+                    callback({
+                        video: sources[0],   // required placeholder
+                        audio: 'loopback'    // Windows system audio
+                    });
+                }).catch(error => {
+                    console.error('Error in setDisplayMediaRequestHandler:', error);
+                    callback({ video: null, audio: null });
+                });
+            });
+            
+            console.log('[OK] Automatic permission handling setup complete');
+        } catch (error) {
+            console.error('[ERROR] Failed to setup automatic permissions:', error);
+        }
+    }
+
+    setupIPCHandlers() {
+        // Handle AI generation requests
+        ipcMain.handle('generate-ai-response', async (event, context) => {
+            // Supersedes any generation still streaming into the response window
+            const generation = this.generationManager.start('answer', { question: context.question });
+
+            try {
+                console.log('Main: Handling AI response generation for:', context.question);
+
+                // Store current question
+                this.appState.currentQuestion = context.question;
+
+                // Show loading response window first
+                this.showLoadingResponse(context.question, generation.id);
+
+                // Construct the prompt for the AI service
+                const prompt = await this.buildPrompt('answer', {
+                    question: context.question,
+                    companyName: context.company || this.appState.companyName,
+                    jobDescription: context.jobDescription || this.appState.jobDescription,
+                    resumeData: context.resumeData || this.appState.resumeData
+                });
+
+                const history = await this.getConversationHistory();
+
+                // Generate response with streaming callback
+                const response = await this.aiService.generateResponse({ ...context, prompt: prompt.user, systemPrompt: prompt.system, history, signal: generation.signal }, this.generationManager.guardChunks(generation.id, (chunk) => {
+                    // Handle streaming chunks
+                    this.streamResponseUpdate({
+                        content: chunk.content,
+                        question: context.question,
+                        model: chunk.model,
+                        timestamp: chunk.timestamp,
+                        isStreaming: true,
+                        requestId: chunk.requestId
+                    });
+                }));
+
+                if (!this.generationManager.isActive(generation.id)) {
+                    return { cancelled: true, requestId: generation.id };
+                }
+
+                console.log('Main: Final response received:', response);
+
+                // Update with final response
+                this.updateResponseWindow({
+                    response: response.response,
+                    question: context.question,
+                    model: response.model,
+                    timestamp: response.timestamp,
+                    requestId: generation.id
+                });
+
+                this.generationManager.complete(generation.id);
+                await this.rememberTurn({
+                    question: context.question,
+                    answer: response.response,
+                    model: response.model,
+                    responseTime: response.responseTime,
+                    source: 'manual'
+                });
+                return { ...response, requestId: generation.id };
+            } catch (error) {
+                if (this.generationManager.isAbortError(error)) {
+                    console.log(`Main: Generation ${generation.id} ${error.reason || 'aborted'}`);
+                    return { cancelled: true, requestId: generation.id, reason: error.reason };
+                }
+
+                console.error('AI generation failed:', error);
+                if (!this.generationManager.isActive(generation.id)) {
+                    return { cancelled: true, requestId: generation.id };
+                }
+                this.generationManager.fail(generation.id, error);
+
+                // Show error in response window
+                this.updateResponseWindow({
+                    response: `Error: ${error.message}`,
+                    question: context.question || 'Unknown question',
+                    model: this.appState.selectedModel,
+                    timestamp: new Date().toISOString(),
+                    requestId: generation.id
+                });
+
+                return { error: error.message, requestId: generation.id };
+            }
+        });
+
+        // Conversation memory - follow-up questions see earlier turns of the session
+        ipcMain.handle('new-conversation-session', async () => {
+            try {
+                await this.conversationService.endSession();
+                const sessionId = await this.conversationService.startSession({
+                    companyName: this.appState.companyName,
+                    jobDescription: this.appState.jobDescription,
+                    model: this.appState.selectedModel
+                });
+                return { success: true, sessionId };
+            } catch (error) {
+                console.error('Failed to start conversation session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-conversation-history', () => {
+            return this.conversationService.getHistory();
+        });
+
+        ipcMain.handle('load-conversation-session', async (event, sessionId) => {
+            try {
+                return { success: true, ...(await this.conversationService.loadSession(sessionId)) };
+            } catch (error) {
+                console.error('Failed to load conversation session:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Session transcript - timeline, search and export
+        ipcMain.handle('get-session-transcript', async (event, sessionId = null) => {
+            try {
+                const transcript = await this.transcriptService.getTranscript(sessionId || await this.getAudioSessionId());
+                return { success: true, ...transcript, formats: this.transcriptService.getExportFormats() };
+            } catch (error) {
+                console.error('Failed to load session transcript:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('search-transcript', async (event, query, options = {}) => {
+            try {
+                return { success: true, results: await this.transcriptService.search(query, options) };
+            } catch (error) {
+                console.error('Transcript search failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('export-transcript', async (event, sessionId = null, format = 'markdown') => {
+            try {
+                const { dialog } = require('electron');
+                const fs = require('fs');
+                const resolvedSessionId = sessionId || await this.getAudioSessionId();
+                const exported = await this.transcriptService.exportTranscript(resolvedSessionId, format);
+
+                const result = await dialog.showSaveDialog(this.responseWindow || this.controlWindow, {
+                    defaultPath: `transcript_${resolvedSessionId}.${exported.extension}`,
+                    filters: [{ name: format.toUpperCase(), extensions: [exported.extension] }]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, cancelled: true };
+                }
+
+                await fs.promises.writeFile(result.filePath, exported.content, 'utf8');
+                return { success: true, filePath: result.filePath, segments: exported.segments };
+            } catch (error) {
+                console.error('Transcript export failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.on('show-transcript', () => {
+            this.showTranscript();
+        });
+
+        // Full-text search over past sessions and documents
+        ipcMain.on('show-search', (event, query = '') => {
+            this.showSearch(query);
+        });
+
+        ipcMain.handle('search-history', async (event, query, filters = {}) => {
+            try {
+                return { success: true, ...(await this.searchService.search(query, filters)) };
+            } catch (error) {
+                console.error('Search failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-search-facets', async () => {
+            try {
+                return { success: true, ...(await this.searchService.getFacets()) };
+            } catch (error) {
+                console.error('Failed to load search filters:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Session review - past sessions, timeline, recorded audio and re-rating answers
+        ipcMain.on('open-review-window', () => {
+            this.createReviewWindow();
+        });
+
+        ipcMain.handle('get-review-sessions', async (event, options = {}) => {
+            try {
+                return { success: true, sessions: await this.sessionReviewService.listSessions(options) };
+            } catch (error) {
+                console.error('Failed to list sessions for review:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-session-review', async (event, sessionId) => {
+            try {
+                return { success: true, ...(await this.sessionReviewService.getSessionTimeline(sessionId)) };
+            } catch (error) {
+                console.error('Failed to load session review:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-review-audio', async (event, fileName) => {
+            try {
+                return { success: true, audio: await this.sessionReviewService.readAudioClip(fileName) };
+            } catch (error) {
+                console.error('Failed to read audio clip:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('rerun-answer-feedback', async (event, request) => {
+            try {
+                return { success: true, ...(await this.sessionReviewService.rerunFeedback(request)) };
+            } catch (error) {
+                console.error('Failed to re-run answer feedback:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Progress dashboard
+        ipcMain.on('open-dashboard-window', () => {
+            this.createDashboardWindow();
+        });
+
+        ipcMain.handle('get-progress-analytics', async (event, options = {}) => {
+            try {
+                return {
+                    success: true,
+                    ...(await this.analyticsService.getDashboard({
+                        days: options.days,
+                        jobDescription: options.jobDescription || this.appState.jobDescription
+                    }))
+                };
+            } catch (error) {
+                console.error('Failed to build progress analytics:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Prompt templates - list, override and reset
+        ipcMain.handle('get-prompt-templates', async () => {
+            try {
+                await this.promptTemplateService.loadOverrides();
+                return this.promptTemplateService.listTemplates();
+            } catch (error) {
+                console.error('Failed to list prompt templates:', error);
+                return { error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-prompt-template', async (event, { name, variant = null }) => {
+            try {
+                await this.promptTemplateService.loadOverrides();
+                return this.promptTemplateService.getTemplate(name, variant);
+            } catch (error) {
+                return { error: error.message };
+            }
+        });
+
+        ipcMain.handle('set-prompt-template', async (event, { name, system, user, variant = null }) => {
+            try {
+                const template = await this.promptTemplateService.setOverride(name, { system, user, variant });
+                return { success: true, template };
+            } catch (error) {
+                console.error('Failed to save prompt template:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('reset-prompt-template', async (event, { name, variant = null }) => {
+            try {
+                const reset = await this.promptTemplateService.resetOverride(name, variant);
+                return { success: reset };
+            } catch (error) {
+                console.error('Failed to reset prompt template:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Skill taxonomy - built-in skills plus user additions in ~/.mockmate/skill-taxonomy.json
+        ipcMain.handle('get-skill-taxonomy', async () => {
+            try {
+                return {
+                    categories: this.skillTaxonomy.getCategories(),
+                    custom: this.skillTaxonomy.getCustomEntries()
+                };
+            } catch (error) {
+                console.error('Failed to load skill taxonomy:', error);
+                return { error: error.message };
+            }
+        });
+
+        ipcMain.handle('add-custom-skills', async (event, entries) => {
+            try {
+                const custom = this.skillTaxonomy.addCustomSkills(Array.isArray(entries) ? entries : [entries]);
+                return { success: true, custom };
+            } catch (error) {
+                console.error('Failed to save custom skills:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-custom-skill', async (event, name) => {
+            try {
+                return { success: this.skillTaxonomy.removeCustomSkill(name) };
+            } catch (error) {
+                console.error('Failed to remove custom skill:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Interviewer simulation - practice questions from the resume and job description
+        ipcMain.handle('start-interview-practice', async (event, options = {}) => {
+            try {
+                const state = await this.interviewerService.start({
+                    resumeData: options.resumeData || this.appState.resumeData,
+                    jobDescription: options.jobDescription || this.appState.jobDescription,
+                    companyName: options.companyName || this.appState.companyName,
+                    count: options.count,
+                    categories: options.categories,
+                    includeDue: options.includeDue
+                });
+                return { success: true, ...state };
+            } catch (error) {
+                console.error('Failed to start interview practice:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('submit-practice-answer', async (event, { answer, source = 'typed' } = {}) => {
+            try {
+                const result = await this.interviewerService.submitAnswer(answer, source);
+                if (result.answered.feedback) {
+                    this.showAnswerFeedback(result.answered);
+                }
+                return { success: true, ...result };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('skip-practice-question', async () => {
+            try {
+                return { success: true, ...(await this.interviewerService.skip()) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('end-interview-practice', async () => {
+            return { success: true, summary: await this.interviewerService.stop() };
+        });
+
+        ipcMain.handle('get-interview-practice-state', () => {
+            return this.interviewerService.getState();
+        });
+
+        // Question bank - past questions scheduled for spaced-repetition practice
+        ipcMain.handle('get-question-bank', async (event, options = {}) => {
+            try {
+                return {
+                    success: true,
+                    questions: await this.questionBankService.listQuestions(options),
+                    stats: await this.questionBankService.getStats()
+                };
+            } catch (error) {
+                console.error('Failed to load question bank:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-due-questions', async (event, options = {}) => {
+            try {
+                return { success: true, questions: await this.questionBankService.getDueQueue(options) };
+            } catch (error) {
+                console.error('Failed to load due questions:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('set-bank-question-suspended', async (event, bankId, suspended) => {
+            try {
+                return { success: true, question: await this.questionBankService.setSuspended(bankId, suspended) };
+            } catch (error) {
+                console.error('Failed to update bank question:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('remove-bank-question', async (event, bankId) => {
+            try {
+                return { success: await this.questionBankService.removeQuestion(bankId) };
+            } catch (error) {
+                console.error('Failed to remove bank question:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Local database encryption - passphrase unlock, key protection and rotation
+        ipcMain.handle('get-database-encryption', () => {
+            return this.databaseService.getEncryptionStatus();
+        });
+
+        ipcMain.handle('unlock-database', async (event, passphrase) => {
+            try {
+                await this.databaseService.initialize({ passphrase });
+                await this.loadProfileContext();
+                await this.backupService.startSchedule();
+                await this.teamSyncService.startSchedule();
+                return { success: true, status: this.databaseService.getEncryptionStatus() };
+            } catch (error) {
+                console.error('Failed to unlock database:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('set-database-passphrase', async (event, passphrase = null) => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                return { success: true, status: await this.databaseService.setEncryptionPassphrase(passphrase) };
+            } catch (error) {
+                console.error('Failed to change database passphrase:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('rotate-database-key', async () => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                return await this.databaseService.rotateEncryptionKey();
+            } catch (error) {
+                console.error('Failed to rotate database key:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-database-schema-status', () => {
+            try {
+                return { success: true, status: this.databaseService.getSchemaStatus() };
+            } catch (error) {
+                console.error('Failed to get database schema status:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Backups - archives of the local database and session audio, restore, automatic backups
+        ipcMain.on('show-backups', () => {
+            this.showBackups();
+        });
+
+        ipcMain.handle('create-backup', async (event, options = {}) => {
+            try {
+                const { dialog } = require('electron');
+                const result = await dialog.showSaveDialog(this.responseWindow || this.controlWindow, {
+                    defaultPath: `mockmate-backup-${new Date().toISOString().slice(0, 10)}.mmbackup`,
+                    filters: [{ name: 'MockMate Backup', extensions: ['mmbackup'] }]
+                });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, cancelled: true };
+                }
+
+                return {
+                    success: true,
+                    ...(await this.backupService.createBackup(result.filePath, {
+                        passphrase: options.passphrase || null,
+                        categories: options.categories || null
+                    }))
+                };
+            } catch (error) {
+                console.error('Backup failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('inspect-backup', (event, filePath) => {
+            try {
+                return { success: true, filePath, backup: this.backupService.inspectBackup(filePath) };
+            } catch (error) {
+                console.error('Failed to read backup:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('restore-backup', async (event, filePath, options = {}) => {
+            try {
+                const { dialog } = require('electron');
+                if (options.mode === 'replace') {
+                    const { response } = await dialog.showMessageBox(this.responseWindow || this.controlWindow, {
+                        type: 'warning',
+                        buttons: ['Replace', 'Cancel'],
+                        defaultId: 1,
+                        cancelId: 1,
+                        title: 'Restore Backup',
+                        message: 'Replace your local data with the backup?',
+                        detail: 'The selected kinds of data are deleted and replaced by the backup\'s. A copy of the database is kept in the backups folder first.'
+                    });
+                    if (response === 1) {
+                        return { success: false, cancelled: true };
+                    }
+                }
+
+                const restored = await this.backupService.restoreBackup(filePath, options);
+                await this.reloadRestoredData();
+                return { success: true, ...restored };
+            } catch (error) {
+                console.error('Restore failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-backup-schedule', async () => {
+            try {
+                return { success: true, schedule: await this.backupService.getSchedule(), backups: this.backupService.listBackups() };
+            } catch (error) {
+                console.error('Failed to get backup schedule:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('set-backup-schedule', async (event, settings = {}) => {
+            try {
+                return { success: true, schedule: await this.backupService.setSchedule(settings), backups: this.backupService.listBackups() };
+            } catch (error) {
+                console.error('Failed to change backup schedule:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Team sync - one-way copy of practice data to the team Postgres database for coaches
+        ipcMain.handle('get-team-sync-status', async () => {
+            try {
+                return { success: true, status: await this.teamSyncService.getStatus() };
+            } catch (error) {
+                console.error('Failed to get team sync status:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('set-team-sync-settings', async (event, settings = {}) => {
+            try {
+                return { success: true, status: await this.teamSyncService.setSettings(settings) };
+            } catch (error) {
+                console.error('Failed to change team sync settings:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('sync-team-now', async () => {
+            try {
+                return { success: true, ...(await this.teamSyncService.syncNow()) };
+            } catch (error) {
+                console.error('Team sync failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('get-team-database-status', async () => {
+            try {
+                const health = await this.postgresService.checkHealth();
+                const schema = health.healthy ? await this.postgresService.getMigrationStatus() : null;
+                return { success: true, health, schema };
+            } catch (error) {
+                console.error('Failed to get team database status:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Profiles - one per candidate or target role; sessions, resumes and analytics follow the active profile
+        ipcMain.handle('get-profiles', async () => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                const profiles = await this.databaseService.getProfiles();
+                const active = profiles.find(profile => profile.is_active);
+                return { success: true, profiles, active: active ? this.getProfileSummary(active) : null };
+            } catch (error) {
+                console.error('Failed to get profiles:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('create-profile', async (event, profileData = {}, { activate = false } = {}) => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                const profile = await this.databaseService.createProfile(profileData);
+                const active = activate ? await this.switchProfile(profile.id) : null;
+                this.notifyProfilesUpdated();
+                return { success: true, profile, active, profiles: await this.databaseService.getProfiles() };
+            } catch (error) {
+                console.error('Failed to create profile:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('update-profile', async (event, profileId, updates = {}) => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                const profile = await this.databaseService.updateProfile(profileId, updates);
+                if (profile.is_active) {
+                    this.appState.companyName = profile.company_name || '';
+                    this.appState.jobDescription = profile.job_description || '';
+                    if (this.controlWindow && !this.controlWindow.isDestroyed()) {
+                        this.controlWindow.webContents.send('profile-changed', this.getProfileSummary(profile));
+                    }
+                } else {
+                    this.notifyProfilesUpdated();
+                }
+                return { success: true, profile, profiles: await this.databaseService.getProfiles() };
+            } catch (error) {
+                console.error('Failed to update profile:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('delete-profile', async (event, profileId) => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                const profile = await this.databaseService.getProfile(profileId);
+                if (!profile) {
+                    throw new Error('Profile not found');
+                }
 
-            // Intercept getDisplayMedia for system audio
-            session.defaultSession.setDisplayMediaRequestHandler((_, callback) => {
-                desktopCapturer.getSources({ types: ['screen'] }).then(sources => {
-                    callback({
-                        video: sources[0],   // required placeholder
-                        audio: 'loopback'    // Windows system audio
-                    });
-                }).catch(error => {
-                    console.error('Error in setDisplayMediaRequestHandler:', error);
-                    callback({ video: null, audio: null });
+                const { dialog } = require('electron');
+                const { response } = await dialog.showMessageBox(this.responseWindow || this.controlWindow, {
+                    type: 'warning',
+                    buttons: ['Delete', 'Cancel'],
+                    defaultId: 1,
+                    cancelId: 1,
+                    title: 'Delete Profile',
+                    message: `Delete the profile "${profile.name}"?`,
+                    detail: 'Its sessions with their transcripts and answers, its resumes and its analytics are deleted from this computer. Saved session audio and backups are kept.'
                 });
-            });
-            
-            console.log('[OK] Automatic permission handling setup complete');
-        } catch (error) {
-            console.error('[ERROR] Failed to setup automatic permissions:', error);
-        }
-    }
+                if (response === 1) {
+                    return { success: false, cancelled: true };
+                }
 
-    setupIPCHandlers() {
-        // Handle AI generation requests
-        ipcMain.handle('generate-ai-response', async (event, context) => {
-            try {
-                console.log('Main: Handling AI response generation for:', context.question);
+                const result = await this.databaseService.deleteProfile(profileId);
+                this.notifyProfilesUpdated();
+                return { ...result, profiles: await this.databaseService.getProfiles() };
+            } catch (error) {
+                console.error('Failed to delete profile:', error);
+                return { success: false, error: error.message };
+            }
+        });
 
-                // Store current question
-                this.appState.currentQuestion = context.question;
+        ipcMain.handle('switch-profile', async (event, profileId) => {
+            try {
+                if (!this.databaseService.isInitialized) {
+                    throw new Error('The local database is not available');
+                }
+                return { success: true, active: await this.switchProfile(profileId) };
+            } catch (error) {
+                console.error('Failed to switch profile:', error);
+                return { success: false, error: error.message };
+            }
+        });
 
-                // Show loading response window first
-                this.showLoadingResponse(context.question);
+        ipcMain.on('show-profiles', () => {
+            this.showProfiles();
+        });
 
-                // Construct the prompt for the AI service
-                const prompt = `Context:\nCompany: ${context.company || 'N/A'}\nJob Description: ${context.jobDescription || 'N/A'}\n\nQuestion: ${context.question}`;
+        // Question packs - import (file picked through open-file-dialog) and export of curated question sets
+        ipcMain.handle('show-question-pack-menu', () => {
+            const { Menu } = require('electron');
+            return new Promise(resolve => {
+                const menu = Menu.buildFromTemplate([
+                    { label: 'Import Question Pack...', click: () => resolve('import') },
+                    { type: 'separator' },
+                    { label: 'Export Question Bank as Pack...', click: () => resolve('native') },
+                    { label: 'Export Question Bank as CSV...', click: () => resolve('csv') },
+                    { label: 'Export Question Bank as JSON...', click: () => resolve('json') }
+                ]);
+                // On some platforms the menu closes before the clicked item's handler runs
+                menu.popup({ window: this.controlWindow, callback: () => setTimeout(() => resolve(null), 100) });
+            });
+        });
 
-                // Generate response with streaming callback
-                const response = await this.aiService.generateResponse({ ...context, prompt }, (chunk) => {
-                    // Handle streaming chunks
-                    console.log('Main: Received streaming chunk:', chunk.content);
-                    this.streamResponseUpdate({
-                        content: chunk.content,
-                        question: context.question,
-                        model: chunk.model,
-                        timestamp: chunk.timestamp,
-                        isStreaming: true
-                    });
-                });
+        ipcMain.handle('preview-question-pack', async (event, filePath) => {
+            try {
+                return { success: true, preview: await this.questionPackService.previewImport(filePath) };
+            } catch (error) {
+                console.error('Failed to read question pack:', error);
+                return { success: false, error: error.message };
+            }
+        });
 
-                console.log('Main: Final response received:', response);
+        ipcMain.handle('import-question-pack', async (event, filePath, options = {}) => {
+            try {
+                const { dialog } = require('electron');
+                const preview = await this.questionPackService.previewImport(filePath);
+                if (!preview.valid) {
+                    return { success: false, error: 'Invalid question pack', errors: preview.errors, warnings: preview.warnings };
+                }
 
-                // Update with final response
-                this.updateResponseWindow({
-                    response: response.response,
-                    question: context.question,
-                    model: response.model,
-                    timestamp: response.timestamp
-                });
+                let conflictStrategy = options.conflictStrategy || 'ask';
+                if (conflictStrategy === 'ask') {
+                    conflictStrategy = 'skip';
+                    if (preview.conflicts.length > 0) {
+                        const examples = preview.conflicts.slice(0, 3).map(conflict => `\u2022 ${conflict.text}`).join('\n');
+                        const { response } = await dialog.showMessageBox(this.controlWindow, {
+                            type: 'question',
+                            buttons: ['Skip', 'Merge', 'Replace', 'Cancel'],
+                            defaultId: 0,
+                            cancelId: 3,
+                            title: 'Import Question Pack',
+                            message: `${preview.conflicts.length} of ${preview.total} questions in "${preview.pack.name}" are already in your question bank.`,
+                            detail: `${examples}${preview.conflicts.length > 3 ? '\n\u2026' : ''}\n\nSkip keeps your questions as they are, Merge adds missing pack details to them, Replace takes type, difficulty, reference answer, rubric and tags from the pack.`
+                        });
+                        if (response === 3) {
+                            return { success: false, cancelled: true };
+                        }
+                        conflictStrategy = ['skip', 'merge', 'replace'][response];
+                    }
+                }
 
-                return response;
+                return { success: true, ...await this.questionPackService.importPack(filePath, { conflictStrategy }) };
             } catch (error) {
-                console.error('AI generation failed:', error);
+                console.error('Failed to import question pack:', error);
+                return { success: false, error: error.message };
+            }
+        });
 
-                // Show error in response window
-                this.updateResponseWindow({
-                    response: `Error: ${error.message}`,
-                    question: context.question || 'Unknown question',
-                    model: this.appState.selectedModel,
-                    timestamp: new Date().toISOString()
+        ipcMain.handle('export-question-pack', async (event, options = {}) => {
+            try {
+                const { dialog } = require('electron');
+                const fs = require('fs');
+                const exported = await this.questionPackService.exportPack(options);
+
+                const result = await dialog.showSaveDialog(this.controlWindow, {
+                    defaultPath: exported.fileName,
+                    filters: [{ name: options.format === 'csv' ? 'CSV' : 'JSON', extensions: [exported.extension.split('.').pop()] }]
                 });
+                if (result.canceled || !result.filePath) {
+                    return { success: false, cancelled: true };
+                }
 
-                return { error: error.message };
+                await fs.promises.writeFile(result.filePath, exported.content, 'utf8');
+                return { success: true, filePath: result.filePath, count: exported.count };
+            } catch (error) {
+                console.error('Failed to export question pack:', error);
+                return { success: false, error: error.message };
             }
         });
 
+        ipcMain.handle('get-question-packs', async () => {
+            try {
+                return { success: true, packs: await this.questionPackService.listPacks() };
+            } catch (error) {
+                console.error('Failed to list question packs:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Cancel the running generation (or a specific one by request id)
+        ipcMain.handle('cancel-ai-generation', (event, requestId = null) => {
+            const cancelled = this.generationManager.cancel(requestId);
+            return { success: cancelled, stats: this.generationManager.getStats() };
+        });
+
         // Handle model selection
         ipcMain.handle('set-model', (event, model) => {
             this.aiService.setModel(model);
@@ -586,52 +1907,31 @@ class MockMateApp {
             }
         });
 
-        // Handle resume processing
+        // Handle resume processing - returns the canonical resume schema (see DocumentPipeline)
         ipcMain.handle('process-resume', async (event, filePath) => {
             try {
                 console.log('Processing resume:', filePath);
-                
-                const fs = require('fs');
-                const path = require('path');
-                
-                // Get file extension
-                const fileExt = path.extname(filePath).toLowerCase();
-                
-                let extractedText = '';
-                
-                if (fileExt === '.pdf') {
-                    // Use pdf-parse for PDF files
-                    const pdfParse = require('pdf-parse');
-                    const dataBuffer = fs.readFileSync(filePath);
-                    const pdfData = await pdfParse(dataBuffer);
-                    extractedText = pdfData.text;
-                } else if (fileExt === '.docx') {
-                    // Use mammoth for DOCX files
-                    const mammoth = require('mammoth');
-                    const result = await mammoth.extractRawText({ path: filePath });
-                    extractedText = result.value;
-                } else if (fileExt === '.doc') {
-                    // For .doc files, you might need a different library or conversion
-                    throw new Error('DOC files not fully supported yet. Please use DOCX or PDF.');
-                } else if (fileExt === '.txt') {
-                    // Simple text file
-                    extractedText = fs.readFileSync(filePath, 'utf8');
-                } else {
-                    throw new Error('Unsupported file format');
+
+                const resume = await this.documentIntelligenceService.analyzeResumeFile(filePath, { useAI: false });
+                if (!resume.success) {
+                    return { error: resume.error };
                 }
-                
-                // Extract skills and experience from resume text
-                const analysis = this.analyzeResumeContent(extractedText);
-                
-                return {
-                    success: true,
-                    filePath: filePath,
-                    extractedText: extractedText,
-                    skills: analysis.skills,
-                    experience: analysis.experience,
-                    education: analysis.education,
-                    summary: analysis.summary
-                };
+
+                // Used for prompts and practice questions
+                this.appState.resumeData = resume;
+
+                // Kept in the local database, where it is also indexed for search
+                if (this.databaseService.isInitialized) {
+                    await this.databaseService.storeResume({
+                        fileName: resume.source.fileName,
+                        filePath,
+                        content: resume.text,
+                        skills: resume.skills,
+                        experience: resume.experience,
+                        education: resume.education
+                    }).catch(error => console.error('Failed to store resume:', error));
+                }
+                return resume;
                 
             } catch (error) {
                 console.error('Resume processing error:', error);
@@ -702,27 +2002,35 @@ class MockMateApp {
 
         // Handle screen analysis and AI response generation
         ipcMain.handle('analyze-screen-and-respond', async (event, imageDataUrl) => {
+            const generation = this.generationManager.start('screen-analysis', { question: 'Screen Analysis' });
+
             try {
                 console.log('🔍 Starting AI vision screen analysis and response generation...');
                 console.log('Received imageDataUrl (first 50 chars): ', imageDataUrl.substring(0, 50) + '...');
                 
                 // Prompt to identify question and generate answer
-                const prompt = "You are an expert interview coach. Analyze the attached screenshot, identify the interview question, and then provide a concise, accurate, and well-structured answer suitable for a job interview. If no question is visible, state that and provide a general interview tip.";
+                const prompt = (await this.buildPrompt('screen-vision')).user;
                 console.log('Prompt sent to AI: ', prompt);
 
                 // Show loading response window immediately
-                this.showLoadingResponse('Analyzing screen and generating answer...');
+                this.showLoadingResponse('Analyzing screen and generating answer...', generation.id);
 
-                const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, prompt, (chunk) => {
+                const history = await this.getConversationHistory();
+                const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, prompt, this.generationManager.guardChunks(generation.id, (chunk) => {
                     // Stream chunks to the response window
                     this.streamResponseUpdate({
                         content: chunk.content,
                         question: 'Screen Analysis',
                         model: chunk.model,
                         timestamp: chunk.timestamp,
-                        isStreaming: true
+                        isStreaming: true,
+                        requestId: chunk.requestId
                     });
-                });
+                }), { signal: generation.signal, history });
+
+                if (!this.generationManager.isActive(generation.id)) {
+                    return { success: false, cancelled: true, requestId: generation.id };
+                }
                 
                 console.log('Raw AI response received: ', JSON.stringify(aiResponse, null, 2));
 
@@ -736,20 +2044,35 @@ class MockMateApp {
                     response: aiResponse.response,
                     question: 'Screen Analysis',
                     model: aiResponse.model,
-                    timestamp: aiResponse.timestamp
+                    timestamp: aiResponse.timestamp,
+                    requestId: generation.id
                 });
 
-                return { success: true };
+                this.generationManager.complete(generation.id);
+                await this.rememberTurn({
+                    question: 'Screen Analysis',
+                    answer: aiResponse.response,
+                    model: aiResponse.model,
+                    responseTime: aiResponse.responseTime,
+                    source: 'screen'
+                });
+                return { success: true, requestId: generation.id };
 
             } catch (error) {
+                if (this.generationManager.isAbortError(error) || !this.generationManager.isActive(generation.id)) {
+                    return { success: false, cancelled: true, requestId: generation.id, reason: error.reason };
+                }
+
                 console.error('❌ AI vision screen analysis and response failed:', error);
+                this.generationManager.fail(generation.id, error);
                 
                 // Show error in response window
                 this.updateResponseWindow({
                     response: `Error: ${error.message}`,
                     question: 'Screen Analysis',
                     model: this.appState.selectedModel,
-                    timestamp: new Date().toISOString()
+                    timestamp: new Date().toISOString(),
+                    requestId: generation.id
                 });
                 
                 return { success: false, error: error.message };
@@ -773,6 +2096,15 @@ class MockMateApp {
         // Handle setting company name and storing it in DB
         ipcMain.handle('set-company-name', async (event, companyName) => {
             try {
+                // Kept with the active profile, so switching back to it restores the company
+                this.appState.companyName = companyName;
+                if (this.databaseService.isInitialized) {
+                    await this.databaseService.updateProfile(this.databaseService.activeProfileId, { companyName });
+                }
+                if (!this.postgresService.isEnabled || !companyName) {
+                    return { success: true, company: { name: companyName } };
+                }
+
                 const company = await this.postgresService.insertCompany(companyName);
                 this.appState.companyName = company.name;
                 this.appState.companyId = company.id;
@@ -787,6 +2119,14 @@ class MockMateApp {
         // Handle setting job description and storing it in DB
         ipcMain.handle('set-job-description', async (event, jobDescription, jobTitle = 'Untitled') => {
             try {
+                this.appState.jobDescription = jobDescription;
+                if (this.databaseService.isInitialized) {
+                    await this.databaseService.updateProfile(this.databaseService.activeProfileId, { jobDescription });
+                }
+                if (!this.postgresService.isEnabled || !jobDescription) {
+                    return { success: true, jobDescription: { title: jobTitle, description: jobDescription } };
+                }
+
                 if (!this.appState.companyId) {
                     // If no company is set, create a default one or prompt user
                     const defaultCompany = await this.postgresService.insertCompany('Default Company');
@@ -875,7 +2215,7 @@ class MockMateApp {
         // Analyze resume from text content
         ipcMain.handle('analyze-resume-text', async (event, resumeText, options = {}) => {
             try {
-                return await this.documentIntelligenceService.analyzeResumeText(resumeText, options);
+                return await this.documentIntelligenceService.analyzeResume(resumeText, options);
             } catch (error) {
                 console.error('Resume text analysis error:', error);
                 return { error: error.message };
@@ -962,48 +2302,37 @@ class MockMateApp {
                 console.log('Processing resume with advanced intelligence:', filePath);
                 
                 // Use the new DocumentIntelligenceService for comprehensive analysis
-                const analysisResult = await this.documentIntelligenceService.analyzeResumeFile(filePath, {
-                    includeInsights: true,
-                    extractProjects: true,
-                    extractCertifications: true,
-                    detectIndustry: true,
-                    scoreExperience: true,
-                    ...options
-                });
+                const resume = await this.documentIntelligenceService.analyzeResumeFile(filePath, options);
                 
-                if (analysisResult.success) {
+                if (resume.success) {
                     // Store resume data in PostgreSQL
                     const resumeRecord = await this.postgresService.insertResume(
-                        '', // Candidate name (can be added later or extracted if available)
+                        resume.basicInfo.name || '',
                         filePath,
-                        analysisResult.data.extractedText,
-                        analysisResult.data
+                        resume.text,
+                        resume
                     );
                     console.log('Resume data stored in DB with ID:', resumeRecord.id);
 
                     // Update app state with resume data for better interview responses
-                    this.appState.resumeData = analysisResult.data;
+                    this.appState.resumeData = resume;
                     
                     // Notify control window about successful resume analysis
                     if (this.controlWindow) {
                         this.controlWindow.webContents.send('resume-analyzed', {
-                            skills: analysisResult.data.skills,
-                            experience: analysisResult.data.experience,
-                            summary: analysisResult.data.summary,
-                            insights: analysisResult.insights
+                            skills: resume.skills,
+                            experience: resume.experience,
+                            summary: resume.summary,
+                            insights: resume.aiInsights
                         });
                     }
                     
                     return {
-                        success: true,
-                        filePath: filePath,
-                        data: analysisResult.data,
-                        insights: analysisResult.insights,
-                        processingTime: analysisResult.processingTime,
+                        ...resume,
                         resumeId: resumeRecord.id
                     };
                 } else {
-                    return { error: analysisResult.error };
+                    return { error: resume.error };
                 }
                 
             } catch (error) {
@@ -1032,6 +2361,60 @@ class MockMateApp {
             }
         });
 
+        // Live audio: recorder chunks are decoded and split into utterances while recording.
+        // The channel ('loopback' for system audio, 'microphone') tells the speakers apart.
+        ipcMain.handle('start-audio-stream', (_, channel = 'loopback') => {
+            try {
+                return this.systemAudioCaptureService.startAudioStream(channel);
+            } catch (error) {
+                console.error('Start audio stream error:', error);
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('audio-stream-chunk', (_, arrayBuffer, channel = 'loopback') => {
+            if (!arrayBuffer || arrayBuffer.byteLength === 0) {
+                return { success: false, message: 'Empty or invalid audio data' };
+            }
+            return this.systemAudioCaptureService.pushAudioChunk(Buffer.from(arrayBuffer), channel);
+        });
+
+        ipcMain.handle('end-audio-stream', async (_, channel = 'loopback') => {
+            return this.systemAudioCaptureService.endAudioStream(channel);
+        });
+
+        // Speakers found by diarization and their interviewer/candidate roles
+        ipcMain.handle('get-speakers', () => {
+            return this.systemAudioCaptureService.getSpeakers();
+        });
+
+        ipcMain.handle('set-speaker-role', (_, speakerId, role) => {
+            try {
+                return { success: true, speakers: this.systemAudioCaptureService.setSpeakerRole(speakerId, role) };
+            } catch (error) {
+                console.error('Set speaker role error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        ipcMain.handle('reset-speakers', () => {
+            return { success: true, speakers: this.systemAudioCaptureService.resetSpeakers() };
+        });
+
+        // Voice activity detection settings (thresholds, hangover, utterance length)
+        ipcMain.handle('get-vad-config', () => {
+            return this.systemAudioCaptureService.getVadConfig();
+        });
+
+        ipcMain.handle('set-vad-config', (_, config) => {
+            try {
+                return { success: true, config: this.systemAudioCaptureService.setVadConfig(config) };
+            } catch (error) {
+                console.error('Set VAD config error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         // Handle close response window - just close the response window
         ipcMain.on('close-response-window', () => {
             console.log('Close response window requested');
@@ -1091,16 +2474,57 @@ class MockMateApp {
             }
         });
 
+        // Active AI backend and what it supports
+        ipcMain.handle('get-ai-provider', () => {
+            return this.aiService.getProviderInfo();
+        });
+
+        // Switch AI backend at runtime, e.g. to a local OpenAI-compatible server
+        ipcMain.handle('set-ai-provider', async (event, providerConfig) => {
+            try {
+                const info = this.aiService.setProvider(providerConfig);
+                const models = await this.aiService.getAvailableModels();
+                return { success: true, provider: info, models };
+            } catch (error) {
+                console.error('Set AI provider error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Speech-to-text engine used for captured audio
+        ipcMain.handle('get-stt-engine', () => {
+            return this.systemAudioCaptureService.getSTTInfo();
+        });
+
+        // Per-stage latency of the audio decode/transcription pipeline
+        ipcMain.handle('get-audio-pipeline-metrics', () => {
+            return this.systemAudioCaptureService.audioPipeline.getLatencyStats();
+        });
+
+        // Switch speech-to-text engine at runtime, e.g. to local whisper.cpp for offline practice
+        ipcMain.handle('set-stt-engine', (event, sttConfig) => {
+            try {
+                return { success: true, engine: this.systemAudioCaptureService.setSTTEngine(sttConfig) };
+            } catch (error) {
+                console.error('Set STT engine error:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
         console.log('Model IPC handlers setup completed');
 
         // Handle transcription updates from renderer-based audio capture
         ipcMain.on('transcription-from-renderer', (event, transcription) => {
             console.log('Received real transcription from renderer:', transcription);
             
-            // Store the current question/transcription
-            if (transcription.text && transcription.text.trim() && !transcription.error) {
-                this.appState.currentQuestion = transcription.text.trim();
-            }
+            // Renderer capture records the user's microphone, so untagged speech is the candidate's.
+            // Interim hypotheses (final === false) are only displayed.
+            transcription = {
+                channel: 'microphone',
+                speaker: { id: 'microphone-1', channel: 'microphone', role: 'candidate', label: 'You' },
+                ...transcription
+            };
+            this.handleTranscription(transcription, 'renderer');
             
             // Send transcription update to control window
             if (this.controlWindow) {
@@ -1121,71 +2545,42 @@ class MockMateApp {
     }
 
     async triggerAIAnswer() {
-        if (this.appState.isAIWorking) return;
-        
-        this.appState.isAIWorking = true;
+        // Pressing the hotkey again restarts the answer instead of being ignored
+        const generation = this.generationManager.start('answer', { question: this.appState.currentQuestion });
         
         // Show loading state immediately
-        this.showLoadingResponse();
+        this.showLoadingResponse('', generation.id);
         
         try {
-            let promptContext = "";
-            if (this.appState.companyName) {
-                promptContext += `Company: ${this.appState.companyName}
-`;
-            }
-            if (this.appState.jobDescription) {
-                promptContext += `Job Description: ${this.appState.jobDescription}
-`;
-            }
-            if (this.appState.resumeData) {
-                promptContext += `Candidate Resume Data:
-`;
-                if (this.appState.resumeData.skills) {
-                    promptContext += `  Skills: ${this.appState.resumeData.skills.join(', ')}
-`;
-                }
-                if (this.appState.resumeData.experience) {
-                    promptContext += `  Experience: ${JSON.stringify(this.appState.resumeData.experience, null, 2)}
-`;
-                }
-                if (this.appState.resumeData.education) {
-                    promptContext += `  Education: ${JSON.stringify(this.appState.resumeData.education, null, 2)}
-`;
-                }
-                if (this.appState.resumeData.summary) {
-                    promptContext += `  Summary: ${this.appState.resumeData.summary}
-`;
-                }
-            }
-
             const question = this.appState.currentQuestion || 'Please provide a general interview response.';
-            const fullPrompt = `${promptContext}
-Question: ${question}
-
-Your expert answer:`;
+            const prompt = await this.buildPrompt('answer', { question });
 
             const context = {
-                prompt: fullPrompt,
+                prompt: prompt.user,
+                systemPrompt: prompt.system,
                 model: this.appState.selectedModel,
                 companyName: this.appState.companyName,
                 jobDescription: this.appState.jobDescription,
-                resumeData: this.appState.resumeData
+                resumeData: this.appState.resumeData,
+                history: await this.getConversationHistory(),
+                signal: generation.signal
             };
             
-            const onChunk = (chunk) => {
+            const onChunk = this.generationManager.guardChunks(generation.id, (chunk) => {
                 if (this.responseWindow) {
                     this.responseWindow.webContents.send('stream-response-chunk', {
                         content: chunk.content,
                         model: chunk.model,
                         timestamp: chunk.timestamp,
-                        isFinal: false // Indicate it's a chunk, not final
+                        isFinal: false, // Indicate it's a chunk, not final
+                        requestId: chunk.requestId
                     });
                 }
-            };
+            });
 
             try {
                 const finalResponse = await this.aiService.generateResponse(context, onChunk);
+                if (!this.generationManager.isActive(generation.id)) return;
                 
                 // Send final signal with the complete response
                 if (this.responseWindow) {
@@ -1194,11 +2589,24 @@ Your expert answer:`;
                         model: finalResponse.model || this.appState.selectedModel,
                         timestamp: finalResponse.timestamp || new Date().toISOString(),
                         isFinal: true, // Indicate this is the final chunk
-                        fullResponse: finalResponse.response // Send the complete response for final rendering
+                        fullResponse: finalResponse.response, // Send the complete response for final rendering
+                        requestId: generation.id
                     });
                 }
+                this.generationManager.complete(generation.id);
+                await this.rememberTurn({
+                    question: question,
+                    answer: finalResponse.response,
+                    model: finalResponse.model,
+                    responseTime: finalResponse.responseTime,
+                    source: 'hotkey'
+                });
             } catch (error) {
+                // Cancelled or superseded - the response window already got a generation-status event
+                if (this.generationManager.isAbortError(error) || !this.generationManager.isActive(generation.id)) return;
+
                 console.error('AI Answer generation failed:', error);
+                this.generationManager.fail(generation.id, error);
                 // Send final signal with error
                 if (this.responseWindow) {
                     this.responseWindow.webContents.send('stream-response-chunk', {
@@ -1206,25 +2614,24 @@ Your expert answer:`;
                         model: this.appState.selectedModel,
                         timestamp: new Date().toISOString(),
                         isFinal: true, // Indicate this is the final chunk
-                        isError: true // Indicate that an error occurred
+                        isError: true, // Indicate that an error occurred
+                        requestId: generation.id
                     });
                 }
-            } finally {
-                this.appState.isAIWorking = false;
             }
         } catch (outerError) {
             console.error('Outer AI Answer generation failed:', outerError);
+            this.generationManager.fail(generation.id, outerError);
             if (this.responseWindow) {
                 this.responseWindow.webContents.send('stream-response-chunk', {
                     content: `Critical Error: ${outerError.message}`,
                     model: this.appState.selectedModel,
                     timestamp: new Date().toISOString(),
                     isFinal: true,
-                    isError: true
+                    isError: true,
+                    requestId: generation.id
                 });
             }
-        } finally {
-            this.appState.isAIWorking = false;
         }
     }
 
@@ -1242,10 +2649,11 @@ Your expert answer:`;
 
             const imageDataUrl = `data:image/png;base64,${screenshot.imageData.toString('base64')}`;
 
-            const prompt = "You are an expert interview candidate. Analyze the following screenshot, identify the interview question, and provide a concise, accurate, and well-structured answer suitable for a job interview. If no question is visible, state that.";
-            this.aiService.analyzeImageWithPrompt(imageDataUrl, prompt).then(response => {
-                this.showResponseWindow(response.response);
-            });
+            this.buildPrompt('screen-vision')
+                .then(prompt => this.aiService.analyzeImageWithPrompt(imageDataUrl, prompt.user))
+                .then(response => {
+                    this.showResponseWindow(response.response);
+                });
         });
     }
 
@@ -1394,8 +2802,10 @@ Your expert answer:`;
     }
 
     async _handleScreenAnalysis(imageDataUrlFromRenderer = null) {
+        const generation = this.generationManager.start('screen-analysis', { question: 'Screen Analysis' });
+
         try {
-            this.showLoadingResponse('Capturing screen and analyzing...');
+            this.showLoadingResponse('Capturing screen and analyzing...', generation.id);
             let screenshot;
             let imageDataUrl;
 
@@ -1408,6 +2818,7 @@ Your expert answer:`;
                 screenshot = await this.screenCaptureService.captureFullScreen();
                 if (screenshot.error) {
                     console.error('Screen capture failed:', screenshot.error);
+                    this.generationManager.fail(generation.id, new Error(screenshot.error));
                     this.updateResponseWindow({
                         response: `Error: Screen capture failed: ${screenshot.error}`,
                         question: 'Screen Analysis',
@@ -1421,64 +2832,58 @@ Your expert answer:`;
             }
 
             // 1. Perform OCR on the captured image
-            this.showLoadingResponse('Performing OCR...');
+            this.showLoadingResponse('Performing OCR...', generation.id);
             const ocrResult = await this.ocrService.performOCR(imageDataUrl);
+            if (!this.generationManager.isActive(generation.id)) {
+                return { success: false, cancelled: true, requestId: generation.id };
+            }
             const extractedText = ocrResult.text;
             console.log('OCR Extracted Text (first 200 chars):', extractedText.substring(0, Math.min(extractedText.length, 200)) + '...');
 
             if (!extractedText || extractedText.trim().length < 10) {
-                const noTextPrompt = "You are an expert interview coach. Analyze the attached screenshot. If no discernible text or question is visible, provide a general interview tip or observation about the image content.";
-                const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, noTextPrompt);
+                const noTextPrompt = (await this.buildPrompt('screen-no-text')).user;
+                const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, noTextPrompt, null, {
+                    signal: generation.signal,
+                    history: await this.getConversationHistory()
+                });
                 this.updateResponseWindow({
                     response: aiResponse.response,
                     question: 'Screen Analysis',
                     model: aiResponse.model,
-                    timestamp: aiResponse.timestamp
+                    timestamp: aiResponse.timestamp,
+                    requestId: generation.id
+                });
+                this.generationManager.complete(generation.id);
+                await this.rememberTurn({
+                    question: 'Screen Analysis',
+                    answer: aiResponse.response,
+                    model: aiResponse.model,
+                    responseTime: aiResponse.responseTime,
+                    source: 'screen'
                 });
                 return { success: true };
             }
 
             // Construct a single, comprehensive prompt for the AI
-                        let aiPrompt = `You are an expert technical assistant. Your primary goal is to directly fulfill requests or solve problems presented in the extracted text. Analyze the following text, which was extracted from a screenshot. 
-
-`;
-
-            // Add contextual information if available
-            if (this.appState.companyName) {
-                aiPrompt += `Company: ${this.appState.companyName}\n`;
-            }
-            if (this.appState.jobDescription) {
-                aiPrompt += `Job Description: ${this.appState.jobDescription}\n`;
-            }
-            if (this.appState.resumeData) {
-                // Assuming resumeData is an object with relevant fields like skills, experience, etc.
-                // You might want to format this more nicely depending on the structure of resumeData
-                aiPrompt += `User's Resume Data (Skills, Experience, etc.):\n`;
-                if (this.appState.resumeData.skills) {
-                    aiPrompt += `  Skills: ${this.appState.resumeData.skills.join(', ')}\n`;
-                }
-                if (this.appState.resumeData.experience) {
-                    aiPrompt += `  Experience: ${this.appState.resumeData.experience}\n`;
-                }
-                if (this.appState.resumeData.summary) {
-                    aiPrompt += `  Summary: ${this.appState.resumeData.summary}\n`;
-                }
-                // Add other relevant resume fields as needed
-            }
-
-            aiPrompt += `\n**Your task is to:**\n\n1.  **Identify the core request:** Is it a question to be answered, a coding challenge to be solved, a file to be written (like an Ansible playbook or Dockerfile), or a general task requiring direct action?\n2.  **Provide a direct solution/response:**\n    *   **If it's a question:** Answer it concisely and accurately, as an expert would.\n    *   **If it's a coding challenge or request to write code/file:** Provide the complete, correct, and well-commented code/file directly. Do NOT just describe how to solve it; provide the solution itself.\n    *   **If it's a general task:** Perform the task or provide the most direct and helpful output to complete it.\n\n**Crucially, your output should be the solution or direct response, not a meta-analysis or a question about the task.**\n\nExtracted Text from Screenshot:\n"""\n${extractedText}\n"""\n\nYour Direct Response/Solution:`
+            const aiPrompt = (await this.buildPrompt('screen-ocr', { extractedText })).user;
 
             // Send the comprehensive prompt to the AI service
-            this.showLoadingResponse('Analyzing text and generating response...');
-            const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, aiPrompt, (chunk) => {
+            this.showLoadingResponse('Analyzing text and generating response...', generation.id);
+            const history = await this.getConversationHistory();
+            const aiResponse = await this.aiService.analyzeImageWithPrompt(imageDataUrl, aiPrompt, this.generationManager.guardChunks(generation.id, (chunk) => {
                 this.streamResponseUpdate({
                     content: chunk.content,
                     question: 'Screen Analysis',
                     model: chunk.model,
                     timestamp: chunk.timestamp,
-                    isStreaming: true
+                    isStreaming: true,
+                    requestId: chunk.requestId
                 });
-            });
+            }), { signal: generation.signal, history });
+
+            if (!this.generationManager.isActive(generation.id)) {
+                return { success: false, cancelled: true, requestId: generation.id };
+            }
 
             console.log('Raw AI response received:', JSON.stringify(aiResponse, null, 2));
 
@@ -1487,134 +2892,39 @@ Your expert answer:`;
                 response: aiResponse.response,
                 question: 'Screen Analysis',
                 model: aiResponse.model,
-                timestamp: aiResponse.timestamp
+                timestamp: aiResponse.timestamp,
+                requestId: generation.id
             });
 
+            this.generationManager.complete(generation.id);
+            // The OCR text is what was asked, so follow-ups like "optimize that" can refer to it
+            await this.rememberTurn({
+                question: extractedText.trim(),
+                answer: aiResponse.response,
+                model: aiResponse.model,
+                responseTime: aiResponse.responseTime,
+                source: 'screen'
+            });
             return { success: true, aiResponse: aiResponse.response };
 
         } catch (error) {
+            if (this.generationManager.isAbortError(error) || !this.generationManager.isActive(generation.id)) {
+                return { success: false, cancelled: true, requestId: generation.id, reason: error.reason };
+            }
+
             console.error('❌ Screen analysis and response failed:', error);
+            this.generationManager.fail(generation.id, error);
             this.updateResponseWindow({
                 response: `Error: ${error.message}`,
                 question: 'Screen Analysis',
                 model: this.appState.selectedModel,
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+                requestId: generation.id
             });
             return { success: false, error: error.message };
         }
     }
 
-    // Helper method to analyze resume content
-    analyzeResumeContent(text) {
-        const skills = this.extractSkills(text);
-        const experience = this.extractExperience(text);
-        const education = this.extractEducation(text);
-        const summary = this.extractSummary(text);
-        
-        return {
-            skills,
-            experience,
-            education,
-            summary
-        };
-    }
-
-    extractSkills(text) {
-        const skillPatterns = [
-            // Programming languages
-            /\b(?:JavaScript|Python|Java|C\+\+|C#|PHP|Ruby|Go|Rust|Swift|Kotlin|TypeScript|R|MATLAB)\b/gi,
-            // Frameworks and libraries
-            /\b(?:React|Angular|Vue|Node\.js|Express|Django|Flask|Spring|Laravel|Rails|jQuery)\b/gi,
-            // Databases
-            /\b(?:MySQL|PostgreSQL|MongoDB|SQLite|Redis|Cassandra|Oracle|SQL Server)\b/gi,
-            // Cloud and DevOps
-            /\b(?:AWS|Azure|GCP|Docker|Kubernetes|Jenkins|Git|CI\/CD|Terraform)\b/gi,
-            // Other technologies
-            /\b(?:HTML|CSS|SCSS|Bootstrap|Tailwind|GraphQL|REST|API|JSON|XML)\b/gi
-        ];
-        
-        const skills = new Set();
-        skillPatterns.forEach(pattern => {
-            const matches = text.match(pattern);
-            if (matches) {
-                matches.forEach(skill => skills.add(skill));
-            }
-        });
-        
-        return Array.from(skills);
-    }
-
-    extractExperience(text) {
-        const experienceLines = [];
-        const lines = text.split('\n');
-        
-        // Look for job titles and companies
-        const jobTitlePatterns = [
-            /(?:software|web|frontend|backend|full.?stack|mobile)\s+(?:developer|engineer|programmer)/gi,
-            /(?:senior|junior|lead|principal)\s+(?:developer|engineer|programmer)/gi,
-            /(?:data|machine learning|ai)\s+(?:scientist|engineer|analyst)/gi,
-            /(?:product|project)\s+manager/gi,
-            /(?:ui|ux)\s+(?:designer|developer)/gi
-        ];
-        
-        lines.forEach(line => {
-            jobTitlePatterns.forEach(pattern => {
-                if (pattern.test(line)) {
-                    experienceLines.push(line.trim());
-                }
-            });
-        });
-        
-        return experienceLines;
-    }
-
-    extractEducation(text) {
-        const educationLines = [];
-        const lines = text.split('\n');
-        
-        const educationPatterns = [
-            /\b(?:bachelor|master|phd|doctorate|associate)\s+(?:of|in|degree)/gi,
-            /\b(?:b\.?s\.?|m\.?s\.?|b\.?a\.?|m\.?a\.?|ph\.?d\.?)\b/gi,
-            /\b(?:computer science|software engineering|information technology|electrical engineering)\b/gi,
-            /\buniversity\b|\bcollege\b|\binstitute\b/gi
-        ];
-        
-        lines.forEach(line => {
-            educationPatterns.forEach(pattern => {
-                if (pattern.test(line)) {
-                    educationLines.push(line.trim());
-                }
-            });
-        });
-        
-        return educationLines;
-    }
-
-    extractSummary(text) {
-        const lines = text.split('\n');
-        const summaryKeywords = ['summary', 'objective', 'profile', 'about'];
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].toLowerCase();
-            if (summaryKeywords.some(keyword => line.includes(keyword))) {
-                // Return the next few lines as summary
-                const summaryLines = lines.slice(i + 1, i + 4)
-                    .filter(line => line.trim().length > 0)
-                    .join(' ');
-                return summaryLines.substring(0, 300); // Limit to 300 characters
-            }
-        }
-        
-        // If no summary section found, return first meaningful paragraph
-        const meaningfulLines = lines.filter(line => 
-            line.trim().length > 50 && 
-            !line.match(/^[A-Z\s]+$/) && // Skip all caps headers
-            !line.match(/^\d+/) // Skip lines starting with numbers
-        );
-        
-        return meaningfulLines.length > 0 ? meaningfulLines[0].substring(0, 300) : '';
-    }
-
     resetWindowPositionAndSize() {
         if (!this.controlWindow) return;
 
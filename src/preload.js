@@ -5,10 +5,13 @@ contextBridge.exposeInMainWorld('electron', {
         send: (channel, data) => ipcRenderer.send(channel, data),
         on: (channel, func) => ipcRenderer.on(channel, (event, ...args) => func(event, ...args)),
         once: (channel, func) => ipcRenderer.once(channel, (event, ...args) => func(event, ...args)),
-        invoke: (channel, data) => ipcRenderer.invoke(channel, data)
+        invoke: (channel, ...args) => ipcRenderer.invoke(channel, ...args)
     }
 });
 
 contextBridge.exposeInMainWorld('electronAPI', {
-  writeWebm: async (arrayBuffer) => ipcRenderer.invoke('write-webm', arrayBuffer)
+  writeWebm: async (arrayBuffer) => ipcRenderer.invoke('write-webm', arrayBuffer),
+  startAudioStream: async (channel = 'loopback') => ipcRenderer.invoke('start-audio-stream', channel),
+  sendAudioChunk: async (arrayBuffer, channel = 'loopback') => ipcRenderer.invoke('audio-stream-chunk', arrayBuffer, channel),
+  endAudioStream: async (channel = 'loopback') => ipcRenderer.invoke('end-audio-stream', channel)
 });
@@ -7,16 +7,27 @@ class MockMateController {
         this.isMicOn = false;
         this.isSystemSoundOn = false;
         this.mediaRecorder = null;
+        this.micRecorder = null;
         this.audioChunks = [];
         this.startTime = null;
         this.timerInterval = null;
         
         this.models = [];
         this.selectedModel = 'openai';
+        this.providerCapabilities = null;
         this.isGeneratingResponse = false;
         this.companyName = '';
         this.jobDescription = '';
         this.currentQuestion = '';
+        this.resumeData = null;
+
+        // Profiles - one per candidate or target role, switched from the control panel
+        this.profiles = [];
+        this.activeProfile = null;
+
+        // Interviewer simulation - while active, typed/spoken input is the answer to the practice question
+        this.practice = null;
+        this.practiceAnswerSource = 'typed';
         
         // Database and session management
         this.currentSessionId = null;
@@ -42,6 +53,7 @@ class MockMateController {
         this.setupCustomSelect();
         this.setupEventListeners();
         this.setupIPCListeners();
+        await this.loadProfiles();
         this.addHotkeyIndicators();
         this.updateTranscriptionState();
         
@@ -100,6 +112,10 @@ class MockMateController {
                     modelSelect.value = this.selectedModel;
                     console.log('OpenAI model not found, using:', this.selectedModel);
                 }
+
+                // Keep the main process in sync and remember what the active backend supports
+                this.providerCapabilities = this.models[0].capabilities || null;
+                ipcRenderer.invoke('set-model-from-window', this.selectedModel);
             } else {
                 // Fallback to default models if API fails or returns empty
                 this.models = [{ id: 'openai', name: 'OpenAI GPT-4 (Default)', provider: 'OpenAI' }];
@@ -142,6 +158,13 @@ class MockMateController {
         document.getElementById('micBtn').addEventListener('click', () => this.handleMicrophoneToggle());
         document.getElementById('systemSoundBtn').addEventListener('click', () => this.handleSystemSoundToggle());
         document.getElementById('analyzeScreenBtn').addEventListener('click', () => this.handleAnalyzeScreen());
+        document.getElementById('practiceBtn').addEventListener('click', () => this.handlePracticeToggle());
+        document.getElementById('practiceSkipBtn').addEventListener('click', () => this.skipPracticeQuestion());
+        document.getElementById('transcriptBtn').addEventListener('click', () => ipcRenderer.send('show-transcript'));
+        document.getElementById('reviewBtn').addEventListener('click', () => ipcRenderer.send('open-review-window'));
+        document.getElementById('dashboardBtn').addEventListener('click', () => ipcRenderer.send('open-dashboard-window'));
+        document.getElementById('packBtn').addEventListener('click', () => this.handleQuestionPacks());
+        document.getElementById('backupBtn').addEventListener('click', () => ipcRenderer.send('show-backups'));
         document.getElementById('endSessionBtn').addEventListener('click', () => this.handleEndSession());
         document.getElementById('clearBtn').addEventListener('click', () => this.handleClearTranscription());
         
@@ -169,6 +192,17 @@ class MockMateController {
             this.jobDescription = e.target.value;
         });
 
+        // Saved with the active profile when the field is left
+        companyInput.addEventListener('change', (e) => {
+            ipcRenderer.invoke('set-company-name', e.target.value.trim());
+        });
+
+        jobInput.addEventListener('change', (e) => {
+            ipcRenderer.invoke('set-job-description', e.target.value.trim());
+        });
+
+        document.getElementById('profileSelect').addEventListener('change', (e) => this.handleProfileSelect(e.target.value));
+
         questionInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 e.preventDefault();
@@ -176,6 +210,15 @@ class MockMateController {
             }
         });
 
+        // Search past sessions; the results open in the response window
+        const searchInput = document.getElementById('searchInput');
+        searchInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                ipcRenderer.send('show-search', searchInput.value.trim());
+            }
+        });
+
         // Global keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'F1') {
@@ -233,9 +276,93 @@ class MockMateController {
         });
 
 
+        // Question detected in an interviewer turn - it becomes the question to answer
+        ipcRenderer.on('interviewer-question-detected', (event, detection) => {
+            if (this.practice) return;
+            this.currentQuestion = detection.question;
+        });
+
+        // Switched here or from the profiles view of the response window
+        ipcRenderer.on('profile-changed', (event, profile) => {
+            this.applyProfile(profile);
+            this.loadProfiles();
+        });
+
+        ipcRenderer.on('profiles-updated', () => {
+            this.loadProfiles();
+        });
+
         // Remove old renderer-based audio capture handlers - now using SystemAudioCaptureService
     }
 
+    // Profiles
+    async loadProfiles() {
+        const select = document.getElementById('profileSelect');
+        const result = await ipcRenderer.invoke('get-profiles');
+        if (!result.success) {
+            // Profiles live in the local database
+            select.closest('.control-item').style.display = 'none';
+            return;
+        }
+
+        this.profiles = result.profiles;
+        select.closest('.control-item').style.display = '';
+        select.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.target_role ? `${profile.name} \u00B7 ${profile.target_role}` : profile.name;
+            select.appendChild(option);
+        });
+        [['new', 'New profile...'], ['manage', 'Manage profiles...']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        if (!this.activeProfile || this.activeProfile.id !== result.active.id) {
+            this.applyProfile(result.active, { announce: false });
+        }
+        select.value = result.active.id;
+    }
+
+    async handleProfileSelect(value) {
+        const select = document.getElementById('profileSelect');
+        if (value === 'new' || value === 'manage') {
+            select.value = this.activeProfile ? this.activeProfile.id : '';
+            ipcRenderer.send('show-profiles');
+            return;
+        }
+
+        if (this.practice) {
+            this.finishPractice(null);
+        }
+        const result = await ipcRenderer.invoke('switch-profile', Number(value));
+        if (!result.success) {
+            select.value = this.activeProfile ? this.activeProfile.id : '';
+            this.showToast(`\u274C ${result.error}`, 'error');
+        }
+    }
+
+    // Company, job description and resume follow the profile
+    applyProfile(profile, { announce = true } = {}) {
+        const switched = !this.activeProfile || this.activeProfile.id !== profile.id;
+        this.activeProfile = profile;
+        this.companyName = profile.companyName;
+        this.jobDescription = profile.jobDescription;
+        document.querySelector('.company-input').value = profile.companyName;
+        document.querySelector('.job-input').value = profile.jobDescription;
+
+        if (!switched) return;
+        // The main process has the profile's resume; an upload from another profile must not be sent along
+        this.resumeData = null;
+        this.questionHistory = [];
+        if (announce) {
+            this.showToast(`\uD83D\uDC64 Switched to ${profile.name}${profile.hasResume ? '' : ' (no resume yet)'}`, 'info');
+        }
+    }
+
     // Button functionality implementations
     async handleUploadResume() {
         try {
@@ -264,6 +391,7 @@ class MockMateController {
                 throw new Error(resumeData.error);
             }
 
+            this.resumeData = resumeData;
             this.showToast('\u2705 Resume uploaded successfully!', 'success');
             console.log('Resume processed:', resumeData);
             
@@ -274,9 +402,76 @@ class MockMateController {
         }
     }
 
+    async handleQuestionPacks() {
+        const action = await ipcRenderer.invoke('show-question-pack-menu');
+        if (action === 'import') {
+            await this.handleImportQuestionPack();
+        } else if (action) {
+            await this.handleExportQuestionPack(action);
+        }
+    }
+
+    async handleImportQuestionPack() {
+        try {
+            const result = await ipcRenderer.invoke('open-file-dialog', {
+                filters: [
+                    { name: 'Question Packs', extensions: ['json', 'csv'] }
+                ],
+                properties: ['openFile']
+            });
+            if (result.canceled || !result.filePaths || result.filePaths.length === 0) {
+                return;
+            }
+
+            this.showToast('\uD83D\uDCDA Importing question pack...', 'info');
+            const imported = await ipcRenderer.invoke('import-question-pack', result.filePaths[0], { conflictStrategy: 'ask' });
+            if (imported.cancelled) {
+                this.showToast('\uD83D\uDCDA Import cancelled', 'warning');
+                return;
+            }
+            if (!imported.success) {
+                const problems = imported.errors || [];
+                problems.forEach(problem => console.warn(`Question pack: ${problem.path}: ${problem.message}`));
+                const first = problems[0];
+                const detail = first ? ` - ${first.path}: ${first.message}${problems.length > 1 ? ` (+${problems.length - 1} more)` : ''}` : `: ${imported.error}`;
+                this.showToast(`\u274C Question pack not imported${detail}`, 'error');
+                return;
+            }
+
+            (imported.warnings || []).forEach(warning => console.warn(`Question pack: ${warning.path}: ${warning.message}`));
+            const parts = [`${imported.added} new`];
+            if (imported.merged) parts.push(`${imported.merged} merged`);
+            if (imported.replaced) parts.push(`${imported.replaced} replaced`);
+            if (imported.skipped) parts.push(`${imported.skipped} skipped`);
+            this.showToast(`\u2705 Imported "${imported.pack.name}": ${parts.join(', ')}`, 'success');
+        } catch (error) {
+            console.error('Question pack import failed:', error);
+            this.showToast('\u274C Question pack import failed', 'error');
+        }
+    }
+
+    async handleExportQuestionPack(format) {
+        try {
+            const result = await ipcRenderer.invoke('export-question-pack', { format });
+            if (result.cancelled) return;
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.showToast(`\u2705 Exported ${result.count} question${result.count === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Question pack export failed:', error);
+            this.showToast(`\u274C Question pack export failed: ${error.message}`, 'error');
+        }
+    }
+
     async handleAnalyzeScreen() {
         if (this.isGeneratingResponse) return; // Prevent multiple triggers
 
+        if (this.providerCapabilities && this.providerCapabilities.vision === false) {
+            this.showToast('\u26A0\uFE0F The active AI provider does not support image analysis', 'warning');
+            return;
+        }
+
         try {
             this.isGeneratingResponse = true;
             const analyzeBtn = document.getElementById('analyzeScreenBtn');
@@ -319,11 +514,12 @@ class MockMateController {
         const transcriptionEl = document.getElementById('transcriptionText');
         transcriptionEl.textContent = 'Listening...';
         transcriptionEl.classList.remove('active');
+        delete transcriptionEl.dataset.speaker;
         this.currentQuestion = '';
         this.showToast('🧹 Transcription cleared', 'info');
     }
 
-    handleMicrophoneToggle() {
+    async handleMicrophoneToggle() {
         this.isMicOn = !this.isMicOn;
         const micBtn = document.getElementById('micBtn');
         const micIcon = micBtn.querySelector('.material-icons');
@@ -331,14 +527,64 @@ class MockMateController {
         if (this.isMicOn) {
             micIcon.textContent = 'mic';
             micBtn.classList.add('active');
-            this.showToast('Microphone activated (disabled - no audio functionality)', 'info', 'mic');
+            this.showToast('🎙️ Microphone capture started', 'info', 'mic');
+            await this.startMicrophoneRecording();
         } else {
             micIcon.textContent = 'mic_off';
             micBtn.classList.remove('active');
             this.showToast('Microphone deactivated', 'info', 'mic_off');
+            if (this.micRecorder && this.micRecorder.state !== 'inactive') {
+                this.micRecorder.stop();
+                this.micRecorder.stream.getTracks().forEach(t => t.stop());
+            }
         }
     }
 
+    // The microphone is its own channel, so the candidate's speech is told apart from system audio
+    async startMicrophoneRecording() {
+        const micBtn = document.getElementById('micBtn');
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+            this.micRecorder = await this.createStreamingRecorder(stream, 'microphone', 'Microphone');
+            this.micRecorder.onerror = (event) => {
+                console.error(`Microphone recording error: ${event.error}`);
+                this.showToast(`❌ Microphone recording error: ${event.error.name}`, 'error');
+                this.micRecorder.stop();
+            };
+            this.micRecorder.start(250);
+        } catch (error) {
+            console.error('Failed to start microphone recording:', error);
+            this.showToast(`❌ Failed to start microphone: ${error.message}`, 'error');
+            this.isMicOn = false;
+            micBtn.querySelector('.material-icons').textContent = 'mic_off';
+            micBtn.classList.remove('active');
+        }
+    }
+
+    /**
+     * MediaRecorder whose chunks are streamed to the main process on the given channel,
+     * which transcribes each utterance as soon as it ends
+     */
+    async createStreamingRecorder(stream, channel, label) {
+        const streamResult = await window.electronAPI.startAudioStream(channel);
+        if (!streamResult.success) {
+            throw new Error(streamResult.message || 'Could not start audio stream');
+        }
+
+        const recorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
+        // Sends are chained so chunks keep their order and the stream is only ended after the last one
+        let sendQueue = Promise.resolve();
+        recorder.ondataavailable = e => {
+            if (e.data.size > 0) {
+                sendQueue = sendQueue
+                    .then(async () => window.electronAPI.sendAudioChunk(await e.data.arrayBuffer(), channel))
+                    .catch(error => console.error('Failed to send audio chunk:', error));
+            }
+        };
+        recorder.onstop = () => this.finishAudioStream(channel, sendQueue, label);
+        return recorder;
+    }
+
     async handleSystemSoundToggle() {
         this.isSystemSoundOn = !this.isSystemSoundOn;
         const soundBtn = document.getElementById('systemSoundBtn');
@@ -368,16 +614,14 @@ class MockMateController {
                 video: false
             });
 
-            this.mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm;codecs=opus' });
-            this.mediaRecorder.ondataavailable = e => this.audioChunks.push(e.data);
-            this.mediaRecorder.onstop = this.saveWebm.bind(this);
+            this.mediaRecorder = await this.createStreamingRecorder(stream, 'loopback', 'System audio');
             this.mediaRecorder.onerror = (event) => {
                 console.error(`System audio recording error: ${event.error}`);
                 this.showToast(`❌ System audio recording error: ${event.error.name}`, 'error');
                 this.stopSystemAudioRecording();
             };
 
-            this.mediaRecorder.start();
+            this.mediaRecorder.start(250);
             this.startTime = Date.now();
             this.timerInterval = setInterval(() => this.updateSystemAudioTimer(), 1000);
             systemRecordingIndicator.classList.add('active');
@@ -416,21 +660,19 @@ class MockMateController {
         systemAudioTimer.textContent = `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
-    async saveWebm() {
+    async finishAudioStream(channel, sendQueue, label) {
         try {
-            const blob = new Blob(this.audioChunks, { type: 'audio/webm' });
-            const arrayBuffer = await blob.arrayBuffer();
-            
-            // Send to main process for conversion and auto-saving
-            const result = await window.electronAPI.writeWebm(arrayBuffer);
+            // Transcribes the utterance still open when recording stopped
+            await sendQueue;
+            const result = await window.electronAPI.endAudioStream(channel);
             if (result.success) {
-                this.showToast('✅ System audio auto-saved!', 'success');
+                this.showToast(`✅ ${label} processed (${result.utterances} utterance${result.utterances === 1 ? '' : 's'})`, 'success');
             } else {
-                this.showToast(`❌ Failed to auto-save system audio: ${result.message}`, 'error');
+                this.showToast(`❌ Failed to process ${label.toLowerCase()}: ${result.message}`, 'error');
             }
         } catch (error) {
-            console.error('Error saving system audio:', error);
-            this.showToast(`❌ Error saving system audio: ${error.message}`, 'error');
+            console.error(`Error finishing ${channel} audio stream:`, error);
+            this.showToast(`❌ Error processing ${label.toLowerCase()}: ${error.message}`, 'error');
         }
     }
 
@@ -446,7 +688,8 @@ class MockMateController {
             generateBtn.disabled = true;
 
             const transcriptionEl = document.getElementById('transcriptionText');
-            const currentQuestion = transcriptionEl.textContent.replace(/"/g, '').trim();
+            // The display may show the candidate's own speech; the tracked question is what gets answered
+            const currentQuestion = (this.currentQuestion || transcriptionEl.textContent.replace(/"/g, '')).trim();
 
             if (!currentQuestion || currentQuestion === 'Listening...') {
                 this.showToast('\u26A0\uFE0F No question to answer. Try asking something first.', 'warning');
@@ -468,6 +711,11 @@ class MockMateController {
 
             const response = await ipcRenderer.invoke('generate-ai-response', context);
 
+            if (response.cancelled) {
+                // Stopped from the response window or replaced by a newer request
+                return;
+            }
+
             if (response.error) {
                 throw new Error(response.error);
             }
@@ -491,6 +739,11 @@ class MockMateController {
         const questionInput = document.getElementById('questionInput');
         const message = questionInput.value.trim();
 
+        if (this.practice) {
+            await this.submitPracticeAnswer(message);
+            return;
+        }
+
         if (!message) {
             this.showToast('\u26A0\uFE0F Please enter a question', 'warning');
             questionInput.focus();
@@ -533,10 +786,43 @@ class MockMateController {
         console.log('Renderer: Processing transcription update:', transcription);
         const transcriptionEl = document.getElementById('transcriptionText');
         
+        const role = transcription && transcription.speaker ? transcription.speaker.role : null;
+        if (transcription && transcription.speaker) {
+            transcriptionEl.dataset.speaker = transcription.speaker.label;
+        } else {
+            delete transcriptionEl.dataset.speaker;
+        }
+        
+        if (transcription && transcription.text && transcription.final === false) {
+            // Interim hypothesis - show it live, the final result replaces it
+            transcriptionEl.textContent = transcription.text;
+            transcriptionEl.classList.add('active', 'interim');
+            return;
+        }
+        transcriptionEl.classList.remove('interim');
+
+        if (this.practice && transcription && transcription.text) {
+            if (role === 'interviewer') {
+                // A practice partner reading the question aloud - not part of the answer
+                transcriptionEl.textContent = transcription.text;
+                transcriptionEl.classList.add('active');
+                return;
+            }
+
+            // Spoken answer - collect it in the input so it can be reviewed before submitting
+            const questionInput = document.getElementById('questionInput');
+            questionInput.value = `${questionInput.value} ${transcription.text}`.trim();
+            this.practiceAnswerSource = 'voice';
+            return;
+        }
+
         if (transcription && transcription.text) {
             transcriptionEl.textContent = transcription.text;
             transcriptionEl.classList.add('active');
-            this.currentQuestion = transcription.text;
+            // The candidate's own speech is an answer, never the question to answer
+            if (role !== 'candidate') {
+                this.currentQuestion = transcription.text;
+            }
             console.log('Renderer: Updated transcription display with text:', transcription.text);
         } else {
             console.warn('Renderer: Received empty or invalid transcription:', transcription);
@@ -557,6 +843,124 @@ class MockMateController {
 
     
 
+    async handlePracticeToggle() {
+        if (this.practice) {
+            await this.endPractice();
+            return;
+        }
+
+        try {
+            this.showToast('\uD83C\uDFA4 Preparing practice interview...', 'info');
+
+            const state = await ipcRenderer.invoke('start-interview-practice', {
+                resumeData: this.resumeData,
+                jobDescription: this.jobDescription,
+                companyName: this.companyName
+            });
+
+            if (!state.success) {
+                throw new Error(state.error);
+            }
+
+            document.getElementById('practiceBtn').classList.add('active');
+            document.getElementById('practiceSkipBtn').style.display = '';
+            const questionInput = document.getElementById('questionInput');
+            questionInput.dataset.placeholder = questionInput.placeholder;
+            questionInput.placeholder = 'Type or speak your answer, Enter to submit';
+
+            if (state.progress.review > 0) {
+                this.showToast(`\uD83D\uDD01 ${state.progress.review} question${state.progress.review === 1 ? '' : 's'} from past sessions due today`, 'info');
+            } else if (!this.resumeData && !this.jobDescription) {
+                this.showToast('\uD83D\uDCA1 Upload a resume or add a job description for tailored questions', 'info');
+            }
+            this.showPracticeState(state);
+
+        } catch (error) {
+            console.error('Practice start failed:', error);
+            this.showToast('\u274C Could not start practice interview', 'error');
+        }
+    }
+
+    showPracticeState(state) {
+        if (!state.active) {
+            this.finishPractice(state.summary);
+            return;
+        }
+
+        this.practice = state;
+        this.practiceAnswerSource = 'typed';
+
+        const { question, progress } = state;
+        const progressEl = document.getElementById('practiceProgress');
+        const origin = question.bankId ? (question.review ? ' \u00B7 review' : ' \u00B7 from past sessions') : '';
+        progressEl.textContent = `Q${progress.current}/${progress.total} \u00B7 ${question.category}${origin}`;
+        progressEl.style.display = '';
+
+        const transcriptionEl = document.getElementById('transcriptionText');
+        transcriptionEl.textContent = question.text;
+        transcriptionEl.classList.add('active');
+        this.currentQuestion = question.text;
+
+        const questionInput = document.getElementById('questionInput');
+        questionInput.value = '';
+        questionInput.focus();
+    }
+
+    async submitPracticeAnswer(answer) {
+        if (!answer) {
+            this.showToast('\u26A0\uFE0F Type or speak your answer first', 'warning');
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('submit-practice-answer', { answer, source: this.practiceAnswerSource });
+        if (!result.success) {
+            this.showToast(`\u274C ${result.error}`, 'error');
+            return;
+        }
+
+        const feedback = result.answered.feedback;
+        this.showToast(feedback ? `\u2705 Answer scored ${feedback.overallScore}/100` : '\u2705 Answer recorded', 'success');
+        this.showPracticeState(result);
+    }
+
+    async skipPracticeQuestion() {
+        if (!this.practice) return;
+
+        const result = await ipcRenderer.invoke('skip-practice-question');
+        if (result.success) {
+            this.showPracticeState(result);
+        }
+    }
+
+    async endPractice() {
+        const result = await ipcRenderer.invoke('end-interview-practice');
+        this.finishPractice(result.summary);
+    }
+
+    finishPractice(summary) {
+        this.practice = null;
+
+        document.getElementById('practiceBtn').classList.remove('active');
+        document.getElementById('practiceSkipBtn').style.display = 'none';
+        document.getElementById('practiceProgress').style.display = 'none';
+
+        const questionInput = document.getElementById('questionInput');
+        questionInput.value = '';
+        if (questionInput.dataset.placeholder) {
+            questionInput.placeholder = questionInput.dataset.placeholder;
+        }
+
+        const transcriptionEl = document.getElementById('transcriptionText');
+        transcriptionEl.textContent = 'Listening...';
+        transcriptionEl.classList.remove('active');
+        this.currentQuestion = '';
+
+        if (summary) {
+            const score = summary.averageScore !== null ? `, average score ${summary.averageScore}/100` : '';
+            this.showToast(`\uD83C\uDFC1 Practice finished: answered ${summary.answered} of ${summary.questionsAsked} questions${score}`, 'success');
+        }
+    }
+
     addHotkeyIndicators() {
         const hotkeyHints = {
             'analyzeScreenBtn': 'Ctrl+A',
@@ -1,4 +1,5 @@
-const axios = require('axios');
+const PollinationsProvider = require('./providers/PollinationsProvider');
+const OpenAICompatibleProvider = require('./providers/OpenAICompatibleProvider');
 
 // Make tesseract.js optional since it might not be installed
 let Tesseract = null;
@@ -8,32 +9,92 @@ try {
     console.log('OCR functionality disabled: tesseract.js not installed');
 }
 
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert interview coach. Provide concise and direct answers that are highly relevant to the question. Include just enough context to make the answer clear and relatable, but avoid unnecessary elaboration or tangential details.';
+
+// Provider names accepted in AI_PROVIDER. The local aliases are OpenAI-compatible
+// servers with their usual default address so a bare AI_PROVIDER=ollama works.
+const PROVIDERS = {
+    'pollinations': { Provider: PollinationsProvider },
+    'openai-compatible': { Provider: OpenAICompatibleProvider },
+    'ollama': { Provider: OpenAICompatibleProvider, defaults: { baseURL: 'http://localhost:11434/v1', displayName: 'Ollama' } },
+    'llamacpp': { Provider: OpenAICompatibleProvider, defaults: { baseURL: 'http://localhost:8080/v1', displayName: 'llama.cpp' } }
+};
+
+function readBooleanEnv(name) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return undefined;
+    return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+/**
+ * Provider configuration from environment variables:
+ * AI_PROVIDER, AI_BASE_URL, AI_API_KEY, AI_MODEL, AI_VISION_MODEL,
+ * AI_SUPPORTS_STREAMING, AI_SUPPORTS_VISION, AI_SUPPORTS_AUDIO, AI_TIMEOUT
+ */
+function providerConfigFromEnv() {
+    const config = {
+        name: process.env.AI_PROVIDER || 'pollinations',
+        baseURL: process.env.AI_BASE_URL,
+        apiKey: process.env.AI_API_KEY,
+        defaultModel: process.env.AI_MODEL,
+        visionModel: process.env.AI_VISION_MODEL,
+        streaming: readBooleanEnv('AI_SUPPORTS_STREAMING'),
+        vision: readBooleanEnv('AI_SUPPORTS_VISION'),
+        audio: readBooleanEnv('AI_SUPPORTS_AUDIO'),
+        timeout: process.env.AI_TIMEOUT ? parseInt(process.env.AI_TIMEOUT, 10) : undefined
+    };
+
+    // Drop unset keys so provider defaults apply
+    Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+    return config;
+}
+
 class AIService {
-    constructor() {
+    constructor(providerConfig = null) {
         this.selectedModel = 'openai';
-        this.textBaseURL = 'https://text.pollinations.ai';
-        this.imageBaseURL = 'https://image.pollinations.ai';
-        this.openaiEndpoint = 'https://text.pollinations.ai/openai';
-        
-        // Updated model mappings based on latest API documentation
-        this.models = {
-            'openai': 'openai',
-            'openai-large': 'openai-large', 
-            'claude-hybridspace': 'claude-hybridspace',
-            'mistral': 'mistral',
-            'gemini-pro': 'gemini-pro',
-            'llama-3-70b': 'llama-3-70b',
-            'mixtral-8x7b': 'mixtral-8x7b',
-            'searchgpt': 'searchgpt'
-        };
-        
+        this.provider = null;
+
+        this.setProvider(providerConfig || providerConfigFromEnv());
+
         // Text-to-speech functionality has been disabled
-        
+
         // Cache for available models from API
         this.availableModels = null;
         this.modelsLastFetched = null;
     }
 
+    /**
+     * Switch the AI backend. Accepts { name, baseURL, apiKey, defaultModel, ... }
+     */
+    setProvider(config = {}) {
+        const name = (config.name || 'pollinations').toLowerCase();
+        const entry = PROVIDERS[name];
+        if (!entry) {
+            throw new Error(`Unknown AI provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+
+        this.provider = new entry.Provider({ ...entry.defaults, ...config });
+        this.providerConfig = { ...config, name };
+
+        // Model lists are provider specific
+        this.availableModels = null;
+        this.modelsLastFetched = null;
+
+        console.log(`AIService: Using ${this.provider.displayName} provider`);
+        return this.getProviderInfo();
+    }
+
+    getProviderInfo() {
+        return {
+            ...this.provider.getInfo(),
+            availableProviders: Object.keys(PROVIDERS)
+        };
+    }
+
+    getCapabilities() {
+        return { ...this.provider.capabilities };
+    }
+
     setModel(model) {
         this.selectedModel = model;
     }
@@ -42,15 +103,17 @@ class AIService {
         try {
             // The prompt is now directly provided in context.prompt
             const prompt = context.prompt;
-            
+
             // Optimized request configuration
             const requestBody = {
-                model: this.models[this.selectedModel] || this.selectedModel,
+                model: this.provider.resolveModel(this.selectedModel),
                 messages: [
                     {
                         role: "system",
-                        content: "You are an expert interview coach. Provide concise and direct answers that are highly relevant to the question. Include just enough context to make the answer clear and relatable, but avoid unnecessary elaboration or tangential details."
+                        content: context.systemPrompt || DEFAULT_SYSTEM_PROMPT
                     },
+                    // Earlier turns of the session so follow-up questions have context
+                    ...(context.history || []),
                     {
                         role: "user",
                         content: prompt
@@ -59,62 +122,37 @@ class AIService {
                 temperature: 0.0,
                 max_tokens: 150,
                 stream: onChunk !== null,
-                private: true,
                 top_p: 1.0,
                 presence_penalty: 0.2,
                 frequency_penalty: 0.2
             };
-            
-            const headers = {
-                'Content-Type': 'application/json',
-                'Accept': onChunk ? 'text/event-stream' : 'application/json',
-                'Cache-Control': 'no-cache'
-            };
-            
-            const startTime = Date.now();
-            const response = await fetch(this.openaiEndpoint, {
-                method: 'POST',
-                headers: this.getAuthHeaders(),
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(15000) // Reduced timeout for faster failure
-            });
 
-            if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
-            }
+            const result = await this.provider.createChatCompletion(requestBody, {
+                onChunk: this._tagChunks(onChunk),
+                signal: context.signal
+            });
 
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('text/event-stream')) {
-                return await this._processStreamOptimized(response.body.getReader(), onChunk, startTime);
-            } else {
-                const jsonData = await response.json();
-                let content = this._extractContent(jsonData);
-                
-                if (onChunk && content) {
-                    // Simulate streaming for non-streaming responses to maintain consistency
-                    this._simulateStreaming(content, onChunk);
-                }
-                
-                return { 
-                    response: content, 
-                    model: this.selectedModel, 
-                    timestamp: new Date().toISOString(),
-                    responseTime: Date.now() - startTime
-                };
-            }
+            return this._finalizeResult(result, onChunk, context.signal);
         } catch (error) {
+            // A cancelled generation must not fall through to another endpoint
+            if (context.signal?.aborted) {
+                throw context.signal.reason || error;
+            }
             console.error('AI Service Error:', error);
             return await this.generateResponseFallback(context);
         }
     }
 
-    
+    async analyzeImageWithPrompt(imageUrl, prompt, onChunk = null, options = {}) {
+        if (!this.provider.capabilities.vision) {
+            throw new Error(`Failed to analyze image: ${this.provider.displayName} provider does not support vision`);
+        }
 
-    async analyzeImageWithPrompt(imageUrl, prompt, onChunk = null) {
         try {
             const requestBody = {
-                model: 'openai', // Vision-capable model
+                model: this.provider.visionModel || this.provider.resolveModel(this.selectedModel),
                 messages: [
+                    ...(options.history || []),
                     {
                         role: "user",
                         content: [
@@ -130,124 +168,64 @@ class AIService {
                     }
                 ],
                 max_tokens: 500,
-                stream: onChunk !== null,
-                private: true
+                stream: onChunk !== null
             };
 
-            const startTime = Date.now();
-            const response = await fetch(this.openaiEndpoint, {
-                method: 'POST',
-                headers: this.getAuthHeaders(),
-                body: JSON.stringify(requestBody),
-                signal: AbortSignal.timeout(30000) // 30 seconds timeout for analysis
+            const result = await this.provider.createChatCompletion(requestBody, {
+                onChunk: this._tagChunks(onChunk),
+                signal: options.signal
             });
 
-            if (!response.ok) {
-                throw new Error(`API Error: ${response.status} ${response.statusText}`);
-            }
-
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('text/event-stream')) {
-                return await this._processStreamOptimized(response.body.getReader(), onChunk, startTime);
-            } else {
-                const jsonData = await response.json();
-                let content = this._extractContent(jsonData);
-                
-                if (onChunk && content) {
-                    this._simulateStreaming(content, onChunk);
-                }
-                
-                return { 
-                    response: content, 
-                    model: this.selectedModel, 
-                    timestamp: new Date().toISOString(),
-                    responseTime: Date.now() - startTime
-                };
-            }
+            return this._finalizeResult(result, onChunk, options.signal);
         } catch (error) {
+            if (options.signal?.aborted) {
+                throw options.signal.reason || error;
+            }
             console.error('Image analysis error:', error);
             throw new Error('Failed to analyze image: ' + error.message);
         }
     }
 
-    // Optimized stream processing to stream character-by-character for a smoother typing effect
-    async _processStreamOptimized(reader, onChunk = null, startTime) {
-        let accumulatedContent = '';
-        let buffer = '';
-        const decoder = new TextDecoder('utf-8');
+    // Chunks carry the UI model id rather than the backend's internal id
+    _tagChunks(onChunk) {
+        if (!onChunk) return null;
+        return (chunk) => onChunk({ ...chunk, model: this.selectedModel });
+    }
 
-        try {
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-
-                const lines = buffer.split('\n');
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        const data = line.substring(6).trim();
-                        
-                        if (data === '[DONE]') {
-                            return { response: accumulatedContent, model: this.selectedModel, timestamp: new Date().toISOString(), responseTime: Date.now() - startTime };
-                        }
-
-                        if (data) {
-                            try {
-                                const json = JSON.parse(data);
-                                const content = json.choices?.[0]?.delta?.content || json.choices?.[0]?.message?.content || json.content || '';
-                                
-                                if (content) {
-                                    accumulatedContent += content;
-                                    if (onChunk) {
-                                        // Stream each character individually for the typing effect
-                                        for (const char of content) {
-                                            onChunk({ content: char, model: this.selectedModel, timestamp: new Date().toISOString() });
-                                        }
-                                    }
-                                }
-                            } catch (parseError) {
-                                console.warn('Stream parse error (non-critical):', parseError.message);
-                            }
-                        }
-                    }
-                }
-            }
-            return { response: accumulatedContent, model: this.selectedModel, timestamp: new Date().toISOString(), responseTime: Date.now() - startTime };
-        } catch (error) {
-            console.error('Stream processing error:', error);
-            throw error;
+    _finalizeResult(result, onChunk, signal = null) {
+        if (onChunk && !result.streamed && result.response) {
+            // Simulate streaming for non-streaming responses to maintain consistency
+            this._simulateStreaming(result.response, onChunk, signal);
         }
+
+        return {
+            response: result.response,
+            model: this.selectedModel,
+            timestamp: result.timestamp,
+            responseTime: result.responseTime
+        };
     }
 
     // Legacy stream processing method (kept for fallback)
     async _processStream(reader, onChunk = null) {
         console.warn('Using legacy stream processing - consider upgrading');
-        return this._processStreamOptimized(reader, onChunk, Date.now());
+        return this.provider.processStream(reader, this._tagChunks(onChunk), Date.now(), this.selectedModel);
     }
 
     _extractContent(jsonData) {
-        if (jsonData.choices && jsonData.choices[0]) {
-            return jsonData.choices[0].message?.content || jsonData.choices[0].text || '';
-        } else if (jsonData.response) {
-            return jsonData.response;
-        } else if (jsonData.text) {
-            return jsonData.text;
-        }
-        return '';
+        return this.provider.extractContent(jsonData);
     }
 
-    _simulateStreaming(content, onChunk) {
+    _simulateStreaming(content, onChunk, signal = null) {
         const chars = content.split('');
         let accumulated = '';
         chars.forEach((char, index) => {
             setTimeout(() => {
+                if (signal?.aborted) return; // Generation was cancelled or superseded
                 accumulated += char;
-                onChunk({ 
-                    content: char, 
-                    model: this.selectedModel, 
+                onChunk({
+                    content: char,
+                    model: this.selectedModel,
                     timestamp: new Date().toISOString(),
                     accumulated: accumulated,
                     isFinal: index === chars.length - 1
@@ -256,14 +234,10 @@ class AIService {
         });
     }
 
-    // Removed _processBuffer as its logic is now integrated into _processStream
-
-    
-
     formatResponse(rawResponse) {
-        // Handle different response formats from Pollination API
+        // Handle different response formats returned by the providers
         let content = '';
-        
+
         if (typeof rawResponse === 'string') {
             content = rawResponse;
         } else if (rawResponse.choices && rawResponse.choices[0]) {
@@ -292,14 +266,14 @@ class AIService {
         const length = content.length;
         const hasStructure = content.includes('\n') && (content.includes('1.') || content.includes('##') || content.includes('**'));
         const hasCodeBlocks = content.includes('```') || content.includes('`');
-        
+
         let confidence = 85; // Base confidence
-        
+
         if (length > 500) confidence += 5;
         if (length > 1000) confidence += 5;
         if (hasStructure) confidence += 3;
         if (hasCodeBlocks) confidence += 2;
-        
+
         return Math.min(99, confidence);
     }
 
@@ -307,7 +281,7 @@ class AIService {
         if (!Tesseract) {
             throw new Error('OCR functionality is not available - tesseract.js not installed');
         }
-        
+
         try {
             const { data: { text } } = await Tesseract.recognize(imageBuffer, 'eng', {
                 logger: m => console.log(m)
@@ -319,11 +293,56 @@ class AIService {
         }
     }
 
+    // Condense earlier interview turns for ConversationService's history budget
+    async summarizeConversation(transcript, maxTokens = 250) {
+        const result = await this.provider.createChatCompletion({
+            messages: [
+                {
+                    role: "system",
+                    content: "Summarize this interview conversation as short bullet points. Keep every question asked and the key facts, numbers and technologies from each answer. Do not add anything new."
+                },
+                {
+                    role: "user",
+                    content: transcript
+                }
+            ],
+            model: this.provider.resolveModel(this.selectedModel),
+            temperature: 0.0,
+            max_tokens: maxTokens,
+            stream: false
+        });
+
+        return result.response || '';
+    }
+
+    // Rubric grading of a recorded answer; the model may differ from the one that answers questions
+    async gradeAnswer({ systemPrompt, prompt, model = null }) {
+        const resolvedModel = this.provider.resolveModel(model || this.selectedModel);
+        const result = await this.provider.createChatCompletion({
+            messages: [
+                {
+                    role: "system",
+                    content: systemPrompt
+                },
+                {
+                    role: "user",
+                    content: prompt
+                }
+            ],
+            model: resolvedModel,
+            temperature: 0.0,
+            max_tokens: 600,
+            stream: false
+        });
+
+        return { text: result.response || '', model: resolvedModel };
+    }
+
     async extractQuestion(text) {
         try {
             // Use AI to identify and extract the most likely interview question
             const prompt = `
-            Analyze the following text and extract the most likely interview question from it. 
+            Analyze the following text and extract the most likely interview question from it.
             Look for questions that start with common interview patterns like:
             - "Tell me about..."
             - "How would you..."
@@ -332,14 +351,14 @@ class AIService {
             - "Describe..."
             - "Why..."
             - "When..."
-            
+
             Text to analyze:
             ${text}
-            
+
             Return only the question text, nothing else. If no clear question is found, return "No clear question detected".
             `;
 
-            const response = await axios.post(this.openaiEndpoint, {
+            const result = await this.provider.createChatCompletion({
                 messages: [
                     {
                         role: "system",
@@ -350,21 +369,11 @@ class AIService {
                         content: prompt
                     }
                 ],
-                model: this.models[this.selectedModel],
+                model: this.provider.resolveModel(this.selectedModel),
                 seed: 42
-            }, {
-                headers: this.getAuthHeaders(),
-                timeout: 15000
             });
 
-            let extractedText = '';
-            if (typeof response.data === 'string') {
-                extractedText = response.data;
-            } else if (response.data.choices && response.data.choices[0]) {
-                extractedText = response.data.choices[0].message?.content || response.data.choices[0].text;
-            }
-
-            return extractedText.trim();
+            return (result.response || '').trim();
         } catch (error) {
             console.error('Question extraction error:', error);
             // Fallback: Simple regex-based extraction
@@ -393,30 +402,30 @@ class AIService {
     async getAvailableModels() {
         try {
             const fetchedModels = await this.fetchAvailableModels();
-            
+
             if (!Array.isArray(fetchedModels)) {
                 console.error('fetchAvailableModels did not return an array:', fetchedModels);
                 return [];
             }
 
+            // Every entry reports the backend serving it and what that backend can do
+            const describe = (modelId) => ({
+                id: modelId,
+                name: this.getModelDisplayName(modelId),
+                provider: this.getModelProvider(modelId),
+                backend: this.provider.name,
+                capabilities: this.getCapabilities()
+            });
+
             // Check if the first element is a string (model ID) or an object
             if (fetchedModels.length > 0 && typeof fetchedModels[0] === 'string') {
                 // Case 1: fetchedModels is an array of strings (model IDs)
-                return fetchedModels.map(modelId => ({
-                    id: modelId,
-                    name: this.getModelDisplayName(modelId),
-                    provider: this.getModelProvider(modelId)
-                }));
+                return fetchedModels.map(modelId => describe(modelId));
             } else if (fetchedModels.length > 0 && typeof fetchedModels[0] === 'object' && fetchedModels[0].name) {
                 // Case 2: fetchedModels is already an array of objects with name (and optionally id)
                 return fetchedModels.map(model => {
                     const modelId = model.id || model.name; // Use 'id' if available, otherwise use 'name'
-                    const modelIdString = String(modelId); // Ensure modelId is a string
-                    return {
-                        id: modelIdString,
-                        name: this.getModelDisplayName(modelIdString),
-                        provider: this.getModelProvider(modelIdString)
-                    };
+                    return describe(String(modelId)); // Ensure modelId is a string
                 });
             } else {
                 // Fallback for unexpected format
@@ -429,18 +438,11 @@ class AIService {
         }
     }
 
-    getModelDisplayName(modelId) {
-        const displayNames = {
-            'gemini-pro': 'Gemini Pro',
-            'gpt-4-turbo': 'GPT-4 Turbo',
-            'claude-3.5': 'Claude 3.5 Sonnet',
-            'llama-3': 'Llama 3 70B',
-            'mixtral': 'Mixtral 8x7B'
-        };
-        return displayNames[modelId] || modelId;
-    }
-
     getModelProvider(modelId) {
+        if (this.provider.name !== 'pollinations') {
+            return this.provider.displayName;
+        }
+
         const providers = {
             'openai': 'OpenAI',
             'openai-large': 'OpenAI',
@@ -454,67 +456,37 @@ class AIService {
         return providers[modelId] || 'Unknown';
     }
 
-    // Fallback method using GET endpoint
+    // Fallback method for when the chat endpoint fails
     async generateResponseFallback(context) {
         try {
-            const prompt = context.prompt;
-    
-            console.log('Sending request to Fallback POST endpoint:', this.textBaseURL);
-    
-            const requestBody = {
-                prompt: prompt,
-                model: this.models[this.selectedModel] || this.selectedModel,
-                seed: Math.floor(Math.random() * 1000),
-                private: true,
-                system: 'You are an expert interview coach. Provide concise and direct answers that are highly relevant to the question. Include just enough context to make the answer clear and relatable, but avoid unnecessary elaboration or tangential details.',
+            const data = await this.provider.createFallbackCompletion({
+                prompt: context.prompt,
+                system: context.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+                model: this.provider.resolveModel(this.selectedModel),
                 temperature: 0.0,
                 max_tokens: 150,
-                stream: true,
-                top_p: 1.0,
-                presence_penalty: 0.2,
-                frequency_penalty: 0.2
-            };
-            
-            const headers = {
-                'Content-Type': 'application/json',
-                'User-Agent': 'MockMate-AI/1.0.4'
-            };
-            
-            // Use POST instead of GET to avoid URI too large errors for long prompts.
-            const response = await axios.post(this.textBaseURL, requestBody, { 
-                headers: headers,
-                timeout: 25000
+                signal: context.signal
             });
-    
-            console.log('Fallback API Response Status:', response.status);
-            console.log('Fallback API Response Data:', JSON.stringify(response.data, null, 2));
-    
-            return this.formatResponse(response.data);
+
+            return this.formatResponse(data);
         } catch (error) {
             console.error('Fallback API Error:', error);
             throw new Error('All API endpoints failed: ' + error.message);
         }
     }
 
-    // Fetch available models dynamically from API
+    // Fetch available models dynamically from the active provider
     async fetchAvailableModels(forceRefresh = false) {
-        const cacheValid = this.modelsLastFetched && 
+        const cacheValid = this.modelsLastFetched &&
             (Date.now() - this.modelsLastFetched) < 300000; // 5 minutes cache
-        
+
         if (!forceRefresh && cacheValid && this.availableModels) {
             return this.availableModels;
         }
 
         try {
-            console.log(`Attempting to fetch models from: ${this.textBaseURL}/models`);
-            const response = await axios.get(`${this.textBaseURL}/models`, {
-                headers: this.getAuthHeaders(),
-                timeout: 30000
-            });
-            
-            this.availableModels = response.data;
+            this.availableModels = await this.provider.listModels();
             this.modelsLastFetched = Date.now();
-            console.log('API Response Status:', response.status);
             console.log('Raw models response from API:', this.availableModels);
             return this.availableModels;
         } catch (error) {
@@ -524,21 +496,21 @@ class AIService {
                 // that falls out of the range of 2xx
                 console.error('Error Response Data:', error.response.data);
                 console.error('Error Response Status:', error.response.status);
-                console.error('Error Response Headers:', error.response.headers);
             } else if (error.request) {
                 // The request was made but no response was received
                 console.error('Error Request:', error.request);
-            } else {
-                // Something happened in setting up the request that triggered an Error
-                console.error('Error Message:', error.message);
             }
-            // Return cached models or fallback to hardcoded list
-            return this.availableModels || Object.keys(this.models);
+            // Return cached models or the provider's offline list
+            return this.availableModels || this.provider.getFallbackModels();
         }
     }
 
-    // Generate image using Pollinations API
+    // Generate image (Pollinations only)
     async generateImage(prompt, options = {}) {
+        if (!this.provider.capabilities.imageGeneration) {
+            throw new Error(`Failed to generate image: ${this.provider.displayName} provider does not support image generation`);
+        }
+
         try {
             const params = {
                 width: options.width || 1024,
@@ -550,12 +522,8 @@ class AIService {
                 ...options
             };
 
-            const encodedPrompt = encodeURIComponent(prompt);
-            const queryString = new URLSearchParams(params).toString();
-            const imageUrl = `${this.imageBaseURL}/prompt/${encodedPrompt}?${queryString}`;
-            
             return {
-                url: imageUrl,
+                url: this.provider.buildImageUrl(prompt, params),
                 prompt: prompt,
                 parameters: params
             };
@@ -574,51 +542,23 @@ class AIService {
     // Vision API - analyze images
     async analyzeImage(imageUrl, question = "What's in this image?") {
         try {
-            const response = await axios.post(this.openaiEndpoint, {
-                model: 'openai', // Vision-capable model
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: question },
-                            {
-                                type: "image_url",
-                                image_url: { url: imageUrl }
-                            }
-                        ]
-                    }
-                ],
-                max_tokens: 500,
-                private: true
-            }, {
-                headers: this.getAuthHeaders(),
-                timeout: 30000
-            });
-
-            return this.formatResponse(response.data);
+            const result = await this.analyzeImageWithPrompt(imageUrl, question);
+            return this.formatResponse(result.response);
         } catch (error) {
             console.error('Vision API error:', error);
             throw new Error('Failed to analyze image: ' + error.message);
         }
     }
 
-    // Search functionality using SearchGPT
+    // Search functionality using SearchGPT (Pollinations only)
     async searchInformation(query) {
-        try {
-            const encodedQuery = encodeURIComponent(query);
-            
-            const response = await axios.get(`${this.textBaseURL}/${encodedQuery}`, {
-                params: {
-                    model: 'searchgpt',
-                    private: true
-                },
-                headers: {
-                    'User-Agent': 'MockMate-AI/1.0.4'
-                },
-                timeout: 25000
-            });
+        if (!this.provider.capabilities.search) {
+            throw new Error(`Failed to search information: ${this.provider.displayName} provider does not support search`);
+        }
 
-            return this.formatResponse(response.data);
+        try {
+            const data = await this.provider.search(query);
+            return this.formatResponse(data);
         } catch (error) {
             console.error('Search API error:', error);
             throw new Error('Failed to search information: ' + error.message);
@@ -642,43 +582,12 @@ class AIService {
 
     // Get authentication headers
     getAuthHeaders() {
-        const headers = {
-            'Content-Type': 'application/json',
-            'User-Agent': 'MockMate-AI/1.0.4'
-        };
-
-        // Add Authorization header if API key is available
-        if (process.env.POLLINATION_API_KEY) {
-            headers['Authorization'] = `Bearer ${process.env.POLLINATION_API_KEY}`;
-        }
-
-        // Add Referer header for tier authentication based on Pollinations API docs
-        // This helps identify the application/domain for tier access
-        headers['Referer'] = process.env.POLLINATION_REFERER || 'https://pollinations.ai/';
-        
-        // Add additional headers for seed tier access
-        headers['Accept'] = 'application/json';
-        headers['Cache-Control'] = 'no-cache';
-
-        return headers;
+        return this.provider.getHeaders();
     }
 
     // Health check for API
     async healthCheck() {
-        try {
-            const models = await this.fetchAvailableModels();
-            return {
-                status: 'healthy',
-                modelsAvailable: Array.isArray(models) ? models.length : 0,
-                timestamp: new Date().toISOString()
-            };
-        } catch (error) {
-            return {
-                status: 'unhealthy',
-                error: error.message,
-                timestamp: new Date().toISOString()
-            };
-        }
+        return await this.provider.healthCheck();
     }
 }
 
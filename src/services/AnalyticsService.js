@@ -0,0 +1,348 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Histogram bucket upper bounds in seconds
+const ANSWER_TIME_BUCKETS = [5, 15, 30, 60, 120];
+const AI_TIME_BUCKETS = [1, 2, 5, 10, 20];
+
+// Average answer score (0-100) below which a skill counts as weak
+const WEAK_SCORE = 60;
+const STRONG_SCORE = 80;
+
+/**
+ * Progress analytics over practice and interview sessions.
+ *
+ * Built from the local database: questions practiced per type and
+ * sub-category, the daily trend of rubric scores, skill areas of the active
+ * job description ranked by how well questions about them were answered,
+ * time-to-answer and AI response time distributions, and daily streaks.
+ * Days are calendar days in local time.
+ */
+class AnalyticsService {
+    constructor({ databaseService, questionDetectionService, skillTaxonomy }) {
+        this.databaseService = databaseService;
+        this.questionDetectionService = questionDetectionService;
+        this.skillTaxonomy = skillTaxonomy;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    /**
+     * @param {Object} options - { days (0 for all time), jobDescription (falls back to the latest session's) }
+     * @returns {Promise<Object>} { range, summary, questionTypes, scoreTrend, criteria, skillAreas, responseTimes, streaks }
+     */
+    async getDashboard({ days = 90, jobDescription = null } = {}) {
+        if (!this.hasDatabase) {
+            throw new Error('Progress analytics require the local database');
+        }
+
+        const since = days > 0 ? this.startOfDay(Date.now()) - (days - 1) * DAY_MS : 0;
+        const records = await this.databaseService.getPracticeRecords(since);
+        const questions = new Map(records.questions.map(question => [question.id, {
+            ...question,
+            type: this.questionType(question),
+            detectedAt: question.detected_at * 1000
+        }]));
+        const feedback = records.feedback.map(row => ({ ...row, createdAt: row.created_at * 1000, question: questions.get(row.question_id) || null }));
+        const activeJobDescription = jobDescription || records.latestJobDescription;
+
+        const sessions = new Set([...questions.values()].map(question => question.session_id));
+        const scored = feedback.filter(row => typeof row.overall_score === 'number');
+
+        return {
+            range: { days, since: since || null, until: Date.now() },
+            summary: {
+                sessions: sessions.size,
+                questions: questions.size,
+                answers: feedback.length + records.spokenAnswers.length,
+                gradedAnswers: scored.length,
+                averageScore: this.average(scored.map(row => row.overall_score))
+            },
+            questionTypes: this.getQuestionTypes([...questions.values()], feedback),
+            scoreTrend: this.getScoreTrend(scored),
+            criteria: this.getCriteria(scored),
+            skillAreas: this.getSkillAreas([...questions.values()], scored, activeJobDescription),
+            responseTimes: this.getResponseTimes(questions, feedback, records.spokenAnswers, records.responses),
+            streaks: this.getStreaks([
+                ...[...questions.values()].map(question => question.detectedAt),
+                ...feedback.map(row => row.createdAt),
+                ...records.spokenAnswers.map(row => row.start_time || row.created_at * 1000)
+            ])
+        };
+    }
+
+    // Stored types are 'unknown' for questions saved before they were classified
+    questionType(question) {
+        if (question.question_type && question.question_type !== 'unknown' && question.question_type !== 'interview_question') {
+            return question.question_type;
+        }
+        return this.questionDetectionService.classifyQuestion(question.question_text).type;
+    }
+
+    /**
+     * Questions per type and sub-category with how many were answered and their average score
+     */
+    getQuestionTypes(questions, feedback) {
+        const scoresByQuestion = new Map();
+        feedback.forEach(row => {
+            if (!scoresByQuestion.has(row.question_id)) scoresByQuestion.set(row.question_id, []);
+            if (typeof row.overall_score === 'number') scoresByQuestion.get(row.question_id).push(row.overall_score);
+        });
+
+        const types = new Map();
+        const entry = (map, key) => {
+            if (!map.has(key)) map.set(key, { count: 0, answered: 0, scores: [] });
+            return map.get(key);
+        };
+
+        questions.forEach(question => {
+            const typeEntry = entry(types, question.type);
+            typeEntry.subCategories = typeEntry.subCategories || new Map();
+            const scores = scoresByQuestion.get(question.id) || [];
+            const subCategories = this.questionDetectionService.getSubCategories(question.type, question.question_text);
+
+            [typeEntry, ...(subCategories.length > 0 ? subCategories : ['other']).map(name => entry(typeEntry.subCategories, name))].forEach(target => {
+                target.count++;
+                if (scoresByQuestion.has(question.id)) target.answered++;
+                target.scores.push(...scores);
+            });
+        });
+
+        return [...types.entries()]
+            .map(([type, data]) => ({
+                type,
+                count: data.count,
+                answered: data.answered,
+                averageScore: this.average(data.scores),
+                subCategories: [...data.subCategories.entries()]
+                    .map(([name, sub]) => ({ name, count: sub.count, answered: sub.answered, averageScore: this.average(sub.scores) }))
+                    .sort((a, b) => b.count - a.count)
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Average score per day, with the average of all answers up to that day
+     */
+    getScoreTrend(scored) {
+        const days = new Map();
+        scored.forEach(row => {
+            const date = this.dateKey(row.createdAt);
+            if (!days.has(date)) days.set(date, []);
+            days.get(date).push(row.overall_score);
+        });
+
+        let total = 0;
+        let count = 0;
+        return [...days.entries()].map(([date, scores]) => {
+            total += scores.reduce((sum, score) => sum + score, 0);
+            count += scores.length;
+            return {
+                date,
+                answers: scores.length,
+                averageScore: this.average(scores),
+                cumulativeAverage: Math.round(total / count)
+            };
+        });
+    }
+
+    /**
+     * Average of each rubric criterion (1-10), weakest first
+     */
+    getCriteria(scored) {
+        const criteria = new Map();
+        scored.forEach(row => {
+            const scores = (row.feedback && row.feedback.scores) || {};
+            Object.entries(scores).forEach(([name, entry]) => {
+                if (!entry || typeof entry.score !== 'number') return;
+                if (!criteria.has(name)) criteria.set(name, []);
+                criteria.get(name).push(entry.score);
+            });
+        });
+
+        return [...criteria.entries()]
+            .map(([name, scores]) => ({ name, averageScore: this.average(scores, 1), answers: scores.length }))
+            .sort((a, b) => a.averageScore - b.averageScore);
+    }
+
+    /**
+     * Skills of the job description ranked by how well questions about them were
+     * answered. A question counts toward every taxonomy skill it mentions.
+     * Practiced job skills come weakest first, then job skills without a
+     * graded answer (most important first), then practiced skills outside the job.
+     */
+    getSkillAreas(questions, scored, jobDescription) {
+        const jobSkills = jobDescription ? this.skillTaxonomy.findSkills(jobDescription) : [];
+        const jobKeys = new Map(jobSkills.map(skill => [skill.name, skill]));
+
+        const skillsByQuestion = new Map(questions.map(question => [
+            question.id,
+            this.skillTaxonomy.findSkills(question.question_text).map(skill => skill.name)
+        ]));
+
+        const areas = new Map();
+        const area = (name) => {
+            if (!areas.has(name)) {
+                const jobSkill = jobKeys.get(name);
+                areas.set(name, {
+                    skill: name,
+                    category: this.skillTaxonomy.getCategory(name),
+                    inJob: !!jobSkill,
+                    importance: jobSkill ? jobSkill.weight * jobSkill.occurrences : 0,
+                    questions: 0,
+                    scores: []
+                });
+            }
+            return areas.get(name);
+        };
+
+        jobSkills.forEach(skill => area(skill.name));
+        questions.forEach(question => {
+            skillsByQuestion.get(question.id).forEach(name => area(name).questions++);
+        });
+        scored.forEach(row => {
+            (skillsByQuestion.get(row.question_id) || []).forEach(name => area(name).scores.push(row.overall_score));
+        });
+
+        const ranked = [...areas.values()].map(({ scores, ...data }) => {
+            const averageScore = this.average(scores);
+            return {
+                ...data,
+                answers: scores.length,
+                averageScore,
+                status: averageScore === null ? 'not_practiced' : averageScore < WEAK_SCORE ? 'weak' : averageScore < STRONG_SCORE ? 'fair' : 'strong'
+            };
+        });
+
+        const practicedJob = ranked.filter(entry => entry.inJob && entry.averageScore !== null).sort((a, b) => a.averageScore - b.averageScore);
+        const untestedJob = ranked.filter(entry => entry.inJob && entry.averageScore === null).sort((a, b) => b.importance - a.importance);
+        const other = ranked.filter(entry => !entry.inJob && entry.questions > 0).sort((a, b) => (a.averageScore ?? 101) - (b.averageScore ?? 101));
+
+        return {
+            hasJobDescription: !!jobDescription,
+            jobSkillCount: jobSkills.length,
+            coverage: jobSkills.length > 0 ? Math.round((jobSkills.length - untestedJob.length) / jobSkills.length * 100) : null,
+            areas: [...practicedJob, ...untestedJob, ...other],
+            weakest: [...practicedJob.filter(entry => entry.status !== 'strong'), ...untestedJob].slice(0, 5)
+        };
+    }
+
+    /**
+     * Time from a question being asked to the answer (spoken answers from when the
+     * candidate started talking, typed answers from when they were submitted) and
+     * AI response generation time
+     */
+    getResponseTimes(questions, feedback, spokenAnswers, responses) {
+        const answerSeconds = [];
+        spokenAnswers.forEach(row => {
+            const question = questions.get(row.question_id);
+            if (question && row.start_time) answerSeconds.push((row.start_time - question.detectedAt) / 1000);
+        });
+        feedback.forEach(row => {
+            if (row.question && row.answer_source !== 'voice') answerSeconds.push((row.createdAt - row.question.detectedAt) / 1000);
+        });
+
+        const aiSeconds = responses
+            .filter(row => typeof row.response_time === 'number' && row.response_time > 0)
+            .map(row => row.response_time / 1000);
+
+        return {
+            answer: this.distribution(answerSeconds.filter(seconds => seconds >= 0), ANSWER_TIME_BUCKETS),
+            ai: this.distribution(aiSeconds, AI_TIME_BUCKETS)
+        };
+    }
+
+    distribution(values, bounds) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const buckets = bounds.map((bound, index) => ({
+            label: index === 0 ? `<${bound}s` : `${bounds[index - 1]}-${bound}s`,
+            max: bound,
+            count: 0
+        }));
+        buckets.push({ label: `${bounds[bounds.length - 1]}s+`, max: null, count: 0 });
+
+        sorted.forEach(value => {
+            const bucket = buckets.find(entry => entry.max === null || value < entry.max);
+            bucket.count++;
+        });
+
+        const percentile = (p) => sorted.length > 0 ? Math.round(sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] * 10) / 10 : null;
+        return {
+            count: sorted.length,
+            median: percentile(0.5),
+            p90: percentile(0.9),
+            buckets
+        };
+    }
+
+    /**
+     * Consecutive days with practice activity. The current streak is still
+     * running when the last active day was yesterday.
+     */
+    getStreaks(timestamps, calendarDays = 84) {
+        const counts = new Map();
+        timestamps.filter(Boolean).forEach(time => {
+            const date = this.dateKey(time);
+            counts.set(date, (counts.get(date) || 0) + 1);
+        });
+
+        const activeDays = [...counts.keys()].sort();
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        activeDays.forEach(date => {
+            run = previous && this.dateKey(this.parseDateKey(previous) + DAY_MS) === date ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = date;
+        });
+
+        const today = this.startOfDay(Date.now());
+        let day = counts.has(this.dateKey(today)) ? today : this.startOfDay(today - DAY_MS / 2);
+        let current = 0;
+        while (counts.has(this.dateKey(day))) {
+            current++;
+            day = this.startOfDay(day - DAY_MS / 2);
+        }
+
+        const calendar = [];
+        for (let offset = calendarDays - 1; offset >= 0; offset--) {
+            const date = this.dateKey(today - offset * DAY_MS + DAY_MS / 2);
+            calendar.push({ date, count: counts.get(date) || 0 });
+        }
+
+        return {
+            current,
+            longest,
+            activeDays: activeDays.length,
+            lastActive: activeDays.length > 0 ? activeDays[activeDays.length - 1] : null,
+            calendar
+        };
+    }
+
+    average(values, decimals = 0) {
+        if (values.length === 0) return null;
+        const factor = Math.pow(10, decimals);
+        return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * factor) / factor;
+    }
+
+    startOfDay(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    // YYYY-MM-DD in local time
+    dateKey(time) {
+        const date = new Date(time);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Noon of the day, so adding a day across a DST change stays on the next date
+    parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day, 12).getTime();
+    }
+}
+
+module.exports = AnalyticsService;
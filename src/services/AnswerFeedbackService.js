@@ -0,0 +1,335 @@
+/**
+ * Rubric scoring for practice answers.
+ *
+ * Answers are scored 0-10 on relevance, structure, specificity and length and
+ * combined into a weighted 0-100 overall score. Behavioral questions (as
+ * classified by QuestionDetectionService.classifyQuestion) are also checked
+ * for the Situation, Task, Action and Result parts of the STAR method.
+ *
+ * Scoring is heuristic and runs locally so feedback is instant and never
+ * replaced by a model-written answer. When reviewing a session, an answer can
+ * also be graded by a model; fromModelResponse() turns that grading into the
+ * same shape.
+ */
+
+const RUBRIC_WEIGHTS = {
+    relevance: 0.35,
+    structure: 0.25,
+    specificity: 0.25,
+    length: 0.15
+};
+
+// Target answer length in words per question type (roughly 30 seconds to 2 minutes spoken)
+const LENGTH_TARGETS = {
+    behavioral: { min: 120, max: 320 },
+    technical: { min: 60, max: 260 },
+    default: { min: 50, max: 220 }
+};
+
+const STAR_CUES = {
+    situation: [
+        /\b(?:when|while) (?:I|we) (?:was|were|worked)\b/i,
+        /\b(?:at|in) my (?:previous|last|current|first) (?:role|job|position|company|team|internship)\b/i,
+        /\b(?:the situation|the context|the background) (?:was|is)\b/i,
+        /\b(?:our|my) (?:team|company|project|client) (?:was|were|had)\b/i,
+        /\b(?:last year|a few (?:months|years) ago|back in \d{4}|during (?:a|my|the|our))\b/i
+    ],
+    task: [
+        /\bmy (?:task|goal|role|job|responsibility|assignment) (?:was|became)\b/i,
+        /\bI was (?:responsible|asked|tasked|assigned|expected|in charge)\b/i,
+        /\b(?:I|we) (?:needed|had) to\b/i,
+        /\bthe (?:goal|challenge|problem|objective|deadline) was\b/i
+    ],
+    action: [
+        /\bI (?:decided|built|created|implemented|designed|led|organized|organised|proposed|wrote|set up|introduced|started|scheduled|reached out|analyzed|analysed|investigated|refactored|automated|convinced|coordinated|negotiated|prioritized|prioritised|mentored|migrated|rewrote|fixed|tested|presented|suggested)\b/i,
+        /\b(?:first|then|next|after that|so) I\b/i,
+        /\bmy approach was\b/i
+    ],
+    result: [
+        /\b(?:as a result|the result was|resulted in|the outcome was|in the end|ultimately|eventually)\b/i,
+        /\b(?:reduced|increased|improved|cut|saved|grew|doubled|halved|shipped|launched|delivered)\b[^.!?]*\b(?:by|to|from|within|ahead)\b/i,
+        /\d+(?:\.\d+)?\s?(?:%|percent|x\b|times\b)/i,
+        /\bI learned\b/i
+    ]
+};
+
+const CONNECTORS = [
+    'first', 'second', 'then', 'next', 'finally', 'because', 'therefore', 'so that',
+    'as a result', 'for example', 'for instance', 'however', 'in addition', 'overall', 'in short'
+];
+
+const FILLER_PATTERNS = /\b(?:stuff|things like that|etc|kind of|sort of|basically|you know|i guess|whatever)\b/gi;
+
+const STOP_WORDS = new Set([
+    'about', 'after', 'again', 'also', 'and', 'any', 'are', 'because', 'been', 'before', 'being',
+    'can', 'could', 'describe', 'did', 'does', 'doing', 'explain', 'from', 'give', 'have', 'having',
+    'how', 'into', 'just', 'like', 'me', 'more', 'most', 'other', 'over', 'should', 'some', 'such',
+    'tell', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+    'through', 'time', 'used', 'using', 'very', 'walk', 'was', 'were', 'what', 'when', 'where',
+    'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+class AnswerFeedbackService {
+    constructor(questionDetectionService = null) {
+        this.questionDetectionService = questionDetectionService;
+    }
+
+    /**
+     * Score an answer to an interview question
+     *
+     * @param {Object} input - { question, answer, questionType?, skill? }
+     * @returns {Object} { questionType, overallScore, scores, star, wordCount, strengths, suggestions }
+     */
+    evaluate({ question, answer, questionType = null, skill = null }) {
+        if (!question || !answer || !answer.trim()) {
+            throw new Error('Feedback needs a question and an answer');
+        }
+
+        const type = questionType || this.classify(question);
+        const sentences = this.splitSentences(answer);
+        const wordCount = this.countWords(answer);
+        const star = type === 'behavioral' ? this.checkStar(sentences) : null;
+
+        const scores = {
+            relevance: this.scoreRelevance(question, answer, skill),
+            structure: this.scoreStructure(answer, sentences, star),
+            specificity: this.scoreSpecificity(answer, sentences),
+            length: this.scoreLength(wordCount, type)
+        };
+
+        const overallScore = Math.round(Object.entries(RUBRIC_WEIGHTS)
+            .reduce((sum, [criterion, weight]) => sum + scores[criterion].score * weight, 0) * 10);
+
+        return {
+            questionType: type,
+            overallScore,
+            scores,
+            star,
+            wordCount,
+            ...this.buildFeedback(scores, star)
+        };
+    }
+
+    /**
+     * Feedback from a model's JSON rubric grading (the 'answer-feedback' prompt).
+     * Word count and the STAR check stay local; the overall score uses the same weights.
+     *
+     * @param {string} text - model response, JSON possibly wrapped in prose or a code fence
+     * @param {Object} input - { question, answer, questionType?, model }
+     */
+    fromModelResponse(text, { question, answer, questionType = null, model = null }) {
+        const json = (text || '').match(/\{[\s\S]*\}/);
+        let graded;
+        try {
+            graded = json ? JSON.parse(json[0]) : null;
+        } catch (error) {
+            graded = null;
+        }
+        if (!graded || !graded.scores) {
+            throw new Error('Model did not return rubric feedback');
+        }
+
+        const local = this.evaluate({ question, answer, questionType });
+        const scores = {};
+        Object.keys(RUBRIC_WEIGHTS).forEach(criterion => {
+            const entry = graded.scores[criterion];
+            const score = Number(entry && typeof entry === 'object' ? entry.score : entry);
+            scores[criterion] = Number.isFinite(score)
+                ? { score: this.clamp(Math.round(score)), note: entry && entry.note ? String(entry.note) : '' }
+                : local.scores[criterion];
+        });
+
+        const overallScore = Math.round(Object.entries(RUBRIC_WEIGHTS)
+            .reduce((sum, [criterion, weight]) => sum + scores[criterion].score * weight, 0) * 10);
+        const list = items => (Array.isArray(items) ? items.map(String).filter(Boolean) : []);
+
+        return {
+            ...local,
+            overallScore,
+            scores,
+            strengths: list(graded.strengths),
+            suggestions: list(graded.suggestions),
+            model
+        };
+    }
+
+    classify(question) {
+        if (!this.questionDetectionService) return 'general';
+        return this.questionDetectionService.classifyQuestion(question).type;
+    }
+
+    scoreRelevance(question, answer, skill) {
+        const keywords = [...new Set([
+            ...this.contentWords(question),
+            ...(skill ? this.contentWords(skill) : [])
+        ])];
+
+        if (keywords.length === 0) {
+            return { score: 7, note: 'No specific topic to check against' };
+        }
+
+        const answerStems = new Set(this.contentWords(answer));
+        const matched = keywords.filter(word => answerStems.has(word));
+        const ratio = matched.length / keywords.length;
+
+        // Covering half of the question's key terms is treated as fully on-topic
+        const score = this.clamp(Math.round(2 + Math.min(ratio / 0.5, 1) * 8));
+        return {
+            score,
+            note: matched.length > 0
+                ? `Addresses ${matched.length} of ${keywords.length} key terms in the question`
+                : 'Does not reference the key terms of the question'
+        };
+    }
+
+    scoreStructure(answer, sentences, star) {
+        if (star) {
+            const present = star.present.length;
+            return {
+                score: this.clamp(2 + present * 2),
+                note: present === 4 ? 'Complete STAR structure' : `STAR parts present: ${present} of 4`
+            };
+        }
+
+        const lowerAnswer = answer.toLowerCase();
+        const connectors = CONNECTORS.filter(connector => new RegExp(`\\b${connector}\\b`).test(lowerAnswer));
+        const openingWords = sentences.length > 0 ? this.countWords(sentences[0]) : 0;
+
+        let score = 3;
+        if (sentences.length >= 3) score += 2;
+        if (openingWords > 0 && openingWords <= 25) score += 2; // Leads with a direct statement
+        score += Math.min(connectors.length, 3);
+
+        return {
+            score: this.clamp(score),
+            note: connectors.length > 0
+                ? `${sentences.length} sentences, uses ${connectors.slice(0, 3).join(', ')}`
+                : `${sentences.length} sentences without linking words`
+        };
+    }
+
+    scoreSpecificity(answer, sentences) {
+        const numbers = (answer.match(/\b(?:\d+(?:[.,]\d+)?\s?%?|(?:one|two|three|four|five|six|seven|eight|nine|ten|twenty|fifty|hundred|zero|half)\s(?:ms|seconds?|minutes?|hours?|days?|weeks?|months?|years?|people|engineers|users|customers|percent|times|downtime|bugs|incidents))/gi) || []).length;
+        const examples = (answer.match(/\b(?:for example|for instance|such as|specifically|in particular)\b/gi) || []).length;
+        // First-person action verbs show what the candidate personally did
+        const ownership = (answer.match(new RegExp(STAR_CUES.action[0].source, 'gi')) || []).length;
+        const fillers = (answer.match(FILLER_PATTERNS) || []).length;
+
+        // Capitalised words that do not start a sentence are usually products, tools or companies
+        const namedTerms = sentences.reduce((count, sentence) =>
+            count + (sentence.split(/\s+/).slice(1)
+                .map(word => word.replace(/[.,;:!?)"']+$/, ''))
+                .filter(word => /^[A-Z][\w.+#-]*[A-Za-z+#]$/.test(word)).length), 0);
+
+        const score = 1 +
+            Math.min(numbers, 3) +
+            Math.min(namedTerms, 2) +
+            Math.min(examples * 2, 2) +
+            Math.min(ownership, 2) -
+            Math.min(fillers, 3);
+
+        const details = [];
+        if (numbers > 0) details.push(`${numbers} figure${numbers === 1 ? '' : 's'}`);
+        if (namedTerms > 0) details.push(`${namedTerms} named tool${namedTerms === 1 ? '' : 's'} or project${namedTerms === 1 ? '' : 's'}`);
+        if (fillers > 0) details.push(`${fillers} vague filler${fillers === 1 ? '' : 's'}`);
+
+        return {
+            score: this.clamp(score),
+            note: details.length > 0 ? details.join(', ') : 'No concrete details such as numbers, tools or examples'
+        };
+    }
+
+    scoreLength(wordCount, questionType) {
+        const target = LENGTH_TARGETS[questionType] || LENGTH_TARGETS.default;
+        let score = 10;
+        let note = `${wordCount} words, within the ${target.min}-${target.max} word target`;
+
+        if (wordCount < target.min) {
+            score = Math.max(1, Math.round(10 * wordCount / target.min));
+            note = `${wordCount} words, aim for at least ${target.min}`;
+        } else if (wordCount > target.max) {
+            score = Math.max(3, Math.round(10 - (wordCount - target.max) / target.max * 10));
+            note = `${wordCount} words, aim for at most ${target.max}`;
+        }
+
+        return { score: this.clamp(score), note };
+    }
+
+    /**
+     * Which STAR parts are present, with the sentence that showed each one
+     */
+    checkStar(sentences) {
+        const parts = {};
+
+        Object.entries(STAR_CUES).forEach(([part, cues]) => {
+            // Cues are ordered strongest first, so "As a result ..." beats a sentence that merely has a number
+            const evidence = cues.reduce((found, cue) => found || sentences.find(sentence => cue.test(sentence)), null);
+            parts[part] = {
+                present: !!evidence,
+                evidence: evidence ? this.truncate(evidence, 140) : null
+            };
+        });
+
+        const present = Object.keys(parts).filter(part => parts[part].present);
+        return {
+            ...parts,
+            present,
+            missing: Object.keys(parts).filter(part => !parts[part].present),
+            complete: present.length === 4
+        };
+    }
+
+    buildFeedback(scores, star) {
+        const strengths = [];
+        const suggestions = [];
+
+        if (scores.relevance.score >= 8) strengths.push('Stays on topic');
+        else if (scores.relevance.score <= 5) suggestions.push('Answer the question that was asked more directly and reuse its key terms.');
+
+        if (scores.structure.score >= 8) strengths.push(star ? 'Clear STAR structure' : 'Well structured');
+        else if (!star && scores.structure.score <= 5) suggestions.push('Lead with a one-sentence answer, then support it in a clear order (first, then, finally).');
+
+        if (scores.specificity.score >= 7) strengths.push('Concrete and specific');
+        else suggestions.push('Add specifics: numbers, named tools or projects, and what you personally did.');
+
+        if (scores.length.score <= 6) suggestions.push(`Adjust the length: ${scores.length.note}.`);
+
+        if (star) {
+            const hints = {
+                situation: 'Set the scene: where you were and what was happening.',
+                task: 'State your goal or responsibility in the situation.',
+                action: 'Describe the specific steps you took, using "I" rather than "we".',
+                result: 'Finish with the outcome, ideally measurable, and what you learned.'
+            };
+            star.missing.forEach(part => suggestions.push(hints[part]));
+        }
+
+        return { strengths, suggestions };
+    }
+
+    // Lowercase, stop-word free word stems for keyword overlap
+    contentWords(text) {
+        return (text.toLowerCase().match(/[a-z][a-z0-9+#.]*[a-z0-9+#]/g) || [])
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+            .map(word => word.replace(/(?:ing|ed|es|s)$/, ''))
+            .filter(word => word.length > 2);
+    }
+
+    splitSentences(text) {
+        return text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+    }
+
+    countWords(text) {
+        return text.trim() ? text.trim().split(/\s+/).length : 0;
+    }
+
+    truncate(text, maxLength) {
+        return text.length <= maxLength ? text : text.substring(0, maxLength - 3) + '...';
+    }
+
+    clamp(score) {
+        return Math.max(0, Math.min(10, score));
+    }
+}
+
+module.exports = AnswerFeedbackService;
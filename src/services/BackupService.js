@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { BackupArchiveWriter, BackupArchiveReader, ARCHIVE_EXTENSION } = require('./backup/BackupArchive');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SCHEDULE_PREFERENCE_KEY = 'backup_schedule';
+const DEFAULT_SCHEDULE = { enabled: false, intervalHours: 24, keep: 7, includeAudio: false };
+const AUTO_BACKUP_PREFIX = 'mockmate-auto-';
+
+// How often a due automatic backup is looked for, and the delay after startup
+const CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+// Saved session audio; anything else in the directory is not backed up
+const AUDIO_FILE = /^[\w.-]+\.wav$/;
+
+const CATEGORY_LABELS = {
+    profiles: 'Profiles',
+    sessions: 'Sessions and transcripts',
+    questions: 'Questions and your answers',
+    responses: 'AI responses',
+    questionBank: 'Question bank and packs',
+    resumes: 'Resumes',
+    preferences: 'Preferences',
+    audio: 'Session audio'
+};
+
+/**
+ * Backup and restore of the local database and saved session audio.
+ *
+ * Backups are archives (see backup/BackupArchive.js) of the backup tables
+ * with encrypted columns decrypted, so they can be restored on another
+ * installation, optionally sealed with a passphrase. Restores are selective
+ * by category and either merge with or replace the local data; the database
+ * file is copied to the backups directory first.
+ *
+ * Automatic backups are written to ~/.mockmate/backups on a schedule, sealed
+ * with the keystore's backup key, and pruned to the newest `keep`.
+ */
+class BackupService {
+    constructor({ databaseService, audioDirectory, backupDirectory = path.join(os.homedir(), '.mockmate', 'backups'), appVersion = null }) {
+        this.databaseService = databaseService;
+        this.audioDirectory = audioDirectory;
+        this.backupDirectory = backupDirectory;
+        this.appVersion = appVersion;
+        this.timer = null;
+        this.startupTimer = null;
+        this.running = false;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    requireDatabase() {
+        if (!this.hasDatabase) {
+            throw new Error('Backups require the local database');
+        }
+    }
+
+    getCategories() {
+        return Object.entries(CATEGORY_LABELS).map(([value, label]) => ({ value, label }));
+    }
+
+    listAudioFiles() {
+        if (!this.audioDirectory || !fs.existsSync(this.audioDirectory)) return [];
+        return fs.readdirSync(this.audioDirectory).filter(fileName => AUDIO_FILE.test(fileName)).sort();
+    }
+
+    /**
+     * @param {string} filePath - archive to write
+     * @param {Object} options - { passphrase, key (keystore backup key), categories (all when omitted) }
+     * @returns {Promise<{ filePath, size, tables, audioFiles, encrypted }>}
+     */
+    async createBackup(filePath, { passphrase = null, key = null, categories = null } = {}) {
+        this.requireDatabase();
+        const selected = categories || Object.keys(CATEGORY_LABELS);
+        const tables = this.databaseService.exportTables(selected.filter(category => category !== 'audio'));
+        const audio = selected.includes('audio') ? this.listAudioFiles() : [];
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const writer = new BackupArchiveWriter(filePath, { passphrase, key });
+        const counts = {};
+        try {
+            Object.entries(tables).forEach(([table, rows]) => {
+                writer.addTable(table, rows);
+                counts[table] = rows.length;
+            });
+            audio.forEach(fileName => writer.addAudio(fileName, fs.readFileSync(path.join(this.audioDirectory, fileName))));
+
+            writer.finish({
+                createdAt: Date.now(),
+                appVersion: this.appVersion,
+                schemaVersion: this.databaseService.getSchemaStatus().currentVersion,
+                categories: selected,
+                tables: counts,
+                audio
+            });
+        } catch (error) {
+            writer.abort();
+            throw error;
+        }
+
+        await this.databaseService.logEvent('backup_created', { tables: counts, audioFiles: audio.length, encrypted: !!(passphrase || key) });
+        return { filePath, size: fs.statSync(filePath).size, tables: counts, audioFiles: audio.length, encrypted: !!(passphrase || key) };
+    }
+
+    /**
+     * What a backup holds, readable without its passphrase
+     *
+     * @returns {{ createdAt, appVersion, schemaVersion, encrypted, protection, categories, tables, audioFiles }}
+     */
+    inspectBackup(filePath) {
+        const reader = new BackupArchiveReader(filePath);
+        try {
+            const { manifest } = reader;
+            const categories = this.hasDatabase ? this.databaseService.getBackupCategories() : {};
+            return {
+                createdAt: manifest.createdAt,
+                appVersion: manifest.appVersion,
+                schemaVersion: manifest.schemaVersion,
+                encrypted: reader.encrypted,
+                protection: reader.encrypted ? manifest.encryption.mode : null,
+                categories: this.getCategories().filter(({ value }) => value === 'audio'
+                    ? (manifest.audio || []).length > 0
+                    : (categories[value] || []).some(table => manifest.tables[table] !== undefined)),
+                tables: manifest.tables,
+                audioFiles: (manifest.audio || []).length
+            };
+        } finally {
+            reader.close();
+        }
+    }
+
+    /**
+     * @param {string} filePath - archive to restore
+     * @param {Object} options - { passphrase, categories (all in the backup when omitted), mode: 'merge' | 'replace' }
+     * @returns {Promise<{ tables, audio: { restored, skipped }, snapshotPath }>}
+     */
+    async restoreBackup(filePath, { passphrase = null, categories = null, mode = 'merge' } = {}) {
+        this.requireDatabase();
+        const reader = new BackupArchiveReader(filePath);
+        try {
+            const sealedByKeystore = reader.encrypted && reader.manifest.encryption.mode === 'keystore';
+            reader.unlock({ passphrase, key: sealedByKeystore ? this.databaseService.getBackupKey() : null });
+
+            const schema = this.databaseService.getSchemaStatus();
+            if (reader.manifest.schemaVersion > schema.latestVersion) {
+                throw new Error(`The backup is from a newer version of the app (schema ${reader.manifest.schemaVersion}, this app supports ${schema.latestVersion})`);
+            }
+
+            const selected = categories || Object.keys(CATEGORY_LABELS);
+            const tables = {};
+            Object.entries(this.databaseService.getBackupCategories())
+                .filter(([category]) => selected.includes(category))
+                .forEach(([, categoryTables]) => categoryTables.forEach(table => {
+                    if (reader.hasTable(table)) tables[table] = reader.readTable(table);
+                }));
+
+            const snapshotPath = await this.databaseService.snapshotDatabase();
+            const restored = await this.databaseService.importTables(tables, { mode, categories: selected });
+            const audio = selected.includes('audio') ? this.restoreAudio(reader, mode) : { restored: 0, skipped: 0 };
+
+            await this.databaseService.logEvent('backup_restored', { mode, categories: selected, audio });
+            return { tables: restored, audio, snapshotPath };
+        } finally {
+            reader.close();
+        }
+    }
+
+    // Audio files are added (replace overwrites files of the same name); local files are never deleted
+    restoreAudio(reader, mode) {
+        const result = { restored: 0, skipped: 0 };
+        const fileNames = (reader.manifest.audio || []).filter(fileName => AUDIO_FILE.test(fileName));
+        if (fileNames.length === 0) return result;
+        if (!this.audioDirectory) {
+            throw new Error('No audio directory to restore session audio to');
+        }
+
+        fs.mkdirSync(this.audioDirectory, { recursive: true });
+        fileNames.forEach(fileName => {
+            const destination = path.join(this.audioDirectory, fileName);
+            if (mode === 'merge' && fs.existsSync(destination)) {
+                result.skipped++;
+                return;
+            }
+            fs.writeFileSync(destination, reader.readAudio(fileName));
+            result.restored++;
+        });
+        return result;
+    }
+
+    // Automatic backups
+    async getSchedule() {
+        const saved = this.hasDatabase ? await this.databaseService.getPreference(SCHEDULE_PREFERENCE_KEY, {}) : {};
+        const [latest] = this.listBackups();
+        return {
+            ...DEFAULT_SCHEDULE,
+            ...saved,
+            directory: this.backupDirectory,
+            lastBackupAt: latest ? latest.createdAt : null
+        };
+    }
+
+    /**
+     * @param {Object} settings - { enabled, intervalHours (1 to 720), keep (1 to 100), includeAudio }
+     */
+    async setSchedule(settings = {}) {
+        this.requireDatabase();
+        const current = await this.getSchedule();
+        const schedule = {
+            enabled: settings.enabled !== undefined ? !!settings.enabled : current.enabled,
+            intervalHours: settings.intervalHours !== undefined ? Number(settings.intervalHours) : current.intervalHours,
+            keep: settings.keep !== undefined ? Number(settings.keep) : current.keep,
+            includeAudio: settings.includeAudio !== undefined ? !!settings.includeAudio : current.includeAudio
+        };
+        if (!Number.isFinite(schedule.intervalHours) || schedule.intervalHours < 1 || schedule.intervalHours > 720) {
+            throw new Error('The backup interval must be between 1 and 720 hours');
+        }
+        if (!Number.isInteger(schedule.keep) || schedule.keep < 1 || schedule.keep > 100) {
+            throw new Error('The number of backups to keep must be between 1 and 100');
+        }
+
+        await this.databaseService.setPreference(SCHEDULE_PREFERENCE_KEY, schedule);
+        this.pruneBackups(schedule.keep);
+        await this.startSchedule();
+        return this.getSchedule();
+    }
+
+    async startSchedule() {
+        this.stopSchedule();
+        if (!this.hasDatabase || !(await this.getSchedule()).enabled) return;
+
+        this.startupTimer = setTimeout(() => this.runScheduledBackup(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.runScheduledBackup(), CHECK_INTERVAL_MS);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+    }
+
+    stopSchedule() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Back up when the newest automatic backup is older than the interval
+     *
+     * @returns {Promise<Object|null>} the backup made, null when none was due
+     */
+    async runScheduledBackup({ force = false } = {}) {
+        if (this.running || !this.hasDatabase) return null;
+        this.running = true;
+        try {
+            const schedule = await this.getSchedule();
+            if (!force && (!schedule.enabled || (schedule.lastBackupAt && Date.now() - schedule.lastBackupAt < schedule.intervalHours * HOUR_MS))) {
+                return null;
+            }
+
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backup = await this.createBackup(path.join(this.backupDirectory, `${AUTO_BACKUP_PREFIX}${stamp}.${ARCHIVE_EXTENSION}`), {
+                key: this.databaseService.getBackupKey(),
+                categories: Object.keys(CATEGORY_LABELS).filter(category => category !== 'audio' || schedule.includeAudio)
+            });
+            const removed = this.pruneBackups(schedule.keep);
+            console.log(`BackupService: Automatic backup written to ${backup.filePath}${removed.length > 0 ? `, ${removed.length} old backup(s) removed` : ''}`);
+            return backup;
+        } catch (error) {
+            console.error('BackupService: Automatic backup failed:', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Automatic backups, newest first
+     */
+    listBackups() {
+        if (!fs.existsSync(this.backupDirectory)) return [];
+        return fs.readdirSync(this.backupDirectory)
+            .filter(fileName => fileName.startsWith(AUTO_BACKUP_PREFIX) && fileName.endsWith(`.${ARCHIVE_EXTENSION}`))
+            .map(fileName => {
+                const filePath = path.join(this.backupDirectory, fileName);
+                const stats = fs.statSync(filePath);
+                return { fileName, filePath, createdAt: stats.mtimeMs, size: stats.size };
+            })
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    pruneBackups(keep) {
+        const removed = this.listBackups().slice(keep);
+        removed.forEach(backup => fs.rmSync(backup.filePath, { force: true }));
+        return removed.map(backup => backup.fileName);
+    }
+}
+
+module.exports = BackupService;
@@ -1,21 +1,29 @@
-const fs = require('fs').promises;
-const path = require('path');
-const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
 const Store = require('electron-store');
+const PromptTemplateService = require('./PromptTemplateService');
+const DocumentIntelligenceService = require('./DocumentIntelligenceService');
+
+// Contexts saved per profile, and the single context saved before profiles
+const PROFILE_CONTEXTS_KEY = 'profileContexts';
+const LEGACY_CONTEXT_KEY = 'interviewContext';
 
 class ContextService {
-    constructor() {
+    /**
+     * @param {Object} options - { profileId: profile whose context is loaded (see useProfile) }
+     */
+    constructor(promptTemplateService = null, documentIntelligenceService = null, { profileId = null } = {}) {
         this.store = new Store();
-        this.context = {
-            resume: {
-                text: '',
-                skills: [],
-                experience: [],
-                education: [],
-                fileName: '',
-                lastUpdated: null
-            },
+        this.promptTemplates = promptTemplateService || new PromptTemplateService();
+        // Resumes go through the same document pipeline as the IPC handlers
+        this.documentIntelligence = documentIntelligenceService || new DocumentIntelligenceService();
+        this.profileId = profileId;
+        this.context = this.createEmptyContext();
+        
+        this.loadContext();
+    }
+
+    createEmptyContext() {
+        return {
+            resume: this.createEmptyResume(),
             jobDescription: {
                 text: '',
                 requirements: [],
@@ -33,15 +41,51 @@ class ContextService {
                 duration: 0
             }
         };
-        
+    }
+
+    createEmptyResume() {
+        return {
+            ...this.documentIntelligence.documentPipeline.createEmptyResume(),
+            fileName: '',
+            lastUpdated: null
+        };
+    }
+
+    // Without a profile the context is the one saved before profiles existed
+    get storeKey() {
+        return this.profileId ? `${PROFILE_CONTEXTS_KEY}.${this.profileId}` : LEGACY_CONTEXT_KEY;
+    }
+
+    /**
+     * Switch to the context saved for a profile. The context saved before
+     * profiles existed becomes that of the first profile used.
+     */
+    useProfile(profileId) {
+        this.profileId = profileId;
+        this.context = this.createEmptyContext();
+
+        if (profileId && !this.store.has(this.storeKey) && this.store.has(LEGACY_CONTEXT_KEY)) {
+            this.store.set(this.storeKey, this.store.get(LEGACY_CONTEXT_KEY));
+            this.store.delete(LEGACY_CONTEXT_KEY);
+        }
         this.loadContext();
     }
 
     loadContext() {
         try {
-            const savedContext = this.store.get('interviewContext');
+            const savedContext = this.store.get(this.storeKey);
             if (savedContext) {
                 this.context = { ...this.context, ...savedContext };
+
+                // Resumes saved before the resume schema are parsed again from their text
+                const savedResume = savedContext.resume;
+                if (savedResume && !savedResume.schemaVersion) {
+                    this.context.resume = this.createEmptyResume();
+                    if (savedResume.text) {
+                        this.setResumeFromText(savedResume.text, savedResume.fileName).catch(error =>
+                            console.error('Error re-parsing saved resume:', error));
+                    }
+                }
             }
         } catch (error) {
             console.error('Error loading context:', error);
@@ -51,7 +95,7 @@ class ContextService {
     saveContext() {
         try {
             this.context.lastUpdated = new Date().toISOString();
-            this.store.set('interviewContext', this.context);
+            this.store.set(this.storeKey, this.context);
         } catch (error) {
             console.error('Error saving context:', error);
         }
@@ -59,71 +103,41 @@ class ContextService {
 
     async processResumeFile(filePath) {
         try {
-            const extension = path.extname(filePath).toLowerCase();
-            const fileName = path.basename(filePath);
-            let text = '';
-
-            switch (extension) {
-                case '.pdf':
-                    const pdfBuffer = await fs.readFile(filePath);
-                    const pdfData = await pdfParse(pdfBuffer);
-                    text = pdfData.text;
-                    break;
-                case '.docx':
-                    const docxBuffer = await fs.readFile(filePath);
-                    const result = await mammoth.extractRawText({ buffer: docxBuffer });
-                    text = result.value;
-                    break;
-                case '.txt':
-                    text = await fs.readFile(filePath, 'utf-8');
-                    break;
-                default:
-                    throw new Error(`Unsupported file type: ${extension}`);
+            const resume = await this.documentIntelligence.analyzeResumeFile(filePath, { useAI: false });
+            if (!resume.success) {
+                throw new Error(resume.error);
             }
 
-            // Process and extract information
-            const resumeData = this.extractResumeData(text);
-            
-            this.context.resume = {
-                text: text,
-                skills: resumeData.skills,
-                experience: resumeData.experience,
-                education: resumeData.education,
-                fileName: fileName,
-                lastUpdated: new Date().toISOString()
-            };
-
-            this.saveContext();
-            return this.context.resume;
+            return this.storeResume(resume, resume.source.fileName);
         } catch (error) {
             console.error('Error processing resume file:', error);
             throw error;
         }
     }
 
+    async setResumeFromText(text, fileName = '') {
+        const resume = await this.documentIntelligence.analyzeResume(text, { useAI: false });
+        if (!resume.success) {
+            throw new Error(resume.error);
+        }
+        return this.storeResume(resume, fileName);
+    }
+
+    storeResume(resume, fileName) {
+        this.context.resume = {
+            ...resume,
+            fileName: fileName || '',
+            lastUpdated: new Date().toISOString()
+        };
+
+        this.saveContext();
+        return this.context.resume;
+    }
+
     async processJobDescriptionFile(filePath) {
         try {
-            const extension = path.extname(filePath).toLowerCase();
-            const fileName = path.basename(filePath);
-            let text = '';
-
-            switch (extension) {
-                case '.pdf':
-                    const pdfBuffer = await fs.readFile(filePath);
-                    const pdfData = await pdfParse(pdfBuffer);
-                    text = pdfData.text;
-                    break;
-                case '.docx':
-                    const docxBuffer = await fs.readFile(filePath);
-                    const result = await mammoth.extractRawText({ buffer: docxBuffer });
-                    text = result.value;
-                    break;
-                case '.txt':
-                    text = await fs.readFile(filePath, 'utf-8');
-                    break;
-                default:
-                    throw new Error(`Unsupported file type: ${extension}`);
-            }
+            const { text, source } = await this.documentIntelligence.documentPipeline.loadDocument(filePath);
+            const fileName = source.fileName;
 
             // Process and extract information
             const jobData = this.extractJobDescriptionData(text);
@@ -146,38 +160,6 @@ class ContextService {
         }
     }
 
-    extractResumeData(text) {
-        const data = {
-            skills: [],
-            experience: [],
-            education: []
-        };
-
-        try {
-            // Extract skills
-            const skillsSection = this.extractSection(text, ['skills', 'technical skills', 'core competencies']);
-            if (skillsSection) {
-                data.skills = this.parseSkills(skillsSection);
-            }
-
-            // Extract experience
-            const experienceSection = this.extractSection(text, ['experience', 'work experience', 'professional experience']);
-            if (experienceSection) {
-                data.experience = this.parseExperience(experienceSection);
-            }
-
-            // Extract education
-            const educationSection = this.extractSection(text, ['education', 'academic background']);
-            if (educationSection) {
-                data.education = this.parseEducation(educationSection);
-            }
-        } catch (error) {
-            console.error('Error extracting resume data:', error);
-        }
-
-        return data;
-    }
-
     extractJobDescriptionData(text) {
         const data = {
             requirements: [],
@@ -233,85 +215,6 @@ class ContextService {
         }
     }
 
-    parseSkills(skillsText) {
-        try {
-            // Common patterns for skills
-            const skills = [];
-            const patterns = [
-                /([A-Za-z\+\#\.]+(?:\s+[A-Za-z\+\#\.]+)*)/g,
-                /•\s*([^\n]+)/g,
-                /-\s*([^\n]+)/g
-            ];
-
-            for (const pattern of patterns) {
-                const matches = skillsText.match(pattern);
-                if (matches) {
-                    matches.forEach(match => {
-                        const skill = match.replace(/^[•\-\s]+/, '').trim();
-                        if (skill.length > 1 && skill.length < 50) {
-                            skills.push(skill);
-                        }
-                    });
-                }
-            }
-
-            return [...new Set(skills)]; // Remove duplicates
-        } catch (error) {
-            console.error('Error parsing skills:', error);
-            return [];
-        }
-    }
-
-    parseExperience(experienceText) {
-        try {
-            const experiences = [];
-            const experienceBlocks = experienceText.split(/\n\s*\n/);
-
-            experienceBlocks.forEach(block => {
-                if (block.trim().length > 50) {
-                    const lines = block.split('\n').map(line => line.trim());
-                    const experience = {
-                        title: lines[0] || '',
-                        company: lines[1] || '',
-                        duration: lines[2] || '',
-                        description: lines.slice(3).join(' ')
-                    };
-                    experiences.push(experience);
-                }
-            });
-
-            return experiences;
-        } catch (error) {
-            console.error('Error parsing experience:', error);
-            return [];
-        }
-    }
-
-    parseEducation(educationText) {
-        try {
-            const education = [];
-            const educationBlocks = educationText.split(/\n\s*\n/);
-
-            educationBlocks.forEach(block => {
-                if (block.trim().length > 10) {
-                    const lines = block.split('\n').map(line => line.trim());
-                    const edu = {
-                        degree: lines[0] || '',
-                        institution: lines[1] || '',
-                        year: lines[2] || '',
-                        details: lines.slice(3).join(' ')
-                    };
-                    education.push(edu);
-                }
-            });
-
-            return education;
-        } catch (error) {
-            console.error('Error parsing education:', error);
-            return [];
-        }
-    }
-
     parseRequirements(requirementsText) {
         try {
             const requirements = [];
@@ -359,51 +262,23 @@ class ContextService {
         }
     }
 
-    buildContextForAI(question) {
+    buildContextForAI(question, questionType = null) {
         try {
-            let contextPrompt = '';
-
-            // Add resume context
-            if (this.context.resume.text) {
-                contextPrompt += `CANDIDATE BACKGROUND:\n`;
-                if (this.context.resume.skills.length > 0) {
-                    contextPrompt += `Skills: ${this.context.resume.skills.slice(0, 10).join(', ')}\n`;
-                }
-                if (this.context.resume.experience.length > 0) {
-                    const recentExp = this.context.resume.experience[0];
-                    contextPrompt += `Recent Experience: ${recentExp.title} at ${recentExp.company}\n`;
-                }
-                contextPrompt += '\n';
-            }
-
-            // Add job description context
-            if (this.context.jobDescription.text) {
-                contextPrompt += `JOB REQUIREMENTS:\n`;
-                contextPrompt += `Company: ${this.context.jobDescription.company}\n`;
-                contextPrompt += `Position: ${this.context.jobDescription.position}\n`;
-                if (this.context.jobDescription.requirements.length > 0) {
-                    contextPrompt += `Key Requirements: ${this.context.jobDescription.requirements.slice(0, 5).join('; ')}\n`;
-                }
-                contextPrompt += '\n';
-            }
-
-            // Add interview context
-            if (this.context.interview.company) {
-                contextPrompt += `INTERVIEW CONTEXT:\n`;
-                contextPrompt += `Company: ${this.context.interview.company}\n`;
-                contextPrompt += `Position: ${this.context.interview.position}\n`;
-                contextPrompt += '\n';
-            }
-
-            contextPrompt += `QUESTION: ${question}\n\n`;
-            contextPrompt += `Provide a concise, relevant answer that:\n`;
-            contextPrompt += `1. Directly addresses the question\n`;
-            contextPrompt += `2. Relates to the candidate's background when relevant\n`;
-            contextPrompt += `3. Aligns with the job requirements\n`;
-            contextPrompt += `4. Is professional and interview-appropriate\n`;
-            contextPrompt += `5. Keeps the response focused and under 150 words\n`;
+            const { resume, jobDescription, interview } = this.context;
+
+            // Same variables the IPC path uses, rendered through the 'context-answer' template
+            const variables = this.promptTemplates.buildVariables({
+                question,
+                questionType,
+                companyName: jobDescription.company || interview.company,
+                position: jobDescription.position || interview.position,
+                jobDescription: jobDescription.requirements.length > 0
+                    ? `Key Requirements: ${jobDescription.requirements.slice(0, 5).join('; ')}`
+                    : '',
+                resumeData: resume.text ? resume : null
+            });
 
-            return contextPrompt;
+            return this.promptTemplates.render('context-answer', variables).user;
         } catch (error) {
             console.error('Error building AI context:', error);
             return question;
@@ -413,7 +288,7 @@ class ContextService {
     getRelevantSkills(question) {
         try {
             const questionLower = question.toLowerCase();
-            const relevantSkills = this.context.resume.skills.filter(skill => 
+            const relevantSkills = this.promptTemplates.collectSkillNames(this.context.resume.skills).filter(skill =>
                 questionLower.includes(skill.toLowerCase()) ||
                 skill.toLowerCase().includes(questionLower.split(' ')[0])
             );
@@ -427,9 +302,10 @@ class ContextService {
     getRelevantExperience(question) {
         try {
             const questionLower = question.toLowerCase();
-            const relevantExp = this.context.resume.experience.filter(exp => 
-                exp.description.toLowerCase().includes(questionLower.split(' ')[0]) ||
-                exp.title.toLowerCase().includes(questionLower.split(' ')[0])
+            const keyword = questionLower.split(' ')[0];
+            const relevantExp = this.context.resume.experience.jobs.filter(job =>
+                job.description.join(' ').toLowerCase().includes(keyword) ||
+                (job.title || '').toLowerCase().includes(keyword)
             );
             return relevantExp.slice(0, 2);
         } catch (error) {
@@ -440,32 +316,7 @@ class ContextService {
 
     clearContext() {
         try {
-            this.context = {
-                resume: {
-                    text: '',
-                    skills: [],
-                    experience: [],
-                    education: [],
-                    fileName: '',
-                    lastUpdated: null
-                },
-                jobDescription: {
-                    text: '',
-                    requirements: [],
-                    responsibilities: [],
-                    company: '',
-                    position: '',
-                    fileName: '',
-                    lastUpdated: null
-                },
-                interview: {
-                    company: '',
-                    position: '',
-                    interviewer: '',
-                    type: '',
-                    duration: 0
-                }
-            };
+            this.context = this.createEmptyContext();
             this.saveContext();
         } catch (error) {
             console.error('Error clearing context:', error);
@@ -476,8 +327,8 @@ class ContextService {
         return {
             hasResume: this.context.resume.text.length > 0,
             hasJobDescription: this.context.jobDescription.text.length > 0,
-            skillsCount: this.context.resume.skills.length,
-            experienceCount: this.context.resume.experience.length,
+            skillsCount: this.context.resume.skills.total,
+            experienceCount: this.context.resume.experience.jobs.length,
             company: this.context.jobDescription.company || this.context.interview.company,
             position: this.context.jobDescription.position || this.context.interview.position
         };
@@ -0,0 +1,273 @@
+/**
+ * Per-session conversation memory for follow-up questions.
+ *
+ * Every answered question is stored in the `questions` / `ai_responses` tables
+ * of DatabaseService and mirrored in memory. `buildHistory()` turns the session
+ * into chat messages that fit a token budget: the most recent turns are sent
+ * verbatim and older turns are folded into a short summary.
+ *
+ * Works without a database (in-memory only) so a missing better-sqlite3 build
+ * never blocks answering questions.
+ */
+class ConversationService {
+    constructor(databaseService = null, aiService = null, options = {}) {
+        this.databaseService = databaseService;
+        this.aiService = aiService;
+
+        this.options = {
+            maxHistoryTokens: options.maxHistoryTokens || parseInt(process.env.AI_HISTORY_TOKENS, 10) || 1200,
+            summaryTokens: options.summaryTokens || 250,
+            maxTurns: options.maxTurns || 50,
+            maxTurnTokens: options.maxTurnTokens || 400
+        };
+
+        this.sessionId = null;
+        this.turns = [];
+
+        // AI-written summary of the oldest `count` turns, refreshed in the background
+        this.summary = { count: 0, text: '' };
+        this.summaryInProgress = false;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    /**
+     * Start a new conversation. Previous turns stay in the database but are no
+     * longer sent to the model.
+     */
+    async startSession(sessionData = {}) {
+        this.turns = [];
+        this.summary = { count: 0, text: '' };
+
+        if (this.hasDatabase) {
+            try {
+                const result = await this.databaseService.createSession(sessionData);
+                this.sessionId = result.sessionId;
+                return this.sessionId;
+            } catch (error) {
+                console.error('ConversationService: Failed to create session, using memory only:', error);
+            }
+        }
+
+        this.sessionId = `local_${Date.now()}`;
+        return this.sessionId;
+    }
+
+    async ensureSession(sessionData = {}) {
+        if (!this.sessionId) {
+            await this.startSession(sessionData);
+        }
+        return this.sessionId;
+    }
+
+    /**
+     * Resume a stored session, loading its turns from the database
+     */
+    async loadSession(sessionId) {
+        if (!this.hasDatabase) {
+            throw new Error('Conversation history requires the local database');
+        }
+
+        const rows = await this.databaseService.getConversationTurns(sessionId, this.options.maxTurns);
+        this.sessionId = sessionId;
+        this.summary = { count: 0, text: '' };
+        this.turns = rows
+            .filter(row => row.response_text)
+            .map(row => ({
+                questionId: row.question_id,
+                question: row.question_text,
+                answer: row.response_text,
+                questionType: row.question_type,
+                source: row.source,
+                model: row.model_used,
+                timestamp: row.created_at * 1000
+            }));
+
+        return this.getHistory();
+    }
+
+    async endSession() {
+        if (this.hasDatabase && this.sessionId && !this.sessionId.startsWith('local_')) {
+            try {
+                await this.databaseService.endSession(this.sessionId);
+            } catch (error) {
+                console.error('ConversationService: Failed to end session:', error);
+            }
+        }
+
+        this.sessionId = null;
+        this.turns = [];
+        this.summary = { count: 0, text: '' };
+    }
+
+    /**
+     * Store a completed question/answer pair
+     *
+     * @param {Object} turn - { question, answer, model, responseTime, questionType, source }
+     */
+    async recordTurn(turn) {
+        if (!turn.question || !turn.answer) return null;
+
+        await this.ensureSession();
+
+        const entry = {
+            questionId: null,
+            responseId: null,
+            question: turn.question,
+            answer: turn.answer,
+            questionType: turn.questionType || 'unknown',
+            source: turn.source || 'manual',
+            model: turn.model,
+            timestamp: Date.now()
+        };
+
+        if (this.hasDatabase && !this.sessionId.startsWith('local_')) {
+            try {
+                const stored = await this.databaseService.storeQuestion({
+                    sessionId: this.sessionId,
+                    questionText: turn.question,
+                    questionType: entry.questionType,
+                    source: entry.source
+                });
+                entry.questionId = stored.questionId;
+
+                const response = await this.databaseService.storeAIResponse({
+                    questionId: stored.questionId,
+                    sessionId: this.sessionId,
+                    responseText: turn.answer,
+                    modelUsed: turn.model || 'unknown',
+                    responseTime: turn.responseTime,
+                    tokenCount: this.estimateTokens(turn.answer)
+                });
+                entry.responseId = response.responseId;
+            } catch (error) {
+                console.error('ConversationService: Failed to persist turn:', error);
+            }
+        }
+
+        this.turns.push(entry);
+        if (this.turns.length > this.options.maxTurns) {
+            this.turns.splice(0, this.turns.length - this.options.maxTurns);
+            this.summary = { count: 0, text: '' };
+        }
+
+        // Keep the summary of older turns up to date without delaying the next answer
+        this.refreshSummary();
+
+        return entry;
+    }
+
+    /**
+     * Chat messages describing the conversation so far, newest turns last.
+     * Older turns that do not fit the budget are replaced by a summary message.
+     */
+    buildHistory(maxTokens = this.options.maxHistoryTokens) {
+        if (this.turns.length === 0) return [];
+
+        const { recent, older } = this.splitTurns(maxTokens);
+        const messages = [];
+
+        if (older.length > 0) {
+            messages.push({
+                role: 'system',
+                content: `Summary of earlier questions in this interview:\n${this.getSummaryFor(older)}`
+            });
+        }
+
+        recent.forEach(turn => {
+            messages.push({ role: 'user', content: this.truncateToTokens(turn.question, this.options.maxTurnTokens) });
+            messages.push({ role: 'assistant', content: this.truncateToTokens(turn.answer, this.options.maxTurnTokens) });
+        });
+
+        return messages;
+    }
+
+    // Newest turns that fit the budget (after reserving room for the summary) and the rest
+    splitTurns(maxTokens) {
+        const budget = Math.max(0, maxTokens - this.options.summaryTokens);
+        let used = 0;
+        let splitIndex = this.turns.length;
+
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            const cost = this.estimateTurnTokens(this.turns[i]);
+            if (used + cost > budget) break;
+            used += cost;
+            splitIndex = i;
+        }
+
+        return {
+            recent: this.turns.slice(splitIndex),
+            older: this.turns.slice(0, splitIndex)
+        };
+    }
+
+    getSummaryFor(olderTurns) {
+        if (this.summary.text && this.summary.count === olderTurns.length) {
+            return this.summary.text;
+        }
+        return this.truncateToTokens(this.extractiveSummary(olderTurns), this.options.summaryTokens);
+    }
+
+    // Cheap summary used until (or instead of) an AI-written one: each question with the first sentence of its answer
+    extractiveSummary(turns) {
+        return turns.map(turn => {
+            const firstSentence = turn.answer.split(/(?<=[.!?])\s+/)[0].trim();
+            return `- Q: ${turn.question.trim()} A: ${firstSentence}`;
+        }).join('\n');
+    }
+
+    async refreshSummary() {
+        if (!this.aiService || this.summaryInProgress) return;
+
+        const { older } = this.splitTurns(this.options.maxHistoryTokens);
+        if (older.length === 0 || older.length === this.summary.count) return;
+
+        this.summaryInProgress = true;
+        const sessionId = this.sessionId;
+
+        try {
+            const transcript = older.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n\n');
+            const text = await this.aiService.summarizeConversation(transcript, this.options.summaryTokens);
+
+            // The session may have been reset while the summary was being written
+            if (text && sessionId === this.sessionId) {
+                this.summary = { count: older.length, text: text.trim() };
+            }
+        } catch (error) {
+            console.warn('ConversationService: Summary refresh failed, using extractive summary:', error.message);
+        } finally {
+            this.summaryInProgress = false;
+        }
+    }
+
+    getHistory() {
+        return {
+            sessionId: this.sessionId,
+            persisted: this.hasDatabase && !!this.sessionId && !this.sessionId.startsWith('local_'),
+            turns: this.turns.map(({ question, answer, questionType, source, model, timestamp }) => ({
+                question, answer, questionType, source, model, timestamp
+            })),
+            summary: this.summary.text || null
+        };
+    }
+
+    // Rough token estimate (~4 characters per token for English text)
+    estimateTokens(text) {
+        return text ? Math.ceil(text.length / 4) : 0;
+    }
+
+    estimateTurnTokens(turn) {
+        return Math.min(this.estimateTokens(turn.question), this.options.maxTurnTokens) +
+            Math.min(this.estimateTokens(turn.answer), this.options.maxTurnTokens);
+    }
+
+    truncateToTokens(text, maxTokens) {
+        const maxChars = maxTokens * 4;
+        if (!text || text.length <= maxChars) return text;
+        return text.substring(0, maxChars - 3) + '...';
+    }
+}
+
+module.exports = ConversationService;
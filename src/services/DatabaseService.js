@@ -3,13 +3,112 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const FieldCipher = require('./encryption/FieldCipher');
+const KeyStore = require('./encryption/KeyStore');
+const MigrationRunner = require('./migrations/MigrationRunner');
+const migrations = require('./migrations');
+const { SearchIndex } = require('./search/SearchIndex');
+const { normalizeQuestion, fingerprintQuestion, UNKEYED_PREFIX } = require('./questionbank/fingerprint');
+
+// Columns stored encrypted, by table
+const ENCRYPTED_COLUMNS = {
+    questions: ['question_text', 'context'],
+    ai_responses: ['response_text'],
+    answer_feedback: ['answer_text'],
+    spoken_answers: ['answer_text'],
+    transcript_segments: ['segment_text'],
+    resume_data: ['content', 'skills', 'experience', 'education'],
+    question_bank: ['question_text'],
+    question_bank_details: ['reference_answer'],
+    profiles: ['company_notes']
+};
+
+// Searchable text by document type: the row id, its text and the columns search results are filtered by
+const SEARCH_SOURCES = {
+    question: {
+        key: 'q.id',
+        select: `SELECT q.id AS doc_id, q.session_id, q.question_text AS text, q.question_type, NULL AS model,
+            q.id AS question_id, q.detected_at * 1000 AS created_at FROM questions q`
+    },
+    response: {
+        key: 'r.id',
+        select: `SELECT r.id AS doc_id, r.session_id, r.response_text AS text, q.question_type, r.model_used AS model,
+            r.question_id, r.created_at * 1000 AS created_at FROM ai_responses r LEFT JOIN questions q ON q.id = r.question_id`
+    },
+    answer: {
+        key: 'f.id',
+        select: `SELECT f.id AS doc_id, f.session_id, f.answer_text AS text, f.question_type, NULL AS model,
+            f.question_id, f.created_at * 1000 AS created_at FROM answer_feedback f`
+    },
+    spoken_answer: {
+        key: 'a.id',
+        select: `SELECT a.id AS doc_id, a.session_id, a.answer_text AS text, q.question_type, NULL AS model,
+            a.question_id, COALESCE(a.start_time, a.created_at * 1000) AS created_at FROM spoken_answers a LEFT JOIN questions q ON q.id = a.question_id`
+    },
+    transcript: {
+        key: 't.id',
+        select: `SELECT t.id AS doc_id, t.session_id, t.segment_text AS text, NULL AS question_type, NULL AS model,
+            t.question_id, t.start_time AS created_at FROM transcript_segments t`
+    },
+    resume: {
+        key: 'd.id',
+        select: `SELECT d.id AS doc_id, NULL AS session_id, d.content AS text, NULL AS question_type, NULL AS model,
+            NULL AS question_id, d.uploaded_at * 1000 AS created_at FROM resume_data d`
+    },
+    job_description: {
+        key: 's.session_id',
+        plaintext: true,
+        select: `SELECT s.session_id AS doc_id, s.session_id, s.job_description AS text, NULL AS question_type, NULL AS model,
+            NULL AS question_id, s.start_time AS created_at FROM sessions s`
+    }
+};
+
+/**
+ * Tables in backups, in restore order, by restore category. When rows are
+ * merged they get new ids unless a row with the same `unique` values exists;
+ * `refs` columns are rewritten to the new ids. Rows of `session` tables are
+ * skipped for sessions that already have rows in that table.
+ */
+const BACKUP_TABLES = [
+    { table: 'profiles', category: 'profiles', unique: ['name'] },
+    { table: 'sessions', category: 'sessions', unique: ['session_id'], refs: { profile_id: 'profiles' } },
+    { table: 'questions', category: 'questions', session: true },
+    { table: 'ai_responses', category: 'responses', session: true, refs: { question_id: 'questions' } },
+    { table: 'answer_feedback', category: 'questions', session: true, refs: { question_id: 'questions' } },
+    { table: 'spoken_answers', category: 'sessions', session: true, refs: { question_id: 'questions' } },
+    { table: 'transcript_segments', category: 'sessions', session: true, refs: { question_id: 'questions', response_id: 'ai_responses' } },
+    { table: 'question_packs', category: 'questionBank', unique: ['pack_key'] },
+    { table: 'question_bank', category: 'questionBank', unique: ['fingerprint'], refs: { profile_id: 'profiles' } },
+    { table: 'question_bank_details', category: 'questionBank', primaryKey: 'bank_id', unique: ['bank_id'], refs: { bank_id: 'question_bank', pack_id: 'question_packs' } },
+    { table: 'question_bank_links', category: 'questionBank', primaryKey: 'question_id', unique: ['question_id'], refs: { question_id: 'questions', bank_id: 'question_bank' } },
+    { table: 'resume_data', category: 'resumes', unique: ['file_name', 'uploaded_at'], refs: { profile_id: 'profiles' } },
+    { table: 'user_preferences', category: 'preferences', unique: ['key'] }
+];
+
+// Tables whose rows belong to a profile
+const PROFILE_TABLES = ['sessions', 'resume_data', 'analytics', 'question_bank'];
+const ACTIVE_PROFILE_KEY = 'active_profile_id';
+const PROFILE_SESSIONS = 'SELECT session_id FROM sessions WHERE profile_id = ?';
+const MAX_PROFILE_NAME_LENGTH = 80;
+
+// Tables whose updated_at is in ms (see migrations/004_updated_at_ms.js); older backups can hold seconds
+const UPDATED_AT_MS_TABLES = ['sessions', 'profiles', 'user_preferences'];
+const SECONDS_BEFORE = 1e11;
+
+// Rows re-encrypted per statement batch during migration and key rotation
+const REENCRYPT_BATCH = 500;
 
 class DatabaseService {
     constructor() {
         this.db = null;
         this.isInitialized = false;
-        this.encryptionKey = null;
+        this.keyStore = null;
+        this.cipher = null;
+        this.locked = false;
         this.dbPath = null;
+        this.migrationRunner = null;
+        this.searchIndex = null;
+        this.activeProfileId = null;
         this.stats = {
             questionsStored: 0,
             responsesGenerated: 0,
@@ -18,7 +117,14 @@ class DatabaseService {
         };
     }
 
-    async initialize() {
+    /**
+     * @param {Object} options - { passphrase: unlocks a passphrase-protected keystore (defaults to MOCKMATE_DB_PASSPHRASE) }
+     */
+    async initialize({ passphrase = process.env.MOCKMATE_DB_PASSPHRASE || null } = {}) {
+        if (this.isInitialized) {
+            return { success: true, dbPath: this.dbPath, stats: this.stats };
+        }
+
         try {
             // Create data directory if it doesn't exist
             const dataDir = path.join(os.homedir(), '.mockmate');
@@ -28,8 +134,8 @@ class DatabaseService {
 
             this.dbPath = path.join(dataDir, 'mockmate.db');
             
-            // Generate or load encryption key
-            await this.initializeEncryption(dataDir);
+            // Generate or load encryption keys
+            await this.initializeEncryption(dataDir, passphrase);
             
             // Initialize database
             this.db = new Database(this.dbPath);
@@ -40,8 +146,20 @@ class DatabaseService {
             this.db.pragma('cache_size = 1000');
             this.db.pragma('temp_store = memory');
             
-            // Create tables
-            this.createTables();
+            // Bring the schema up to date
+            await this.runMigrations();
+
+            // Re-encrypt values from the legacy cipher or an interrupted key rotation
+            this.migrateEncryption();
+
+            // Question bank entries whose fingerprint was dropped by migration 5
+            this.rekeyQuestionFingerprints();
+
+            // Index what was stored before search existed (or while indexing failed)
+            this.initializeSearch();
+
+            // Sessions, resumes and analytics are read and written for the active profile
+            await this.loadActiveProfile();
             
             // Load existing stats
             await this.loadStats();
@@ -60,126 +178,509 @@ class DatabaseService {
         }
     }
 
-    async initializeEncryption(dataDir) {
-        const keyPath = path.join(dataDir, '.key');
-        
+    async initializeEncryption(dataDir, passphrase = null) {
         try {
-            if (fs.existsSync(keyPath)) {
-                // Load existing key
-                const keyData = fs.readFileSync(keyPath);
-                this.encryptionKey = keyData.toString('hex');
-            } else {
-                // Generate new encryption key
-                this.encryptionKey = crypto.randomBytes(32).toString('hex');
-                fs.writeFileSync(keyPath, Buffer.from(this.encryptionKey, 'hex'), { mode: 0o600 });
-            }
+            this.keyStore = new KeyStore({ dataDir });
+            this.locked = this.keyStore.isPassphraseProtected();
+            this.cipher = new FieldCipher(this.keyStore.open({ passphrase }));
+            this.locked = false;
         } catch (error) {
             console.error('Encryption initialization failed:', error);
             throw error;
         }
     }
 
-    createTables() {
-        // Sessions table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS sessions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT UNIQUE NOT NULL,
-                company_name TEXT,
-                job_description TEXT,
-                start_time INTEGER NOT NULL,
-                end_time INTEGER,
-                status TEXT DEFAULT 'active',
-                model_used TEXT,
-                total_questions INTEGER DEFAULT 0,
-                total_responses INTEGER DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-            )
-        `);
-
-        // Questions table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS questions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                session_id TEXT NOT NULL,
-                question_text TEXT NOT NULL,
-                question_type TEXT DEFAULT 'unknown',
-                confidence_score REAL DEFAULT 0.0,
-                source TEXT DEFAULT 'manual',
-                detected_at INTEGER DEFAULT (strftime('%s', 'now')),
-                context TEXT,
-                is_answered BOOLEAN DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
-            )
-        `);
-
-        // AI Responses table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS ai_responses (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                question_id INTEGER NOT NULL,
-                session_id TEXT NOT NULL,
-                response_text TEXT NOT NULL,
-                model_used TEXT NOT NULL,
-                response_time INTEGER,
-                token_count INTEGER,
-                confidence_score REAL DEFAULT 0.0,
-                user_rating INTEGER,
-                is_used BOOLEAN DEFAULT 0,
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                FOREIGN KEY (question_id) REFERENCES questions (id),
-                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
-            )
-        `);
-
-        // User preferences table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS user_preferences (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                key TEXT UNIQUE NOT NULL,
-                value TEXT NOT NULL,
-                data_type TEXT DEFAULT 'string',
-                created_at INTEGER DEFAULT (strftime('%s', 'now')),
-                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-            )
-        `);
-
-        // Resume data table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS resume_data (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                file_name TEXT NOT NULL,
-                file_path TEXT,
-                content TEXT NOT NULL,
-                skills TEXT,
-                experience TEXT,
-                education TEXT,
-                uploaded_at INTEGER DEFAULT (strftime('%s', 'now')),
-                is_active BOOLEAN DEFAULT 1
-            )
-        `);
-
-        // Analytics table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS analytics (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                event_type TEXT NOT NULL,
-                event_data TEXT,
-                session_id TEXT,
-                timestamp INTEGER DEFAULT (strftime('%s', 'now'))
-            )
-        `);
-
-        // Create indexes for better performance
-        this.db.exec(`
-            CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
-            CREATE INDEX IF NOT EXISTS idx_questions_session ON questions(session_id);
-            CREATE INDEX IF NOT EXISTS idx_responses_question ON ai_responses(question_id);
-            CREATE INDEX IF NOT EXISTS idx_analytics_type ON analytics(event_type);
-            CREATE INDEX IF NOT EXISTS idx_analytics_session ON analytics(session_id);
-        `);
+    /**
+     * Re-encrypt every stored value that is not sealed with the current key
+     * (legacy createCipher values, plaintext left by its failures, values of a
+     * retired key) in one transaction. Retires old keys once nothing depends on them.
+     */
+    migrateEncryption() {
+        const result = this.reencryptAll();
+        if (result.reencrypted > 0) {
+            console.log(`🔐 Re-encrypted ${result.reencrypted} value(s) with key ${this.cipher.currentKeyId}`);
+        }
+        if (result.failed > 0) {
+            console.error(`🔐 ${result.failed} value(s) could not be decrypted and were left unchanged`);
+            return result;
+        }
+
+        this.keyStore.retireKeys().forEach(keyId => this.cipher.removeKey(keyId));
+        return result;
+    }
+
+    reencryptAll() {
+        const result = { reencrypted: 0, failed: 0 };
+
+        const run = this.db.transaction(() => {
+            Object.entries(ENCRYPTED_COLUMNS).forEach(([table, columns]) => {
+                columns.forEach(column => {
+                    const select = this.db.prepare(`SELECT rowid AS row_id, ${column} AS value FROM ${table} WHERE rowid > ? AND ${column} IS NOT NULL ORDER BY rowid LIMIT ?`);
+                    const update = this.db.prepare(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`);
+
+                    let lastRowId = 0;
+                    let rows;
+                    do {
+                        rows = select.all(lastRowId, REENCRYPT_BATCH);
+                        rows.forEach(row => {
+                            lastRowId = row.row_id;
+                            if (!this.cipher.needsReencryption(row.value)) return;
+                            try {
+                                update.run(this.cipher.encrypt(this.cipher.decrypt(row.value)), row.row_id);
+                                result.reencrypted++;
+                            } catch (error) {
+                                console.error(`Re-encryption of ${table}.${column} row ${row.row_id} failed:`, error.message);
+                                result.failed++;
+                            }
+                        });
+                    } while (rows.length === REENCRYPT_BATCH);
+                });
+            });
+        });
+        run();
+
+        return result;
+    }
+
+    /**
+     * Generate a new data key and re-encrypt all stored values with it. The old
+     * key is kept in the keystore until the re-encryption has been committed, so
+     * an interrupted rotation is finished on the next start.
+     */
+    async rotateEncryptionKey() {
+        try {
+            const { keyId, key } = this.keyStore.addKey();
+            this.cipher.addKey(keyId, key);
+            const result = this.migrateEncryption();
+
+            await this.logEvent('encryption_key_rotated', { keyId, reencrypted: result.reencrypted, failed: result.failed });
+            return { success: result.failed === 0, keyId, ...result };
+        } catch (error) {
+            console.error('Encryption key rotation failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Protect the data keys with a passphrase, or with the OS keychain when passphrase is empty
+     */
+    async setEncryptionPassphrase(passphrase = null) {
+        try {
+            const keychainAvailable = this.keyStore.status().keychainAvailable;
+            const protection = passphrase ? 'passphrase' : (keychainAvailable ? 'keychain' : 'file');
+            this.keyStore.setProtection(protection, passphrase);
+            return this.getEncryptionStatus();
+        } catch (error) {
+            console.error('Set encryption passphrase failed:', error);
+            throw error;
+        }
+    }
+
+    // Seals automatic backups (see BackupService)
+    getBackupKey() {
+        if (!this.keyStore) {
+            throw new Error('The local database is not available');
+        }
+        return this.keyStore.getBackupKey();
+    }
+
+    // Exact-duplicate key of a normalized question in a profile's bank (see questionbank/fingerprint.js)
+    fingerprintQuestion(normalized, profileId = this.activeProfileId) {
+        return fingerprintQuestion(this.keyStore.getFingerprintKey(), profileId, normalized);
+    }
+
+    rekeyQuestionFingerprints() {
+        const rows = this.db.prepare('SELECT id, profile_id, question_text FROM question_bank WHERE fingerprint LIKE ?').all(`${UNKEYED_PREFIX}%`);
+        if (rows.length === 0) return 0;
+
+        const update = this.db.prepare('UPDATE question_bank SET fingerprint = ? WHERE id = ?');
+        let rekeyed = 0;
+        const run = this.db.transaction(() => {
+            rows.forEach(row => {
+                try {
+                    update.run(this.fingerprintQuestion(normalizeQuestion(this.decrypt(row.question_text)), row.profile_id), row.id);
+                    rekeyed++;
+                } catch (error) {
+                    console.error(`Fingerprint of question bank entry ${row.id} failed:`, error.message);
+                }
+            });
+        });
+        run();
+
+        console.log(`🔐 Computed keyed fingerprints for ${rekeyed} question bank entries`);
+        return rekeyed;
+    }
+
+    getEncryptionStatus() {
+        return {
+            algorithm: 'aes-256-gcm',
+            locked: this.locked,
+            ...(this.keyStore ? this.keyStore.status() : {})
+        };
+    }
+
+    // Schema Migrations (see migrations/)
+    async runMigrations() {
+        this.migrationRunner = new MigrationRunner({
+            db: this.db,
+            migrations,
+            backupDir: path.join(path.dirname(this.dbPath), 'backups')
+        });
+
+        const result = await this.migrationRunner.migrate();
+        if (result.applied.length > 0) {
+            console.log(`🗄️ Database schema migrated from version ${result.from} to ${result.to}`);
+        }
+        return result;
+    }
+
+    // Copy of the database file in the backups directory, e.g. before a restore
+    async snapshotDatabase() {
+        if (!this.migrationRunner) {
+            throw new Error('The local database is not available');
+        }
+        return this.migrationRunner.backup(this.migrationRunner.getCurrentVersion());
+    }
+
+    getSchemaStatus() {
+        if (!this.migrationRunner) {
+            throw new Error('The local database is not available');
+        }
+        return { dbPath: this.dbPath, ...this.migrationRunner.getStatus() };
+    }
+
+    // Full-text Search (see search/SearchIndex.js)
+    initializeSearch() {
+        this.searchIndex = new SearchIndex({ db: this.db, key: this.keyStore.getSearchKey() });
+        const indexed = this.indexSearchDocuments();
+        if (indexed > 0) {
+            console.log(`🔎 Indexed ${indexed} document(s) for search`);
+        }
+    }
+
+    /**
+     * Index one row by id, or every row of the given type (all types when omitted)
+     * that is not in the index yet. Rows that cannot be decrypted are skipped.
+     */
+    indexSearchDocuments(docType = null, docId = null) {
+        const types = docType ? [docType] : Object.keys(SEARCH_SOURCES);
+        let indexed = 0;
+
+        const run = this.db.transaction(() => {
+            types.forEach(type => {
+                const source = SEARCH_SOURCES[type];
+                const rows = docId !== null
+                    ? this.db.prepare(`${source.select} WHERE ${source.key} = ?`).all(docId)
+                    : this.db.prepare(`${source.select} WHERE NOT EXISTS (
+                        SELECT 1 FROM search_documents sd WHERE sd.doc_type = ? AND sd.doc_id = CAST(${source.key} AS TEXT)
+                    )`).all(type);
+
+                rows.forEach(row => {
+                    if (!row.text) return;
+                    try {
+                        this.searchIndex.add({
+                            docType: type,
+                            docId: row.doc_id,
+                            text: source.plaintext ? row.text : this.decrypt(row.text),
+                            sessionId: row.session_id,
+                            questionType: row.question_type,
+                            model: row.model,
+                            createdAt: row.created_at
+                        });
+                        indexed++;
+                    } catch (error) {
+                        console.error(`Search indexing of ${type} ${row.doc_id} failed:`, error.message);
+                    }
+                });
+            });
+        });
+        run();
+
+        return indexed;
+    }
+
+    // Called after writes; a failure to index never fails the write itself
+    indexForSearch(docType, docId) {
+        if (!this.searchIndex) return;
+        try {
+            this.indexSearchDocuments(docType, docId);
+        } catch (error) {
+            console.error(`Search indexing of ${docType} ${docId} failed:`, error);
+        }
+    }
+
+    /**
+     * Ranked matches with their decrypted text, and the question they belong to
+     * for responses, answers and transcript segments
+     *
+     * @param {string} query - words and "quoted phrases"
+     * @param {Object} filters - see SearchIndex.search
+     * @returns {Promise<{ terms, total, hits }>} total is the number of matches over all pages
+     */
+    async searchDocuments(query, filters = {}) {
+        try {
+            if (!this.searchIndex) {
+                throw new Error('The search index is not available');
+            }
+
+            const { terms, total, hits } = this.searchIndex.search(query, { ...filters, profileId: this.activeProfileId });
+            const questionText = this.db.prepare('SELECT question_text FROM questions WHERE id = ?');
+
+            return {
+                terms,
+                total,
+                hits: hits.map(hit => {
+                    const source = SEARCH_SOURCES[hit.docType];
+                    const row = source ? this.db.prepare(`${source.select} WHERE ${source.key} = ?`).get(hit.docId) : null;
+                    if (!row || !row.text) return null;
+
+                    const question = hit.docType !== 'question' && row.question_id ? questionText.get(row.question_id) : null;
+                    return {
+                        ...hit,
+                        text: source.plaintext ? row.text : this.decrypt(row.text),
+                        questionText: question ? this.decrypt(question.question_text) : null
+                    };
+                }).filter(Boolean)
+            };
+        } catch (error) {
+            console.error('Search failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Values the search filters offer in the active profile: companies, AI models, question types and document counts
+     */
+    async getSearchFacets() {
+        try {
+            const profileId = this.activeProfileId;
+            const distinct = sql => this.db.prepare(sql).all(profileId).map(row => row.value);
+            // Documents of the active profile's sessions and resumes
+            const documents = `(SELECT d.* FROM search_documents d
+                LEFT JOIN sessions s ON s.session_id = d.session_id
+                LEFT JOIN resume_data r ON d.doc_type = 'resume' AND r.id = CAST(d.doc_id AS INTEGER)
+                WHERE COALESCE(s.profile_id, r.profile_id) = ?)`;
+            const counts = {};
+            this.db.prepare(`SELECT doc_type, COUNT(*) AS count FROM ${documents} GROUP BY doc_type`).all(profileId)
+                .forEach(row => { counts[row.doc_type] = row.count; });
+
+            return {
+                docTypes: Object.keys(SEARCH_SOURCES),
+                counts,
+                companies: distinct(`SELECT DISTINCT company_name AS value FROM sessions WHERE profile_id = ? AND company_name IS NOT NULL AND company_name != '' ORDER BY company_name COLLATE NOCASE`),
+                models: distinct(`SELECT DISTINCT model AS value FROM ${documents} WHERE model IS NOT NULL ORDER BY model`),
+                questionTypes: distinct(`SELECT DISTINCT question_type AS value FROM ${documents} WHERE question_type IS NOT NULL ORDER BY question_type`)
+            };
+        } catch (error) {
+            console.error('Get search facets failed:', error);
+            throw error;
+        }
+    }
+
+    async rebuildSearchIndex() {
+        try {
+            this.searchIndex.clear();
+            const indexed = this.indexSearchDocuments();
+            await this.logEvent('search_index_rebuilt', { indexed });
+            return { success: true, indexed };
+        } catch (error) {
+            console.error('Rebuild search index failed:', error);
+            throw error;
+        }
+    }
+
+    // Profiles (see migrations/003_profiles.js)
+    async loadActiveProfile() {
+        const saved = await this.getPreference(ACTIVE_PROFILE_KEY, null);
+        const profile = (saved && this.db.prepare('SELECT id FROM profiles WHERE id = ?').get(saved))
+            || this.db.prepare('SELECT id FROM profiles ORDER BY id LIMIT 1').get();
+
+        // A replace restore can leave no profiles
+        this.activeProfileId = profile
+            ? profile.id
+            : this.db.prepare("INSERT INTO profiles (name, updated_at) VALUES ('Default', ?)").run(Date.now()).lastInsertRowid;
+        return this.activeProfileId;
+    }
+
+    toProfile(row) {
+        return {
+            ...row,
+            company_notes: this.decrypt(row.company_notes),
+            is_active: row.id === this.activeProfileId
+        };
+    }
+
+    /**
+     * Profiles by name with their session and resume counts and last session start (ms)
+     */
+    async getProfiles() {
+        try {
+            return this.db.prepare(`
+                SELECT p.*,
+                    (SELECT COUNT(*) FROM sessions s WHERE s.profile_id = p.id) AS session_count,
+                    (SELECT COUNT(*) FROM resume_data d WHERE d.profile_id = p.id) AS resume_count,
+                    (SELECT MAX(s.start_time) FROM sessions s WHERE s.profile_id = p.id) AS last_session_at
+                FROM profiles p
+                ORDER BY p.name COLLATE NOCASE
+            `).all().map(row => this.toProfile(row));
+        } catch (error) {
+            console.error('Get profiles failed:', error);
+            throw error;
+        }
+    }
+
+    async getProfile(profileId = this.activeProfileId) {
+        try {
+            const row = this.db.prepare('SELECT * FROM profiles WHERE id = ?').get(profileId);
+            return row ? this.toProfile(row) : null;
+        } catch (error) {
+            console.error('Get profile failed:', error);
+            throw error;
+        }
+    }
+
+    normalizeProfileName(name) {
+        const normalized = String(name || '').trim();
+        if (!normalized) {
+            throw new Error('A profile needs a name');
+        }
+        if (normalized.length > MAX_PROFILE_NAME_LENGTH) {
+            throw new Error(`Profile names are at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+        }
+        return normalized;
+    }
+
+    // Names are unique, ignoring case
+    requireUniqueProfileName(name, profileId = null) {
+        const existing = this.db.prepare('SELECT id FROM profiles WHERE name = ? COLLATE NOCASE AND id IS NOT ?').get(name, profileId);
+        if (existing) {
+            throw new Error(`A profile named "${name}" already exists`);
+        }
+    }
+
+    /**
+     * @param {Object} profileData - { name, targetRole, companyName, jobDescription, companyNotes }
+     */
+    async createProfile(profileData = {}) {
+        try {
+            const name = this.normalizeProfileName(profileData.name);
+            this.requireUniqueProfileName(name);
+
+            const result = this.db.prepare(`
+                INSERT INTO profiles (name, target_role, company_name, job_description, company_notes, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(
+                name,
+                profileData.targetRole || null,
+                profileData.companyName || null,
+                profileData.jobDescription || null,
+                profileData.companyNotes ? this.encrypt(profileData.companyNotes) : null,
+                Date.now()
+            );
+
+            await this.logEvent('profile_created', { profileId: result.lastInsertRowid });
+            return this.getProfile(result.lastInsertRowid);
+        } catch (error) {
+            console.error('Create profile failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} updates - any of { name, targetRole, companyName, jobDescription, companyNotes }
+     */
+    async updateProfile(profileId, updates = {}) {
+        try {
+            if (!this.db.prepare('SELECT id FROM profiles WHERE id = ?').get(profileId)) {
+                throw new Error('Profile not found');
+            }
+
+            const columns = {};
+            if (updates.name !== undefined) {
+                columns.name = this.normalizeProfileName(updates.name);
+                this.requireUniqueProfileName(columns.name, profileId);
+            }
+            if (updates.targetRole !== undefined) columns.target_role = updates.targetRole || null;
+            if (updates.companyName !== undefined) columns.company_name = updates.companyName || null;
+            if (updates.jobDescription !== undefined) columns.job_description = updates.jobDescription || null;
+            if (updates.companyNotes !== undefined) columns.company_notes = updates.companyNotes ? this.encrypt(updates.companyNotes) : null;
+
+            if (Object.keys(columns).length > 0) {
+                this.db.prepare(`
+                    UPDATE profiles
+                    SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')}, updated_at = ?
+                    WHERE id = ?
+                `).run(...Object.values(columns), Date.now(), profileId);
+            }
+
+            return this.getProfile(profileId);
+        } catch (error) {
+            console.error('Update profile failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a profile with its sessions (and everything recorded in them),
+     * resumes and analytics events. The active profile cannot be deleted, so
+     * there is always one left.
+     */
+    async deleteProfile(profileId) {
+        try {
+            if (profileId === this.activeProfileId) {
+                throw new Error('Switch to another profile before deleting this one');
+            }
+            if (!this.db.prepare('SELECT id FROM profiles WHERE id = ?').get(profileId)) {
+                throw new Error('Profile not found');
+            }
+
+            const inProfile = 'SELECT session_id FROM sessions WHERE profile_id = ?';
+            const counts = {};
+            const run = this.db.transaction(() => {
+                this.db.prepare(`
+                    SELECT doc_type, doc_id FROM search_documents
+                    WHERE session_id IN (${inProfile})
+                        OR (doc_type = 'resume' AND doc_id IN (SELECT CAST(id AS TEXT) FROM resume_data WHERE profile_id = ?))
+                `).all(profileId, profileId).forEach(doc => this.searchIndex.remove(doc.doc_type, doc.doc_id));
+
+                this.db.prepare(`DELETE FROM question_bank_links WHERE question_id IN (SELECT id FROM questions WHERE session_id IN (${inProfile}))`).run(profileId);
+                ['question_bank_links', 'question_bank_details'].forEach(table => {
+                    this.db.prepare(`DELETE FROM ${table} WHERE bank_id IN (SELECT id FROM question_bank WHERE profile_id = ?)`).run(profileId);
+                });
+                ['transcript_segments', 'spoken_answers', 'answer_feedback', 'ai_responses', 'questions'].forEach(table => {
+                    this.db.prepare(`DELETE FROM ${table} WHERE session_id IN (${inProfile})`).run(profileId);
+                });
+                PROFILE_TABLES.forEach(table => {
+                    counts[table] = this.db.prepare(`DELETE FROM ${table} WHERE profile_id = ?`).run(profileId).changes;
+                });
+                this.db.prepare('DELETE FROM profiles WHERE id = ?').run(profileId);
+            });
+            run();
+
+            await this.logEvent('profile_deleted', { profileId, sessions: counts.sessions, resumes: counts.resume_data });
+            return { success: true, sessions: counts.sessions, resumes: counts.resume_data };
+        } catch (error) {
+            console.error('Delete profile failed:', error);
+            throw error;
+        }
+    }
+
+    async setActiveProfile(profileId) {
+        try {
+            const profile = await this.getProfile(profileId);
+            if (!profile) {
+                throw new Error('Profile not found');
+            }
+
+            this.activeProfileId = profile.id;
+            await this.setPreference(ACTIVE_PROFILE_KEY, profile.id);
+            await this.loadStats();
+            await this.logEvent('profile_switched', { profileId: profile.id });
+            return { ...profile, is_active: true };
+        } catch (error) {
+            console.error('Set active profile failed:', error);
+            throw error;
+        }
     }
 
     // Session Management
@@ -189,8 +690,8 @@ class DatabaseService {
             const now = Date.now();
             
             const stmt = this.db.prepare(`
-                INSERT INTO sessions (session_id, company_name, job_description, start_time, model_used)
-                VALUES (?, ?, ?, ?, ?)
+                INSERT INTO sessions (session_id, company_name, job_description, start_time, model_used, profile_id, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
             `);
             
             const result = stmt.run(
@@ -198,13 +699,16 @@ class DatabaseService {
                 sessionData.companyName || null,
                 sessionData.jobDescription || null,
                 now,
-                sessionData.model || 'google'
+                sessionData.model || 'google',
+                this.activeProfileId,
+                now
             );
             
             this.stats.sessionsCreated++;
             this.stats.lastActivity = now;
             await this.saveStats();
             
+            if (sessionData.jobDescription) this.indexForSearch('job_description', sessionId);
             await this.logEvent('session_created', { sessionId, ...sessionData });
             
             return {
@@ -220,8 +724,9 @@ class DatabaseService {
 
     async getSession(sessionId) {
         try {
-            const stmt = this.db.prepare('SELECT * FROM sessions WHERE session_id = ?');
-            const session = stmt.get(sessionId);
+            // Sessions of other profiles are not found
+            const stmt = this.db.prepare('SELECT * FROM sessions WHERE session_id = ? AND profile_id = ?');
+            const session = stmt.get(sessionId, this.activeProfileId);
             
             if (session) {
                 // Get related questions and responses
@@ -244,6 +749,32 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Sessions of the active profile newest first with question, answer and transcript counts and the average answer score
+     */
+    async getSessions({ limit = 50, offset = 0 } = {}) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT s.session_id, s.company_name, s.start_time, s.end_time, s.status, s.model_used,
+                    (SELECT COUNT(*) FROM questions q WHERE q.session_id = s.session_id) AS question_count,
+                    (SELECT COUNT(*) FROM ai_responses r WHERE r.session_id = s.session_id) AS response_count,
+                    (SELECT COUNT(*) FROM answer_feedback f WHERE f.session_id = s.session_id) AS answer_count,
+                    (SELECT COUNT(*) FROM spoken_answers a WHERE a.session_id = s.session_id) AS spoken_answer_count,
+                    (SELECT COUNT(*) FROM transcript_segments t WHERE t.session_id = s.session_id) AS segment_count,
+                    (SELECT ROUND(AVG(f.overall_score)) FROM answer_feedback f WHERE f.session_id = s.session_id) AS average_score
+                FROM sessions s
+                WHERE s.profile_id = ?
+                ORDER BY s.start_time DESC
+                LIMIT ? OFFSET ?
+            `);
+
+            return stmt.all(this.activeProfileId, limit, offset);
+        } catch (error) {
+            console.error('Get sessions failed:', error);
+            throw error;
+        }
+    }
+
     async updateSession(sessionId, updates) {
         try {
             const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
@@ -258,6 +789,7 @@ class DatabaseService {
             `);
             
             const result = stmt.run(...values);
+            if ('job_description' in updates) this.indexForSearch('job_description', sessionId);
             
             await this.logEvent('session_updated', { sessionId, updates });
             
@@ -305,6 +837,7 @@ class DatabaseService {
                 questionData.context ? this.encrypt(JSON.stringify(questionData.context)) : null
             );
             
+            this.indexForSearch('question', result.lastInsertRowid);
             this.stats.questionsStored++;
             this.stats.lastActivity = Date.now();
             await this.saveStats();
@@ -386,6 +919,7 @@ class DatabaseService {
             // Mark question as answered
             const updateQuestionStmt = this.db.prepare('UPDATE questions SET is_answered = 1 WHERE id = ?');
             updateQuestionStmt.run(responseData.questionId);
+            this.indexForSearch('response', result.lastInsertRowid);
             
             this.stats.responsesGenerated++;
             this.stats.lastActivity = Date.now();
@@ -431,6 +965,460 @@ class DatabaseService {
         }
     }
 
+    // Practice Answer Feedback
+    async storeAnswerFeedback(feedbackData) {
+        try {
+            const { scores, star, strengths, suggestions, wordCount, model } = feedbackData.feedback;
+            const stmt = this.db.prepare(`
+                INSERT INTO answer_feedback (question_id, session_id, answer_text, answer_source, question_type, overall_score, feedback)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(
+                feedbackData.questionId,
+                feedbackData.sessionId,
+                this.encrypt(feedbackData.answerText),
+                feedbackData.answerSource || 'typed',
+                feedbackData.feedback.questionType || null,
+                feedbackData.feedback.overallScore,
+                JSON.stringify({ scores, star, strengths, suggestions, wordCount, model: model || null })
+            );
+
+            this.db.prepare('UPDATE questions SET is_answered = 1 WHERE id = ?').run(feedbackData.questionId);
+            this.indexForSearch('answer', result.lastInsertRowid);
+
+            await this.logEvent('answer_scored', {
+                feedbackId: result.lastInsertRowid,
+                questionId: feedbackData.questionId,
+                sessionId: feedbackData.sessionId,
+                score: feedbackData.feedback.overallScore
+            });
+
+            return {
+                success: true,
+                feedbackId: result.lastInsertRowid
+            };
+        } catch (error) {
+            console.error('Store answer feedback failed:', error);
+            throw error;
+        }
+    }
+
+    async getSessionFeedback(sessionId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT f.*, q.question_text
+                FROM answer_feedback f
+                JOIN questions q ON f.question_id = q.id
+                WHERE f.session_id = ?
+                ORDER BY f.id ASC
+            `);
+
+            return stmt.all(sessionId).map(row => ({
+                ...row,
+                answer_text: this.decrypt(row.answer_text),
+                question_text: this.decrypt(row.question_text),
+                feedback: row.feedback ? JSON.parse(row.feedback) : null
+            }));
+        } catch (error) {
+            console.error('Get session feedback failed:', error);
+            throw error;
+        }
+    }
+
+    // Candidate turns from diarized audio, linked to the interviewer question they answer
+    async storeSpokenAnswer(answerData) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO spoken_answers (session_id, question_id, speaker_id, channel, answer_text, start_time, end_time, confidence)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(
+                answerData.sessionId,
+                answerData.questionId || null,
+                answerData.speakerId || null,
+                answerData.channel || null,
+                this.encrypt(answerData.answerText),
+                answerData.startTime || null,
+                answerData.endTime || null,
+                answerData.confidence ?? null
+            );
+
+            this.indexForSearch('spoken_answer', result.lastInsertRowid);
+            this.stats.lastActivity = Date.now();
+
+            return {
+                success: true,
+                answerId: result.lastInsertRowid
+            };
+        } catch (error) {
+            console.error('Store spoken answer failed:', error);
+            throw error;
+        }
+    }
+
+    async getSessionSpokenAnswers(sessionId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT a.*, q.question_text
+                FROM spoken_answers a
+                LEFT JOIN questions q ON a.question_id = q.id
+                WHERE a.session_id = ?
+                ORDER BY a.start_time ASC, a.id ASC
+            `);
+
+            return stmt.all(sessionId).map(row => ({
+                ...row,
+                answer_text: this.decrypt(row.answer_text),
+                question_text: row.question_text ? this.decrypt(row.question_text) : null
+            }));
+        } catch (error) {
+            console.error('Get session spoken answers failed:', error);
+            throw error;
+        }
+    }
+
+    // Session Transcripts
+    async storeTranscriptSegment(segmentData) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO transcript_segments (session_id, segment_text, speaker_id, speaker_role, speaker_label, channel, source, confidence, start_time, end_time, question_id, response_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(
+                segmentData.sessionId,
+                this.encrypt(segmentData.text),
+                segmentData.speakerId || null,
+                segmentData.speakerRole || null,
+                segmentData.speakerLabel || null,
+                segmentData.channel || null,
+                segmentData.source || null,
+                segmentData.confidence ?? null,
+                segmentData.startTime,
+                segmentData.endTime || null,
+                segmentData.questionId || null,
+                segmentData.responseId || null
+            );
+
+            this.indexForSearch('transcript', result.lastInsertRowid);
+            this.stats.lastActivity = Date.now();
+
+            return {
+                success: true,
+                segmentId: result.lastInsertRowid
+            };
+        } catch (error) {
+            console.error('Store transcript segment failed:', error);
+            throw error;
+        }
+    }
+
+    // Attach the detected question and/or the AI response generated for it
+    async linkTranscriptSegment(segmentId, { questionId, responseId } = {}) {
+        try {
+            this.db.prepare(`
+                UPDATE transcript_segments
+                SET question_id = COALESCE(?, question_id), response_id = COALESCE(?, response_id)
+                WHERE id = ?
+            `).run(questionId || null, responseId || null, segmentId);
+            return { success: true };
+        } catch (error) {
+            console.error('Link transcript segment failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transcript segments in speaking order, for one session or (without a session id) all of the active profile's
+     */
+    async getTranscriptSegments(sessionId = null) {
+        try {
+            const rows = sessionId
+                ? this.db.prepare(`SELECT * FROM transcript_segments WHERE session_id = ? AND session_id IN (${PROFILE_SESSIONS}) ORDER BY start_time ASC, id ASC`).all(sessionId, this.activeProfileId)
+                : this.db.prepare(`SELECT * FROM transcript_segments WHERE session_id IN (${PROFILE_SESSIONS}) ORDER BY start_time ASC, id ASC`).all(this.activeProfileId);
+
+            return rows.map(row => ({
+                ...row,
+                segment_text: this.decrypt(row.segment_text)
+            }));
+        } catch (error) {
+            console.error('Get transcript segments failed:', error);
+            throw error;
+        }
+    }
+
+    // Question Bank
+    async getQuestionBank() {
+        try {
+            return this.db.prepare('SELECT * FROM question_bank WHERE profile_id = ? ORDER BY id ASC').all(this.activeProfileId).map(row => ({
+                ...row,
+                question_text: this.decrypt(row.question_text),
+                sub_categories: row.sub_categories ? JSON.parse(row.sub_categories) : [],
+                suspended: !!row.suspended
+            }));
+        } catch (error) {
+            console.error('Get question bank failed:', error);
+            throw error;
+        }
+    }
+
+    async insertBankQuestion(questionData) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO question_bank (question_text, fingerprint, question_type, sub_categories, category, skill, source, first_seen, last_seen, due_at, profile_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(
+                this.encrypt(questionData.questionText),
+                questionData.fingerprint,
+                questionData.questionType || null,
+                JSON.stringify(questionData.subCategories || []),
+                questionData.category || null,
+                questionData.skill || null,
+                questionData.source || null,
+                questionData.seenAt,
+                questionData.seenAt,
+                questionData.dueAt,
+                this.activeProfileId
+            );
+
+            return {
+                success: true,
+                bankId: result.lastInsertRowid
+            };
+        } catch (error) {
+            console.error('Insert bank question failed:', error);
+            throw error;
+        }
+    }
+
+    async updateBankQuestion(bankId, updates) {
+        try {
+            const columns = {
+                questionType: 'question_type',
+                subCategories: 'sub_categories',
+                occurrences: 'occurrences',
+                lastSeen: 'last_seen',
+                category: 'category',
+                skill: 'skill',
+                repetitions: 'repetitions',
+                intervalDays: 'interval_days',
+                easeFactor: 'ease_factor',
+                dueAt: 'due_at',
+                reviewCount: 'review_count',
+                lastScore: 'last_score',
+                lastReviewedAt: 'last_reviewed_at',
+                suspended: 'suspended'
+            };
+
+            const entries = Object.entries(updates).filter(([key]) => columns[key]);
+            if (entries.length === 0) return false;
+
+            const values = entries.map(([key, value]) => {
+                if (key === 'suspended') return value ? 1 : 0;
+                if (key === 'subCategories') return JSON.stringify(value || []);
+                return value;
+            });
+            this.db.prepare(`UPDATE question_bank SET ${entries.map(([key]) => `${columns[key]} = ?`).join(', ')} WHERE id = ?`)
+                .run(...values, bankId);
+            return true;
+        } catch (error) {
+            console.error('Update bank question failed:', error);
+            throw error;
+        }
+    }
+
+    async deleteBankQuestion(bankId) {
+        try {
+            const remove = this.db.transaction(id => {
+                this.db.prepare('DELETE FROM question_bank_links WHERE bank_id = ?').run(id);
+                this.db.prepare('DELETE FROM question_bank_details WHERE bank_id = ?').run(id);
+                return this.db.prepare('DELETE FROM question_bank WHERE id = ?').run(id).changes > 0;
+            });
+            return remove(bankId);
+        } catch (error) {
+            console.error('Delete bank question failed:', error);
+            throw error;
+        }
+    }
+
+    // Questions of the active profile not yet merged into its bank, oldest first
+    async getUnbankedQuestions() {
+        try {
+            const rows = this.db.prepare(`
+                SELECT q.id, q.question_text, q.question_type, q.source, q.context, q.detected_at
+                FROM questions q
+                LEFT JOIN question_bank_links l ON l.question_id = q.id
+                WHERE l.question_id IS NULL AND q.session_id IN (${PROFILE_SESSIONS})
+                ORDER BY q.id ASC
+            `).all(this.activeProfileId);
+
+            return rows.map(row => {
+                let context = null;
+                try {
+                    context = row.context ? JSON.parse(this.decrypt(row.context)) : null;
+                } catch (error) {
+                    context = null;
+                }
+                return { ...row, question_text: this.decrypt(row.question_text), context };
+            });
+        } catch (error) {
+            console.error('Get unbanked questions failed:', error);
+            throw error;
+        }
+    }
+
+    async linkBankQuestion(questionId, bankId) {
+        try {
+            this.db.prepare('INSERT OR REPLACE INTO question_bank_links (question_id, bank_id) VALUES (?, ?)').run(questionId, bankId);
+        } catch (error) {
+            console.error('Link bank question failed:', error);
+            throw error;
+        }
+    }
+
+    // First feedback of each question linked to the active profile's bank whose score has not been applied yet
+    async getUnreviewedBankFeedback() {
+        try {
+            return this.db.prepare(`
+                SELECT l.question_id, l.bank_id, f.overall_score, f.created_at
+                FROM question_bank_links l
+                JOIN question_bank b ON b.id = l.bank_id
+                JOIN answer_feedback f ON f.id = (SELECT MIN(id) FROM answer_feedback WHERE question_id = l.question_id)
+                WHERE l.reviewed_at IS NULL AND b.profile_id = ?
+                ORDER BY f.created_at ASC, f.id ASC
+            `).all(this.activeProfileId);
+        } catch (error) {
+            console.error('Get unreviewed bank feedback failed:', error);
+            throw error;
+        }
+    }
+
+    async markBankLinkReviewed(questionId, reviewedAt = Date.now()) {
+        try {
+            this.db.prepare('UPDATE question_bank_links SET reviewed_at = ? WHERE question_id = ?').run(reviewedAt, questionId);
+        } catch (error) {
+            console.error('Mark bank link reviewed failed:', error);
+            throw error;
+        }
+    }
+
+    // Question Packs
+    async saveQuestionPack(packData) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO question_packs (pack_key, name, description, author, tags, source_format, imported_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(pack_key) DO UPDATE SET
+                    name = excluded.name,
+                    description = excluded.description,
+                    author = excluded.author,
+                    tags = excluded.tags,
+                    source_format = excluded.source_format,
+                    imported_at = excluded.imported_at
+            `);
+
+            stmt.run(
+                packData.packKey,
+                packData.name,
+                packData.description || null,
+                packData.author || null,
+                JSON.stringify(packData.tags || []),
+                packData.sourceFormat || null,
+                packData.importedAt || Date.now()
+            );
+
+            return {
+                success: true,
+                packId: this.db.prepare('SELECT id FROM question_packs WHERE pack_key = ?').get(packData.packKey).id
+            };
+        } catch (error) {
+            console.error('Save question pack failed:', error);
+            throw error;
+        }
+    }
+
+    async getQuestionPacks() {
+        try {
+            return this.db.prepare(`
+                SELECT p.*, (SELECT COUNT(*) FROM question_bank_details d WHERE d.pack_id = p.id) AS question_count
+                FROM question_packs p
+                ORDER BY p.imported_at DESC
+            `).all().map(row => ({
+                ...row,
+                tags: row.tags ? JSON.parse(row.tags) : []
+            }));
+        } catch (error) {
+            console.error('Get question packs failed:', error);
+            throw error;
+        }
+    }
+
+    async getBankQuestionDetails() {
+        try {
+            return this.db.prepare('SELECT * FROM question_bank_details').all().map(row => ({
+                ...row,
+                reference_answer: row.reference_answer ? this.decrypt(row.reference_answer) : null,
+                rubric: row.rubric ? JSON.parse(row.rubric) : [],
+                tags: row.tags ? JSON.parse(row.tags) : []
+            }));
+        } catch (error) {
+            console.error('Get bank question details failed:', error);
+            throw error;
+        }
+    }
+
+    async saveBankQuestionDetails(bankId, details) {
+        try {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO question_bank_details (bank_id, pack_id, difficulty, reference_answer, rubric, tags, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                bankId,
+                details.packId || null,
+                details.difficulty || null,
+                details.referenceAnswer ? this.encrypt(details.referenceAnswer) : null,
+                JSON.stringify(details.rubric || []),
+                JSON.stringify(details.tags || []),
+                Date.now()
+            );
+        } catch (error) {
+            console.error('Save bank question details failed:', error);
+            throw error;
+        }
+    }
+
+    // Question/answer pairs of a session in the order they were asked
+    async getConversationTurns(sessionId, limit = 50) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT q.id AS question_id, q.question_text, q.question_type, q.source, q.created_at,
+                       r.id AS response_id, r.response_text, r.model_used, r.token_count
+                FROM questions q
+                LEFT JOIN ai_responses r ON r.id = (
+                    SELECT MAX(id) FROM ai_responses WHERE question_id = q.id
+                )
+                WHERE q.session_id = ? AND q.session_id IN (${PROFILE_SESSIONS})
+                ORDER BY q.id DESC
+                LIMIT ?
+            `);
+
+            const turns = stmt.all(sessionId, this.activeProfileId, limit).reverse();
+
+            return turns.map(t => ({
+                ...t,
+                question_text: this.decrypt(t.question_text),
+                response_text: t.response_text ? this.decrypt(t.response_text) : null
+            }));
+        } catch (error) {
+            console.error('Get conversation turns failed:', error);
+            throw error;
+        }
+    }
+
     // User Preferences
     async saveUserPreferences(preferences) {
         try {
@@ -504,15 +1492,75 @@ class DatabaseService {
         }
     }
 
+    // Single key/value preference; objects and arrays are stored as JSON
+    async setPreference(key, value) {
+        try {
+            const dataType = value === null || typeof value === 'object' ? 'json' : typeof value;
+            const serialized = dataType === 'json' ? JSON.stringify(value) : String(value);
+
+            this.db.prepare(`
+                INSERT INTO user_preferences (key, value, data_type, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                    value = excluded.value,
+                    data_type = excluded.data_type,
+                    updated_at = excluded.updated_at
+            `).run(key, serialized, dataType, Date.now());
+
+            await this.logEvent('preference_saved', { key });
+            return true;
+        } catch (error) {
+            console.error('Set preference failed:', error);
+            throw error;
+        }
+    }
+
+    async getPreference(key, defaultValue = null) {
+        try {
+            const row = this.db.prepare('SELECT value, data_type FROM user_preferences WHERE key = ?').get(key);
+            if (!row) return defaultValue;
+            return this.parsePreference(row);
+        } catch (error) {
+            console.error('Get preference failed:', error);
+            return defaultValue;
+        }
+    }
+
+    // Every key/value preference as an object
+    async getAllPreferences() {
+        try {
+            const preferences = {};
+            this.db.prepare('SELECT key, value, data_type FROM user_preferences WHERE key IS NOT NULL ORDER BY key').all()
+                .forEach(row => { preferences[row.key] = this.parsePreference(row); });
+            return preferences;
+        } catch (error) {
+            console.error('Get all preferences failed:', error);
+            throw error;
+        }
+    }
+
+    parsePreference(row) {
+        switch (row.data_type) {
+            case 'json':
+                return JSON.parse(row.value);
+            case 'number':
+                return Number(row.value);
+            case 'boolean':
+                return row.value === 'true';
+            default:
+                return row.value;
+        }
+    }
+
     // Resume Management
     async storeResume(resumeData) {
         try {
-            // Deactivate previous resumes
-            this.db.prepare('UPDATE resume_data SET is_active = 0').run();
+            // Deactivate the profile's previous resumes
+            this.db.prepare('UPDATE resume_data SET is_active = 0 WHERE profile_id = ?').run(this.activeProfileId);
             
             const stmt = this.db.prepare(`
-                INSERT INTO resume_data (file_name, file_path, content, skills, experience, education)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO resume_data (file_name, file_path, content, skills, experience, education, profile_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
             `);
             
             const result = stmt.run(
@@ -521,9 +1569,11 @@ class DatabaseService {
                 this.encrypt(resumeData.content),
                 resumeData.skills ? this.encrypt(JSON.stringify(resumeData.skills)) : null,
                 resumeData.experience ? this.encrypt(JSON.stringify(resumeData.experience)) : null,
-                resumeData.education ? this.encrypt(JSON.stringify(resumeData.education)) : null
+                resumeData.education ? this.encrypt(JSON.stringify(resumeData.education)) : null,
+                this.activeProfileId
             );
             
+            this.indexForSearch('resume', result.lastInsertRowid);
             await this.logEvent('resume_uploaded', { 
                 resumeId: result.lastInsertRowid,
                 fileName: resumeData.fileName
@@ -543,12 +1593,12 @@ class DatabaseService {
         try {
             const stmt = this.db.prepare(`
                 SELECT * FROM resume_data 
-                WHERE is_active = 1 
-                ORDER BY uploaded_at DESC 
+                WHERE is_active = 1 AND profile_id = ?
+                ORDER BY uploaded_at DESC, id DESC
                 LIMIT 1
             `);
             
-            const resume = stmt.get();
+            const resume = stmt.get(this.activeProfileId);
             
             if (resume) {
                 return {
@@ -571,14 +1621,15 @@ class DatabaseService {
     async logEvent(eventType, eventData = {}) {
         try {
             const stmt = this.db.prepare(`
-                INSERT INTO analytics (event_type, event_data, session_id)
-                VALUES (?, ?, ?)
+                INSERT INTO analytics (event_type, event_data, session_id, profile_id)
+                VALUES (?, ?, ?, ?)
             `);
             
             stmt.run(
                 eventType,
                 JSON.stringify(eventData),
-                eventData.sessionId || null
+                eventData.sessionId || null,
+                this.activeProfileId
             );
         } catch (error) {
             console.error('Log event failed:', error);
@@ -587,32 +1638,91 @@ class DatabaseService {
 
     async getAnalytics(days = 30) {
         try {
-            const sinceTimestamp = Date.now() - (days * 24 * 60 * 60 * 1000);
+            // Event timestamps are stored in seconds
+            const sinceTimestamp = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
             
             const stmt = this.db.prepare(`
                 SELECT event_type, COUNT(*) as count, 
-                       DATE(timestamp/1000, 'unixepoch') as date
+                       DATE(timestamp, 'unixepoch') as date
                 FROM analytics 
-                WHERE timestamp >= ?
+                WHERE timestamp >= ? AND profile_id = ?
                 GROUP BY event_type, date
                 ORDER BY date DESC, count DESC
             `);
             
-            return stmt.all(sinceTimestamp);
+            return stmt.all(sinceTimestamp, this.activeProfileId);
         } catch (error) {
             console.error('Get analytics failed:', error);
             return [];
         }
     }
 
+    /**
+     * Questions, graded and spoken answers and AI response times of the active
+     * profile since the given epoch ms, decrypted, for the progress dashboard
+     */
+    async getPracticeRecords(since = 0) {
+        try {
+            const sinceSeconds = Math.floor(since / 1000);
+            const profileId = this.activeProfileId;
+
+            const questions = this.db.prepare(`
+                SELECT q.id, q.session_id, q.question_text, q.question_type, q.source, q.detected_at, s.job_description
+                FROM questions q
+                JOIN sessions s ON q.session_id = s.session_id
+                WHERE q.detected_at >= ? AND s.profile_id = ?
+                ORDER BY q.detected_at ASC
+            `).all(sinceSeconds, profileId).map(row => ({ ...row, question_text: this.decrypt(row.question_text) }));
+
+            const feedback = this.db.prepare(`
+                SELECT f.id, f.question_id, f.session_id, f.answer_source, f.question_type, f.overall_score, f.feedback, f.created_at
+                FROM answer_feedback f
+                WHERE f.created_at >= ? AND f.session_id IN (${PROFILE_SESSIONS})
+                ORDER BY f.created_at ASC
+            `).all(sinceSeconds, profileId).map(row => ({ ...row, feedback: row.feedback ? JSON.parse(row.feedback) : null }));
+
+            const spokenAnswers = this.db.prepare(`
+                SELECT a.id, a.question_id, a.session_id, a.start_time, a.end_time, a.created_at
+                FROM spoken_answers a
+                WHERE a.created_at >= ? AND a.session_id IN (${PROFILE_SESSIONS})
+                ORDER BY a.created_at ASC
+            `).all(sinceSeconds, profileId);
+
+            const responses = this.db.prepare(`
+                SELECT r.id, r.question_id, r.session_id, r.model_used, r.response_time, r.created_at
+                FROM ai_responses r
+                WHERE r.created_at >= ? AND r.session_id IN (${PROFILE_SESSIONS})
+                ORDER BY r.created_at ASC
+            `).all(sinceSeconds, profileId);
+
+            const latestSession = this.db.prepare(`
+                SELECT job_description FROM sessions
+                WHERE profile_id = ? AND job_description IS NOT NULL AND job_description != ''
+                ORDER BY start_time DESC LIMIT 1
+            `).get(profileId);
+
+            return {
+                questions,
+                feedback,
+                spokenAnswers,
+                responses,
+                latestJobDescription: latestSession ? latestSession.job_description : null
+            };
+        } catch (error) {
+            console.error('Get practice records failed:', error);
+            throw error;
+        }
+    }
+
     // Stats Management
     async loadStats() {
         try {
-            // Load stats from database
-            const questionsCount = this.db.prepare('SELECT COUNT(*) as count FROM questions').get().count;
-            const responsesCount = this.db.prepare('SELECT COUNT(*) as count FROM ai_responses').get().count;
-            const sessionsCount = this.db.prepare('SELECT COUNT(*) as count FROM sessions').get().count;
-            const lastActivity = this.db.prepare('SELECT MAX(created_at) as last FROM analytics').get().last;
+            // Load stats of the active profile from database
+            const profileId = this.activeProfileId;
+            const questionsCount = this.db.prepare(`SELECT COUNT(*) as count FROM questions WHERE session_id IN (${PROFILE_SESSIONS})`).get(profileId).count;
+            const responsesCount = this.db.prepare(`SELECT COUNT(*) as count FROM ai_responses WHERE session_id IN (${PROFILE_SESSIONS})`).get(profileId).count;
+            const sessionsCount = this.db.prepare('SELECT COUNT(*) as count FROM sessions WHERE profile_id = ?').get(profileId).count;
+            const lastActivity = this.db.prepare('SELECT MAX(timestamp) as last FROM analytics WHERE profile_id = ?').get(profileId).last;
             
             this.stats = {
                 questionsStored: questionsCount,
@@ -640,34 +1750,15 @@ class DatabaseService {
     }
 
     // Utility Methods
+    // Field encryption (see FieldCipher); failures throw rather than store or return plaintext
     encrypt(text) {
         if (!text) return text;
-        
-        try {
-            const iv = crypto.randomBytes(16);
-            const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
-            let encrypted = cipher.update(text, 'utf8', 'hex');
-            encrypted += cipher.final('hex');
-            return iv.toString('hex') + ':' + encrypted;
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            return text; // Return original text if encryption fails
-        }
+        return this.cipher.encrypt(text);
     }
 
     decrypt(encryptedText) {
-        if (!encryptedText || !encryptedText.includes(':')) return encryptedText;
-        
-        try {
-            const [ivHex, encrypted] = encryptedText.split(':');
-            const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
-            let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-            decrypted += decipher.final('utf8');
-            return decrypted;
-        } catch (error) {
-            console.error('Decryption failed:', error);
-            return encryptedText; // Return original text if decryption fails
-        }
+        if (!encryptedText) return encryptedText;
+        return this.cipher.decrypt(encryptedText);
     }
 
     generateSessionId() {
@@ -726,6 +1817,203 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Restore a blob written by exportData()
+     *
+     * @param {Object} data - { sessions, questions, responses, preferences, resume }
+     * @param {Object} options - see importTables
+     */
+    async importData(data, options = {}) {
+        const tables = {
+            sessions: data.sessions || [],
+            questions: (data.questions || []).map(question => ({
+                ...question,
+                context: question.context ? JSON.stringify(question.context) : null
+            })),
+            ai_responses: data.responses || [],
+            user_preferences: Object.entries(data.preferences || {}).map(([key, value]) => {
+                const dataType = value === null || typeof value === 'object' ? 'json' : typeof value;
+                return { key, value: dataType === 'json' ? JSON.stringify(value) : String(value), data_type: dataType };
+            }),
+            resume_data: data.resume ? [{
+                ...data.resume,
+                skills: data.resume.skills ? JSON.stringify(data.resume.skills) : null,
+                experience: data.resume.experience ? JSON.stringify(data.resume.experience) : null,
+                education: data.resume.education ? JSON.stringify(data.resume.education) : null
+            }] : []
+        };
+        return this.importTables(tables, options);
+    }
+
+    // Restore categories and the tables each one covers
+    getBackupCategories() {
+        const categories = {};
+        BACKUP_TABLES.forEach(({ table, category }) => {
+            categories[category] = [...(categories[category] || []), table];
+        });
+        return categories;
+    }
+
+    /**
+     * Rows of the backup tables with encrypted columns decrypted, so a backup
+     * does not depend on this installation's data keys
+     *
+     * @param {Array<string>} categories - all when omitted
+     * @returns {Object} table name -> rows
+     */
+    exportTables(categories = null) {
+        const tables = {};
+        BACKUP_TABLES
+            .filter(spec => !categories || categories.includes(spec.category))
+            .forEach(({ table }) => {
+                const encrypted = ENCRYPTED_COLUMNS[table] || [];
+                tables[table] = this.db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all().map(row => {
+                    encrypted.forEach(column => {
+                        if (row[column]) row[column] = this.decrypt(row[column]);
+                    });
+                    return row;
+                });
+            });
+        return tables;
+    }
+
+    // Fingerprints are keyed per installation and profile, and older backups hold unkeyed ones
+    fingerprintRestoredBankEntry(row) {
+        if (row.profile_id === null || row.profile_id === undefined) row.profile_id = this.activeProfileId;
+        if (row.question_text) row.fingerprint = this.fingerprintQuestion(normalizeQuestion(row.question_text), row.profile_id);
+    }
+
+    /**
+     * Write backed-up rows into the database in one transaction.
+     *
+     * `replace` empties each restored table and inserts the rows with their
+     * original ids. `merge` keeps local rows and adds the others under new ids
+     * (see BACKUP_TABLES). References to tables that are not restored are kept
+     * as they are, so foreign keys are not enforced during the restore. Columns
+     * this schema does not have are ignored.
+     *
+     * @param {Object} tables - table name -> rows, as from exportTables()
+     * @param {Object} options - { mode: 'merge' | 'replace', categories (all when omitted) }
+     * @returns {Promise<Object>} table name -> { restored, skipped }
+     */
+    async importTables(tables, { mode = 'merge', categories = null } = {}) {
+        if (!['merge', 'replace'].includes(mode)) {
+            throw new Error(`Unknown restore mode: ${mode}`);
+        }
+
+        try {
+            const specs = BACKUP_TABLES.filter(spec => Array.isArray(tables[spec.table]) && (!categories || categories.includes(spec.category)));
+            const restoredTables = new Set(specs.map(spec => spec.table));
+            const idMaps = {};
+            const result = {};
+
+            const run = this.db.transaction(() => {
+                specs.forEach(spec => {
+                    const columns = this.db.prepare(`PRAGMA table_info(${spec.table})`).all();
+                    const columnNames = new Set(columns.map(column => column.name));
+                    const notNull = new Set(columns.filter(column => column.notnull).map(column => column.name));
+                    const primaryKey = spec.primaryKey || 'id';
+                    const encrypted = ENCRYPTED_COLUMNS[spec.table] || [];
+                    const idMap = idMaps[spec.table] = new Map();
+                    const counts = result[spec.table] = { restored: 0, skipped: 0 };
+                    const inserts = new Map();
+
+                    if (mode === 'replace') {
+                        this.db.prepare(`DELETE FROM ${spec.table}`).run();
+                    }
+                    const sessionsWithRows = mode === 'merge' && spec.session
+                        ? new Set(this.db.prepare(`SELECT DISTINCT session_id FROM ${spec.table}`).all().map(row => row.session_id))
+                        : new Set();
+                    const findExisting = mode === 'merge' && spec.unique
+                        ? this.db.prepare(`SELECT ${primaryKey} AS id FROM ${spec.table} WHERE ${spec.unique.map(column => `${column} IS ?`).join(' AND ')}`)
+                        : null;
+
+                    tables[spec.table].forEach(source => {
+                        const row = {};
+                        Object.keys(source).forEach(column => {
+                            if (columnNames.has(column)) row[column] = source[column];
+                        });
+
+                        if (mode === 'merge') {
+                            if (spec.session && sessionsWithRows.has(row.session_id)) {
+                                counts.skipped++;
+                                return;
+                            }
+
+                            // Rows that reference rows which were not restored lose the reference, or are left out when it is required
+                            const unresolved = Object.entries(spec.refs || {}).some(([column, target]) => {
+                                if (row[column] === null || row[column] === undefined || !restoredTables.has(target)) return false;
+                                const mapped = idMaps[target].get(row[column]);
+                                row[column] = mapped === undefined ? null : mapped;
+                                return mapped === undefined && (notNull.has(column) || column === primaryKey);
+                            });
+                            if (unresolved) {
+                                counts.skipped++;
+                                return;
+                            }
+
+                            if (spec.table === 'question_bank') this.fingerprintRestoredBankEntry(row);
+                            const existing = findExisting ? findExisting.get(...spec.unique.map(column => row[column] ?? null)) : null;
+                            if (existing) {
+                                if (source[primaryKey] !== undefined) idMap.set(source[primaryKey], existing.id);
+                                counts.skipped++;
+                                return;
+                            }
+                            if (primaryKey === 'id') delete row.id;
+                        } else if (spec.table === 'question_bank') {
+                            this.fingerprintRestoredBankEntry(row);
+                        }
+
+                        encrypted.forEach(column => {
+                            if (row[column]) row[column] = this.encrypt(row[column]);
+                        });
+                        if (UPDATED_AT_MS_TABLES.includes(spec.table) && row.updated_at < SECONDS_BEFORE) {
+                            row.updated_at *= 1000;
+                        }
+
+                        const names = Object.keys(row);
+                        const statement = names.join(', ');
+                        if (!inserts.has(statement)) {
+                            inserts.set(statement, this.db.prepare(`INSERT INTO ${spec.table} (${statement}) VALUES (${names.map(() => '?').join(', ')})`));
+                        }
+                        const inserted = inserts.get(statement).run(...names.map(name => row[name]));
+                        if (source[primaryKey] !== undefined) {
+                            idMap.set(source[primaryKey], primaryKey === 'id' ? (row.id ?? inserted.lastInsertRowid) : row[primaryKey]);
+                        }
+                        counts.restored++;
+                    });
+                });
+
+                // Restored rows replace or add to what the index covers
+                if (this.searchIndex) {
+                    this.searchIndex.clear();
+                    this.indexSearchDocuments();
+                }
+            });
+            // Cannot be changed inside a transaction
+            this.db.pragma('foreign_keys = OFF');
+            try {
+                run();
+            } finally {
+                this.db.pragma('foreign_keys = ON');
+            }
+
+            // Replaced profiles can take the active one with them; rows from older backups have none
+            await this.loadActiveProfile();
+            PROFILE_TABLES.forEach(table => {
+                this.db.prepare(`UPDATE ${table} SET profile_id = ? WHERE profile_id IS NULL OR profile_id NOT IN (SELECT id FROM profiles)`)
+                    .run(this.activeProfileId);
+            });
+
+            await this.loadStats();
+            await this.logEvent('data_restored', { mode, tables: result });
+            return result;
+        } catch (error) {
+            console.error('Import data failed:', error);
+            throw error;
+        }
+    }
+
     // Cleanup and Maintenance
     async cleanup(options = {}) {
         try {
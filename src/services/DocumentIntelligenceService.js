@@ -1,69 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const SkillTaxonomy = require('./SkillTaxonomy');
+const DocumentPipeline = require('./DocumentPipeline');
 
 class DocumentIntelligenceService {
-    constructor(aiService = null) {
+    constructor(aiService = null, ocrService = null, skillTaxonomy = null) {
         this.aiService = aiService;
+        this.ocrService = ocrService;
         
-        // Industry-specific skill categories
-        this.skillCategories = {
-            programming: {
-                keywords: [
-                    'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Go', 'Rust', 'Swift',
-                    'Kotlin', 'TypeScript', 'R', 'MATLAB', 'Scala', 'Perl', 'Objective-C', 'Dart',
-                    'Assembly', 'COBOL', 'Fortran', 'Haskell', 'Lisp', 'Prolog', 'SQL', 'NoSQL'
-                ],
-                weight: 1.0
-            },
-            frameworks: {
-                keywords: [
-                    'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
-                    'Laravel', 'Rails', 'jQuery', 'Bootstrap', 'Tailwind', 'Electron', 'React Native',
-                    'Flutter', 'ASP.NET', 'Symfony', 'CodeIgniter', 'Hibernate', 'Struts'
-                ],
-                weight: 0.9
-            },
-            databases: {
-                keywords: [
-                    'MySQL', 'PostgreSQL', 'MongoDB', 'SQLite', 'Redis', 'Cassandra', 'Oracle',
-                    'SQL Server', 'MariaDB', 'DynamoDB', 'Elasticsearch', 'Neo4j', 'CouchDB',
-                    'Firebase', 'InfluxDB'
-                ],
-                weight: 0.8
-            },
-            cloud: {
-                keywords: [
-                    'AWS', 'Azure', 'GCP', 'Google Cloud', 'Docker', 'Kubernetes', 'Jenkins',
-                    'CI/CD', 'Terraform', 'Ansible', 'Puppet', 'Chef', 'Vagrant', 'OpenStack',
-                    'CloudFormation', 'Serverless', 'Lambda', 'EC2', 'S3'
-                ],
-                weight: 0.9
-            },
-            tools: {
-                keywords: [
-                    'Git', 'GitHub', 'GitLab', 'Bitbucket', 'SVN', 'Mercurial', 'JIRA', 'Confluence',
-                    'Slack', 'Trello', 'Asana', 'Notion', 'Figma', 'Adobe XD', 'Sketch', 'InVision',
-                    'Postman', 'Insomnia', 'Swagger', 'REST', 'GraphQL', 'SOAP'
-                ],
-                weight: 0.7
-            },
-            methodologies: {
-                keywords: [
-                    'Agile', 'Scrum', 'Kanban', 'DevOps', 'TDD', 'BDD', 'CI/CD', 'Microservices',
-                    'SOA', 'MVC', 'MVP', 'MVVM', 'Clean Architecture', 'Domain-Driven Design',
-                    'Event-Driven Architecture', 'RESTful', 'Waterfall', 'Lean'
-                ],
-                weight: 0.8
-            },
-            softSkills: {
-                keywords: [
-                    'Leadership', 'Communication', 'Teamwork', 'Problem Solving', 'Critical Thinking',
-                    'Creativity', 'Adaptability', 'Time Management', 'Project Management',
-                    'Collaboration', 'Mentoring', 'Public Speaking', 'Writing', 'Research'
-                ],
-                weight: 0.6
-            }
-        };
+        // Canonical skills, aliases, categories and parent/child relations (data/skill-taxonomy.json)
+        this.skillTaxonomy = skillTaxonomy || new SkillTaxonomy();
+
+        // Loading, normalizing, sectioning and resume extraction
+        this.documentPipeline = new DocumentPipeline(this.skillTaxonomy);
 
         // Experience level indicators
         this.experienceLevels = {
@@ -73,6 +22,35 @@ class DocumentIntelligenceService {
             executive: ['director', 'vp', 'cto', 'ceo', 'head of', 'chief', 'executive']
         };
 
+        // Job description section headings, checked in order at the start of a short line
+        this.jobSectionHeadings = [
+            ['niceToHave', /^(?:nice[- ]to[- ]haves?|preferred(?: qualifications| skills| experience)?|bonus(?: points)?|(?:it'?s )?a plus|pluses|good to have|desired(?: qualifications| skills)?)/i],
+            ['requirements', /^(?:requirements|(?:minimum |basic |required )?qualifications|required (?:skills|experience)|must[- ]haves?|what you(?:'ll)? (?:need|bring)|what we(?:'re| are) looking for|who you are|about you|you have|skills(?: (?:&|and) (?:experience|qualifications))?|experience)/i],
+            ['responsibilities', /^(?:(?:key |main |core )?responsibilities|what you(?:'ll| will)? (?:do|be doing|work on)|your (?:role|responsibilities|impact|mission)|the role|role overview|duties|day[- ]to[- ]day|in this role(?: you will)?)/i],
+            ['benefits', /^(?:benefits|perks(?: (?:&|and) benefits)?|what we offer|why (?:join us|work with us|you'll love working here)|we offer)/i],
+            ['compensation', /^(?:compensation(?: (?:&|and) benefits)?|salary(?: range)?|pay(?: range)?|base pay)/i],
+            ['about', /^(?:[Aa]bout (?:us|the company|the team|[A-Z][\w&.'-]*(?: [A-Z][\w&.'-]*){0,3})|[Ww]ho we are|[Cc]ompany overview|[Oo]ur (?:company|story|mission))/]
+        ];
+
+        this.jobRolePattern = /\b(?:engineer|developer|manager|designer|analyst|scientist|architect|specialist|consultant|lead|director|administrator|coordinator|intern|programmer|officer|researcher|head of)\b/i;
+        this.jobActionVerbPattern = /^(?:design|build|develop|lead|own|maintain|implement|collaborate|work with|drive|manage|create|write|support|mentor|partner|deliver|improve|ensure|define|architect)\b/i;
+
+        // Benefit categories recognized in job descriptions
+        this.benefitKeywords = {
+            'Health insurance': /\b(?:health|medical)\b.*\b(?:insurance|coverage|benefits|plan)\b/i,
+            'Dental': /\bdental\b/i,
+            'Vision': /\bvision\s+(?:insurance|coverage|care|plan)\b/i,
+            'Retirement plan': /\b(?:401\s?\(?k\)?|pension|retirement (?:plan|savings)|superannuation|provident fund)/i,
+            'Equity': /\b(?:equity|stock options?|RSUs?|ESOP|share options?)\b/i,
+            'Paid time off': /\b(?:paid time off|PTO|vacation|paid holidays|annual leave)\b/i,
+            'Parental leave': /\b(?:parental|maternity|paternity) leave\b/i,
+            'Flexible work': /\b(?:remote work|work from home|flexible (?:hours|working|schedule))\b/i,
+            'Learning budget': /\b(?:learning|education|training|conference|development) (?:budget|stipend|allowance)\b/i,
+            'Wellness': /\b(?:gym|wellness|fitness|mental health)\b/i,
+            'Bonus': /\b(?:bonus|profit sharing)\b/i,
+            'Equipment': /\b(?:home office|equipment|laptop) (?:stipend|budget|allowance)\b/i
+        };
+
         // Industry keywords
         this.industries = {
             technology: ['tech', 'software', 'IT', 'computer', 'digital', 'internet', 'web'],
@@ -90,12 +68,24 @@ class DocumentIntelligenceService {
             jobDescriptionsProcessed: 0,
             totalProcessingTime: 0,
             averageMatchScore: 0,
+            matchesCalculated: 0,
             skillsExtracted: 0
         };
     }
 
+    // { [category]: { keywords, weight } } view of the taxonomy
+    get skillCategories() {
+        return this.skillTaxonomy.getCategories();
+    }
+
     /**
      * Enhanced resume analysis with AI-powered insights
+     *
+     * Returns the canonical resume schema (see DocumentPipeline) used by every
+     * resume consumer in the app.
+     *
+     * @param {string} resumeText - resume text
+     * @param {Object} options - { useAI, aiModel, source: { fileName, filePath, fileType } }
      */
     async analyzeResume(resumeText, options = {}) {
         const startTime = Date.now();
@@ -103,56 +93,27 @@ class DocumentIntelligenceService {
         try {
             console.log('🔍 Starting enhanced resume analysis...');
 
-            // Basic text processing
-            const cleanedText = this.cleanText(resumeText);
-            
-            // Extract structured data
-            const basicInfo = this.extractBasicInfo(cleanedText);
-            const skills = this.extractSkills(cleanedText);
-            const experience = this.extractExperience(cleanedText);
-            const education = this.extractEducation(cleanedText);
-            const projects = this.extractProjects(cleanedText);
-            const certifications = this.extractCertifications(cleanedText);
+            // Normalize, split into sections and extract structured data
+            const resume = this.documentPipeline.parseResume(resumeText, options.source);
             
             // AI-enhanced analysis if available
             let aiInsights = null;
             if (this.aiService && options.useAI !== false) {
-                aiInsights = await this.getAIResumeInsights(cleanedText, options);
+                aiInsights = await this.getAIResumeInsights(resume.text, options);
             }
 
             // Calculate experience level
-            const experienceLevel = this.determineExperienceLevel(experience, cleanedText);
-            
-            // Industry detection
-            const detectedIndustries = this.detectIndustries(cleanedText);
+            resume.experience.level = this.determineExperienceLevel(resume.experience, resume.text);
 
             const result = {
                 success: true,
-                basicInfo,
-                skills: {
-                    technical: skills.technical,
-                    soft: skills.soft,
-                    tools: skills.tools,
-                    total: skills.total
-                },
-                experience: {
-                    jobs: experience.jobs,
-                    totalYears: experience.totalYears,
-                    level: experienceLevel,
-                    summary: experience.summary
-                },
-                education: {
-                    degrees: education.degrees,
-                    institutions: education.institutions,
-                    certifications: certifications
-                },
-                projects: projects,
-                industries: detectedIndustries,
+                ...resume,
+                industries: this.detectIndustries(resume.text),
                 aiInsights: aiInsights,
                 metadata: {
                     processingTime: Date.now() - startTime,
-                    textLength: cleanedText.length,
-                    confidenceScore: this.calculateResumeConfidence(skills, experience, education)
+                    textLength: resume.text.length,
+                    confidenceScore: this.calculateResumeConfidence(resume.skills, resume.experience, resume.education)
                 }
             };
 
@@ -171,6 +132,35 @@ class DocumentIntelligenceService {
         }
     }
 
+    /**
+     * Load a PDF, DOCX or TXT resume and analyze it
+     */
+    async analyzeResumeFile(filePath, options = {}) {
+        try {
+            const document = await this.documentPipeline.loadDocument(filePath);
+            return await this.analyzeResume(document.text, { ...options, source: document.source });
+        } catch (error) {
+            console.error('❌ Resume file loading error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * AI insights for an analyzed resume (or resume text)
+     */
+    async generateResumeInsights(resumeData, options = {}) {
+        const text = typeof resumeData === 'string' ? resumeData : resumeData && resumeData.text;
+        if (!text) {
+            return { success: false, error: 'Resume text is required for insights' };
+        }
+        if (!this.aiService) {
+            return { success: false, error: 'AI service not available' };
+        }
+
+        const insights = await this.getAIResumeInsights(text, options);
+        return { success: !!insights, insights };
+    }
+
     /**
      * Enhanced job description analysis
      */
@@ -180,14 +170,16 @@ class DocumentIntelligenceService {
         try {
             console.log('🔍 Starting job description analysis...');
 
-            const cleanedText = this.cleanText(jobText);
+            // Line breaks and currency symbols carry meaning here
+            const cleanedText = this.documentPipeline.normalizeText(jobText);
+            const sections = this.splitJobSections(cleanedText);
             
             // Extract structured data
-            const basicInfo = this.extractJobBasicInfo(cleanedText);
-            const requirements = this.extractJobRequirements(cleanedText);
-            const responsibilities = this.extractJobResponsibilities(cleanedText);
-            const benefits = this.extractJobBenefits(cleanedText);
-            const compensation = this.extractCompensation(cleanedText);
+            const basicInfo = this.extractJobBasicInfo(cleanedText, sections);
+            const requirements = this.extractJobRequirements(cleanedText, sections);
+            const responsibilities = this.extractJobResponsibilities(cleanedText, sections);
+            const benefits = this.extractJobBenefits(cleanedText, sections);
+            const compensation = this.extractCompensation(cleanedText, sections);
             
             // AI-enhanced analysis
             let aiInsights = null;
@@ -196,7 +188,7 @@ class DocumentIntelligenceService {
             }
 
             // Determine job level and industry
-            const jobLevel = this.determineJobLevel(cleanedText, requirements.experience);
+            const jobLevel = this.determineJobLevel(cleanedText, requirements.experience, basicInfo.title);
             const detectedIndustries = this.detectIndustries(cleanedText);
             const companySize = this.estimateCompanySize(cleanedText);
 
@@ -241,339 +233,271 @@ class DocumentIntelligenceService {
 
     /**
      * Calculate match score between resume and job description
+     *
+     * @param {Object|string} resumeAnalysis - analyzeResume() result or resume text
+     * @param {Object|string} jobAnalysis - analyzeJobDescription() result or job description text
+     * @param {Object} weights - optional { skills, experience, education, industry } weights
      */
-    calculateMatchScore(resumeAnalysis, jobAnalysis) {
-        if (!resumeAnalysis.success || !jobAnalysis.success) {
-            return { score: 0, details: { error: 'Analysis failed' } };
+    async calculateMatchScore(resumeAnalysis, jobAnalysis, weights = {}) {
+        if (typeof resumeAnalysis === 'string') {
+            resumeAnalysis = await this.analyzeResume(resumeAnalysis, { useAI: false });
+        }
+        if (typeof jobAnalysis === 'string') {
+            jobAnalysis = await this.analyzeJobDescription(jobAnalysis, { useAI: false });
         }
 
-        const scores = {
-            skills: 0,
-            experience: 0,
-            education: 0,
-            industry: 0,
-            overall: 0
-        };
-
-        // Skills matching (40% weight)
-        scores.skills = this.calculateSkillsMatch(
-            resumeAnalysis.skills,
-            jobAnalysis.requirements.skills
-        ) * 0.4;
+        if (!resumeAnalysis || !jobAnalysis || resumeAnalysis.success === false || jobAnalysis.success === false) {
+            return { score: 0, details: { error: 'Analysis failed' } };
+        }
 
-        // Experience matching (30% weight)
-        scores.experience = this.calculateExperienceMatch(
-            resumeAnalysis.experience,
-            jobAnalysis.requirements.experience
-        ) * 0.3;
+        const componentWeights = { skills: 0.4, experience: 0.3, education: 0.15, industry: 0.15, ...weights };
+        const requirements = jobAnalysis.requirements || {};
+        const resumeLines = this.getResumeLines(resumeAnalysis);
 
-        // Education matching (15% weight)
-        scores.education = this.calculateEducationMatch(
-            resumeAnalysis.education,
-            jobAnalysis.requirements.education
-        ) * 0.15;
+        const details = {
+            skills: this.calculateSkillsMatch(resumeAnalysis.skills, requirements.skills, resumeLines),
+            experience: this.calculateExperienceMatch(this.getResumeExperience(resumeAnalysis), requirements.experience),
+            education: this.calculateEducationMatch(resumeAnalysis.education, requirements.education),
+            industry: this.calculateIndustryMatch(resumeAnalysis.industries, jobAnalysis.industries)
+        };
 
-        // Industry matching (15% weight)
-        scores.industry = this.calculateIndustryMatch(
-            resumeAnalysis.industries,
-            jobAnalysis.industries
-        ) * 0.15;
+        // Components the job description says nothing about are left out and the rest re-weighted
+        let weightedSum = 0;
+        let totalWeight = 0;
+        const breakdown = {};
+        Object.entries(details).forEach(([component, result]) => {
+            if (result.score === null) {
+                breakdown[component] = null;
+                return;
+            }
+            weightedSum += result.score * componentWeights[component];
+            totalWeight += componentWeights[component];
+            breakdown[component] = Math.round(result.score * 100);
+        });
 
-        scores.overall = scores.skills + scores.experience + scores.education + scores.industry;
+        const score = totalWeight > 0 ? Math.round(weightedSum / totalWeight * 100) / 100 : 0;
+        if (totalWeight > 0) {
+            this.updateMatchStats(score);
+        }
 
         return {
-            score: Math.round(scores.overall * 100) / 100,
-            breakdown: {
-                skills: Math.round(scores.skills / 0.4 * 100),
-                experience: Math.round(scores.experience / 0.3 * 100),
-                education: Math.round(scores.education / 0.15 * 100),
-                industry: Math.round(scores.industry / 0.15 * 100)
-            },
-            recommendations: this.generateMatchRecommendations(resumeAnalysis, jobAnalysis, scores)
+            score,
+            breakdown,
+            details,
+            recommendations: this.generateMatchRecommendations(resumeLines, details)
         };
     }
 
     /**
-     * Clean and normalize text
-     */
-    cleanText(text) {
-        return text
-            .replace(/\r\n/g, '\n')
-            .replace(/\s+/g, ' ')
-            .replace(/[^\w\s\.\,\;\:\!\?\-\(\)\[\]]/g, '')
-            .trim();
-    }
-
-    /**
-     * Extract basic information from resume
+     * Generate interview questions tailored to a resume and job description.
+     * Accepts analyzeResume()/analyzeJobDescription() results, the app's parsed
+     * resume ({ skills: [], experience, ... }) or raw job description text.
+     *
+     * @param {Object} options - { count, categories, companyName, jobLevel }
      */
-    extractBasicInfo(text) {
-        const info = {
-            name: null,
-            email: null,
-            phone: null,
-            location: null,
-            linkedin: null,
-            github: null,
-            website: null
-        };
+    async generateInterviewQuestions(resumeData = {}, jobData = {}, options = {}) {
+        const startTime = Date.now();
 
-        // Extract email
-        const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-        if (emailMatch) info.email = emailMatch[0];
-
-        // Extract phone
-        const phoneMatch = text.match(/(\+?\d{1,3}[-.]?)?\(?\d{3}\)?[-.]?\d{3}[-.]?\d{4}/);
-        if (phoneMatch) info.phone = phoneMatch[0];
-
-        // Extract LinkedIn
-        const linkedinMatch = text.match(/linkedin\.com\/in\/[\w-]+/i);
-        if (linkedinMatch) info.linkedin = linkedinMatch[0];
-
-        // Extract GitHub
-        const githubMatch = text.match(/github\.com\/[\w-]+/i);
-        if (githubMatch) info.github = githubMatch[0];
-
-        // Extract name (heuristic approach)
-        const lines = text.split('\n').filter(line => line.trim().length > 0);
-        for (const line of lines.slice(0, 5)) {
-            if (line.length < 50 && line.length > 5 && 
-                !line.includes('@') && !line.includes('http') &&
-                /^[A-Za-z\s\.]+$/.test(line)) {
-                info.name = line.trim();
-                break;
+        try {
+            let jobAnalysis = jobData || {};
+            let jobText = '';
+            if (typeof jobData === 'string') {
+                jobText = jobData;
+                jobAnalysis = jobData.trim() ? await this.analyzeJobDescription(jobData, { useAI: false }) : {};
             }
-        }
 
-        return info;
-    }
+            const jobLevel = options.jobLevel || jobAnalysis.jobLevel ||
+                (resumeData && resumeData.experience && resumeData.experience.level) || 'mid';
+            const focusSkills = this.getInterviewFocusSkills(resumeData || {}, jobAnalysis, jobText);
+            const company = options.companyName || (jobAnalysis.basicInfo && jobAnalysis.basicInfo.company) || null;
+            const role = (jobAnalysis.basicInfo && jobAnalysis.basicInfo.title) || null;
 
-    /**
-     * Extract skills with categorization and confidence scoring
-     */
-    extractSkills(text) {
-        const lowerText = text.toLowerCase();
-        const extractedSkills = {
-            technical: [],
-            soft: [],
-            tools: [],
-            total: 0
-        };
+            const bank = this.buildInterviewQuestionBank({ resumeData: resumeData || {}, focusSkills, jobLevel, company, role });
+            const questions = this.selectInterviewQuestions(bank, options.count || 8, options.categories);
 
-        Object.entries(this.skillCategories).forEach(([category, data]) => {
-            data.keywords.forEach(skill => {
-                if (lowerText.includes(skill.toLowerCase())) {
-                    const skillObj = {
-                        name: skill,
-                        category: category,
-                        confidence: this.calculateSkillConfidence(skill, text),
-                        weight: data.weight
-                    };
-
-                    if (category === 'softSkills') {
-                        extractedSkills.soft.push(skillObj);
-                    } else if (category === 'tools') {
-                        extractedSkills.tools.push(skillObj);
-                    } else {
-                        extractedSkills.technical.push(skillObj);
-                    }
+            return {
+                success: true,
+                questions,
+                jobLevel,
+                focusSkills,
+                company,
+                metadata: {
+                    processingTime: Date.now() - startTime,
+                    available: bank.length
                 }
-            });
-        });
-
-        extractedSkills.total = extractedSkills.technical.length + 
-                              extractedSkills.soft.length + 
-                              extractedSkills.tools.length;
+            };
 
-        return extractedSkills;
+        } catch (error) {
+            console.error('❌ Interview question generation error:', error);
+            return {
+                success: false,
+                error: error.message,
+                processingTime: Date.now() - startTime
+            };
+        }
     }
 
     /**
-     * Extract work experience with enhanced parsing
+     * Skills to ask about: shared skills first, then job skills missing from the
+     * resume (gaps worth probing), then the rest of the resume
      */
-    extractExperience(text) {
-        const experience = {
-            jobs: [],
-            totalYears: 0,
-            summary: ''
-        };
+    getInterviewFocusSkills(resumeData, jobAnalysis, jobText = '', limit = 6) {
+        const resumeSkills = this.collectSkillNames(resumeData.skills);
+        let jobSkills = this.collectSkillNames(jobAnalysis.requirements && jobAnalysis.requirements.skills);
+        if (jobSkills.length === 0 && jobText) {
+            jobSkills = this.collectSkillNames(this.extractSkills(jobText));
+        }
 
-        const lines = text.split('\n');
-        let currentJob = null;
-        let inExperienceSection = false;
-
-        const experienceKeywords = ['experience', 'employment', 'work history', 'career', 'professional'];
-        const jobTitlePatterns = [
-            /(?:software|web|frontend|backend|full.?stack|mobile)\s+(?:developer|engineer|programmer)/gi,
-            /(?:senior|junior|lead|principal|staff)\s+(?:developer|engineer|programmer)/gi,
-            /(?:data|machine learning|ai)\s+(?:scientist|engineer|analyst)/gi,
-            /(?:product|project|program)\s+manager/gi,
-            /(?:ui|ux)\s+(?:designer|developer)/gi,
-            /(?:devops|site reliability)\s+engineer/gi,
-            /(?:quality assurance|qa)\s+(?:engineer|analyst)/gi
-        ];
+        const resumeKeys = new Set(resumeSkills.map(skill => this.canonicalSkill(skill)));
+        const jobKeys = new Set(jobSkills.map(skill => this.canonicalSkill(skill)));
 
-        lines.forEach(line => {
-            const trimmedLine = line.trim();
-            
-            // Check if we're in experience section
-            if (experienceKeywords.some(keyword => trimmedLine.toLowerCase().includes(keyword))) {
-                inExperienceSection = true;
-                return;
-            }
+        const ordered = [
+            ...jobSkills.filter(skill => resumeKeys.has(this.canonicalSkill(skill))).map(name => ({ name, inResume: true, inJob: true })),
+            ...jobSkills.filter(skill => !resumeKeys.has(this.canonicalSkill(skill))).map(name => ({ name, inResume: false, inJob: true })),
+            ...resumeSkills.filter(skill => !jobKeys.has(this.canonicalSkill(skill))).map(name => ({ name, inResume: true, inJob: false }))
+        ];
 
-            if (inExperienceSection && trimmedLine.length > 0) {
-                // Check for job title
-                const isJobTitle = jobTitlePatterns.some(pattern => pattern.test(trimmedLine));
-                
-                if (isJobTitle) {
-                    if (currentJob) {
-                        experience.jobs.push(currentJob);
-                    }
-                    currentJob = {
-                        title: trimmedLine,
-                        company: null,
-                        duration: null,
-                        description: []
-                    };
-                } else if (currentJob) {
-                    // Check for company or duration
-                    if (trimmedLine.includes('-') && /\d{4}/.test(trimmedLine)) {
-                        currentJob.duration = trimmedLine;
-                    } else if (!currentJob.company && trimmedLine.length < 100) {
-                        currentJob.company = trimmedLine;
-                    } else {
-                        currentJob.description.push(trimmedLine);
-                    }
-                }
-            }
-        });
+        const seen = new Set();
+        return ordered.filter(skill => {
+            const key = this.canonicalSkill(skill.name);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).slice(0, limit);
+    }
 
-        if (currentJob) {
-            experience.jobs.push(currentJob);
+    // Skill names from any of the shapes used in the app (strings, { name }, { technical, soft, tools })
+    collectSkillNames(skills) {
+        if (!skills) return [];
+        if (Array.isArray(skills)) {
+            return skills.map(skill => typeof skill === 'string' ? skill : skill && skill.name).filter(Boolean);
         }
-
-        // Estimate total years of experience
-        experience.totalYears = this.estimateExperienceYears(text);
-        
-        return experience;
+        return [
+            ...this.collectSkillNames(skills.technical),
+            ...this.collectSkillNames(skills.tools),
+            ...this.collectSkillNames(skills.soft)
+        ];
     }
 
-    /**
-     * Extract education information
-     */
-    extractEducation(text) {
-        const education = {
-            degrees: [],
-            institutions: []
-        };
+    buildInterviewQuestionBank({ resumeData, focusSkills, jobLevel, company, role }) {
+        const difficulty = { junior: 'easy', mid: 'medium', senior: 'hard', executive: 'hard' }[jobLevel] || 'medium';
+        const questions = [];
+        const add = (category, text, extra = {}) => questions.push({
+            id: `q${questions.length + 1}`,
+            text,
+            category,
+            difficulty,
+            ...extra
+        });
 
-        const degreePatterns = [
-            /(?:bachelor|master|phd|doctorate|associate)\s+(?:of|in|degree)/gi,
-            /\b(?:b\.?s\.?|m\.?s\.?|b\.?a\.?|m\.?a\.?|ph\.?d\.?)\b/gi,
-            /(?:computer science|software engineering|information technology|electrical engineering)/gi
-        ];
+        add('intro', `Tell me about yourself and what brings you to ${role ? `this ${role} role` : 'this role'}.`);
 
-        const institutionPatterns = [
-            /\buniversity\b/gi,
-            /\bcollege\b/gi,
-            /\binstitute\b/gi
-        ];
+        const jobs = (resumeData.experience && resumeData.experience.jobs) || resumeData.experience || [];
+        (Array.isArray(jobs) ? jobs : []).slice(0, 2).forEach(job => {
+            const title = typeof job === 'string' ? job : [job.title, job.company && `at ${job.company}`].filter(Boolean).join(' ');
+            if (title) {
+                add('resume', `Walk me through your work as ${title}. What were you responsible for, and what are you most proud of?`);
+            }
+        });
 
-        const lines = text.split('\n');
-        
-        lines.forEach(line => {
-            degreePatterns.forEach(pattern => {
-                if (pattern.test(line)) {
-                    education.degrees.push(line.trim());
-                }
-            });
+        (resumeData.projects || []).slice(0, 2).forEach(project => {
+            const name = typeof project === 'string' ? project : project.title || project.name;
+            if (name) {
+                add('resume', `Tell me about "${name}". What was your contribution and what would you do differently today?`);
+            }
+        });
 
-            institutionPatterns.forEach(pattern => {
-                if (pattern.test(line)) {
-                    education.institutions.push(line.trim());
-                }
-            });
+        const technical = {
+            junior: skill => `What is ${skill}, and how have you used it in a project?`,
+            mid: skill => `Describe a challenging problem you solved with ${skill}. What trade-offs did you consider?`,
+            senior: skill => `How would you design a production system around ${skill}? Where does it break down at scale?`,
+            executive: skill => `How do you decide whether your teams should adopt ${skill}, and how do you measure the outcome?`
+        }[jobLevel] || (skill => `Describe a challenging problem you solved with ${skill}.`);
+
+        focusSkills.forEach(skill => {
+            const text = skill.inResume
+                ? technical(skill.name)
+                : `This role relies on ${skill.name}. How would you get productive with it quickly, and what related experience do you have?`;
+            add('technical', text, { skill: skill.name });
         });
 
-        return education;
+        const behavioral = {
+            junior: [
+                'Tell me about a time you had to learn something new quickly.',
+                'Describe a time you received critical feedback. How did you respond?',
+                'Tell me about a team project and the part you played in it.'
+            ],
+            mid: [
+                'Tell me about a time you disagreed with a teammate. How did you resolve it?',
+                'Describe a time you missed a deadline or made a mistake. What did you learn?',
+                'Tell me about a time you had to balance several competing priorities.'
+            ],
+            senior: [
+                'Tell me about a technical decision you drove that others initially disagreed with.',
+                'Describe a time you mentored someone. What changed as a result?',
+                'Tell me about a project that failed. What was your role and what did you change afterwards?'
+            ],
+            executive: [
+                'Tell me about a time you changed the direction of a team or organization.',
+                'Describe how you handled a conflict between two senior stakeholders.',
+                'Tell me about a hard trade-off you made between delivery speed and long-term quality.'
+            ]
+        }[jobLevel] || [];
+        behavioral.forEach(text => add('behavioral', text));
+
+        add('company', company
+            ? `Why do you want to work at ${company}, and why now?`
+            : 'Why are you interested in this position, and why now?');
+
+        return questions;
     }
 
     /**
-     * Extract projects from resume
+     * Pick `count` questions in interview order: introduction first, then
+     * resume, technical and behavioral questions interleaved, company last
      */
-    extractProjects(text) {
-        const projects = [];
-        const lines = text.split('\n');
-        let inProjectSection = false;
-        let currentProject = null;
-
-        const projectKeywords = ['projects', 'portfolio', 'work samples', 'achievements'];
+    selectInterviewQuestions(bank, count, categories = null) {
+        const queues = {};
+        bank.filter(question => !categories || categories.includes(question.category))
+            .forEach(question => {
+                (queues[question.category] = queues[question.category] || []).push(question);
+            });
 
-        lines.forEach(line => {
-            const trimmedLine = line.trim();
-            
-            if (projectKeywords.some(keyword => trimmedLine.toLowerCase().includes(keyword))) {
-                inProjectSection = true;
-                return;
+        const pattern = ['resume', 'technical', 'behavioral', 'technical'];
+        const selected = [];
+        const take = category => {
+            const queue = queues[category];
+            if (queue && queue.length > 0 && selected.length < count) {
+                selected.push(queue.shift());
+                return true;
             }
+            return false;
+        };
 
-            if (inProjectSection && trimmedLine.length > 0) {
-                // Heuristic: if line starts with capital letter and is not too long, it might be a project title
-                if (/^[A-Z]/.test(trimmedLine) && trimmedLine.length < 100) {
-                    if (currentProject) {
-                        projects.push(currentProject);
-                    }
-                    currentProject = {
-                        title: trimmedLine,
-                        description: [],
-                        technologies: []
-                    };
-                } else if (currentProject) {
-                    currentProject.description.push(trimmedLine);
-                    
-                    // Extract technologies mentioned in description
-                    Object.values(this.skillCategories).forEach(category => {
-                        category.keywords.forEach(tech => {
-                            if (trimmedLine.toLowerCase().includes(tech.toLowerCase())) {
-                                if (!currentProject.technologies.includes(tech)) {
-                                    currentProject.technologies.push(tech);
-                                }
-                            }
-                        });
-                    });
-                }
+        take('intro');
+        // Keep room for the company question at the end
+        const reserved = queues.company && queues.company.length > 0 && count > 1 ? 1 : 0;
+        let progressed = true;
+        while (selected.length < count - reserved && progressed) {
+            progressed = false;
+            for (const category of pattern) {
+                if (selected.length >= count - reserved) break;
+                progressed = take(category) || progressed;
             }
-        });
-
-        if (currentProject) {
-            projects.push(currentProject);
         }
+        take('company');
 
-        return projects;
+        return selected;
     }
 
     /**
-     * Extract certifications
+     * Clean and normalize text
      */
-    extractCertifications(text) {
-        const certifications = [];
-        const certificationKeywords = [
-            'certified', 'certification', 'certificate', 'license', 'accredited',
-            'AWS Certified', 'Microsoft Certified', 'Google Certified', 'Oracle Certified',
-            'Cisco Certified', 'CompTIA', 'PMP', 'Scrum Master', 'Azure Certified'
-        ];
-
-        const lines = text.split('\n');
-        lines.forEach(line => {
-            certificationKeywords.forEach(keyword => {
-                if (line.toLowerCase().includes(keyword.toLowerCase())) {
-                    certifications.push(line.trim());
-                }
-            });
-        });
-
-        return [...new Set(certifications)]; // Remove duplicates
+    /**
+     * Taxonomy skills mentioned in the text, grouped as in the resume schema
+     */
+    extractSkills(text) {
+        return this.documentPipeline.extractSkills(text);
     }
 
     /**
@@ -647,21 +571,6 @@ Respond in JSON format with structured insights.`;
     /**
      * Helper methods for calculations and analysis
      */
-    calculateSkillConfidence(skill, text) {
-        const occurrences = (text.toLowerCase().match(new RegExp(skill.toLowerCase(), 'g')) || []).length;
-        return Math.min(1.0, occurrences * 0.2 + 0.1);
-    }
-
-    estimateExperienceYears(text) {
-        const yearPattern = /(\d{1,2})\+?\s*years?/gi;
-        const matches = text.match(yearPattern);
-        if (matches) {
-            const years = matches.map(match => parseInt(match.match(/\d+/)[0]));
-            return Math.max(...years);
-        }
-        return 0;
-    }
-
     determineExperienceLevel(experience, text) {
         const totalYears = experience.totalYears;
         const lowerText = text.toLowerCase();
@@ -703,86 +612,666 @@ Respond in JSON format with structured insights.`;
         return Math.min(1.0, confidence);
     }
 
-    // Additional helper methods would be implemented here...
-    extractJobBasicInfo(text) {
-        // Implementation for job basic info extraction
-        return {
+    /**
+     * Job description parsing
+     *
+     * The text is split into sections by its headings ("Requirements", "Nice to
+     * have", "What you'll do", "Benefits", ...) and each extractor works on the
+     * relevant sections. Extractors accept pre-split sections so
+     * analyzeJobDescription() only splits once.
+     */
+    splitJobSections(text) {
+        const sections = {
+            header: [],
+            about: [],
+            responsibilities: [],
+            requirements: [],
+            niceToHave: [],
+            benefits: [],
+            compensation: [],
+            headings: []
+        };
+        let current = 'header';
+
+        text.split('\n').forEach(rawLine => {
+            const line = this.documentPipeline.stripBullet(rawLine);
+            if (!line) return;
+
+            const heading = this.matchJobHeading(line);
+            if (!heading) {
+                sections[current].push(line);
+                return;
+            }
+
+            sections.headings.push({ section: heading.section, text: line });
+            if (heading.rest) {
+                // "Nice to have: Kubernetes" - an inline label, the section does not change
+                sections[heading.section].push(heading.rest);
+            } else {
+                current = heading.section;
+            }
+        });
+
+        return sections;
+    }
+
+    matchJobHeading(line) {
+        if (line.length > 80) return null;
+        const text = line.replace(/^#+\s*/, '').replace(/\*\*/g, '');
+
+        for (const [section, pattern] of this.jobSectionHeadings) {
+            const match = text.match(pattern);
+            if (!match) continue;
+
+            // A sentence that merely starts with "Experience ..." is not a heading
+            const after = text.slice(match[0].length);
+            if (!/^\s*(?:[:\-–—]|$)/.test(after)) continue;
+
+            return { section, rest: after.replace(/^\s*[:\-–—]?\s*/, '').trim() };
+        }
+        return null;
+    }
+
+    extractJobBasicInfo(text, sections = this.splitJobSections(text)) {
+        const info = {
             title: null,
             company: null,
             location: null,
             type: null,
-            remote: text.toLowerCase().includes('remote')
+            remote: false,
+            remotePolicy: null,
+            confidence: {}
+        };
+        const set = (field, value, confidence) => {
+            const cleaned = value && value.trim().replace(/[.,;:]+$/, '');
+            if (cleaned && !info[field]) {
+                info[field] = cleaned;
+                info.confidence[field] = confidence;
+            }
         };
+        const labelled = (labels) => {
+            const match = text.match(new RegExp(`^(?:[-*•]\\s*)?(?:${labels})\\s*[:\\-–]\\s*(.+)$`, 'im'));
+            return match ? match[1] : null;
+        };
+
+        set('title', labelled('job title|title|position|role'), 0.95);
+        set('company', labelled('company(?: name)?|employer|organi[sz]ation'), 0.95);
+        set('location', labelled('location|office location|work location|based in'), 0.95);
+
+        // Title line such as "Senior Backend Engineer at Acme" or "Data Analyst - Remote"
+        const titleLine = sections.header.find(line => line.length <= 80 && !/[.!?]$/.test(line) && this.jobRolePattern.test(line));
+        if (titleLine) {
+            const [title, ...rest] = titleLine.split(/\s+(?:at|@|\||-|–|—)\s+|,\s*|\s*\(/);
+            if (this.jobRolePattern.test(title)) {
+                set('title', title, 0.8);
+                const qualifier = rest.join(' ');
+                if (qualifier && !/\b(?:remote|hybrid|on-?site|full[- ]time|part[- ]time|contract)\b/i.test(qualifier)) {
+                    set('company', qualifier, 0.7);
+                }
+            }
+        }
+
+        const hiring = text.match(/\b(?:[Hh]iring|[Ll]ooking for|[Ss]eeking|[Ss]earching for|[Jj]oin (?:us|our team) as)\s+(?:an?\s+|our (?:next|first)\s+)?((?:[A-Z][\w+#./-]*\s+){0,4}(?:Engineer|Developer|Manager|Designer|Analyst|Scientist|Architect|Specialist|Consultant|Lead|Director|Administrator|Coordinator|Intern|Programmer|Officer|Researcher))\b/);
+        if (hiring) set('title', hiring[1], 0.7);
+
+        // Company from an "About Acme" heading, "Acme is a ..." or "join Acme"
+        const aboutHeading = sections.headings.find(heading => heading.section === 'about');
+        const aboutName = aboutHeading && aboutHeading.text.match(/^About\s+(?!us\b|the\b|you\b)(.+?)\s*:?$/i);
+        if (aboutName) set('company', aboutName[1], 0.85);
+
+        const genericStarts = new Set(['This', 'We', 'You', 'Our', 'The', 'It', 'They', 'Your', 'Here', 'There']);
+        const companyIntro = [...sections.header, ...sections.about]
+            .map(line => line.match(/^([A-Z][\w&.'-]*(?:\s[A-Z][\w&.'-]*){0,3})\s+(?:is|are)\s+(?:a|an|the)\s/))
+            .find(match => match && !genericStarts.has(match[1].split(' ')[0]));
+        if (companyIntro) set('company', companyIntro[1], 0.6);
+
+        const joinMatch = text.match(/\b[Jj]oin\s+(?!us\b|our\b|the\b|a\b)([A-Z][\w&.'-]*(?:\s[A-Z][\w&.'-]*){0,2})/);
+        if (joinMatch) set('company', joinMatch[1], 0.5);
+
+        const locationMatch = text.match(/\b(?:based|located|offices?|team|position|role) in\s+([A-Z][\w'-]*(?:,?\s[A-Z][\w'-]*){0,3})/);
+        if (locationMatch) set('location', locationMatch[1], 0.7);
+
+        const cityState = sections.header.join('\n').match(/\b([A-Z][a-z]+(?: [A-Z][a-z]+)*, (?:[A-Z]{2}|[A-Z][a-z]+(?: [A-Z][a-z]+)?))\b/);
+        if (cityState) set('location', cityState[1], 0.5);
+
+        const typeMatch = text.match(/\b(full[- ]time|part[- ]time|contract(?:or)?|temporary|internship|freelance|permanent)\b/i);
+        if (typeMatch) {
+            const type = typeMatch[1].toLowerCase().replace(' ', '-');
+            set('type', { permanent: 'full-time', contractor: 'contract' }[type] || type, 0.9);
+        }
+
+        const lowerText = text.toLowerCase();
+        if (/\bhybrid\b/.test(lowerText)) {
+            info.remotePolicy = 'hybrid';
+        } else if (/\b(?:not (?:a )?remote|no remote|non-remote|on-?site only)\b/.test(lowerText)) {
+            info.remotePolicy = 'onsite';
+        } else if (/\b(?:fully remote|100% remote|remote[- ](?:first|friendly|only)|work from (?:home|anywhere)|remote)\b/.test(lowerText)) {
+            info.remotePolicy = 'remote';
+        } else if (/\b(?:on-?site|in[- ]office|in the office)\b/.test(lowerText)) {
+            info.remotePolicy = 'onsite';
+        }
+        info.remote = info.remotePolicy === 'remote';
+        if (info.remotePolicy) info.confidence.remotePolicy = 0.8;
+
+        return info;
     }
 
-    extractJobRequirements(text) {
-        // Implementation for job requirements extraction
+    extractJobRequirements(text, sections = this.splitJobSections(text)) {
+        const preferredMarker = /\b(?:nice to have|preferred|a plus|bonus|ideally|desirable|good to have|is an advantage)\b/i;
+        const allLines = this.splitJobSentences(text);
+
+        const mustHave = [];
+        const niceToHave = [...sections.niceToHave];
+        sections.requirements.forEach(line => (preferredMarker.test(line) ? niceToHave : mustHave).push(line));
+
+        // Unstructured description - fall back to lines that read like requirements
+        if (sections.requirements.length === 0) {
+            allLines.forEach(line => {
+                if (niceToHave.includes(line)) return;
+                if (preferredMarker.test(line)) {
+                    niceToHave.push(line);
+                } else if (/\b(?:required|requirements?|must|you have|you need|experience (?:with|in)|proficien\w*|knowledge of|familiar(?:ity)? with|years)\b/i.test(line)) {
+                    mustHave.push(line);
+                }
+            });
+        }
+
+        const skills = [];
+        const seen = new Set();
+        Object.entries(this.skillCategories).forEach(([category, data]) => {
+            data.keywords.forEach(skill => {
+                const key = skill.toLowerCase();
+                if (seen.has(key)) return;
+
+                const inMustHave = mustHave.some(line => this.mentionsSkill(line, skill));
+                const inNiceToHave = !inMustHave && niceToHave.some(line => this.mentionsSkill(line, skill));
+                if (!inMustHave && !inNiceToHave && !this.mentionsSkill(text, skill)) return;
+
+                seen.add(key);
+                skills.push({
+                    name: skill,
+                    category: category,
+                    required: !inNiceToHave,
+                    source: inMustHave ? 'requirements' : inNiceToHave ? 'niceToHave' : 'description',
+                    // Mentioned only in passing (e.g. the company's stack) is weaker evidence
+                    confidence: inMustHave ? 0.9 : inNiceToHave ? 0.8 : 0.5,
+                    weight: data.weight
+                });
+            });
+        });
+
         return {
-            skills: [],
-            experience: null,
-            education: null,
-            mustHave: [],
-            niceToHave: []
+            skills,
+            experience: this.extractYearsOfExperience([...mustHave, ...allLines]),
+            education: this.extractEducationRequirement([...mustHave, ...allLines], niceToHave),
+            mustHave,
+            niceToHave
         };
     }
 
-    extractJobResponsibilities(text) {
-        // Implementation for job responsibilities extraction
-        return [];
+    // Lines, with paragraphs further split into sentences, for descriptions without headings
+    splitJobSentences(text) {
+        return text.split('\n')
+            .map(line => this.documentPipeline.stripBullet(line))
+            .flatMap(line => line.split(/(?<=[.!?])\s+(?=[A-Z0-9])/))
+            .map(line => line.trim())
+            .filter(Boolean);
     }
 
-    extractJobBenefits(text) {
-        // Implementation for job benefits extraction
-        return [];
+    // Name or alias, word-boundary aware (see SkillTaxonomy for the case rules)
+    mentionsSkill(text, skill) {
+        return this.skillTaxonomy.mentions(text, skill);
     }
 
-    extractCompensation(text) {
-        // Implementation for compensation extraction
+    extractYearsOfExperience(lines) {
+        const numberWords = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+        const pattern = /(\d{1,2})\s*(?:\+|plus)?\s*(?:(?:-|–|to)\s*(\d{1,2})\s*\+?\s*)?(?:years?|yrs?)\b/i;
+
+        for (const line of lines) {
+            const normalized = line.replace(/\b(one|two|three|four|five|six|seven|eight|nine|ten)\b/gi, word => numberWords[word.toLowerCase()]);
+            const match = normalized.match(pattern);
+            if (match && !/\b(?:years? old|founded|in business)\b/i.test(line)) {
+                return {
+                    minYears: parseInt(match[1], 10),
+                    maxYears: match[2] ? parseInt(match[2], 10) : null,
+                    text: line,
+                    confidence: /experience|background/i.test(line) ? 0.9 : 0.6
+                };
+            }
+        }
+        return null;
+    }
+
+    extractEducationRequirement(lines, niceToHave = []) {
+        for (const line of lines) {
+            const level = this.documentPipeline.degreeLevels.find(([, pattern]) => pattern.test(line));
+            const genericDegree = !level && /\b(?:degree|diploma)\b/i.test(line);
+            if (!level && !genericDegree) continue;
+
+            const field = line.match(/\b(?:in|of)\s+((?:[A-Z][a-zA-Z]+|and|or|&)(?:\s(?:[A-Z][a-zA-Z]+|and|or|&)){0,4})/);
+            return {
+                level: level ? level[0] : 'degree',
+                field: field ? field[1].replace(/\s(?:and|or|&)$/, '') : null,
+                required: !niceToHave.includes(line) && !/\b(?:preferred|or equivalent|equivalent (?:practical |work )?experience|a plus)\b/i.test(line),
+                text: line,
+                confidence: level ? 0.85 : 0.6
+            };
+        }
+        return null;
+    }
+
+    extractJobResponsibilities(text, sections = this.splitJobSections(text)) {
+        if (sections.responsibilities.length > 0) {
+            return sections.responsibilities;
+        }
+
+        // No heading - use "You will ..." lines and short lines that start with an action verb
+        return this.splitJobSentences(text)
+            .filter(line => line.length < 200 &&
+                (/^(?:you will|you'll|you would)\b/i.test(line) || this.jobActionVerbPattern.test(line)));
+    }
+
+    extractJobBenefits(text, sections = this.splitJobSections(text)) {
+        const sectionLines = sections.benefits;
+        const candidates = sectionLines.length > 0 ? sectionLines : this.splitJobSentences(text);
+
+        const benefits = [];
+        const seen = new Set();
+        candidates.forEach(line => {
+            const names = Object.entries(this.benefitKeywords)
+                .filter(([, pattern]) => pattern.test(line))
+                .map(([name]) => name);
+
+            // Outside a benefits section only lines naming a known benefit count
+            if (names.length === 0 && sectionLines.length === 0) return;
+            if (names.length > 0 && names.every(name => seen.has(name))) return;
+
+            names.forEach(name => seen.add(name));
+            benefits.push({ text: line, categories: names });
+        });
+
+        return benefits;
+    }
+
+    extractCompensation(text, sections = this.splitJobSections(text)) {
+        const allLines = this.splitJobSentences(text);
+        const lines = [...sections.compensation, ...allLines];
+        let salary = null;
+
+        for (const line of lines) {
+            salary = this.parseSalary(line, text);
+            if (salary) {
+                salary.confidence = sections.compensation.includes(line) || /\b(?:salary|compensation|pay|base|ctc|rate)\b/i.test(line) ? 0.9 : 0.7;
+                break;
+            }
+        }
+
+        const equityLine = allLines.find(line => this.benefitKeywords['Equity'].test(line));
+        const financialBenefits = ['Bonus', 'Equity', 'Retirement plan']
+            .filter(name => allLines.some(line => this.benefitKeywords[name].test(line)));
+
         return {
-            salary: null,
-            equity: null,
-            benefits: []
+            salary,
+            equity: equityLine || null,
+            benefits: financialBenefits
         };
     }
 
-    determineJobLevel(text, experience) {
-        // Implementation for job level determination
-        return 'mid';
+    // "$120,000 - $150,000 per year", "€60k–75k", "18-24 LPA", "USD 45/hour"
+    parseSalary(line, fullText = '') {
+        const currency = '([$€£₹]|USD|EUR|GBP|INR|CAD|AUD|CHF|SGD)?';
+        const amount = '(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?(k|m|lpa|lakhs?)?\\b';
+        const rangePattern = new RegExp(`${currency}\\s?${amount}\\s*(?:-|–|—|to)\\s*${currency}\\s?${amount}`, 'i');
+        const singlePattern = new RegExp(`${currency}\\s?${amount}`, 'i');
+
+        const range = line.match(rangePattern);
+        const isYears = range && /^\s*\+?\s*(?:years?|yrs?)\b/i.test(line.slice(range.index + range[0].length));
+        let parts = null;
+        if (range && !isYears && (range[1] || range[4] || /\b(?:salary|compensation|pay|ctc)\b/i.test(line) || /k|lpa|lakh/i.test(range[3] || range[6] || ''))) {
+            parts = {
+                symbol: range[1] || range[4],
+                min: this.parseAmount(range[2], range[3] || range[6]),
+                max: this.parseAmount(range[5], range[6] || range[3]),
+                unit: range[3] || range[6]
+            };
+        } else {
+            const single = line.match(singlePattern);
+            if (single && (single[1] || /lpa|lakh/i.test(single[3] || ''))) {
+                const value = this.parseAmount(single[2], single[3]);
+                parts = { symbol: single[1], min: value, max: value, unit: single[3] };
+            }
+        }
+
+        // Years of experience, team sizes and the like are not salaries
+        if (!parts || !parts.max || parts.max < 10) return null;
+
+        const symbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR' };
+        let currencyCode = parts.symbol ? (symbols[parts.symbol] || parts.symbol.toUpperCase()) : null;
+        if (/lpa|lakh/i.test(parts.unit || '')) currencyCode = 'INR';
+        if (parts.symbol === '$') {
+            const dollarCode = (line.match(/\b(CAD|AUD|SGD|NZD|HKD)\b/) || fullText.match(/\b(CAD|AUD|SGD|NZD|HKD)\b/) || [])[1];
+            if (dollarCode) currencyCode = dollarCode;
+        }
+
+        let period = null;
+        if (/(?:per|an|\/)\s?(?:hour|hr)\b|hourly/i.test(line)) period = 'hour';
+        else if (/(?:per|a|\/)\s?(?:month|mo)\b|monthly/i.test(line)) period = 'month';
+        else if (/(?:per|a|\/)\s?day\b|daily/i.test(line)) period = 'day';
+        else if (/(?:per|a|\/)\s?(?:year|yr|annum)\b|annual|yearly|lpa/i.test(line) || parts.max >= 10000) period = 'year';
+        else if (parts.max < 500) period = 'hour';
+
+        return {
+            min: Math.min(parts.min, parts.max),
+            max: Math.max(parts.min, parts.max),
+            currency: currencyCode,
+            period,
+            text: line
+        };
+    }
+
+    parseAmount(value, unit) {
+        if (!value) return null;
+        const number = /^\d{1,3}(?:[,.]\d{3})+$/.test(value)
+            ? parseInt(value.replace(/[,.]/g, ''), 10)
+            : parseFloat(value);
+        const multipliers = { k: 1e3, m: 1e6, lpa: 1e5, lakh: 1e5, lakhs: 1e5 };
+        return number * (multipliers[(unit || '').toLowerCase()] || 1);
+    }
+
+    determineJobLevel(text, experience, title = null) {
+        const hasKeyword = (source, keyword) =>
+            new RegExp(`(^|[^\\w])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])`, 'i').test(source);
+        const keywordLevel = (source) => ['executive', 'senior', 'junior', 'mid']
+            .find(level => this.experienceLevels[level].some(keyword => hasKeyword(source, keyword)));
+
+        // The title is the strongest signal ("Staff Engineer", "Head of Data", "Junior Developer")
+        if (title) {
+            if (/\b(?:staff|sr\.?)\b/i.test(title)) return 'senior';
+            const fromTitle = keywordLevel(title);
+            if (fromTitle) return fromTitle;
+        }
+
+        if (experience && typeof experience.minYears === 'number') {
+            if (experience.minYears >= 5) return 'senior';
+            if (experience.minYears >= 2) return 'mid';
+            return 'junior';
+        }
+
+        return keywordLevel(text.split('\n').slice(0, 5).join('\n')) || 'mid';
     }
 
     estimateCompanySize(text) {
-        // Implementation for company size estimation
-        return 'medium';
+        const headcount = text.match(/\b(\d{1,3}(?:,\d{3})+|\d+)\s*(k)?\+?\s*(?:employees|people|team members|staff|colleagues|Googlers|engineers worldwide)\b/i);
+        if (headcount) {
+            const count = parseInt(headcount[1].replace(/,/g, ''), 10) * (headcount[2] ? 1000 : 1);
+            if (count < 50) return 'startup';
+            if (count < 250) return 'small';
+            if (count < 1000) return 'medium';
+            if (count < 10000) return 'large';
+            return 'enterprise';
+        }
+
+        if (/\b(?:fortune (?:100|500)|multinational|publicly traded|nyse|nasdaq|global leader)\b/i.test(text)) return 'enterprise';
+        if (/\b(?:start-?up|seed[- ]stage|series [ab]\b|early[- ]stage|founding team)\b/i.test(text)) return 'startup';
+        if (/\b(?:series [c-f]\b|scale-?up)\b/i.test(text)) return 'medium';
+        return 'unknown';
     }
 
     calculateJobDescriptionConfidence(requirements, responsibilities) {
-        // Implementation for job description confidence calculation
-        return 0.8;
+        let confidence = 0.3; // Base confidence
+
+        if (requirements.skills.some(skill => skill.source !== 'description')) confidence += 0.2;
+        else if (requirements.skills.length > 0) confidence += 0.1;
+        if (requirements.experience) confidence += 0.15;
+        if (requirements.education) confidence += 0.1;
+        if (requirements.mustHave.length > 0) confidence += 0.1;
+        if (responsibilities.length > 0) confidence += 0.15;
+
+        return Math.min(1.0, Math.round(confidence * 100) / 100);
     }
 
-    calculateSkillsMatch(resumeSkills, jobSkills) {
-        // Implementation for skills matching
-        return 0.7;
+    /**
+     * Resume-to-job matching
+     *
+     * Each component returns { score: 0-1, ... } or { score: null } when the job
+     * description or resume does not say enough to judge it; calculateMatchScore()
+     * re-weights the remaining components.
+     */
+    calculateSkillsMatch(resumeSkills, jobSkills, resumeLines = []) {
+        const required = (jobSkills || [])
+            .map(skill => typeof skill === 'string' ? { name: skill, required: true } : skill)
+            .filter(skill => skill && skill.name);
+
+        if (required.length === 0) {
+            return { score: null, matched: [], missing: [] };
+        }
+
+        // A child skill counts for its parents: Express experience covers Node.js
+        const resumeKeys = new Set(this.collectSkillNames(resumeSkills)
+            .flatMap(name => [name, ...this.skillTaxonomy.getAncestors(name)])
+            .map(name => this.canonicalSkill(name)));
+        const matched = [];
+        const missing = [];
+        let totalImportance = 0;
+        let matchedImportance = 0;
+
+        required.forEach(skill => {
+            // Category weight from skillCategories, halved for nice-to-have skills
+            const importance = this.getSkillWeight(skill) * (skill.required === false ? 0.5 : 1);
+            const entry = { name: skill.name, category: skill.category || this.getSkillCategory(skill.name), required: skill.required !== false, importance };
+            totalImportance += importance;
+
+            // Also look for the skill (or an alias) in the resume text - "JS" counts for JavaScript
+            if (resumeKeys.has(this.canonicalSkill(skill.name)) || resumeLines.some(line => this.mentionsSkill(line, skill.name))) {
+                matchedImportance += importance;
+                matched.push(entry);
+            } else {
+                missing.push(entry);
+            }
+        });
+
+        return {
+            score: totalImportance > 0 ? matchedImportance / totalImportance : null,
+            matched,
+            missing: missing.sort((a, b) => b.importance - a.importance)
+        };
     }
 
     calculateExperienceMatch(resumeExp, jobExp) {
-        // Implementation for experience matching
-        return 0.8;
+        if (!jobExp || typeof jobExp.minYears !== 'number') {
+            return { score: null, requiredYears: null, resumeYears: null };
+        }
+
+        const resumeYears = resumeExp && typeof resumeExp.totalYears === 'number' && resumeExp.totalYears > 0
+            ? resumeExp.totalYears
+            : null;
+        if (resumeYears === null) {
+            // Years could not be read from the resume - neither a match nor a gap
+            return { score: 0.5, requiredYears: jobExp.minYears, resumeYears: null, gap: null };
+        }
+
+        const gap = jobExp.minYears - resumeYears;
+        let score = 1;
+        if (gap > 0) {
+            score = Math.max(0, 1 - gap / (jobExp.minYears + 2));
+        } else if (jobExp.maxYears && resumeYears > jobExp.maxYears + 5) {
+            score = 0.85; // Well above the stated range
+        }
+
+        return { score, requiredYears: jobExp.minYears, maxYears: jobExp.maxYears || null, resumeYears, gap: Math.max(0, gap) };
     }
 
     calculateEducationMatch(resumeEdu, jobEdu) {
-        // Implementation for education matching
-        return 0.6;
+        if (!jobEdu || !jobEdu.level) {
+            return { score: null, requiredLevel: null, resumeLevel: null };
+        }
+
+        const rank = level => (this.documentPipeline.degreeLevels.find(([name]) => name === level) || [null, null, 3])[2];
+        const resumeLevel = this.getHighestDegree(resumeEdu);
+        const requiredRank = rank(jobEdu.level);
+
+        let score;
+        if (!resumeLevel) {
+            score = jobEdu.required ? 0.3 : 0.6;
+        } else {
+            const difference = rank(resumeLevel) - requiredRank;
+            if (difference >= 0) score = 1;
+            else if (difference === -1) score = jobEdu.required ? 0.6 : 0.8;
+            else score = jobEdu.required ? 0.3 : 0.6;
+        }
+
+        return { score, requiredLevel: jobEdu.level, required: jobEdu.required !== false, field: jobEdu.field || null, resumeLevel };
     }
 
     calculateIndustryMatch(resumeIndustries, jobIndustries) {
-        // Implementation for industry matching
-        return 0.9;
+        if (!jobIndustries || jobIndustries.length === 0 || !resumeIndustries || resumeIndustries.length === 0) {
+            return { score: null, shared: [] };
+        }
+
+        const resumeSet = new Set(resumeIndustries.map(entry => entry.industry || entry));
+        const total = jobIndustries.reduce((sum, entry) => sum + (entry.confidence || 1), 0);
+        const shared = jobIndustries.filter(entry => resumeSet.has(entry.industry || entry));
+        const matched = shared.reduce((sum, entry) => sum + (entry.confidence || 1), 0);
+
+        return {
+            score: total > 0 ? matched / total : null,
+            shared: shared.map(entry => entry.industry || entry)
+        };
     }
 
-    generateMatchRecommendations(resumeAnalysis, jobAnalysis, scores) {
-        // Implementation for generating recommendations
-        return [];
+    /**
+     * Missing skills first, then resume lines worth strengthening
+     */
+    generateMatchRecommendations(resumeLines, details) {
+        const recommendations = [];
+
+        details.skills.missing.filter(skill => skill.required).slice(0, 5).forEach(skill => {
+            recommendations.push({
+                type: 'missing_skill',
+                priority: 'high',
+                skill: skill.name,
+                message: `The job requires ${skill.name}. Add a role or project bullet that shows you using it, or prepare to discuss how you would learn it.`
+            });
+        });
+
+        const missingNiceToHave = details.skills.missing.filter(skill => !skill.required).map(skill => skill.name);
+        if (missingNiceToHave.length > 0) {
+            recommendations.push({
+                type: 'missing_skill',
+                priority: 'low',
+                skill: missingNiceToHave.join(', '),
+                message: `Nice-to-have skills not on your resume: ${missingNiceToHave.slice(0, 5).join(', ')}.`
+            });
+        }
+
+        // Lines that mention a skill the job asks for but give no measurable outcome
+        const quantified = /\d|%|percent/;
+        const strengthened = new Set();
+        details.skills.matched.filter(skill => skill.required).forEach(skill => {
+            const line = resumeLines.find(text => !quantified.test(text) && !strengthened.has(text) &&
+                this.mentionsSkill(text, skill.name));
+            if (line && strengthened.size < 3) {
+                strengthened.add(line);
+                recommendations.push({
+                    type: 'strengthen_line',
+                    priority: 'medium',
+                    skill: skill.name,
+                    line,
+                    message: `Quantify the impact of your ${skill.name} work (scale, speed, users, revenue): "${this.truncateLine(line)}"`
+                });
+            }
+        });
+
+        const weakPhrase = /^(?:responsible for|worked on|helped(?: with)?|assisted(?: with)?|involved in|participated in|tasks included)\b/i;
+        resumeLines.filter(line => weakPhrase.test(line) && !strengthened.has(line)).slice(0, 2).forEach(line => {
+            recommendations.push({
+                type: 'strengthen_line',
+                priority: 'medium',
+                line,
+                message: `Lead with what you did and the result instead of a duty statement: "${this.truncateLine(line)}"`
+            });
+        });
+
+        if (details.experience.gap > 0) {
+            recommendations.push({
+                type: 'experience',
+                priority: details.experience.gap >= 3 ? 'high' : 'medium',
+                message: `The role asks for ${details.experience.requiredYears}+ years of experience and your resume shows ${details.experience.resumeYears}. Highlight projects, internships or open source work that cover the gap.`
+            });
+        }
+
+        if (details.education.score !== null && details.education.score < 1) {
+            const degreeNames = { phd: 'PhD', master: "master's degree", bachelor: "bachelor's degree", associate: "associate's degree", 'high school': 'high school diploma' };
+            const degree = `${degreeNames[details.education.requiredLevel] || details.education.requiredLevel}${details.education.field ? ` in ${details.education.field}` : ''}`;
+            recommendations.push({
+                type: 'education',
+                priority: details.education.required ? 'medium' : 'low',
+                message: details.education.resumeLevel
+                    ? `The role ${details.education.required ? 'requires' : 'prefers'} a ${degree}; make sure related coursework or certifications are listed.`
+                    : `The role ${details.education.required ? 'requires' : 'prefers'} a ${degree}, but no degree was found on your resume. List your education or equivalent experience.`
+            });
+        }
+
+        return recommendations;
+    }
+
+    // Lowercase canonical key, so "JS" and "javascript" compare equal
+    canonicalSkill(name) {
+        return this.skillTaxonomy.canonicalName(name).toLowerCase();
+    }
+
+    getSkillCategory(name) {
+        return this.skillTaxonomy.getCategory(name);
+    }
+
+    getSkillWeight(skill) {
+        if (typeof skill.weight === 'number') return skill.weight;
+        if (skill.category && this.skillCategories[skill.category]) return this.skillCategories[skill.category].weight;
+        return this.skillTaxonomy.getWeight(skill.name);
+    }
+
+    getHighestDegree(education) {
+        if (!education) return null;
+        const lines = Array.isArray(education)
+            ? education
+            : [...(education.degrees || []), ...(education.certifications || [])];
+
+        let best = null;
+        lines.forEach(line => {
+            const text = typeof line === 'string' ? line : [line.degree, line.field, line.title].filter(Boolean).join(' ');
+            const level = this.documentPipeline.degreeLevels.find(([name, pattern]) => (line && line.level === name) || pattern.test(text));
+            if (level && (!best || level[2] > best[2])) best = level;
+        });
+        return best ? best[0] : null;
+    }
+
+    // Analyses from older sources may lack totalYears; fall back to the employment date ranges
+    getResumeExperience(resumeAnalysis) {
+        const experience = resumeAnalysis.experience || {};
+        if (experience.totalYears > 0) return experience;
+
+        const text = typeof resumeAnalysis.text === 'string'
+            ? resumeAnalysis.text
+            : (experience.jobs || []).map(job => job.duration || '').join('\n');
+        return { ...experience, totalYears: this.documentPipeline.estimateYearsFromDateRanges(text) };
+    }
+
+    // Resume lines for recommendations: job and project bullets, or the resume text when none were parsed
+    getResumeLines(resumeAnalysis) {
+        const jobs = (resumeAnalysis.experience && resumeAnalysis.experience.jobs) || [];
+        const bullets = [
+            ...jobs.flatMap(job => job.description || []),
+            ...(resumeAnalysis.projects || []).flatMap(project => project.description || [])
+        ].map(line => this.documentPipeline.stripBullet(String(line))).filter(line => line.length > 20);
+        if (bullets.length > 0 || typeof resumeAnalysis.text !== 'string') {
+            return bullets;
+        }
+
+        return resumeAnalysis.text.split('\n').map(line => this.documentPipeline.stripBullet(line)).filter(line => line.length > 20);
+    }
+
+    truncateLine(line, maxLength = 90) {
+        return line.length <= maxLength ? line : line.substring(0, maxLength - 3) + '...';
     }
 
     parseAIInsights(aiResponse) {
@@ -798,6 +1287,11 @@ Respond in JSON format with structured insights.`;
         return { summary: aiResponse };
     }
 
+    updateMatchStats(score) {
+        this.stats.matchesCalculated++;
+        this.stats.averageMatchScore += (score - this.stats.averageMatchScore) / this.stats.matchesCalculated;
+    }
+
     updateStats(type, processingTime) {
         if (type === 'resume') {
             this.stats.resumesProcessed++;
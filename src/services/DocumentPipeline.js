@@ -0,0 +1,543 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const RESUME_SCHEMA_VERSION = 1;
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+|\\d{1,2}/)?((?:19|20)\\d{2})`;
+const DATE_RANGE = `${DATE}\\s*(?:-|–|—|to|until)\\s*(?:${DATE}|(present|current|now|today))`;
+
+const BULLET_PATTERN = /^(?:[-*•·▪◦●○■□➢►✓✔]|\d{1,2}[.)])\s+/;
+
+/**
+ * Document pipeline: load -> normalize -> section -> extract.
+ *
+ * Loads PDF (pdf-parse), DOCX (mammoth) and TXT files and turns resume text
+ * into the canonical resume schema. DocumentIntelligenceService.analyzeResume()
+ * and analyzeResumeFile() are the entry points the rest of the app uses; they
+ * add the experience level, industries and optional AI insights:
+ *
+ *   {
+ *     schemaVersion, source: { fileName, filePath, fileType },
+ *     text,            normalized text, line breaks kept
+ *     sections,        section names found, in document order
+ *     basicInfo:       { name, email, phone, location, linkedin, github, website },
+ *     summary,
+ *     skills:          { technical, tools, soft, total } of { name, category, confidence, weight, parent }
+ *     experience:      { jobs: [{ title, company, location, duration, startYear, endYear, current, description }], totalYears, level }
+ *     education:       { degrees: [{ degree, level, field, institution, year }], institutions, certifications }
+ *     projects:        [{ title, description, technologies }]
+ *     industries, aiInsights, metadata
+ *   }
+ */
+class DocumentPipeline {
+    constructor(skillTaxonomy) {
+        this.skillTaxonomy = skillTaxonomy;
+
+        // Resume section headings; a heading is a short line that is only the heading text
+        this.resumeSectionHeadings = [
+            ['summary', /^(?:(?:professional |career |executive )?summary|(?:professional )?profile|(?:career )?objective|about me)$/i],
+            ['experience', /^(?:(?:work|professional|relevant|industry) experience|experience|employment(?: history)?|work history|career history)$/i],
+            ['education', /^(?:education(?: (?:&|and) training)?|academic (?:background|qualifications)|qualifications)$/i],
+            ['skills', /^(?:(?:technical |core |key )?skills(?: (?:&|and) (?:tools|technologies|expertise))?|core competencies|technologies|tech(?:nical)? stack|tools(?: (?:&|and) technologies)?)$/i],
+            ['projects', /^(?:(?:personal |selected |academic |side |key )?projects|portfolio)$/i],
+            ['certifications', /^(?:certifications?|licenses?(?: (?:&|and) certifications)?|certificates|courses(?: (?:&|and) certifications)?)$/i],
+            ['other', /^(?:awards?(?: (?:&|and) honou?rs)?|honou?rs|achievements|publications|languages|interests|hobbies|volunteer(?:ing| experience)?|references|activities)$/i]
+        ];
+
+        // Degree levels with their rank, highest first
+        this.degreeLevels = [
+            ['phd', /\b(?:[Pp]h\.?\s?[Dd]|[Dd]octorate|[Dd]octoral)\b/, 5],
+            ['master', /\b(?:[Mm]aster'?s?|M\.?S\.?c?|MBA|M\.?Eng|M\.?Tech)\b/, 4],
+            ['bachelor', /\b(?:[Bb]achelor'?s?|B\.?S\.?c?|B\.?A\.?|B\.?Tech|B\.?Eng|[Uu]ndergraduate degree)\b/, 3],
+            ['associate', /\b[Aa]ssociate'?s? degree\b/, 2],
+            ['high school', /\b(?:[Hh]igh school|[Ss]econdary school|GED)\b/, 1]
+        ];
+
+        this.rolePattern = /\b(?:engineer|developer|manager|designer|analyst|scientist|architect|specialist|consultant|lead|director|administrator|coordinator|intern|programmer|officer|researcher|head of|founder|associate|assistant|technician|tester)\b/i;
+        this.institutionPattern = /\b(?:university|college|institute|school|academy|polytechnic)\b/i;
+        this.certificationKeywords = [
+            'certified', 'certification', 'certificate', 'license', 'accredited',
+            'CompTIA', 'PMP', 'Scrum Master', 'CISSP', 'CKA'
+        ];
+    }
+
+    /**
+     * Load a PDF, DOCX or TXT file and return its normalized text
+     *
+     * @returns {Promise<Object>} { text, source: { fileName, filePath, fileType } }
+     */
+    async loadDocument(filePath) {
+        const fileType = path.extname(filePath).toLowerCase().replace('.', '');
+        let text = '';
+
+        switch (fileType) {
+            case 'pdf': {
+                const pdfParse = require('pdf-parse');
+                const pdfData = await pdfParse(await fs.readFile(filePath));
+                text = pdfData.text;
+                break;
+            }
+            case 'docx': {
+                const mammoth = require('mammoth');
+                const result = await mammoth.extractRawText({ buffer: await fs.readFile(filePath) });
+                text = result.value;
+                break;
+            }
+            case 'txt':
+            case 'md':
+                text = await fs.readFile(filePath, 'utf8');
+                break;
+            case 'doc':
+                throw new Error('DOC files not fully supported yet. Please use DOCX or PDF.');
+            default:
+                throw new Error(`Unsupported file type: .${fileType}`);
+        }
+
+        return {
+            text: this.normalizeText(text),
+            source: { fileName: path.basename(filePath), filePath, fileType }
+        };
+    }
+
+    // Whitespace and line endings only - line breaks, bullets and symbols carry structure
+    normalizeText(text) {
+        return String(text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\u00A0\u2007\u202F]+/g, ' ')
+            .replace(/[\uF0B7\uF0A7]/g, '•') // Symbol-font bullets from Word exports
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    stripBullet(line) {
+        return line.trim().replace(BULLET_PATTERN, '').trim();
+    }
+
+    isBullet(line) {
+        return BULLET_PATTERN.test(line.trim());
+    }
+
+    /**
+     * Split resume text into { header, summary, experience, education, skills, projects, certifications, other }
+     * line arrays; lines before the first heading go to `header`
+     */
+    splitResumeSections(text) {
+        const sections = { header: [], summary: [], experience: [], education: [], skills: [], projects: [], certifications: [], other: [], order: [] };
+        let current = 'header';
+
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+
+            const heading = this.matchResumeHeading(line);
+            if (heading) {
+                current = heading;
+                if (!sections.order.includes(heading)) sections.order.push(heading);
+                return;
+            }
+            sections[current].push(line);
+        });
+
+        return sections;
+    }
+
+    matchResumeHeading(line) {
+        const text = line.trim().replace(/^#+\s*/, '').replace(/\*\*/g, '').replace(/\s*:$/, '').trim();
+        if (!text || text.length > 40) return null;
+
+        const entry = this.resumeSectionHeadings.find(([, pattern]) => pattern.test(text));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Resume text -> canonical resume schema (without level, industries and AI insights)
+     */
+    parseResume(text, source = {}) {
+        const normalized = this.normalizeText(text);
+        const sections = this.splitResumeSections(normalized);
+        const lines = normalized.split('\n').filter(line => line.trim());
+
+        const jobs = this.extractJobs(sections.experience.length > 0
+            ? sections.experience
+            : this.findUnsectionedJobLines(lines.filter(line => sections.header.includes(line) || sections.summary.includes(line))));
+        const education = this.extractEducation(sections.education.length > 0 ? sections.education : lines, sections.education.length === 0);
+        const certifications = this.extractCertifications(sections.certifications, lines);
+
+        // Date ranges from education must not count as work experience
+        const experienceText = sections.experience.length > 0
+            ? sections.experience.join('\n')
+            : lines.filter(line => !sections.education.includes(line) && !this.matchDegreeLevel(line) && !this.institutionPattern.test(line)).join('\n');
+
+        return {
+            schemaVersion: RESUME_SCHEMA_VERSION,
+            source: {
+                fileName: source.fileName || null,
+                filePath: source.filePath || null,
+                fileType: source.fileType || 'text'
+            },
+            text: normalized,
+            sections: sections.order,
+            basicInfo: this.extractBasicInfo(sections.header, normalized),
+            summary: this.extractSummary(sections),
+            skills: this.extractSkills(normalized, sections.skills),
+            experience: {
+                jobs,
+                totalYears: Math.max(this.extractStatedYears([...sections.header, ...sections.summary]), this.estimateYearsFromDateRanges(experienceText)),
+                level: null
+            },
+            education: {
+                degrees: education,
+                institutions: [...new Set(education.map(entry => entry.institution).filter(Boolean))],
+                certifications
+            },
+            projects: this.extractProjects(sections.projects)
+        };
+    }
+
+    createEmptyResume() {
+        return {
+            schemaVersion: RESUME_SCHEMA_VERSION,
+            source: { fileName: null, filePath: null, fileType: null },
+            text: '',
+            sections: [],
+            basicInfo: { name: null, email: null, phone: null, location: null, linkedin: null, github: null, website: null },
+            summary: '',
+            skills: { technical: [], tools: [], soft: [], total: 0 },
+            experience: { jobs: [], totalYears: 0, level: null },
+            education: { degrees: [], institutions: [], certifications: [] },
+            projects: [],
+            industries: []
+        };
+    }
+
+    extractBasicInfo(headerLines, text) {
+        const info = {
+            name: null,
+            email: null,
+            phone: null,
+            location: null,
+            linkedin: null,
+            github: null,
+            website: null
+        };
+
+        const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/);
+        if (emailMatch) info.email = emailMatch[0];
+
+        // 10-13 digits in any grouping ("+91 98765 43210", "(555) 123-4567"), never a date range
+        const phoneMatch = (text.match(/\+?\(?\d[\d\s().-]{8,18}\d/g) || [])
+            .find(candidate => /^\d{10,13}$/.test(candidate.replace(/\D/g, '')) && !this.matchDateRange(candidate));
+        if (phoneMatch) info.phone = phoneMatch.trim();
+
+        const linkedinMatch = text.match(/linkedin\.com\/in\/[\w-]+/i);
+        if (linkedinMatch) info.linkedin = linkedinMatch[0];
+
+        const githubMatch = text.match(/github\.com\/[\w-]+/i);
+        if (githubMatch) info.github = githubMatch[0];
+
+        const websiteMatch = text.match(/\bhttps?:\/\/(?!(?:www\.)?(?:linkedin|github)\.com)[^\s|,]+/i);
+        if (websiteMatch) info.website = websiteMatch[0];
+
+        // Contact lines are often "City, ST | email | phone"
+        const headerParts = headerLines.slice(0, 6).flatMap(line => line.split(/\s*[|•·]\s*/)).map(part => part.trim()).filter(Boolean);
+
+        info.name = headerParts.find(part =>
+            /^[A-Za-z][A-Za-z.'-]*(?:\s+[A-Za-z][A-Za-z.'-]*){1,3}$/.test(part) && !this.rolePattern.test(part)) || null;
+        info.location = headerParts.find(part =>
+            part !== info.name && /^[A-Z][A-Za-z .'-]+,\s*[A-Z][A-Za-z .'-]+$/.test(part)) || null;
+
+        return info;
+    }
+
+    extractSummary(sections) {
+        if (sections.summary.length > 0) {
+            return sections.summary.map(line => this.stripBullet(line)).join(' ').substring(0, 600);
+        }
+
+        // No summary heading: a sentence-like paragraph in the header
+        const paragraph = sections.header.find(line => line.split(/\s+/).length > 12);
+        return paragraph ? paragraph.substring(0, 600) : '';
+    }
+
+    /**
+     * Taxonomy skills anywhere in the text; skills listed in the skills section
+     * get higher confidence, and listed items the taxonomy does not know are kept
+     */
+    extractSkills(text, skillLines = []) {
+        const extractedSkills = {
+            technical: [],
+            soft: [],
+            tools: [],
+            total: 0
+        };
+
+        const sectionText = skillLines.join('\n');
+        const listed = new Set(sectionText ? this.skillTaxonomy.findSkills(sectionText).map(skill => skill.name) : []);
+
+        const skills = this.skillTaxonomy.findSkills(text).map(skill => ({
+            name: skill.name,
+            category: skill.category,
+            confidence: Math.min(1.0, this.calculateSkillConfidence(skill.occurrences) + (listed.has(skill.name) ? 0.2 : 0)),
+            weight: skill.weight,
+            parent: skill.parent
+        }));
+
+        this.extractListedItems(skillLines)
+            .filter(item => this.skillTaxonomy.findSkills(item).length === 0)
+            .forEach(item => skills.push({ name: item, category: 'other', confidence: 0.6, weight: 0.7, parent: null }));
+
+        skills.forEach(skill => {
+            if (skill.category === 'softSkills') {
+                extractedSkills.soft.push(skill);
+            } else if (skill.category === 'tools') {
+                extractedSkills.tools.push(skill);
+            } else {
+                extractedSkills.technical.push(skill);
+            }
+        });
+
+        extractedSkills.total = extractedSkills.technical.length +
+                              extractedSkills.soft.length +
+                              extractedSkills.tools.length;
+
+        return extractedSkills;
+    }
+
+    // "Languages: Python, Go" / "- Docker" / "Figma | Sketch" -> individual items
+    extractListedItems(lines) {
+        const items = lines
+            .flatMap(line => this.stripBullet(line).replace(/^[A-Za-z &/]{2,30}:\s*/, '').split(/\s*[,;|•·]\s*/))
+            .map(item => item.replace(/[.()]+$/, '').trim())
+            .filter(item => item.length > 1 && item.length < 40 && item.split(/\s+/).length <= 4);
+        return [...new Set(items)];
+    }
+
+    calculateSkillConfidence(occurrences) {
+        return Math.min(1.0, occurrences * 0.2 + 0.1);
+    }
+
+    /**
+     * Jobs from the experience section. Short non-bullet lines are headers (title,
+     * company, dates); bullets and sentences are the description of the current job.
+     */
+    extractJobs(lines) {
+        const jobs = [];
+        let current = null;
+        let inDescription = false;
+
+        lines.forEach(rawLine => {
+            const line = this.stripBullet(rawLine);
+            if (!line) return;
+
+            const range = this.matchDateRange(line);
+            const complete = current && current.title && current.company && current.duration;
+            const isDescription = this.isBullet(rawLine) ||
+                (!range && (line.split(/\s+/).length > 8 || /[.;]$/.test(line) || line.length > 90)) ||
+                (complete && !range && !this.rolePattern.test(line));
+
+            if (isDescription) {
+                if (!current) current = this.createJob();
+                current.description.push(line);
+                inDescription = true;
+                return;
+            }
+
+            if (!current || inDescription || (current.title && current.company && (!range || current.duration))) {
+                if (current) jobs.push(current);
+                current = this.createJob();
+                inDescription = false;
+            }
+            this.applyJobHeaderLine(current, line, range);
+        });
+
+        if (current) jobs.push(current);
+        return jobs.filter(job => job.title || job.company);
+    }
+
+    /**
+     * Job lines of a resume without an experience heading: from the first
+     * employment date range (and the title line right above it, when the range
+     * line does not name the role) to the first education line or labelled
+     * section ("Education: BSc ...", "Skills: ...")
+     */
+    findUnsectionedJobLines(lines) {
+        const first = lines.findIndex(line =>
+            this.matchDateRange(line) && !this.matchDegreeLevel(line) && !this.institutionPattern.test(line));
+        if (first < 0) return [];
+
+        const previous = first > 0 ? this.stripBullet(lines[first - 1]) : '';
+        const titleAbove = previous && !this.isBullet(lines[first - 1]) && !/[@\d]/.test(previous) &&
+            previous.split(/\s+/).length <= 8 && this.rolePattern.test(previous) && !this.rolePattern.test(lines[first]);
+
+        const end = lines.findIndex((line, index) => {
+            if (index <= first) return false;
+            const label = this.stripBullet(line).match(/^([^:]{2,40}):/);
+            return (label && this.matchResumeHeading(label[1])) || (!this.isBullet(line) && !!this.matchDegreeLevel(line));
+        });
+        return lines.slice(titleAbove ? first - 1 : first, end < 0 ? lines.length : end);
+    }
+
+    createJob() {
+        return { title: null, company: null, location: null, duration: null, startYear: null, endYear: null, current: false, description: [] };
+    }
+
+    applyJobHeaderLine(job, line, range) {
+        let rest = line;
+        if (range) {
+            job.duration = range.text;
+            job.startYear = range.start;
+            job.endYear = range.end;
+            job.current = range.current;
+            rest = line.replace(range.text, '');
+        }
+
+        rest.replace(/[()]/g, ' ')
+            .split(/\s+(?:at|@)\s+|\s*[|–—]\s*|\s+-\s+|,\s+/)
+            .map(part => part.trim())
+            .filter(part => part && /[A-Za-z]/.test(part))
+            .forEach(part => {
+                if (!job.title && this.rolePattern.test(part)) job.title = part;
+                else if (!job.company) job.company = part;
+                else if (!job.title) job.title = part;
+                else if (!job.location) job.location = part;
+            });
+    }
+
+    matchDateRange(line) {
+        const match = line.match(new RegExp(DATE_RANGE, 'i'));
+        if (!match) return null;
+
+        const start = parseInt(match[1], 10);
+        const current = !!match[3];
+        const end = current ? new Date().getFullYear() : parseInt(match[2], 10);
+        return { text: match[0], start, end, current };
+    }
+
+    // Resumes rarely state "N years" for the whole career; the employment date ranges are summed instead
+    estimateYearsFromDateRanges(text) {
+        const currentYear = new Date().getFullYear();
+        const ranges = [];
+        const rangePattern = new RegExp(DATE_RANGE, 'gi');
+        let match;
+        while ((match = rangePattern.exec(text)) !== null) {
+            const start = parseInt(match[1], 10);
+            const end = match[3] ? currentYear : parseInt(match[2], 10);
+            if (end >= start && end <= currentYear) ranges.push([start, end]);
+        }
+
+        // Merge overlapping ranges so concurrent roles are not counted twice
+        let total = 0;
+        let current = null;
+        ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+            if (current && start <= current[1]) {
+                current[1] = Math.max(current[1], end);
+            } else {
+                if (current) total += current[1] - current[0];
+                current = [start, end];
+            }
+        });
+        if (current) total += current[1] - current[0];
+        return total;
+    }
+
+    // "8+ years of experience" in the summary
+    extractStatedYears(lines) {
+        const years = lines.join(' ').match(/(\d{1,2})\+?\s*(?:years?|yrs)\b/gi) || [];
+        return years.reduce((max, match) => Math.max(max, parseInt(match, 10)), 0);
+    }
+
+    /**
+     * Degree entries; without an education section only lines naming a degree are used
+     */
+    extractEducation(lines, degreeLinesOnly = false) {
+        const degrees = [];
+        let current = null;
+
+        lines.forEach(rawLine => {
+            const line = this.stripLabel(this.stripBullet(rawLine), 'education');
+            if (!line) return;
+
+            const parts = line.split(/\s*[|–—]\s*|\s+-\s+|,\s+|\s+at\s+/).map(part => part.trim()).filter(Boolean);
+            const degreePart = parts.find(part => this.matchDegreeLevel(part));
+            const institutionPart = parts.find(part => part !== degreePart && this.institutionPattern.test(part));
+            if (degreeLinesOnly && !degreePart) return;
+
+            if ((degreePart && (!current || current.degree)) || (institutionPart && (!current || current.institution))) {
+                current = { degree: null, level: null, field: null, institution: null, year: null };
+                degrees.push(current);
+            }
+            if (!current) return;
+
+            if (degreePart && !current.degree) {
+                current.degree = degreePart;
+                current.level = this.matchDegreeLevel(degreePart);
+                const field = line.match(/\bin\s+([A-Z][\w&/]*(?:\s+(?:[A-Z][\w&/]*|and|&|of))*)/);
+                current.field = field ? field[1].trim() : null;
+            }
+            if (institutionPart && !current.institution) {
+                current.institution = institutionPart;
+            }
+
+            const years = line.match(/\b(?:19|20)\d{2}\b/g);
+            if (years) current.year = parseInt(years[years.length - 1], 10);
+        });
+
+        return degrees;
+    }
+
+    // "Education: BSc Computer Science" -> "BSc Computer Science" when the label is a heading of the section
+    stripLabel(line, section) {
+        const label = line.match(/^([^:]{2,40}):\s*(.+)$/);
+        return label && this.matchResumeHeading(label[1]) === section ? label[2] : line;
+    }
+
+    matchDegreeLevel(text) {
+        const level = this.degreeLevels.find(([, pattern]) => pattern.test(text));
+        return level ? level[0] : null;
+    }
+
+    extractCertifications(sectionLines, allLines) {
+        const certifications = sectionLines.map(line => this.stripBullet(line));
+
+        allLines.forEach(line => {
+            const text = this.stripBullet(line);
+            if (this.matchResumeHeading(text)) return;
+            if (text.length < 120 && this.certificationKeywords.some(keyword => text.toLowerCase().includes(keyword.toLowerCase()))) {
+                certifications.push(text);
+            }
+        });
+
+        return [...new Set(certifications.filter(Boolean))];
+    }
+
+    extractProjects(lines) {
+        const projects = [];
+        let current = null;
+
+        lines.forEach(rawLine => {
+            const line = this.stripBullet(rawLine);
+            if (!line) return;
+
+            const isTitle = !this.isBullet(rawLine) && line.length < 80 && line.split(/\s+/).length <= 8 && !/[.;]$/.test(line);
+            if (isTitle || !current) {
+                current = { title: isTitle ? line : null, description: isTitle ? [] : [line], technologies: [] };
+                projects.push(current);
+            } else {
+                current.description.push(line);
+            }
+
+            this.skillTaxonomy.findSkills(line).forEach(tech => {
+                if (!current.technologies.includes(tech.name)) {
+                    current.technologies.push(tech.name);
+                }
+            });
+        });
+
+        return projects;
+    }
+}
+
+module.exports = DocumentPipeline;
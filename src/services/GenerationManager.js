@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+
+/**
+ * Single-flight coordinator for AI generations that stream into the response window.
+ *
+ * Every generation gets a request id and an AbortController. Starting a new
+ * generation supersedes the one in flight, so only one stream can ever write to
+ * the response window. Chunk handlers are wrapped so anything arriving after a
+ * generation was cancelled or superseded is dropped instead of interleaving.
+ */
+class GenerationManager {
+    constructor(onStatus = null) {
+        this.onStatus = onStatus;
+        this.generations = new Map();
+        this.currentId = null;
+        this.stats = {
+            started: 0,
+            completed: 0,
+            cancelled: 0,
+            superseded: 0,
+            failed: 0,
+            droppedChunks: 0
+        };
+    }
+
+    /**
+     * Start a new generation, superseding whatever is currently running.
+     *
+     * @param {string} kind - what is being generated ('answer', 'screen-analysis', ...)
+     * @param {Object} metadata - extra fields included in status events (e.g. question)
+     * @returns {{ id: string, signal: AbortSignal }}
+     */
+    start(kind, metadata = {}) {
+        if (this.currentId) {
+            this.abort(this.currentId, 'superseded');
+        }
+
+        const id = `gen_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        const controller = new AbortController();
+
+        this.generations.set(id, {
+            id,
+            kind,
+            metadata,
+            controller,
+            status: 'running',
+            startedAt: Date.now()
+        });
+        this.currentId = id;
+        this.stats.started++;
+
+        this.emitStatus(id, 'started');
+        return { id, signal: controller.signal };
+    }
+
+    /**
+     * Cancel a generation on user request. Without an id the current one is cancelled.
+     */
+    cancel(id = null) {
+        const targetId = id || this.currentId;
+        if (!targetId) {
+            return false;
+        }
+        return this.abort(targetId, 'cancelled');
+    }
+
+    abort(id, reason) {
+        const generation = this.generations.get(id);
+        if (!generation || generation.status !== 'running') {
+            return false;
+        }
+
+        generation.status = reason;
+        generation.endedAt = Date.now();
+        generation.controller.abort(new GenerationAbortedError(reason, id));
+        this.stats[reason]++;
+
+        if (this.currentId === id) {
+            this.currentId = null;
+        }
+
+        this.emitStatus(id, reason);
+        this.forget(id);
+        return true;
+    }
+
+    complete(id) {
+        this.finish(id, 'completed');
+    }
+
+    fail(id, error) {
+        this.finish(id, 'failed', { error: error.message });
+    }
+
+    finish(id, status, extra = {}) {
+        const generation = this.generations.get(id);
+        if (!generation || generation.status !== 'running') {
+            return;
+        }
+
+        generation.status = status;
+        generation.endedAt = Date.now();
+        this.stats[status]++;
+
+        if (this.currentId === id) {
+            this.currentId = null;
+        }
+
+        this.emitStatus(id, status, extra);
+        this.forget(id);
+    }
+
+    /**
+     * True while the generation is running and has not been superseded
+     */
+    isActive(id) {
+        const generation = this.generations.get(id);
+        return !!generation && generation.status === 'running' && this.currentId === id;
+    }
+
+    /**
+     * Wrap a chunk handler so chunks from stale generations never reach the UI
+     */
+    guardChunks(id, onChunk) {
+        return (chunk) => {
+            if (!this.isActive(id)) {
+                this.stats.droppedChunks++;
+                return;
+            }
+            onChunk({ ...chunk, requestId: id });
+        };
+    }
+
+    isAbortError(error) {
+        return error instanceof GenerationAbortedError ||
+            error?.name === 'AbortError' ||
+            error?.cause instanceof GenerationAbortedError;
+    }
+
+    getCurrent() {
+        if (!this.currentId) return null;
+        const { id, kind, metadata, startedAt } = this.generations.get(this.currentId);
+        return { id, kind, metadata, startedAt };
+    }
+
+    emitStatus(id, status, extra = {}) {
+        const generation = this.generations.get(id);
+        if (!this.onStatus || !generation) return;
+
+        try {
+            this.onStatus({
+                requestId: id,
+                kind: generation.kind,
+                status,
+                question: generation.metadata.question,
+                duration: generation.endedAt ? generation.endedAt - generation.startedAt : 0,
+                timestamp: new Date().toISOString(),
+                ...extra
+            });
+        } catch (error) {
+            console.error('GenerationManager: Status listener failed:', error);
+        }
+    }
+
+    // Keep finished generations briefly so late chunks can still be recognised as stale
+    forget(id) {
+        setTimeout(() => this.generations.delete(id), 30000).unref?.();
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            current: this.getCurrent()
+        };
+    }
+}
+
+class GenerationAbortedError extends Error {
+    constructor(reason, requestId) {
+        super(`Generation ${reason}`);
+        this.name = 'AbortError';
+        this.reason = reason;
+        this.requestId = requestId;
+    }
+}
+
+GenerationManager.GenerationAbortedError = GenerationAbortedError;
+
+module.exports = GenerationManager;
@@ -0,0 +1,285 @@
+/**
+ * Interviewer simulation ("practice mode").
+ *
+ * Questions come from DocumentIntelligenceService.generateInterviewQuestions()
+ * based on the resume and job description, after the questions the
+ * QuestionBankService has due for review today, and are asked one at a time. The
+ * next question is only shown once the current one has been answered (typed
+ * or transcribed) or skipped.
+ *
+ * Each answer is scored by AnswerFeedbackService; questions, answers and
+ * feedback are stored in DatabaseService when the local database is available.
+ */
+class InterviewerService {
+    constructor(documentIntelligenceService, answerFeedbackService = null, databaseService = null, questionBankService = null) {
+        this.documentIntelligenceService = documentIntelligenceService;
+        this.answerFeedbackService = answerFeedbackService;
+        this.databaseService = databaseService;
+        this.questionBankService = questionBankService;
+        this.session = null;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    isActive() {
+        return !!(this.session && this.session.status === 'active');
+    }
+
+    /**
+     * Start a practice interview
+     *
+     * @param {Object} options - { resumeData, jobDescription, companyName, count, categories, includeDue }
+     */
+    async start({ resumeData = null, jobDescription = '', companyName = null, count = 6, categories = null, includeDue = true } = {}) {
+        const due = includeDue ? await this.getDueQuestions(count) : [];
+        const result = await this.documentIntelligenceService.generateInterviewQuestions(
+            resumeData || {},
+            jobDescription || '',
+            { count, categories, companyName }
+        );
+
+        const generated = result.success && result.questions ? result.questions : [];
+        if (generated.length === 0 && due.length === 0) {
+            throw new Error(result.error || 'No practice questions could be generated');
+        }
+
+        // Due questions first; generated ones fill the rest unless they repeat a due question
+        const fresh = generated.filter(question => !due.some(entry => this.questionBankService.isSameQuestion(entry.text, question.text)));
+        const questions = [...due, ...fresh].slice(0, Math.max(count, due.length));
+
+        this.session = {
+            id: await this.createStoredSession({ companyName: result.company || companyName, jobDescription }),
+            status: 'active',
+            startedAt: Date.now(),
+            endedAt: null,
+            jobLevel: result.jobLevel,
+            focusSkills: result.focusSkills,
+            companyName: result.company || companyName,
+            questions,
+            reviewCount: due.length,
+            index: 0,
+            askedAt: Date.now(),
+            answers: []
+        };
+
+        console.log(`InterviewerService: Practice started with ${questions.length} questions, ${due.length} due for review (${result.jobLevel} level)`);
+        return this.getState();
+    }
+
+    // Today's spaced-repetition queue; practice still starts when the bank is unavailable
+    async getDueQuestions(count) {
+        if (!this.questionBankService || !this.questionBankService.hasDatabase) return [];
+
+        try {
+            const queue = await this.questionBankService.getDueQueue({ limit: count });
+            return queue.map(card => this.questionBankService.toPracticeQuestion(card));
+        } catch (error) {
+            console.error('InterviewerService: Failed to load due questions:', error);
+            return [];
+        }
+    }
+
+    // Practice sessions share the sessions table with live interviews; ids without a database are local only
+    async createStoredSession({ companyName, jobDescription }) {
+        if (this.hasDatabase) {
+            try {
+                const result = await this.databaseService.createSession({
+                    companyName,
+                    jobDescription: typeof jobDescription === 'string' ? jobDescription : null,
+                    model: 'practice'
+                });
+                return result.sessionId;
+            } catch (error) {
+                console.error('InterviewerService: Failed to create practice session, using memory only:', error);
+            }
+        }
+        return `practice_${Date.now()}`;
+    }
+
+    get isPersisted() {
+        return this.hasDatabase && !!this.session && !this.session.id.startsWith('practice_');
+    }
+
+    getCurrentQuestion() {
+        if (!this.isActive()) return null;
+        return this.session.questions[this.session.index] || null;
+    }
+
+    /**
+     * Score and record the answer to the current question, then move to the next one
+     *
+     * @param {string} answer - typed or transcribed answer
+     * @param {string} source - 'typed' | 'voice'
+     */
+    async submitAnswer(answer, source = 'typed') {
+        const question = this.getCurrentQuestion();
+        if (!question) {
+            throw new Error('No practice interview in progress');
+        }
+        if (!answer || !answer.trim()) {
+            throw new Error('Answer is empty');
+        }
+
+        const entry = this.recordAnswer(question, { answer: answer.trim(), source, skipped: false });
+        if (this.answerFeedbackService) {
+            entry.feedback = this.answerFeedbackService.evaluate({
+                question: question.text,
+                answer: entry.answer,
+                skill: question.skill
+            });
+        }
+        this.advance();
+
+        await this.persistAnswer(entry);
+        if (!this.isActive()) {
+            await this.endStoredSession();
+        }
+        return { answered: entry, ...this.getState() };
+    }
+
+    async skip() {
+        const question = this.getCurrentQuestion();
+        if (!question) {
+            throw new Error('No practice interview in progress');
+        }
+
+        const entry = this.recordAnswer(question, { answer: '', source: null, skipped: true });
+        this.advance();
+
+        await this.persistAnswer(entry);
+        if (!this.isActive()) {
+            await this.endStoredSession();
+        }
+        return { skipped: entry, ...this.getState() };
+    }
+
+    // Skipped questions are stored unanswered so they show up when reviewing the session
+    async persistAnswer(entry) {
+        if (!this.isPersisted) return;
+
+        try {
+            const stored = await this.databaseService.storeQuestion({
+                sessionId: this.session.id,
+                questionText: entry.question,
+                questionType: entry.feedback ? entry.feedback.questionType : 'unknown',
+                source: 'practice',
+                context: { category: entry.category, skill: entry.skill }
+            });
+            entry.storedQuestionId = stored.questionId;
+
+            if (entry.feedback) {
+                await this.databaseService.storeAnswerFeedback({
+                    questionId: stored.questionId,
+                    sessionId: this.session.id,
+                    answerText: entry.answer,
+                    answerSource: entry.source,
+                    feedback: entry.feedback
+                });
+            }
+        } catch (error) {
+            console.error('InterviewerService: Failed to persist practice answer:', error);
+        }
+    }
+
+    recordAnswer(question, { answer, source, skipped }) {
+        const entry = {
+            questionId: question.id,
+            question: question.text,
+            category: question.category,
+            skill: question.skill || null,
+            answer,
+            source,
+            skipped,
+            durationMs: Date.now() - this.session.askedAt,
+            answeredAt: Date.now()
+        };
+        this.session.answers.push(entry);
+        return entry;
+    }
+
+    advance() {
+        this.session.index++;
+        this.session.askedAt = Date.now();
+
+        if (this.session.index >= this.session.questions.length) {
+            this.session.status = 'completed';
+            this.session.endedAt = Date.now();
+        }
+    }
+
+    /**
+     * End the practice interview early (or acknowledge completion) and return a summary
+     */
+    async stop() {
+        if (!this.session) return null;
+
+        // Completed sessions were already closed when the last question was answered
+        if (this.session.status === 'active') {
+            this.session.status = 'ended';
+            this.session.endedAt = Date.now();
+            await this.endStoredSession();
+        }
+
+        const summary = this.getSummary();
+        this.session = null;
+        return summary;
+    }
+
+    async endStoredSession() {
+        if (!this.isPersisted) return;
+
+        try {
+            await this.databaseService.endSession(this.session.id);
+        } catch (error) {
+            console.error('InterviewerService: Failed to end practice session:', error);
+        }
+    }
+
+    getState() {
+        if (!this.session) {
+            return { active: false };
+        }
+
+        const question = this.getCurrentQuestion();
+        return {
+            active: this.isActive(),
+            sessionId: this.session.id,
+            status: this.session.status,
+            question,
+            progress: {
+                current: Math.min(this.session.index + 1, this.session.questions.length),
+                total: this.session.questions.length,
+                answered: this.session.answers.filter(entry => !entry.skipped).length,
+                review: this.session.reviewCount
+            },
+            jobLevel: this.session.jobLevel,
+            focusSkills: this.session.focusSkills,
+            summary: this.isActive() ? null : this.getSummary()
+        };
+    }
+
+    getSummary() {
+        const answered = this.session.answers.filter(entry => !entry.skipped);
+        const totalWords = answered.reduce((sum, entry) => sum + entry.answer.split(/\s+/).length, 0);
+        const scored = answered.filter(entry => entry.feedback);
+
+        return {
+            sessionId: this.session.id,
+            status: this.session.status,
+            jobLevel: this.session.jobLevel,
+            questionsAsked: this.session.answers.length,
+            answered: answered.length,
+            skipped: this.session.answers.length - answered.length,
+            averageAnswerWords: answered.length > 0 ? Math.round(totalWords / answered.length) : 0,
+            averageScore: scored.length > 0
+                ? Math.round(scored.reduce((sum, entry) => sum + entry.feedback.overallScore, 0) / scored.length)
+                : null,
+            durationMs: (this.session.endedAt || Date.now()) - this.session.startedAt,
+            answers: this.session.answers
+        };
+    }
+}
+
+module.exports = InterviewerService;
@@ -1,48 +1,185 @@
 
 const { Pool } = require('pg');
+const PostgresMigrationRunner = require('./migrations/PostgresMigrationRunner');
+const migrations = require('./migrations/postgres');
 
+// Failures to get a connection that are worth retrying (server restarting, unreachable, out of slots)
+const TRANSIENT_CONNECT_ERRORS = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', '57P01', '57P02', '57P03', '53300', '08000', '08001', '08004', '08006']);
+
+// Statement failures after which the statement certainly did not take effect (serialization failure, deadlock)
+const RETRYABLE_STATEMENT_ERRORS = new Set(['40001', '40P01']);
+
+const RETRY_BASE_DELAY_MS = 250;
+const RETRY_MAX_DELAY_MS = 5000;
+
+/**
+ * Connection to a Postgres server: the company, job description and resume
+ * tables, and the team database trainees sync their practice to (see
+ * repositories/PostgresRepository.js and TeamSyncService.js).
+ *
+ * Getting a connection is retried with exponential backoff when the failure
+ * is transient. A statement is only retried when Postgres reports it did not
+ * take effect (serialization failure, deadlock); a connection lost mid-statement
+ * is not retried, since the statement may have run. Health is the outcome of
+ * the last check or pool error, so an idle-client error no longer turns the
+ * service off for the rest of the run.
+ *
+ * Configured from DB_USER, DB_PASSWORD, DB_HOST, DB_NAME, DB_PORT and DB_SSL;
+ * tests can pass any pg-compatible pool (a pg-mem pool, or one for a local container).
+ */
 class PostgresService {
-    constructor() {
-        this.isEnabled = process.env.DB_USER && process.env.DB_PASSWORD;
-        
-        if (this.isEnabled) {
+    /**
+     * @param {Object} options - { pool: pg-compatible Pool, retries: attempts after the first (default 3) }
+     */
+    constructor({ pool = null, retries = 3 } = {}) {
+        this.isEnabled = !!(pool || (process.env.DB_USER && process.env.DB_PASSWORD));
+        this.retries = retries;
+        this.pool = pool;
+        this.migrationRunner = null;
+        this.health = { healthy: null, latencyMs: null, serverTime: null, error: null, checkedAt: null };
+
+        if (this.isEnabled && !this.pool) {
             this.pool = new Pool({
                 user: process.env.DB_USER,
                 host: process.env.DB_HOST || 'localhost',
                 database: process.env.DB_NAME || 'mockmate',
                 password: process.env.DB_PASSWORD,
                 port: process.env.DB_PORT || 5432,
+                ssl: process.env.DB_SSL === 'true' ? { rejectUnauthorized: process.env.DB_SSL_REJECT_UNAUTHORIZED !== 'false' } : undefined,
+                // Without a timeout, connecting to an unreachable server waits for the OS
+                connectionTimeoutMillis: 10000
             });
+        }
 
-            this.pool.on('error', (err, client) => {
+        if (this.isEnabled) {
+            this.pool.on?.('error', (err) => {
                 console.error('Unexpected error on idle client', err);
-                // Don't exit the process, just log the error
-                this.isEnabled = false;
+                // Don't exit the process, just log the error; the next checkout reconnects
+                this.health = { ...this.health, healthy: false, error: err.message, checkedAt: Date.now() };
             });
         } else {
             console.log('PostgresService: Database connection disabled - missing environment variables');
         }
     }
 
-    async query(text, params) {
+    requireEnabled() {
         if (!this.isEnabled) {
             throw new Error('Database connection is disabled');
         }
-        const client = await this.pool.connect();
-        try {
-            const res = await client.query(text, params);
-            return res.rows;
-        } finally {
-            client.release();
+    }
+
+    isTransientConnectError(error) {
+        return TRANSIENT_CONNECT_ERRORS.has(error.code) || /Connection terminated|timeout exceeded when trying to connect/i.test(error.message || '');
+    }
+
+    /**
+     * Run `operation` until it succeeds, it fails with an error `isRetryable`
+     * rejects, or the retries are used up; waits 250 ms, 500 ms, 1 s, ... (at
+     * most 5 s, with jitter) between attempts
+     */
+    async withRetry(operation, isRetryable, retries = this.retries) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) throw error;
+
+                const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS) * (0.5 + Math.random() / 2);
+                console.warn(`PostgresService: ${error.message}; retrying in ${Math.round(delay)} ms (${attempt + 1}/${retries})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
     }
 
+    // Pool checkout, retried while the failure is transient
+    async connect(retries = this.retries) {
+        this.requireEnabled();
+        return this.withRetry(() => this.pool.connect(), error => this.isTransientConnectError(error), retries);
+    }
+
+    async query(text, params, { retries = this.retries } = {}) {
+        return this.withRetry(async () => {
+            const client = await this.connect(retries);
+            try {
+                const res = await client.query(text, params);
+                return res.rows;
+            } finally {
+                client.release();
+            }
+        }, error => RETRYABLE_STATEMENT_ERRORS.has(error.code), retries);
+    }
+
+    /**
+     * Run `work(client)` in a transaction; `client.query(text, params)` returns
+     * rows like query(). Rolled back when `work` throws. Serialization failures
+     * and deadlocks run `work` again, so it must not have other side effects.
+     */
+    async transaction(work, { retries = this.retries } = {}) {
+        return this.withRetry(async () => {
+            const client = await this.connect(retries);
+            let broken = null;
+            try {
+                await client.query('BEGIN');
+                const result = await work({ query: async (text, params) => (await client.query(text, params)).rows });
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    broken = rollbackError;
+                }
+                throw error;
+            } finally {
+                // A connection that could not roll back is dropped rather than reused
+                client.release(broken || undefined);
+            }
+        }, error => RETRYABLE_STATEMENT_ERRORS.has(error.code), retries);
+    }
+
     async getClient() {
-        if (!this.isEnabled) {
-            throw new Error('Database connection is disabled');
+        return this.connect();
+    }
+
+    /**
+     * Round trip to the server, not retried, so it reports the current state
+     *
+     * @returns {Promise<{ enabled, healthy, latencyMs, serverTime, error, checkedAt }>}
+     */
+    async checkHealth() {
+        if (!this.isEnabled) return this.getHealth();
+
+        const started = Date.now();
+        try {
+            const [row] = await this.query('SELECT NOW() AS now', [], { retries: 0 });
+            this.health = { healthy: true, latencyMs: Date.now() - started, serverTime: row.now, error: null, checkedAt: Date.now() };
+        } catch (error) {
+            this.health = { healthy: false, latencyMs: null, serverTime: null, error: error.message, checkedAt: Date.now() };
         }
-        return this.pool.connect();
+        return this.getHealth();
+    }
+
+    getHealth() {
+        return { enabled: this.isEnabled, ...this.health };
     }
+
+    // Schema migrations (migrations/postgres)
+    getMigrationRunner() {
+        this.requireEnabled();
+        if (!this.migrationRunner) {
+            this.migrationRunner = new PostgresMigrationRunner({ postgres: this, migrations });
+        }
+        return this.migrationRunner;
+    }
+
+    async migrate(options = {}) {
+        return this.getMigrationRunner().migrate(options);
+    }
+
+    async getMigrationStatus() {
+        return this.getMigrationRunner().getStatus();
+    }
+
     async insertCompany(name) {
         const res = await this.query(
             'INSERT INTO companies(name) VALUES($1) ON CONFLICT(name) DO UPDATE SET name = EXCLUDED.name RETURNING id, name',
@@ -76,6 +213,12 @@ class PostgresService {
         const res = await this.query('SELECT * FROM resumes WHERE id = $1', [id]);
         return res[0];
     }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.end();
+        }
+    }
 }
 
-module.exports = new PostgresService();
+module.exports = PostgresService;
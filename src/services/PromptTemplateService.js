@@ -0,0 +1,279 @@
+const { DEFAULT_TEMPLATES } = require('./prompts/templates');
+
+const OVERRIDES_PREFERENCE_KEY = 'prompt_template_overrides';
+
+/**
+ * Registry of named, versioned prompt templates.
+ *
+ * Built-in templates live in prompts/templates.js. Users can override the
+ * system or user text of any template (or of one question-type variant); the
+ * overrides are saved in DatabaseService preferences and take precedence over
+ * the built-ins.
+ */
+class PromptTemplateService {
+    constructor(databaseService = null) {
+        this.databaseService = databaseService;
+        this.templates = DEFAULT_TEMPLATES;
+
+        // { [templateName]: { base?: { system, user, baseVersion }, variants?: { [type]: {...} } } }
+        this.overrides = {};
+        this.overridesLoaded = false;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    async loadOverrides() {
+        if (this.overridesLoaded) return this.overrides;
+
+        if (this.hasDatabase) {
+            this.overrides = await this.databaseService.getPreference(OVERRIDES_PREFERENCE_KEY, {}) || {};
+        }
+        this.overridesLoaded = true;
+        return this.overrides;
+    }
+
+    // Read the overrides again, e.g. after a restore replaced the preferences
+    async reloadOverrides() {
+        this.overridesLoaded = false;
+        return this.loadOverrides();
+    }
+
+    async saveOverrides() {
+        if (!this.hasDatabase) {
+            console.warn('PromptTemplateService: Database unavailable, template overrides will not persist');
+            return false;
+        }
+        return await this.databaseService.setPreference(OVERRIDES_PREFERENCE_KEY, this.overrides);
+    }
+
+    listTemplates() {
+        return Object.entries(this.templates).map(([name, template]) => {
+            const override = this.overrides[name] || {};
+            const overriddenParts = [
+                ...(override.base ? ['base'] : []),
+                ...Object.keys(override.variants || {})
+            ];
+
+            return {
+                name,
+                version: template.version,
+                description: template.description,
+                partial: !!template.partial,
+                variants: Object.keys(template.variants || {}),
+                overridden: overriddenParts,
+                // Saved against an older built-in version - the user may want to review it
+                outdated: overriddenParts.some(part => {
+                    const entry = part === 'base' ? override.base : override.variants[part];
+                    return entry.baseVersion < template.version;
+                })
+            };
+        });
+    }
+
+    /**
+     * Effective system/user text for a template and question type.
+     * Precedence: user variant override, built-in variant, user base override, built-in.
+     */
+    getTemplate(name, questionType = null) {
+        const template = this.templates[name];
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${name}`);
+        }
+
+        const override = this.overrides[name] || {};
+        const variant = questionType && template.variants ? template.variants[questionType] : null;
+        const variantOverride = questionType && override.variants ? override.variants[questionType] : null;
+
+        const layers = [template, override.base, variant, variantOverride].filter(Boolean);
+        const resolved = layers.reduce((acc, layer) => ({
+            system: layer.system !== undefined ? layer.system : acc.system,
+            user: layer.user !== undefined ? layer.user : acc.user
+        }), { system: null, user: '' });
+
+        return {
+            name,
+            version: template.version,
+            variant: variant || variantOverride ? questionType : null,
+            customized: !!(override.base || variantOverride),
+            ...resolved
+        };
+    }
+
+    /**
+     * Render a template into { system, user } prompt text
+     *
+     * @param {string} name - template name
+     * @param {Object} variables - { question, questionType, company, jobDescription, resume, ... }
+     */
+    render(name, variables = {}) {
+        const template = this.getTemplate(name, variables.questionType);
+
+        return {
+            template: name,
+            version: template.version,
+            variant: template.variant,
+            system: template.system ? this.renderString(template.system, variables) : null,
+            user: this.renderString(template.user, variables)
+        };
+    }
+
+    // Variables are substituted last so values (OCR text, code) containing braces are never re-parsed
+    renderString(text, variables) {
+        return this.expandPartials(text, variables.questionType)
+            .replace(/\{\{#\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, key, body) =>
+                this.hasValue(variables[key]) ? body : '')
+            .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+                this.hasValue(variables[key]) ? String(variables[key]) : '');
+    }
+
+    expandPartials(text, questionType, depth = 0) {
+        if (depth > 5) {
+            throw new Error('Prompt template partials are nested too deeply');
+        }
+
+        return text.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, partialName) =>
+            this.expandPartials(this.getTemplate(partialName, questionType).user, questionType, depth + 1));
+    }
+
+    hasValue(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== undefined && value !== null && String(value).trim() !== '';
+    }
+
+    /**
+     * Save a user override for a template, optionally only for one question type
+     *
+     * @param {string} name - template name
+     * @param {Object} override - { system?, user?, variant? }
+     */
+    async setOverride(name, { system, user, variant = null } = {}) {
+        const template = this.templates[name];
+        if (!template) {
+            throw new Error(`Unknown prompt template: ${name}`);
+        }
+        if (system === undefined && user === undefined) {
+            throw new Error('Template override needs system or user text');
+        }
+
+        await this.loadOverrides();
+
+        const entry = { baseVersion: template.version, updatedAt: new Date().toISOString() };
+        if (system !== undefined) entry.system = system;
+        if (user !== undefined) entry.user = user;
+
+        // Fail on unknown partials before the override is saved
+        this.expandPartials(`${system || ''}${user || ''}`, variant);
+
+        const current = this.overrides[name] || {};
+        if (variant) {
+            current.variants = { ...(current.variants || {}), [variant]: entry };
+        } else {
+            current.base = entry;
+        }
+        this.overrides[name] = current;
+
+        await this.saveOverrides();
+        return this.getTemplate(name, variant);
+    }
+
+    async resetOverride(name, variant = null) {
+        await this.loadOverrides();
+
+        const current = this.overrides[name];
+        if (!current) return false;
+
+        if (variant) {
+            if (current.variants) delete current.variants[variant];
+        } else {
+            delete current.base;
+        }
+
+        if (!current.base && Object.keys(current.variants || {}).length === 0) {
+            delete this.overrides[name];
+        }
+
+        await this.saveOverrides();
+        return true;
+    }
+
+    /**
+     * Template variables from the app state (company, job description, resume data)
+     */
+    buildVariables({ question, questionType, companyName, position, jobDescription, resumeData, extractedText, answer } = {}) {
+        return {
+            question,
+            answer,
+            questionType,
+            company: companyName,
+            position,
+            jobDescription,
+            resume: this.formatResume(resumeData),
+            extractedText
+        };
+    }
+
+    // Resume schema from DocumentPipeline -> short text block for prompts
+    formatResume(resumeData) {
+        if (!resumeData) return '';
+        if (typeof resumeData === 'string') return resumeData;
+
+        const describe = (item) => typeof item === 'string' ? item : JSON.stringify(item);
+        const lines = [];
+
+        const skills = this.collectSkillNames(resumeData.skills);
+        if (skills.length > 0) {
+            lines.push(`  Skills: ${skills.slice(0, 20).join(', ')}`);
+        }
+
+        const experience = resumeData.experience || {};
+        const jobs = Array.isArray(experience) ? experience : (experience.jobs || []);
+        const roles = jobs.slice(0, 3).map(job => typeof job === 'string'
+            ? job
+            : [job.title, job.company && `at ${job.company}`, job.duration && `(${job.duration})`].filter(Boolean).join(' ') || describe(job));
+        if (experience.totalYears) {
+            roles.unshift(`${experience.totalYears} years total`);
+        }
+        if (typeof experience === 'string') {
+            roles.push(experience);
+        }
+        if (roles.length > 0) {
+            lines.push(`  Experience: ${roles.join('; ')}`);
+        }
+
+        const education = resumeData.education || {};
+        const degrees = (Array.isArray(education) ? education : (education.degrees || []))
+            .map(entry => typeof entry === 'string'
+                ? entry
+                : [entry.degree, entry.institution].filter(Boolean).join(', ') || describe(entry));
+        if (degrees.length > 0) {
+            lines.push(`  Education: ${degrees.slice(0, 2).join('; ')}`);
+        }
+
+        const projects = (resumeData.projects || []).map(project => project.title).filter(Boolean);
+        if (projects.length > 0) {
+            lines.push(`  Projects: ${projects.slice(0, 3).join('; ')}`);
+        }
+
+        if (resumeData.summary) {
+            lines.push(`  Summary: ${resumeData.summary}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Skill names from a string list or the { technical, tools, soft } groups of the resume schema
+    collectSkillNames(skills) {
+        if (!skills) return [];
+        if (Array.isArray(skills)) {
+            return skills.map(skill => typeof skill === 'string' ? skill : skill && skill.name).filter(Boolean);
+        }
+        return [
+            ...this.collectSkillNames(skills.technical),
+            ...this.collectSkillNames(skills.tools),
+            ...this.collectSkillNames(skills.soft)
+        ];
+    }
+}
+
+module.exports = PromptTemplateService;
@@ -0,0 +1,420 @@
+const { normalizeQuestion } = require('./questionbank/fingerprint');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalized questions at least this similar (character trigram Dice coefficient) are the same question
+const SIMILARITY_THRESHOLD = 0.82;
+
+const MIN_EASE = 1.3;
+
+/**
+ * Question bank with spaced-repetition scheduling.
+ *
+ * Every question stored in a session (detected from the interviewer, asked in
+ * practice or typed) is merged into the bank: exact duplicates by a keyed hash
+ * of the normalized text, near duplicates ("Tell me about yourself." / "So, tell me
+ * about yourself") by fuzzy matching. Entries are tagged with the
+ * QuestionDetectionService type and sub-categories. Every profile has its own
+ * bank and review schedule.
+ *
+ * The first rubric score for an asked question is a review of its bank entry,
+ * scheduled with SM-2: the 0-100 score maps to a 0-5 recall quality, answers
+ * below quality 3 start over the next day, passing answers are repeated after
+ * 1, 6, then interval × ease factor days. Questions never answered are new and
+ * join the daily queue a few at a time.
+ */
+class QuestionBankService {
+    constructor({ databaseService, questionDetectionService }) {
+        this.databaseService = databaseService;
+        this.questionDetectionService = questionDetectionService;
+        this.cards = null; // bank id -> entry, loaded on first use
+        this.profileId = null; // Profile the entries were loaded for
+        this.syncing = null;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    requireDatabase() {
+        if (!this.hasDatabase) {
+            throw new Error('The question bank requires the local database');
+        }
+    }
+
+    // Entries of the active profile; switching profiles loads the other bank
+    async load() {
+        this.requireDatabase();
+        const profileId = this.databaseService.activeProfileId;
+        if (!this.cards || this.profileId !== profileId) {
+            const rows = await this.databaseService.getQuestionBank();
+            this.cards = new Map(rows.map(row => [row.id, this.fromRow(row)]));
+            this.profileId = profileId;
+        }
+        return this.cards;
+    }
+
+    // Forget the loaded entries, e.g. after a restore rewrote the bank; they are read again on next use
+    unload() {
+        this.cards = null;
+    }
+
+    normalize(text) {
+        return normalizeQuestion(text);
+    }
+
+    fingerprint(normalized) {
+        return this.databaseService.fingerprintQuestion(normalized);
+    }
+
+    trigrams(normalized) {
+        const padded = `  ${normalized} `;
+        const grams = new Map();
+        for (let i = 0; i < padded.length - 2; i++) {
+            const gram = padded.slice(i, i + 3);
+            grams.set(gram, (grams.get(gram) || 0) + 1);
+        }
+        return grams;
+    }
+
+    // Dice coefficient of character trigram multisets, 0-1
+    similarity(a, b) {
+        if (a === b) return 1;
+        const gramsA = this.trigrams(a);
+        const gramsB = this.trigrams(b);
+        let shared = 0;
+        let total = 0;
+        gramsA.forEach((count, gram) => {
+            shared += Math.min(count, gramsB.get(gram) || 0);
+            total += count;
+        });
+        gramsB.forEach(count => { total += count; });
+        return total > 0 ? (2 * shared) / total : 0;
+    }
+
+    isSameQuestion(a, b) {
+        return this.similarity(this.normalize(a), this.normalize(b)) >= SIMILARITY_THRESHOLD;
+    }
+
+    /**
+     * The bank entry for a question: same fingerprint, or the most similar one above the threshold
+     */
+    async findMatch(text) {
+        const cards = await this.load();
+        const normalized = this.normalize(text);
+        const fingerprint = this.fingerprint(normalized);
+
+        let best = null;
+        for (const card of cards.values()) {
+            if (card.fingerprint === fingerprint) return { card, similarity: 1 };
+
+            // Cheap length check before comparing trigrams
+            const lengthRatio = Math.min(card.normalized.length, normalized.length) / Math.max(card.normalized.length, normalized.length, 1);
+            if (lengthRatio < SIMILARITY_THRESHOLD - 0.2) continue;
+
+            const similarity = this.similarity(card.normalized, normalized);
+            if (similarity >= SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+                best = { card, similarity };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Merge a question into the bank
+     *
+     * @param {string} text
+     * @param {Object} details - { source, category, skill, seenAt, type, subCategories }; type and
+     *                           sub-categories of new entries are classified when not given
+     * @returns {Promise<{card, isNew}>}
+     */
+    async addQuestion(text, { source = null, category = null, skill = null, seenAt = Date.now(), type = null, subCategories = null } = {}) {
+        const normalized = this.normalize(text);
+        if (normalized.split(' ').length < 3) return null; // "Why?" or "Go ahead" are not worth re-asking
+
+        const match = await this.findMatch(text);
+        if (match) {
+            const card = match.card;
+            const updates = {
+                occurrences: card.occurrences + 1,
+                lastSeen: Math.max(card.lastSeen, seenAt),
+                category: card.category || category,
+                skill: card.skill || skill
+            };
+            await this.databaseService.updateBankQuestion(card.id, updates);
+            Object.assign(card, updates);
+            return { card, isNew: false };
+        }
+
+        const classification = type
+            ? { type, subCategories: subCategories || this.questionDetectionService.getSubCategories(type, text) }
+            : this.questionDetectionService.classifyQuestion(text);
+        const stored = await this.databaseService.insertBankQuestion({
+            questionText: text.trim(),
+            fingerprint: this.fingerprint(normalized),
+            questionType: classification.type,
+            subCategories: classification.subCategories,
+            category,
+            skill,
+            source,
+            seenAt,
+            dueAt: seenAt
+        });
+
+        const card = this.fromRow({
+            id: stored.bankId,
+            question_text: text.trim(),
+            fingerprint: this.fingerprint(normalized),
+            question_type: classification.type,
+            sub_categories: classification.subCategories,
+            category,
+            skill,
+            source,
+            occurrences: 1,
+            first_seen: seenAt,
+            last_seen: seenAt,
+            repetitions: 0,
+            interval_days: 0,
+            ease_factor: 2.5,
+            due_at: seenAt,
+            review_count: 0,
+            last_score: null,
+            last_reviewed_at: null,
+            suspended: false
+        });
+        this.cards.set(card.id, card);
+        return { card, isNew: true };
+    }
+
+    /**
+     * Merge questions stored since the last sync and apply their first feedback score as a review
+     *
+     * @returns {Promise<{added, merged, reviewed}>}
+     */
+    async sync() {
+        this.requireDatabase();
+        // Overlapping calls would merge the same questions twice
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => { this.syncing = null; });
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        await this.load();
+        const result = { added: 0, merged: 0, reviewed: 0 };
+
+        const questions = await this.databaseService.getUnbankedQuestions();
+        for (const question of questions) {
+            const context = question.context || {};
+            const entry = await this.addQuestion(question.question_text, {
+                source: question.source,
+                category: context.category || null,
+                skill: context.skill || null,
+                seenAt: question.detected_at * 1000
+            });
+            await this.databaseService.linkBankQuestion(question.id, entry ? entry.card.id : null);
+            if (entry) result[entry.isNew ? 'added' : 'merged']++;
+        }
+
+        const feedback = await this.databaseService.getUnreviewedBankFeedback();
+        for (const row of feedback) {
+            if (this.cards.has(row.bank_id) && typeof row.overall_score === 'number') {
+                await this.review(row.bank_id, row.overall_score, row.created_at * 1000);
+                result.reviewed++;
+            }
+            await this.databaseService.markBankLinkReviewed(row.question_id);
+        }
+
+        if (result.added + result.merged + result.reviewed > 0) {
+            console.log(`QuestionBankService: Synced ${result.added} new, ${result.merged} merged, ${result.reviewed} reviewed`);
+        }
+        return result;
+    }
+
+    /**
+     * Record an answer score (0-100) for a bank entry and schedule its next review
+     */
+    async review(bankId, score, reviewedAt = Date.now()) {
+        const cards = await this.load();
+        const card = cards.get(bankId);
+        if (!card) {
+            throw new Error(`Question not found in bank: ${bankId}`);
+        }
+
+        const updates = {
+            ...this.schedule(card, this.quality(score), reviewedAt),
+            reviewCount: card.reviewCount + 1,
+            lastScore: Math.round(score),
+            lastReviewedAt: reviewedAt
+        };
+        await this.databaseService.updateBankQuestion(bankId, updates);
+        Object.assign(card, updates);
+        return card;
+    }
+
+    // Rubric score to SM-2 recall quality (0-5)
+    quality(score) {
+        if (score >= 90) return 5;
+        if (score >= 75) return 4;
+        if (score >= 60) return 3;
+        if (score >= 40) return 2;
+        if (score >= 20) return 1;
+        return 0;
+    }
+
+    /**
+     * SM-2 step: next repetition count, interval, ease factor and due time
+     */
+    schedule(card, quality, reviewedAt) {
+        let { repetitions, intervalDays, easeFactor } = card;
+
+        if (quality < 3) {
+            repetitions = 0;
+            intervalDays = 1;
+        } else {
+            repetitions++;
+            intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(intervalDays * easeFactor);
+        }
+        easeFactor = Math.max(MIN_EASE, easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+        return {
+            repetitions,
+            intervalDays,
+            easeFactor: Math.round(easeFactor * 100) / 100,
+            dueAt: reviewedAt + intervalDays * DAY_MS
+        };
+    }
+
+    /**
+     * Questions to practice today: reviews that are due (most overdue and hardest
+     * first), then up to `newLimit` questions that were never answered
+     *
+     * @param {Object} options - { limit, newLimit, now }
+     */
+    async getDueQueue({ limit = 10, newLimit = 5, now = Date.now() } = {}) {
+        await this.sync();
+        const endOfDay = new Date(now);
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const active = [...this.cards.values()].filter(card => !card.suspended && card.dueAt <= endOfDay.getTime());
+        const reviews = active
+            .filter(card => card.reviewCount > 0)
+            .sort((a, b) => a.dueAt - b.dueAt || a.easeFactor - b.easeFactor);
+        const fresh = active
+            .filter(card => card.reviewCount === 0)
+            .sort((a, b) => b.occurrences - a.occurrences || a.firstSeen - b.firstSeen)
+            .slice(0, newLimit);
+
+        return [...reviews, ...fresh].slice(0, limit);
+    }
+
+    /**
+     * @param {Object} options - { query, type, due (only due today) }
+     */
+    async listQuestions({ query = '', type = null, due = false } = {}) {
+        await this.sync();
+        const needle = this.normalize(query);
+        const endOfDay = new Date();
+        endOfDay.setHours(23, 59, 59, 999);
+
+        return [...this.cards.values()]
+            .filter(card => !type || card.type === type)
+            .filter(card => !needle || card.normalized.includes(needle))
+            .filter(card => !due || (!card.suspended && card.dueAt <= endOfDay.getTime()))
+            .sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    async getStats() {
+        await this.sync();
+        const cards = [...this.cards.values()];
+        const endOfDay = new Date();
+        endOfDay.setHours(23, 59, 59, 999);
+
+        const byType = {};
+        cards.forEach(card => { byType[card.type] = (byType[card.type] || 0) + 1; });
+
+        return {
+            total: cards.length,
+            dueToday: cards.filter(card => !card.suspended && card.reviewCount > 0 && card.dueAt <= endOfDay.getTime()).length,
+            new: cards.filter(card => !card.suspended && card.reviewCount === 0).length,
+            learning: cards.filter(card => card.reviewCount > 0 && card.intervalDays < 21).length,
+            mature: cards.filter(card => card.intervalDays >= 21).length,
+            suspended: cards.filter(card => card.suspended).length,
+            byType
+        };
+    }
+
+    async setSuspended(bankId, suspended) {
+        const cards = await this.load();
+        const card = cards.get(bankId);
+        if (!card) {
+            throw new Error(`Question not found in bank: ${bankId}`);
+        }
+
+        await this.databaseService.updateBankQuestion(bankId, { suspended });
+        card.suspended = !!suspended;
+        return card;
+    }
+
+    async setClassification(bankId, { type, subCategories }) {
+        const cards = await this.load();
+        const card = cards.get(bankId);
+        if (!card) {
+            throw new Error(`Question not found in bank: ${bankId}`);
+        }
+
+        await this.databaseService.updateBankQuestion(bankId, { questionType: type, subCategories });
+        card.type = type;
+        card.subCategories = subCategories || [];
+        return card;
+    }
+
+    async removeQuestion(bankId) {
+        const cards = await this.load();
+        const removed = await this.databaseService.deleteBankQuestion(bankId);
+        cards.delete(bankId);
+        return removed;
+    }
+
+    /**
+     * A bank entry in the shape of a generated practice question
+     */
+    toPracticeQuestion(card) {
+        return {
+            id: `bank_${card.id}`,
+            text: card.text,
+            category: card.category || card.type,
+            skill: card.skill,
+            bankId: card.id,
+            review: card.reviewCount > 0
+        };
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            text: row.question_text,
+            normalized: this.normalize(row.question_text),
+            fingerprint: row.fingerprint,
+            type: row.question_type,
+            subCategories: row.sub_categories || [],
+            category: row.category,
+            skill: row.skill,
+            source: row.source,
+            occurrences: row.occurrences,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen,
+            repetitions: row.repetitions,
+            intervalDays: row.interval_days,
+            easeFactor: row.ease_factor,
+            dueAt: row.due_at,
+            reviewCount: row.review_count,
+            lastScore: row.last_score,
+            lastReviewedAt: row.last_reviewed_at,
+            suspended: !!row.suspended
+        };
+    }
+}
+
+module.exports = QuestionBankService;
@@ -10,7 +10,8 @@ class QuestionDetectionService {
                     'tell me about a time', 'describe a situation', 'give me an example',
                     'walk me through', 'how did you handle', 'what would you do if',
                     'share an experience', 'can you think of', 'have you ever',
-                    'describe your experience', 'give me a specific example'
+                    'describe your experience', 'give me a specific example',
+                    'describe a time', 'a time when', 'a time you'
                 ],
                 indicators: [
                     'situation', 'task', 'action', 'result', 'star method',
@@ -89,11 +90,24 @@ class QuestionDetectionService {
      */
     async detectQuestions(input, options = {}) {
         const startTime = Date.now();
-        
+
+        // Diarized speech: only the interviewer asks questions, the candidate's turns are answers
+        if (options.speakerRole && options.speakerRole !== 'interviewer') {
+            return {
+                success: true,
+                question: null,
+                code: null,
+                type: 'candidate_turn',
+                confidence: 0,
+                processingTime: Date.now() - startTime,
+                metadata: { speakerRole: options.speakerRole, questionDetected: false }
+            };
+        }
+
         try {
             let text = '';
             let metadata = {};
-            
+
             // Handle different input types
             if (typeof input === 'string') {
                 if (input.startsWith('data:image') || input.includes('base64')) {
@@ -236,7 +250,7 @@ class QuestionDetectionService {
         // Regex to find common code patterns, including multi-line blocks
         const codePatterns = [
             /```[\s\S]*?```/g, // Markdown code blocks
-            /(?:function|const|let|var|class|import|export|public|private|protected|static|void|int|string|boolean|if|else|for|while|return|try|catch|throw|new|this|super|await|async|yield|def|class|print|console\.log|System\.out\.println|#include|<[a-zA-Z0-9_\.]+>|{[\s\S]*?}|\([\s\S]*?\)|\b(?:\w+\s*\([^)]*\)\s*{|\w+\s*=\s*function\s*\(|\w+\s*=>|\w+:\s*\w+;)\b/g,
+            /(?:function|const|let|var|class|import|export|public|private|protected|static|void|int|string|boolean|if|else|for|while|return|try|catch|throw|new|this|super|await|async|yield|def|class|print|console\.log|System\.out\.println|#include|<[a-zA-Z0-9_\.]+>|{[\s\S]*?}|\([\s\S]*?\)|\b(?:\w+\s*\([^)]*\)\s*{|\w+\s*=\s*function\s*\(|\w+\s*=>|\w+:\s*\w+;)\b)/g,
             // Ansible playbook patterns (YAML-like, more specific)
             /^(?:---\s*\n)?(?:- hosts: [^\n]+\n)?(?:\s*tasks:\s*\n(?:\s*-\s*name: [^\n]+\n(?:\s*\s*\w+:\s*\{?[\s\S]*?\}?\n)*)*)/gm,
             // Dockerfile patterns
@@ -245,7 +259,6 @@ class QuestionDetectionService {
             /^[A-Z_]+\s*=\s*[^\n]+/gm, // KEY=VALUE pairs
             /^\s*\[[^\]]+\]\s*\n(?:[^\n]+\s*=\s*[^\n]+\n)*/gm // [section] KEY=VALUE
         ];
-        ];
 
         codePatterns.forEach(pattern => {
             let match;
@@ -445,9 +458,11 @@ class QuestionDetectionService {
             }
         });
         
-        // Find best match
-        const bestMatch = Object.entries(results)
-            .sort(([,a], [,b]) => b.score - a.score)[0];
+        // Find best match - 'general' matches almost any question (what/how/tell me), so a
+        // specific type whose key phrase was found wins over it
+        const ranked = Object.entries(results)
+            .sort(([,a], [,b]) => b.score - a.score);
+        const bestMatch = ranked.find(([type, data]) => type !== 'general' && data.matchedKeywords.length > 0) || ranked[0];
         
         if (!bestMatch) {
             return {
@@ -751,362 +766,4 @@ class QuestionDetectionService {
     }
 }
 
-module.exports = QuestionDetectionService;
-    }
-
-    /**
-     * Classify a single question
-     */
-    classifyQuestion(questionText) {
-        const lowerText = questionText.toLowerCase();
-        const results = {};
-        
-        // Score against each pattern type
-        Object.entries(this.patterns).forEach(([type, pattern]) => {
-            let score = 0;
-            const matchedKeywords = [];
-            
-            // Check keywords
-            pattern.keywords.forEach(keyword => {
-                if (lowerText.includes(keyword)) {
-                    score += pattern.weight;
-                    matchedKeywords.push(keyword);
-                }
-            });
-            
-            // Check indicators
-            pattern.indicators.forEach(indicator => {
-                if (lowerText.includes(indicator)) {
-                    score += pattern.weight * 0.5;
-                }
-            });
-            
-            if (score > 0) {
-                results[type] = {
-                    score: Math.min(1.0, score),
-                    matchedKeywords
-                };
-            }
-        });
-        
-        // Find best match
-        const bestMatch = Object.entries(results)
-            .sort(([,a], [,b]) => b.score - a.score)[0];
-        
-        if (!bestMatch) {
-            return {
-                type: 'general',
-                confidence: 0.3,
-                subCategories: [],
-                matchedKeywords: []
-            };
-        }
-        
-        const [type, data] = bestMatch;
-        
-        return {
-            type: type,
-            confidence: data.score,
-            subCategories: this.getSubCategories(type, questionText),
-            matchedKeywords: data.matchedKeywords
-        };
-    }
-
-    /**
-     * Get subcategories for specific question types
-     */
-    getSubCategories(type, questionText) {
-        const lowerText = questionText.toLowerCase();
-        const subCategories = [];
-        
-        switch (type) {
-            case 'behavioral':
-                if (lowerText.includes('conflict') || lowerText.includes('disagree')) {
-                    subCategories.push('conflict_resolution');
-                }
-                if (lowerText.includes('leadership') || lowerText.includes('lead')) {
-                    subCategories.push('leadership');
-                }
-                if (lowerText.includes('team') || lowerText.includes('collaborate')) {
-                    subCategories.push('teamwork');
-                }
-                if (lowerText.includes('challenge') || lowerText.includes('difficult')) {
-                    subCategories.push('problem_solving');
-                }
-                break;
-                
-            case 'technical':
-                if (lowerText.includes('algorithm') || lowerText.includes('complexity')) {
-                    subCategories.push('algorithms');
-                }
-                if (lowerText.includes('system') || lowerText.includes('architecture')) {
-                    subCategories.push('system_design');
-                }
-                if (lowerText.includes('database') || lowerText.includes('sql')) {
-                    subCategories.push('database');
-                }
-                if (lowerText.includes('code') || lowerText.includes('implement')) {
-                    subCategories.push('coding');
-                }
-                break;
-                
-            case 'personal':
-                if (lowerText.includes('strength')) {
-                    subCategories.push('strengths');
-                }
-                if (lowerText.includes('weakness')) {
-                    subCategories.push('weaknesses');
-                }
-                if (lowerText.includes('goal') || lowerText.includes('future')) {
-                    subCategories.push('career_goals');
-                }
-                break;
-        }
-        
-        return subCategories;
-    }
-
-    /**
-     * Combine confidence scores
-     */
-    combineConfidences(rawConfidence, typeConfidence) {
-        // Weighted average with slight bias toward type confidence
-        return (rawConfidence * 0.4) + (typeConfidence * 0.6);
-    }
-
-    /**
-     * Enhance questions using AI service
-     */
-    async enhanceWithAI(questions, originalText, options = {}) {
-        if (!this.aiService || questions.length === 0) {
-            return questions;
-        }
-        
-        try {
-            const prompt = this.buildAIEnhancementPrompt(questions, originalText);
-            const aiResponse = await this.aiService.generateResponse({
-                question: prompt,
-                model: options.aiModel || 'openai'
-            });
-            
-            const enhancedData = this.parseAIEnhancement(aiResponse.response || aiResponse.text);
-            
-            return this.applyAIEnhancements(questions, enhancedData);
-            
-        } catch (error) {
-            console.error('AI enhancement failed:', error);
-            return questions; // Return original questions if AI fails
-        }
-    }
-
-    /**
-     * Build prompt for AI enhancement
-     */
-    buildAIEnhancementPrompt(questions, originalText) {
-        const questionList = questions.map((q, i) => `${i + 1}. ${q.text}`).join('\n');
-        
-        return `Analyze the following potential interview questions extracted from text:
-
-Original text context:
-${originalText.substring(0, 500)}...
-
-Extracted questions:
-${questionList}
-
-For each question, provide:
-1. Confidence score (0-1) for whether it's actually an interview question
-2. Improved question type classification (behavioral, technical, general, company, personal)
-3. Any corrections to the question text if needed
-4. Difficulty level (entry, mid, senior, executive)
-
-Respond in JSON format with an array of objects containing: questionIndex, confidence, type, correctedText, difficulty, reasoning.`;
-    }
-
-    /**
-     * Parse AI enhancement response
-     */
-    parseAIEnhancement(aiResponse) {
-        try {
-            // Try to extract JSON from AI response
-            const jsonMatch = aiResponse.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // Fallback: parse structured text response
-            return this.parseStructuredAIResponse(aiResponse);
-            
-        } catch (error) {
-            console.error('Failed to parse AI enhancement:', error);
-            return [];
-        }
-    }
-
-    /**
-     * Parse structured AI response (fallback)
-     */
-    parseStructuredAIResponse(response) {
-        const enhancements = [];
-        const lines = response.split('\n');
-        
-        let currentEnhancement = null;
-        
-        lines.forEach(line => {
-            const trimmedLine = line.trim();
-            
-            if (trimmedLine.match(/^\d+\./)) {
-                if (currentEnhancement) {
-                    enhancements.push(currentEnhancement);
-                }
-                currentEnhancement = {
-                    questionIndex: parseInt(trimmedLine.match(/^(\d+)/)[1]) - 1,
-                    confidence: 0.7,
-                    type: 'general',
-                    difficulty: 'mid'
-                };
-            } else if (currentEnhancement) {
-                if (trimmedLine.includes('confidence') || trimmedLine.includes('score')) {
-                    const scoreMatch = trimmedLine.match(/(\d+\.?\d*)/);
-                    if (scoreMatch) {
-                        currentEnhancement.confidence = parseFloat(scoreMatch[1]);
-                        if (currentEnhancement.confidence > 1) {
-                            currentEnhancement.confidence /= 100; // Convert percentage
-                        }
-                    }
-                }
-                
-                if (trimmedLine.includes('type') || trimmedLine.includes('classification')) {
-                    const typeMatch = trimmedLine.match(/(behavioral|technical|general|company|personal)/i);
-                    if (typeMatch) {
-                        currentEnhancement.type = typeMatch[1].toLowerCase();
-                    }
-                }
-            }
-        });
-        
-        if (currentEnhancement) {
-            enhancements.push(currentEnhancement);
-        }
-        
-        return enhancements;
-    }
-
-    /**
-     * Apply AI enhancements to questions
-     */
-    applyAIEnhancements(questions, enhancements) {
-        return questions.map((question, index) => {
-            const enhancement = enhancements.find(e => e.questionIndex === index);
-            
-            if (enhancement) {
-                return {
-                    ...question,
-                    confidence: this.combineConfidences(question.confidence, enhancement.confidence),
-                    type: enhancement.type || question.type,
-                    aiEnhanced: true,
-                    aiConfidence: enhancement.confidence,
-                    difficulty: enhancement.difficulty,
-                    correctedText: enhancement.correctedText || question.text,
-                    aiReasoning: enhancement.reasoning
-                };
-            }
-            
-            return question;
-        });
-    }
-
-    /**
-     * Update context history for better detection
-     */
-    updateContextHistory(text, questions) {
-        this.contextHistory.unshift({
-            text: text.substring(0, 200),
-            questions: questions.length,
-            timestamp: Date.now(),
-            types: [...new Set(questions.map(q => q.type))]
-        });
-        
-        // Keep only recent history
-        if (this.contextHistory.length > this.maxContextHistory) {
-            this.contextHistory = this.contextHistory.slice(0, this.maxContextHistory);
-        }
-    }
-
-    /**
-     * Update performance statistics
-     */
-    updateStats(questions, processingTime) {
-        this.stats.totalQuestions += questions.length;
-        this.stats.successfulDetections += questions.filter(q => q.confidence > 0.7).length;
-        this.stats.processingTime = (this.stats.processingTime + processingTime) / 2; // Running average
-        
-        if (questions.length > 0) {
-            const avgConfidence = questions.reduce((sum, q) => sum + q.confidence, 0) / questions.length;
-            this.stats.averageConfidence = (this.stats.averageConfidence + avgConfidence) / 2;
-        }
-        
-        if (this.stats.totalQuestions > 0) {
-            this.stats.classificationAccuracy = this.stats.successfulDetections / this.stats.totalQuestions;
-        }
-    }
-
-    /**
-     * Get performance statistics
-     */
-    getStats() {
-        return {
-            ...this.stats,
-            contextHistorySize: this.contextHistory.length,
-            aiServiceAvailable: !!this.aiService,
-            ocrServiceAvailable: !!this.ocrService
-        };
-    }
-
-    /**
-     * Get recent context for better detection
-     */
-    getRecentContext() {
-        return this.contextHistory.slice(0, 5);
-    }
-
-    /**
-     * Reset statistics
-     */
-    resetStats() {
-        this.stats = {
-            totalQuestions: 0,
-            successfulDetections: 0,
-            classificationAccuracy: 0,
-            averageConfidence: 0,
-            processingTime: 0
-        };
-    }
-
-    /**
-     * Health check
-     */
-    async healthCheck() {
-        const health = {
-            status: 'healthy',
-            services: {
-                ai: this.aiService ? 'available' : 'unavailable',
-                ocr: this.ocrService ? 'available' : 'unavailable'
-            },
-            stats: this.getStats(),
-            timestamp: new Date().toISOString()
-        };
-        
-        // Test basic functionality
-        try {
-            const testResult = await this.detectQuestions('What is your name?', { useAI: false });
-            health.testResult = testResult.success ? 'passed' : 'failed';
-        } catch (error) {
-            health.status = 'error';
-            health.testError = error.message;
-        }
-        
-        return health;
-    }
-}
-
 module.exports = QuestionDetectionService;
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const { EXPORT_FORMATS, parsePack } = require('./packs/formats');
+const { validatePack } = require('./packs/validator');
+
+// Larger files are not question packs
+const MAX_PACK_BYTES = 5 * 1024 * 1024;
+
+const CONFLICT_STRATEGIES = ['skip', 'merge', 'replace'];
+
+/**
+ * Import and export of curated question packs ("Backend system design",
+ * "FAANG behavioral") in the native format, plain JSON or CSV (see packs/formats.js).
+ *
+ * Imported questions join the question bank with source 'pack'; their
+ * difficulty, reference answer, rubric and tags are kept alongside the bank
+ * entry. A pack question conflicts with a question that is already known -
+ * asked in a past session (the bank is synced with the questions table before
+ * matching) or imported before - when the bank would merge the two. Conflicts
+ * are resolved per import:
+ *   skip    - keep the existing question untouched
+ *   merge   - keep the existing question and fill in pack details it lacks
+ *   replace - take type, sub-categories and details from the pack
+ * Review history and the wording of existing questions are never changed.
+ */
+class QuestionPackService {
+    constructor({ databaseService, questionBankService, questionDetectionService }) {
+        this.databaseService = databaseService;
+        this.questionBankService = questionBankService;
+        this.questionDetectionService = questionDetectionService;
+    }
+
+    get questionTypes() {
+        return Object.keys(this.questionDetectionService.patterns);
+    }
+
+    /**
+     * Parse and validate a pack file
+     *
+     * @returns {Promise<{valid, errors, warnings, format, pack, questions}>}
+     */
+    async readPack(filePath) {
+        const fileName = path.basename(filePath);
+        const invalid = message => ({ valid: false, errors: [{ path: fileName, message }], warnings: [], format: null, pack: null, questions: [] });
+
+        const stats = await fs.promises.stat(filePath);
+        if (stats.size > MAX_PACK_BYTES) {
+            return invalid(`File is larger than ${MAX_PACK_BYTES / 1024 / 1024} MB`);
+        }
+
+        let parsed;
+        try {
+            parsed = parsePack(await fs.promises.readFile(filePath, 'utf8'), fileName);
+        } catch (error) {
+            return invalid(error.message);
+        }
+
+        const defaultName = fileName.replace(/(\.mmpack)?\.(json|csv)$/i, '').replace(/[_-]+/g, ' ').trim() || 'Imported questions';
+        return {
+            ...validatePack(parsed, { types: this.questionTypes, defaultName }),
+            format: parsed.format
+        };
+    }
+
+    /**
+     * Validation result and the questions that conflict with known ones, without importing
+     *
+     * @returns {Promise<Object>} { valid, errors, warnings, format, pack, total, newCount, conflicts }
+     */
+    async previewImport(filePath) {
+        const result = await this.readPack(filePath);
+        const preview = {
+            valid: result.valid,
+            errors: result.errors,
+            warnings: result.warnings,
+            format: result.format,
+            pack: result.pack,
+            total: result.questions.length,
+            newCount: 0,
+            conflicts: []
+        };
+        if (!result.valid) return preview;
+
+        await this.questionBankService.sync();
+        for (const question of result.questions) {
+            const match = await this.questionBankService.findMatch(question.text);
+            if (!match) {
+                preview.newCount++;
+                continue;
+            }
+            preview.conflicts.push({
+                text: question.text,
+                existing: {
+                    id: match.card.id,
+                    text: match.card.text,
+                    source: match.card.source,
+                    occurrences: match.card.occurrences,
+                    reviewCount: match.card.reviewCount
+                },
+                similarity: Math.round(match.similarity * 100) / 100
+            });
+        }
+        return preview;
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {Object} options - { conflictStrategy: 'skip' | 'merge' | 'replace' }
+     * @returns {Promise<Object>} { pack, total, added, merged, replaced, skipped, warnings }
+     */
+    async importPack(filePath, { conflictStrategy = 'skip' } = {}) {
+        if (!CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+            throw new Error(`Unknown conflict strategy: ${conflictStrategy}`);
+        }
+
+        const { valid, errors, warnings, format, pack, questions } = await this.readPack(filePath);
+        if (!valid) {
+            const first = errors[0];
+            throw new Error(`Invalid question pack (${errors.length} problem${errors.length === 1 ? '' : 's'}): ${first.path}: ${first.message}`);
+        }
+
+        await this.questionBankService.sync();
+        const { packId } = await this.databaseService.saveQuestionPack({
+            packKey: pack.id,
+            name: pack.name,
+            description: pack.description,
+            author: pack.author,
+            tags: pack.tags,
+            sourceFormat: format
+        });
+
+        const details = await this.getDetails();
+        const addedIds = new Set();
+        const result = { pack: { ...pack, id: packId }, total: questions.length, added: 0, merged: 0, replaced: 0, skipped: 0, warnings: [...warnings] };
+
+        for (const question of questions) {
+            const match = await this.questionBankService.findMatch(question.text);
+
+            if (!match) {
+                const entry = await this.questionBankService.addQuestion(question.text, {
+                    source: 'pack',
+                    type: question.type,
+                    subCategories: question.subCategories.length > 0 ? question.subCategories : null
+                });
+                if (!entry) {
+                    result.skipped++;
+                    result.warnings.push({ path: question.text, message: 'Too short for the question bank, skipped' });
+                    continue;
+                }
+                await this.saveDetails(entry.card.id, packId, question);
+                addedIds.add(entry.card.id);
+                result.added++;
+                continue;
+            }
+
+            const card = match.card;
+            if (addedIds.has(card.id)) {
+                // Near duplicate of a question earlier in the same pack
+                result.skipped++;
+                result.warnings.push({ path: question.text, message: `Same question as "${card.text}", skipped` });
+                continue;
+            }
+
+            if (conflictStrategy === 'skip') {
+                result.skipped++;
+            } else if (conflictStrategy === 'merge') {
+                const existing = details.get(card.id);
+                await this.saveDetails(card.id, existing && existing.packId ? existing.packId : packId, {
+                    difficulty: (existing && existing.difficulty) || question.difficulty,
+                    referenceAnswer: (existing && existing.referenceAnswer) || question.referenceAnswer,
+                    rubric: existing && existing.rubric.length > 0 ? existing.rubric : question.rubric,
+                    tags: [...new Set([...(existing ? existing.tags : []), ...question.tags])]
+                });
+                result.merged++;
+            } else {
+                if (question.type || question.subCategories.length > 0) {
+                    const type = question.type || card.type;
+                    await this.questionBankService.setClassification(card.id, {
+                        type,
+                        subCategories: question.subCategories.length > 0
+                            ? question.subCategories
+                            : this.questionDetectionService.getSubCategories(type, card.text)
+                    });
+                }
+                await this.saveDetails(card.id, packId, question);
+                result.replaced++;
+            }
+        }
+
+        console.log(`QuestionPackService: Imported "${pack.name}" - ${result.added} new, ${result.merged} merged, ${result.replaced} replaced, ${result.skipped} skipped`);
+        return result;
+    }
+
+    /**
+     * Bank questions as a pack file
+     *
+     * @param {Object} options - { format: 'native' | 'json' | 'csv', packId (only questions of an
+     *                           imported pack), type, tag, name (pack name when not exporting a pack) }
+     * @returns {Promise<{content, extension, fileName, count}>}
+     */
+    async exportPack({ format = 'native', packId = null, type = null, tag = null, name = null } = {}) {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unsupported pack format: ${format}`);
+        }
+
+        const cards = await this.questionBankService.listQuestions({ type });
+        const details = await this.getDetails();
+
+        const questions = cards
+            .filter(card => !packId || (details.get(card.id) && details.get(card.id).packId === packId))
+            .filter(card => !tag || (details.get(card.id) && details.get(card.id).tags.includes(tag)))
+            .sort((a, b) => a.firstSeen - b.firstSeen || a.id - b.id)
+            .map(card => this.toPackQuestion(card, details.get(card.id)));
+        if (questions.length === 0) {
+            throw new Error('No questions to export');
+        }
+
+        let pack = { id: 'mockmate-question-bank', name: name || 'MockMate question bank', description: '', author: '', tags: [] };
+        if (packId) {
+            const stored = (await this.listPacks()).find(item => item.id === packId);
+            if (!stored) {
+                throw new Error(`Question pack not found: ${packId}`);
+            }
+            pack = { id: stored.key, name: stored.name, description: stored.description, author: stored.author, tags: stored.tags };
+        }
+
+        return {
+            content: exporter.render({ pack: { ...pack, createdAt: new Date().toISOString() }, questions }),
+            extension: exporter.extension,
+            fileName: `${pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'questions'}.${exporter.extension}`,
+            count: questions.length
+        };
+    }
+
+    async listPacks() {
+        const rows = await this.databaseService.getQuestionPacks();
+        return rows.map(row => ({
+            id: row.id,
+            key: row.pack_key,
+            name: row.name,
+            description: row.description || '',
+            author: row.author || '',
+            tags: row.tags,
+            format: row.source_format,
+            importedAt: row.imported_at,
+            questionCount: row.question_count
+        }));
+    }
+
+    async getDetails() {
+        const rows = await this.databaseService.getBankQuestionDetails();
+        return new Map(rows.map(row => [row.bank_id, {
+            packId: row.pack_id,
+            difficulty: row.difficulty,
+            referenceAnswer: row.reference_answer,
+            rubric: row.rubric,
+            tags: row.tags
+        }]));
+    }
+
+    async saveDetails(bankId, packId, { difficulty, referenceAnswer, rubric, tags }) {
+        await this.databaseService.saveBankQuestionDetails(bankId, { packId, difficulty, referenceAnswer, rubric, tags });
+    }
+
+    // Pack question without empty fields
+    toPackQuestion(card, details = null) {
+        const question = { text: card.text, type: card.type };
+        if (card.subCategories.length > 0) question.subCategories = card.subCategories;
+        if (details) {
+            if (details.difficulty) question.difficulty = details.difficulty;
+            if (details.referenceAnswer) question.referenceAnswer = details.referenceAnswer;
+            if (details.rubric.length > 0) question.rubric = details.rubric;
+            if (details.tags.length > 0) question.tags = details.tags;
+        }
+        return question;
+    }
+}
+
+module.exports = QuestionPackService;
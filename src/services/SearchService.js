@@ -0,0 +1,97 @@
+const { buildSnippet } = require('./search/SearchIndex');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESULTS = 100;
+
+// Labels of the searchable document types
+const DOC_TYPE_LABELS = {
+    question: 'Question',
+    response: 'AI answer',
+    answer: 'Practice answer',
+    spoken_answer: 'Spoken answer',
+    transcript: 'Transcript',
+    resume: 'Resume',
+    job_description: 'Job description'
+};
+
+/**
+ * Search over past sessions: questions, AI answers, practice and spoken
+ * answers, transcripts, resumes and job descriptions.
+ *
+ * Matching and ranking happen in the keyed full-text index of the local
+ * database (see search/SearchIndex.js); this service turns the ranked hits
+ * into results with a title, a snippet around the first match and the offsets
+ * of the matched words.
+ */
+class SearchService {
+    constructor({ databaseService }) {
+        this.databaseService = databaseService;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    /**
+     * @param {string} query - words (all must match) and "quoted phrases"
+     * @param {Object} filters - { docTypes, questionType, company, model, days or from/to (ms), limit, offset }
+     * @returns {Promise<{ query, total (matches over all pages), results: Array<{ docType, label, title, snippet, sessionId, company, model, questionType, createdAt, score }> }>}
+     */
+    async search(query, { docTypes = null, questionType = null, company = null, model = null, days = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+        if (!this.hasDatabase) {
+            throw new Error('Search requires the local database');
+        }
+
+        const since = days > 0 ? Date.now() - days * DAY_MS : from;
+        const { terms, total, hits } = await this.databaseService.searchDocuments(query, {
+            docTypes,
+            questionType,
+            company,
+            model,
+            from: since || null,
+            to: to || null,
+            limit: Math.min(Math.max(1, Number(limit) || 50), MAX_RESULTS),
+            offset: Math.max(0, Number(offset) || 0)
+        });
+
+        return {
+            query,
+            total,
+            results: hits.map(hit => ({
+                docType: hit.docType,
+                docId: hit.docId,
+                label: DOC_TYPE_LABELS[hit.docType] || hit.docType,
+                title: this.title(hit),
+                snippet: buildSnippet(hit.text, terms),
+                sessionId: hit.sessionId,
+                company: hit.company,
+                model: hit.model,
+                questionType: hit.questionType,
+                createdAt: hit.createdAt,
+                score: hit.score
+            }))
+        };
+    }
+
+    // Answers and transcript lines are titled with their question
+    title(hit) {
+        if (hit.questionText) return hit.questionText;
+        if (hit.docType === 'question') return hit.text;
+        if (hit.docType === 'job_description') return hit.company ? `${hit.company} job description` : 'Job description';
+        return DOC_TYPE_LABELS[hit.docType] || hit.docType;
+    }
+
+    async getFacets() {
+        if (!this.hasDatabase) {
+            throw new Error('Search requires the local database');
+        }
+
+        const facets = await this.databaseService.getSearchFacets();
+        return {
+            ...facets,
+            docTypes: facets.docTypes.map(docType => ({ value: docType, label: DOC_TYPE_LABELS[docType] || docType, count: facets.counts[docType] || 0 }))
+        };
+    }
+}
+
+module.exports = SearchService;
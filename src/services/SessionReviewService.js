@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+
+// Auto-saved utterances are named after their start time and channel: audio_2025_01_31T14_05_09_120Z_microphone.wav
+// (a counter follows when the name was taken; files saved before have no channel)
+const AUDIO_FILE_NAME = /^audio_(\d{4})_(\d{2})_(\d{2})T(\d{2})_(\d{2})_(\d{2})_(\d{3})Z(?:_([a-z]+))?(?:_\d+)?\.wav$/;
+
+// Key of a clip in findAudioClips(); clips without a channel are found for any
+const clipKey = (startTime, channel) => `${channel || ''}@${startTime}`;
+
+/**
+ * Replays completed sessions from the local database.
+ *
+ * A session timeline lists each question with the AI suggestions generated
+ * for it, the user's answers (typed or spoken practice answers with their
+ * rubric ratings, and diarized candidate speech) and the full transcript.
+ * Transcript segments and spoken answers are matched to the WAV files
+ * SystemAudioCaptureService saved for them by start time.
+ */
+class SessionReviewService {
+    constructor({ databaseService, aiService, promptTemplateService, answerFeedbackService, audioDirectory }) {
+        this.databaseService = databaseService;
+        this.aiService = aiService;
+        this.promptTemplateService = promptTemplateService;
+        this.answerFeedbackService = answerFeedbackService;
+        this.audioDirectory = audioDirectory;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    requireDatabase() {
+        if (!this.hasDatabase) {
+            throw new Error('Session review requires the local database');
+        }
+    }
+
+    async listSessions(options = {}) {
+        this.requireDatabase();
+        const sessions = await this.databaseService.getSessions(options);
+        return sessions.map(row => ({
+            sessionId: row.session_id,
+            companyName: row.company_name,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            status: row.status,
+            model: row.model_used,
+            practice: row.model_used === 'practice',
+            questionCount: row.question_count,
+            responseCount: row.response_count,
+            answerCount: row.answer_count + row.spoken_answer_count,
+            segmentCount: row.segment_count,
+            averageScore: row.average_score
+        }));
+    }
+
+    /**
+     * @returns {Promise<Object>} { session, items, unlinkedAnswers, transcript, audioClips }
+     */
+    async getSessionTimeline(sessionId) {
+        this.requireDatabase();
+        const session = await this.databaseService.getSession(sessionId);
+        if (!session) {
+            throw new Error(`Session not found: ${sessionId}`);
+        }
+
+        const [feedbackRows, spokenRows, segmentRows] = await Promise.all([
+            this.databaseService.getSessionFeedback(sessionId),
+            this.databaseService.getSessionSpokenAnswers(sessionId),
+            this.databaseService.getTranscriptSegments(sessionId)
+        ]);
+        const audio = this.findAudioClips(session.start_time, session.end_time || Date.now());
+
+        const items = session.questions.map(question => ({
+            questionId: question.id,
+            question: question.question_text,
+            questionType: question.question_type,
+            source: question.source,
+            time: question.detected_at * 1000,
+            aiResponses: session.responses
+                .filter(response => response.question_id === question.id)
+                .map(response => ({
+                    responseId: response.id,
+                    text: response.response_text,
+                    model: response.model_used,
+                    responseTime: response.response_time,
+                    rating: response.user_rating,
+                    time: response.created_at * 1000
+                })),
+            answers: [
+                ...feedbackRows
+                    .filter(row => row.question_id === question.id)
+                    .map(row => this.fromFeedbackRow(row)),
+                ...spokenRows
+                    .filter(row => row.question_id === question.id)
+                    .map(row => this.fromSpokenRow(row, audio))
+            ].sort((a, b) => a.time - b.time)
+        })).sort((a, b) => a.time - b.time || a.questionId - b.questionId);
+
+        return {
+            session: {
+                sessionId: session.session_id,
+                companyName: session.company_name,
+                startTime: session.start_time,
+                endTime: session.end_time,
+                status: session.status,
+                model: session.model_used,
+                practice: session.model_used === 'practice'
+            },
+            items,
+            unlinkedAnswers: spokenRows.filter(row => !row.question_id).map(row => this.fromSpokenRow(row, audio)),
+            transcript: segmentRows.map(row => ({
+                segmentId: row.id,
+                text: row.segment_text,
+                speakerRole: row.speaker_role,
+                speakerLabel: row.speaker_label,
+                source: row.source,
+                confidence: row.confidence,
+                startTime: row.start_time,
+                endTime: row.end_time,
+                questionId: row.question_id,
+                responseId: row.response_id,
+                audioFile: this.findClip(audio, row.start_time, row.channel)
+            })),
+            audioClips: audio.size
+        };
+    }
+
+    fromFeedbackRow(row) {
+        return {
+            kind: 'practice',
+            feedbackId: row.id,
+            text: row.answer_text,
+            source: row.answer_source,
+            time: row.created_at * 1000,
+            feedback: row.feedback ? { ...row.feedback, overallScore: row.overall_score, questionType: row.question_type } : null,
+            audioFile: null
+        };
+    }
+
+    fromSpokenRow(row, audio) {
+        return {
+            kind: 'spoken',
+            spokenAnswerId: row.id,
+            text: row.answer_text,
+            source: 'voice',
+            speakerId: row.speaker_id,
+            time: row.start_time || row.created_at * 1000,
+            endTime: row.end_time,
+            feedback: null,
+            audioFile: row.start_time ? this.findClip(audio, row.start_time, row.channel) : null
+        };
+    }
+
+    findClip(audio, startTime, channel) {
+        return audio.get(clipKey(startTime, channel)) || audio.get(clipKey(startTime, null)) || null;
+    }
+
+    /**
+     * Saved utterance WAVs recorded between from and to (epoch ms), keyed by channel and start time
+     */
+    findAudioClips(from, to) {
+        const clips = new Map();
+        if (!this.audioDirectory || !fs.existsSync(this.audioDirectory)) return clips;
+
+        fs.readdirSync(this.audioDirectory).forEach(fileName => {
+            const match = fileName.match(AUDIO_FILE_NAME);
+            if (!match) return;
+
+            const [year, month, day, hours, minutes, seconds, ms] = match.slice(1, 8).map(Number);
+            const startTime = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+            const key = clipKey(startTime, match[8]);
+            // The first of several clips with the same start, in name order
+            if (startTime >= from && startTime <= to && (!clips.has(key) || fileName < clips.get(key))) clips.set(key, fileName);
+        });
+        return clips;
+    }
+
+    /**
+     * Contents of a saved clip; only plain file names from the audio directory are served
+     */
+    async readAudioClip(fileName) {
+        if (!AUDIO_FILE_NAME.test(fileName || '')) {
+            throw new Error('Invalid audio clip name');
+        }
+        return fs.promises.readFile(path.join(this.audioDirectory, fileName));
+    }
+
+    /**
+     * Grade an answer again with the given model and store the new rating
+     *
+     * @param {Object} request - { sessionId, questionId, answer, answerSource, model }
+     */
+    async rerunFeedback({ sessionId, questionId, answer, answerSource = 'typed', model = null }) {
+        this.requireDatabase();
+        const session = await this.databaseService.getSession(sessionId);
+        const question = session && session.questions.find(entry => entry.id === questionId);
+        if (!question) {
+            throw new Error('Question not found in this session');
+        }
+        if (!answer || !answer.trim()) {
+            throw new Error('Answer is empty');
+        }
+
+        const questionType = question.question_type && question.question_type !== 'unknown'
+            ? question.question_type
+            : this.answerFeedbackService.classify(question.question_text);
+
+        try {
+            await this.promptTemplateService.loadOverrides();
+        } catch (error) {
+            console.error('SessionReviewService: Failed to load prompt template overrides:', error);
+        }
+        const prompt = this.promptTemplateService.render('answer-feedback', this.promptTemplateService.buildVariables({
+            question: question.question_text,
+            questionType,
+            answer,
+            companyName: session.company_name,
+            jobDescription: session.job_description
+        }));
+
+        const graded = await this.aiService.gradeAnswer({ systemPrompt: prompt.system, prompt: prompt.user, model });
+        const feedback = this.answerFeedbackService.fromModelResponse(graded.text, {
+            question: question.question_text,
+            answer,
+            questionType,
+            model: graded.model
+        });
+
+        const stored = await this.databaseService.storeAnswerFeedback({
+            questionId,
+            sessionId,
+            answerText: answer,
+            answerSource,
+            feedback
+        });
+
+        return { feedbackId: stored.feedbackId, feedback };
+    }
+}
+
+module.exports = SessionReviewService;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const BUILT_IN_TAXONOMY = require('./data/skill-taxonomy.json');
+
+/**
+ * Skill taxonomy: canonical skill names, aliases, categories and parent/child
+ * relations, loaded from data/skill-taxonomy.json.
+ *
+ * Users can add skills or aliases in ~/.mockmate/skill-taxonomy.json (same
+ * format, `skills` and optionally `categories`). An entry with the name of a
+ * built-in skill extends it: its aliases are added and its category and parent
+ * replace the built-in ones.
+ *
+ * Matching is word-boundary aware. Names and aliases of three characters or
+ * fewer, all-uppercase ones ("R", "Go", "REST") and skills flagged
+ * `caseSensitive` (everyday words such as "Swift" or "Lean") only match with
+ * their exact capitalisation.
+ */
+class SkillTaxonomy {
+    constructor({ customFile = path.join(os.homedir(), '.mockmate', 'skill-taxonomy.json'), data = BUILT_IN_TAXONOMY } = {}) {
+        this.customFile = customFile;
+        this.data = data;
+        this.customEntries = { categories: {}, skills: [] };
+
+        this.loadCustomEntries();
+        this.build();
+    }
+
+    loadCustomEntries() {
+        if (!this.customFile || !fs.existsSync(this.customFile)) return;
+
+        try {
+            const custom = JSON.parse(fs.readFileSync(this.customFile, 'utf8'));
+            this.customEntries = {
+                categories: custom.categories || {},
+                skills: Array.isArray(custom.skills) ? custom.skills.filter(entry => entry && entry.name) : []
+            };
+            console.log(`SkillTaxonomy: Loaded ${this.customEntries.skills.length} custom skills`);
+        } catch (error) {
+            console.error('SkillTaxonomy: Failed to load custom skills, using built-in taxonomy only:', error);
+        }
+    }
+
+    build() {
+        this.categories = { ...this.data.categories, ...this.customEntries.categories };
+        this.skills = new Map();
+
+        [...this.data.skills, ...this.customEntries.skills].forEach(entry => {
+            const key = entry.name.trim().toLowerCase();
+            const existing = this.skills.get(key);
+            const skill = existing || { name: entry.name.trim(), category: null, aliases: [], parent: null, caseSensitive: false };
+
+            skill.category = entry.category || skill.category || 'tools';
+            skill.parent = entry.parent !== undefined ? entry.parent : skill.parent;
+            skill.caseSensitive = entry.caseSensitive !== undefined ? !!entry.caseSensitive : skill.caseSensitive;
+            skill.aliases = [...new Set([...skill.aliases, ...(entry.aliases || [])])];
+            this.skills.set(key, skill);
+        });
+
+        // Alias -> canonical key; a canonical name always wins over another skill's alias
+        this.aliasIndex = new Map();
+        this.skills.forEach((skill, key) => {
+            skill.aliases.forEach(alias => {
+                const aliasKey = alias.toLowerCase();
+                if (!this.skills.has(aliasKey)) this.aliasIndex.set(aliasKey, key);
+            });
+        });
+
+        this.matchers = new Map();
+        this.categoryIndex = null;
+    }
+
+    /**
+     * Categories with their weight and skill names, in the shape of the former
+     * DocumentIntelligenceService.skillCategories ({ [category]: { keywords, weight } })
+     */
+    getCategories() {
+        if (!this.categoryIndex) {
+            this.categoryIndex = {};
+            Object.entries(this.categories).forEach(([category, data]) => {
+                this.categoryIndex[category] = { label: data.label || category, weight: data.weight || 0.7, keywords: [] };
+            });
+            this.skills.forEach(skill => {
+                if (!this.categoryIndex[skill.category]) {
+                    this.categoryIndex[skill.category] = { label: skill.category, weight: 0.7, keywords: [] };
+                }
+                this.categoryIndex[skill.category].keywords.push(skill.name);
+            });
+        }
+        return this.categoryIndex;
+    }
+
+    getSkill(name) {
+        if (!name) return null;
+        const key = String(name).trim().toLowerCase();
+        const canonicalKey = this.skills.has(key) ? key : this.aliasIndex.get(key);
+        return canonicalKey ? this.skills.get(canonicalKey) : null;
+    }
+
+    // Canonical spelling of a skill ("k8s" -> "Kubernetes"); unknown names are returned trimmed
+    canonicalName(name) {
+        const skill = this.getSkill(name);
+        return skill ? skill.name : String(name).trim();
+    }
+
+    getAliases(name) {
+        const skill = this.getSkill(name);
+        return skill ? [skill.name, ...skill.aliases] : [String(name).trim()];
+    }
+
+    getCategory(name) {
+        const skill = this.getSkill(name);
+        return skill ? skill.category : null;
+    }
+
+    getWeight(name) {
+        const category = this.getCategory(name);
+        return category && this.categories[category] ? this.categories[category].weight : 0.7;
+    }
+
+    // Parent chain, nearest first ("Express" -> ["Node.js", "JavaScript"])
+    getAncestors(name) {
+        const ancestors = [];
+        let skill = this.getSkill(name);
+        while (skill && skill.parent) {
+            const parent = this.getSkill(skill.parent);
+            if (!parent || parent.name === skill.name || ancestors.includes(parent.name)) break;
+            ancestors.push(parent.name);
+            skill = parent;
+        }
+        return ancestors;
+    }
+
+    getChildren(name) {
+        const parent = this.getSkill(name);
+        if (!parent) return [];
+        return [...this.skills.values()]
+            .filter(skill => skill.parent && this.canonicalName(skill.parent) === parent.name)
+            .map(skill => skill.name);
+    }
+
+    /**
+     * Whether the text mentions the skill under its name or any alias
+     */
+    mentions(text, name) {
+        return this.countMentions(text, name) > 0;
+    }
+
+    countMentions(text, name) {
+        if (!text) return 0;
+        return this.getMatchers(name).reduce((count, pattern) => count + (text.match(pattern) || []).length, 0);
+    }
+
+    getMatchers(name) {
+        const skill = this.getSkill(name);
+        const cacheKey = skill ? skill.name : String(name).trim();
+        if (!this.matchers.has(cacheKey)) {
+            const names = skill ? [skill.name, ...skill.aliases] : [cacheKey];
+            this.matchers.set(cacheKey, names.map(alias => {
+                const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const caseSensitive = alias.length <= 3 || alias === alias.toUpperCase() || !!(skill && skill.caseSensitive);
+                // "C" must not match inside "C++" or "C#", "R" not in "R&D"
+                return new RegExp(`(?<![\\w+#&])${escaped}(?![\\w+#&])`, caseSensitive ? 'g' : 'gi');
+            }));
+        }
+        return this.matchers.get(cacheKey);
+    }
+
+    /**
+     * All taxonomy skills mentioned in the text
+     *
+     * @returns {Array} [{ name, category, weight, occurrences, parent }]
+     */
+    findSkills(text) {
+        const found = [];
+        this.skills.forEach(skill => {
+            const occurrences = this.countMentions(text, skill.name);
+            if (occurrences > 0) {
+                found.push({
+                    name: skill.name,
+                    category: skill.category,
+                    weight: this.getWeight(skill.name),
+                    occurrences,
+                    parent: skill.parent
+                });
+            }
+        });
+        return found;
+    }
+
+    getCustomEntries() {
+        return this.customEntries;
+    }
+
+    /**
+     * Add or extend user skills and save them to the custom taxonomy file
+     *
+     * @param {Array} entries - [{ name, category?, aliases?, parent?, caseSensitive? }]
+     */
+    addCustomSkills(entries) {
+        const valid = (entries || []).filter(entry => entry && typeof entry.name === 'string' && entry.name.trim());
+        if (valid.length === 0) {
+            throw new Error('No valid skill entries to add');
+        }
+
+        valid.forEach(entry => {
+            const name = entry.name.trim();
+            const cleaned = {
+                name,
+                ...(entry.category ? { category: entry.category } : {}),
+                aliases: (entry.aliases || []).map(alias => String(alias).trim()).filter(Boolean),
+                ...(entry.parent ? { parent: entry.parent } : {}),
+                ...(entry.caseSensitive !== undefined ? { caseSensitive: !!entry.caseSensitive } : {})
+            };
+
+            const index = this.customEntries.skills.findIndex(skill => skill.name.toLowerCase() === name.toLowerCase());
+            if (index >= 0) {
+                const current = this.customEntries.skills[index];
+                this.customEntries.skills[index] = { ...current, ...cleaned, aliases: [...new Set([...(current.aliases || []), ...cleaned.aliases])] };
+            } else {
+                this.customEntries.skills.push(cleaned);
+            }
+        });
+
+        this.saveCustomEntries();
+        this.build();
+        return this.customEntries;
+    }
+
+    removeCustomSkill(name) {
+        const before = this.customEntries.skills.length;
+        this.customEntries.skills = this.customEntries.skills.filter(skill => skill.name.toLowerCase() !== String(name).trim().toLowerCase());
+        if (this.customEntries.skills.length === before) return false;
+
+        this.saveCustomEntries();
+        this.build();
+        return true;
+    }
+
+    saveCustomEntries() {
+        if (!this.customFile) {
+            throw new Error('No custom skill taxonomy file configured');
+        }
+        fs.mkdirSync(path.dirname(this.customFile), { recursive: true });
+        fs.writeFileSync(this.customFile, JSON.stringify({ version: 1, ...this.customEntries }, null, 2));
+    }
+}
+
+module.exports = SkillTaxonomy;
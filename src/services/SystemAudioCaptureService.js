@@ -1,19 +1,52 @@
 const { BrowserWindow, session, desktopCapturer, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const os = require('os');
-const FFmpeg = require('fluent-ffmpeg');
-const ffmpegPath = require('ffmpeg-static');
-const axios = require('axios');
+const AudioPipeline = require('./audio/AudioPipeline');
+const VoiceActivityDetector = require('./audio/VoiceActivityDetector');
+const SpeakerDiarizer = require('./audio/SpeakerDiarizer');
+const PollinationsSTTEngine = require('./stt/PollinationsSTTEngine');
+const WhisperCppEngine = require('./stt/WhisperCppEngine');
 
-// Set FFmpeg path
-FFmpeg.setFfmpegPath(ffmpegPath);
+// Engine names accepted in STT_ENGINE. 'auto' uses the local engine when it is
+// configured and Pollinations otherwise.
+const STT_ENGINES = {
+    'pollinations': PollinationsSTTEngine,
+    'whisper-cpp': WhisperCppEngine
+};
+
+// Capture channels: system audio (the interviewer on a call) and the user's microphone
+const AUDIO_CHANNELS = ['loopback', 'microphone'];
+
+/**
+ * Speech-to-text configuration from environment variables:
+ * STT_ENGINE, STT_LANGUAGE, STT_TIMEOUT, WHISPER_CPP_PATH, WHISPER_MODEL_PATH, WHISPER_THREADS
+ */
+function sttConfigFromEnv() {
+    const config = {
+        name: process.env.STT_ENGINE || 'auto',
+        language: process.env.STT_LANGUAGE,
+        timeout: process.env.STT_TIMEOUT ? parseInt(process.env.STT_TIMEOUT, 10) : undefined,
+        binaryPath: process.env.WHISPER_CPP_PATH,
+        modelPath: process.env.WHISPER_MODEL_PATH,
+        threads: process.env.WHISPER_THREADS ? parseInt(process.env.WHISPER_THREADS, 10) : undefined
+    };
+
+    // Drop unset keys so engine defaults apply
+    Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+    return config;
+}
 
 class SystemAudioCaptureService {
-    constructor() {
+    constructor(sttConfig = null) {
         this.isCapturing = false;
-        this.apiEndpoint = 'https://text.pollinations.ai/openai';
+        this.sttEngine = null;
+        this.setSTTEngine(sttConfig || sttConfigFromEnv());
+        this.audioPipeline = new AudioPipeline();
+        this.vadConfig = { ...VoiceActivityDetector.DEFAULT_CONFIG };
+        this.liveStreams = new Map(); // Channel -> recording streamed in recorder chunks, segmented into utterances as it arrives
+        this.speakerDiarizer = new SpeakerDiarizer({}, this.audioPipeline.sampleRate);
         this.transcriptionCallback = null;
+        this.transcriptionListeners = [];
         this.captureWindow = null;
         this.autoSaveAudio = true; // Enable auto-save by default
         this.saveDirectory = path.join(__dirname, '..', '..', 'audio_output'); // Dedicated audio output directory
@@ -25,6 +58,35 @@ class SystemAudioCaptureService {
         console.log('SystemAudioCaptureService: Auto-save enabled, directory:', this.saveDirectory);
     }
 
+    /**
+     * Switch the speech-to-text engine. Accepts { name, language, binaryPath, modelPath, ... }
+     */
+    setSTTEngine(config = {}) {
+        let name = (config.name || 'auto').toLowerCase();
+        if (name === 'auto') {
+            name = new WhisperCppEngine(config).isAvailable() ? 'whisper-cpp' : 'pollinations';
+        }
+
+        const Engine = STT_ENGINES[name];
+        if (!Engine) {
+            throw new Error(`Unknown STT engine: ${name}. Available: auto, ${Object.keys(STT_ENGINES).join(', ')}`);
+        }
+
+        this.sttEngine = new Engine(config);
+        this.sttConfig = { ...config, name: (config.name || 'auto').toLowerCase() };
+
+        console.log(`SystemAudioCaptureService: Using ${this.sttEngine.displayName} for transcription`);
+        return this.getSTTInfo();
+    }
+
+    getSTTInfo() {
+        return {
+            ...this.sttEngine.getInfo(),
+            requested: this.sttConfig.name,
+            availableEngines: ['auto', ...Object.keys(STT_ENGINES)]
+        };
+    }
+
     async startCapture(transcriptionCallback) {
         console.log('SystemAudioCaptureService: startCapture called with callback:', !!transcriptionCallback);
         
@@ -77,7 +139,8 @@ class SystemAudioCaptureService {
     async stopCapture() {
         console.log('SystemAudioCaptureService: stopCapture called.');
         
-        if (!this.isCapturing) {
+        // Live streams are opened by the renderer and can outlive the capture window
+        if (!this.isCapturing && this.liveStreams.size === 0) {
             console.warn('SystemAudioCaptureService: Not currently capturing, ignoring stop request.');
             return { success: false, message: 'Not currently capturing' };
         }
@@ -105,6 +168,9 @@ class SystemAudioCaptureService {
                 console.log('SystemAudioCaptureService: Chunk processing interval cleared.');
             }
             
+            // End the live streams so their ffmpeg decoders exit; the last utterances are still transcribed
+            await Promise.all([...this.liveStreams.keys()].map(channel => this.endAudioStream(channel)));
+            
             // Clean up resources
             this.transcriptionCallback = null;
             this.audioChunks = [];
@@ -122,7 +188,7 @@ class SystemAudioCaptureService {
 
     
     
-    async processRealAudio(audioData) {
+    async processRealAudio(audioData, channel = 'loopback') {
         const timestamp = new Date().toISOString();
         const dataSize = Buffer.isBuffer(audioData) ? audioData.length : (audioData?.size || 0);
         
@@ -134,202 +200,273 @@ class SystemAudioCaptureService {
             return;
         }
         
-        let tempWebmPath = null;
-        let tempWavPath = null;
+        const receivedAt = Date.now();
         
         try {
-            // Step 1: Save WebM data to temporary file
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📁 Step 1/6 - Creating temporary files...`);
-            const tempDir = os.tmpdir();
-            const uniqueId = Date.now() + Math.random().toString(36).substr(2, 9);
-            tempWebmPath = path.join(tempDir, `audio_${uniqueId}.webm`);
-            tempWavPath = path.join(tempDir, `audio_${uniqueId}.wav`);
-            
-            console.log(`[${timestamp}] SystemAudioCaptureService: 💾 Writing WebM buffer to: ${tempWebmPath}`);
-            fs.writeFileSync(tempWebmPath, audioData);
-            console.log(`[${timestamp}] SystemAudioCaptureService: ✅ WebM file written successfully - Size: ${fs.statSync(tempWebmPath).size} bytes`);
-            
-            // Step 2: Convert WebM to WAV using FFmpeg
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🔄 Step 2/6 - Converting WebM to WAV using FFmpeg...`);
-            await this.convertWebmToWav(tempWebmPath, tempWavPath, timestamp);
-            
-            // Step 2.5: Auto-save WAV file if enabled
-            if (this.autoSaveAudio) {
-                await this.saveWavFile(tempWavPath, timestamp);
-            }
-            
-            // Step 3: Read WAV file and convert to base64
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📖 Step 3/6 - Reading converted WAV file...`);
-            const wavBuffer = fs.readFileSync(tempWavPath);
-            const wavStats = fs.statSync(tempWavPath);
-            console.log(`[${timestamp}] SystemAudioCaptureService: ✅ WAV file read successfully - Size: ${wavStats.size} bytes`);
-            
-            const base64Audio = wavBuffer.toString('base64');
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🔤 Base64 conversion completed - Length: ${base64Audio.length} characters`);
-            
-            // Step 4: Prepare API payload
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📦 Step 4/6 - Preparing STT API payload...`);
-            const payload = {
-                model: 'openai-audio',
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            { type: 'text', text: 'Transcribe this audio:' },
-                            {
-                                type: 'input_audio',
-                                input_audio: {
-                                    data: base64Audio,
-                                    format: 'wav' // Now using WAV format instead of WebM
-                                }
-                            }
-                        ]
-                    }
-                ]
-            };
-            
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📡 Step 5/6 - Sending POST request to STT API...`);
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🌐 API Endpoint: ${this.apiEndpoint}`);
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🎵 Audio Format: WAV, Model: openai-audio`);
-            
-            const response = await axios.post(this.apiEndpoint, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'MockMate-Desktop/1.0',
-                    'Authorization': `Bearer ${process.env.POLLINATIONS_API_KEY}`,
-                    'Referer': process.env.POLLINATIONS_API_HEADER || 'mockmate'
-                }
-            });
+            // Step 1: Decode WebM to 16 kHz mono PCM in memory
+            console.log(`[${timestamp}] SystemAudioCaptureService: 🔄 Step 1/3 - Decoding audio through FFmpeg...`);
+            const decoded = await this.audioPipeline.decode(audioData);
+            console.log(`[${timestamp}] SystemAudioCaptureService: ✅ Decoded ${decoded.metrics.durationMs}ms of audio (${decoded.metrics.inputSampleRate} Hz, ${decoded.metrics.channels} ch) in ${decoded.metrics.decodeMs}ms, resampled in ${decoded.metrics.resampleMs}ms`);
             
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📨 STT API Response - Status: ${response.status} ${response.statusText}`);
+            // Step 2: Split into utterances so silence is never sent for transcription
+            console.log(`[${timestamp}] SystemAudioCaptureService: 🗣️ Step 2/3 - Detecting speech...`);
+            const vad = new VoiceActivityDetector(this.vadConfig, this.audioPipeline.sampleRate);
+            const utterances = [...vad.process(decoded.pcm), ...vad.flush()];
+            console.log(`[${timestamp}] SystemAudioCaptureService: ✅ Found ${utterances.length} utterance(s)`);
             
-            if (response.status !== 200) {
-                console.error(`[${timestamp}] SystemAudioCaptureService: ❌ API Error Response:`, response.data);
-                throw new Error(`STT API error: ${response.status} ${response.statusText} - ${JSON.stringify(response.data)}`);
+            if (utterances.length === 0) {
+                console.warn(`[${timestamp}] SystemAudioCaptureService: ⚠️ No speech detected in recording`);
+                return;
             }
             
-            const data = response.data;
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📄 STT API Response Data:`, JSON.stringify(data, null, 2));
-            
-            // Step 6: Extract and process transcription
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🔍 Step 6/6 - Extracting transcription from response...`);
-            const transcriptionText = data.choices?.[0]?.message?.content;
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📝 Extracted transcription text: "${transcriptionText}"`);
-            
-            if (transcriptionText && transcriptionText.trim()) {
-                const transcriptionResult = {
-                    text: transcriptionText.trim(),
-                    confidence: 0.9, // Pollinations doesn't return confidence, use default
-                    timestamp: Date.now(),
-                    audioSize: dataSize,
-                    processingTime: Date.now() - new Date(timestamp).getTime()
-                };
-                
-                console.log(`[${timestamp}] SystemAudioCaptureService: ✅ TRANSCRIPTION SUCCESS!`);
-                console.log(`[${timestamp}] SystemAudioCaptureService: 📋 Final Result:`, JSON.stringify(transcriptionResult, null, 2));
-                
-                // Call the callback
-                if (this.transcriptionCallback) {
-                    console.log(`[${timestamp}] SystemAudioCaptureService: 📞 Calling transcription callback...`);
-                    this.transcriptionCallback(transcriptionResult);
-                    console.log(`[${timestamp}] SystemAudioCaptureService: ✅ Callback executed successfully`);
-                } else {
-                    console.warn(`[${timestamp}] SystemAudioCaptureService: ⚠️ No transcription callback available`);
-                }
-                
-                // Send to main process for UI update
-                console.log(`[${timestamp}] SystemAudioCaptureService: 📡 Sending transcription to main process for UI update...`);
-                const mainWindows = BrowserWindow.getAllWindows().filter(w => !w.isDestroyed());
-                console.log(`[${timestamp}] SystemAudioCaptureService: 🖥️ Found ${mainWindows.length} active windows`);
-                
-                mainWindows.forEach((window, index) => {
-                    try {
-                        window.webContents.send('transcription-from-system-audio', transcriptionResult);
-                        console.log(`[${timestamp}] SystemAudioCaptureService: ✅ Sent to window ${index + 1}`);
-                    } catch (windowError) {
-                        console.error(`[${timestamp}] SystemAudioCaptureService: ❌ Failed to send to window ${index + 1}:`, windowError.message);
-                    }
-                });
-                
-            } else {
-                console.warn(`[${timestamp}] SystemAudioCaptureService: ⚠️ No transcription text extracted from API response`);
-                console.warn(`[${timestamp}] SystemAudioCaptureService: 🔍 Response structure check - choices: ${!!data.choices}, length: ${data.choices?.length}`);
-                if (data.choices && data.choices[0]) {
-                    console.warn(`[${timestamp}] SystemAudioCaptureService: 🔍 First choice - message: ${!!data.choices[0].message}, content: ${data.choices[0].message?.content}`);
-                }
+            // Step 3: Transcribe each utterance in order
+            console.log(`[${timestamp}] SystemAudioCaptureService: 📡 Step 3/3 - Transcribing with ${this.sttEngine.displayName}...`);
+            for (const utterance of utterances) {
+                await this.transcribeUtterance(utterance, { channel, recordingStartedAt: receivedAt - decoded.metrics.durationMs, audioSize: dataSize });
             }
             
         } catch (error) {
-            const errorTimestamp = new Date().toISOString();
-            console.error(`[${errorTimestamp}] SystemAudioCaptureService: ❌ PROCESSING ERROR:`, error.message);
-            console.error(`[${errorTimestamp}] SystemAudioCaptureService: 📊 Error Stack:`, error.stack);
-            
-            // Send error callback
-            if (this.transcriptionCallback) {
-                const errorResult = {
-                    text: '[Audio processing error]',
-                    confidence: 0,
-                    timestamp: Date.now(),
-                    error: error.message,
-                    audioSize: dataSize
-                };
-                
-                console.log(`[${errorTimestamp}] SystemAudioCaptureService: 📞 Sending error callback...`);
-                this.transcriptionCallback(errorResult);
-            }
+            console.error(`[${new Date().toISOString()}] SystemAudioCaptureService: ❌ PROCESSING ERROR:`, error.message);
+            console.error(`[${new Date().toISOString()}] SystemAudioCaptureService: 📊 Error Stack:`, error.stack);
+            this.emitProcessingError(error, dataSize);
         } finally {
-            // Cleanup temporary files
-            const cleanupTimestamp = new Date().toISOString();
-            console.log(`[${cleanupTimestamp}] SystemAudioCaptureService: 🧹 Cleaning up temporary files...`);
-            
-            try {
-                if (tempWebmPath && fs.existsSync(tempWebmPath)) {
-                    fs.unlinkSync(tempWebmPath);
-                    console.log(`[${cleanupTimestamp}] SystemAudioCaptureService: 🗑️ Deleted WebM temp file: ${tempWebmPath}`);
-                }
-                if (tempWavPath && fs.existsSync(tempWavPath)) {
-                    fs.unlinkSync(tempWavPath);
-                    console.log(`[${cleanupTimestamp}] SystemAudioCaptureService: 🗑️ Deleted WAV temp file: ${tempWavPath}`);
-                }
-            } catch (cleanupError) {
-                console.error(`[${cleanupTimestamp}] SystemAudioCaptureService: ⚠️ Cleanup error:`, cleanupError.message);
-            }
-            
-            console.log(`[${cleanupTimestamp}] SystemAudioCaptureService: ============ AUDIO PROCESSING END ============`);
+            console.log(`[${new Date().toISOString()}] SystemAudioCaptureService: ============ AUDIO PROCESSING END ============`);
         }
     }
     
-    async convertWebmToWav(inputPath, outputPath, timestamp) {
-        return new Promise((resolve, reject) => {
-            console.log(`[${timestamp}] SystemAudioCaptureService: 🔧 FFmpeg conversion started...`);
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📁 Input: ${inputPath}`);
-            console.log(`[${timestamp}] SystemAudioCaptureService: 📁 Output: ${outputPath}`);
+    /**
+     * Start a live recording whose WebM chunks arrive while it is running.
+     * Utterances are transcribed as soon as the VAD closes them. System audio
+     * and microphone can stream at the same time, one stream per channel.
+     */
+    startAudioStream(channel = 'loopback') {
+        if (!AUDIO_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown audio channel: ${channel}. Available: ${AUDIO_CHANNELS.join(', ')}`);
+        }
+        
+        if (this.liveStreams.has(channel)) {
+            console.warn(`SystemAudioCaptureService: ${channel} audio stream already open, closing the previous one`);
+            this.liveStreams.get(channel).decoder.abort();
+        }
+        
+        const stream = {
+            channel,
+            startedAt: Date.now(),
+            vad: new VoiceActivityDetector(this.vadConfig, this.audioPipeline.sampleRate),
+            decoder: null,
+            queue: Promise.resolve(),
+            inputBytes: 0,
+            utterances: 0
+        };
+        stream.decoder = this.audioPipeline.createDecoder({
+            onSamples: samples => this.queueUtterances(stream, stream.vad.process(samples))
+        });
+        
+        this.liveStreams.set(channel, stream);
+        console.log(`SystemAudioCaptureService: 🎙️ ${channel} audio stream started`);
+        return { success: true, channel, startedAt: stream.startedAt };
+    }
+    
+    pushAudioChunk(chunk, channel = 'loopback') {
+        const stream = this.liveStreams.get(channel);
+        if (!stream) {
+            return { success: false, message: `No ${channel} audio stream open` };
+        }
+        
+        stream.inputBytes += chunk.length;
+        return { success: stream.decoder.write(chunk) };
+    }
+    
+    async endAudioStream(channel = 'loopback') {
+        const stream = this.liveStreams.get(channel);
+        if (!stream) {
+            return { success: false, message: `No ${channel} audio stream open` };
+        }
+        this.liveStreams.delete(channel);
+        
+        try {
+            const { metrics } = await stream.decoder.end();
+            this.queueUtterances(stream, stream.vad.flush());
+            await stream.queue;
             
-            FFmpeg(inputPath)
-                .toFormat('wav')
-                .audioFrequency(16000) // 16kHz sample rate for better STT compatibility
-                .audioChannels(1)      // Mono channel
-                .audioBitrate('128k')  // Standard bitrate
-                .on('start', (commandLine) => {
-                    console.log(`[${timestamp}] SystemAudioCaptureService: 🚀 FFmpeg command: ${commandLine}`);
-                })
-                .on('progress', (progress) => {
-                    console.log(`[${timestamp}] SystemAudioCaptureService: ⏳ Conversion progress: ${Math.round(progress.percent || 0)}%`);
-                })
-                .on('end', () => {
-                    console.log(`[${timestamp}] SystemAudioCaptureService: ✅ FFmpeg conversion completed successfully`);
-                    console.log(`[${timestamp}] SystemAudioCaptureService: 📊 Output file size: ${fs.statSync(outputPath).size} bytes`);
-                    resolve();
-                })
-                .on('error', (error) => {
-                    console.error(`[${timestamp}] SystemAudioCaptureService: ❌ FFmpeg conversion failed:`, error.message);
-                    reject(error);
-                })
-                .save(outputPath);
+            console.log(`SystemAudioCaptureService: 🎙️ ${channel} audio stream ended - ${metrics.durationMs}ms of audio, ${stream.utterances} utterance(s)`);
+            return { success: true, channel, durationMs: metrics.durationMs, utterances: stream.utterances };
+        } catch (error) {
+            console.error('SystemAudioCaptureService: ❌ Audio stream error:', error.message);
+            this.emitProcessingError(error, stream.inputBytes);
+            return { success: false, message: error.message };
+        }
+    }
+    
+    // Utterances are transcribed one at a time so results arrive in speaking order
+    queueUtterances(stream, utterances) {
+        utterances.forEach(utterance => {
+            stream.utterances++;
+            stream.queue = stream.queue
+                .then(() => this.transcribeUtterance(utterance, { channel: stream.channel, recordingStartedAt: stream.startedAt, audioSize: stream.inputBytes }))
+                .catch(error => {
+                    console.error('SystemAudioCaptureService: ❌ Utterance transcription error:', error.message);
+                    this.emitProcessingError(error, utterance.pcm.length * 2);
+                });
+        });
+    }
+    
+    /**
+     * Attribute one VAD utterance to a speaker, then encode, optionally save, and transcribe it
+     */
+    async transcribeUtterance(utterance, { channel = 'loopback', recordingStartedAt, audioSize }) {
+        const detectedAt = Date.now();
+        const speaker = this.speakerDiarizer.assign(channel, utterance.pcm);
+        const timing = {
+            channel,
+            speaker,
+            startMs: utterance.startMs,
+            endMs: utterance.endMs,
+            startTime: recordingStartedAt + utterance.startMs,
+            endTime: recordingStartedAt + utterance.endMs,
+            split: utterance.split
+        };
+        
+        const wavBuffer = this.audioPipeline.encodeWav(utterance.pcm);
+        if (this.autoSaveAudio) {
+            await this.saveWavFile(wavBuffer, new Date(timing.startTime).toISOString(), channel);
+        }
+        
+        const transcribeStart = Date.now();
+        const result = await this.sttEngine.transcribe(wavBuffer, {
+            onPartial: partial => this.emitTranscription({
+                text: partial.text,
+                final: false,
+                engine: partial.engine,
+                timestamp: Date.now(),
+                audioSize,
+                ...timing
+            })
+        });
+        const transcribeMs = Date.now() - transcribeStart;
+        this.audioPipeline.recordStage('transcribe', transcribeMs);
+        this.audioPipeline.recordStage('total', Date.now() - detectedAt);
+        console.log(`SystemAudioCaptureService: 📝 ${speaker.label} (${speaker.id}) ${timing.startMs}-${timing.endMs}ms: "${result.text}" (${transcribeMs}ms)`);
+        
+        if (!result.text) {
+            console.warn(`SystemAudioCaptureService: ⚠️ ${this.sttEngine.displayName} returned no text`);
+            return null;
+        }
+        
+        const transcriptionResult = {
+            text: result.text,
+            final: true,
+            confidence: result.confidence,
+            segments: result.segments,
+            engine: result.engine,
+            timestamp: Date.now(),
+            audioSize,
+            audioDurationMs: utterance.durationMs,
+            processingTime: Date.now() - detectedAt,
+            latency: {
+                encodeMs: this.audioPipeline.latency.encode.lastMs,
+                transcribeMs
+            },
+            ...timing
+        };
+        
+        this.emitTranscription(transcriptionResult);
+        return transcriptionResult;
+    }
+    
+    emitProcessingError(error, audioSize) {
+        if (this.transcriptionCallback) {
+            this.transcriptionCallback({
+                text: '[Audio processing error]',
+                final: true,
+                confidence: 0,
+                timestamp: Date.now(),
+                error: error.message,
+                audioSize
+            });
+        }
+    }
+    
+    /**
+     * Register a function called with every final transcription, e.g. to route speaker turns
+     */
+    addTranscriptionListener(listener) {
+        this.transcriptionListeners.push(listener);
+    }
+    
+    getSpeakers() {
+        return this.speakerDiarizer.getSpeakers();
+    }
+    
+    /**
+     * Correct the role of a speaker, e.g. when a practice partner shares the microphone
+     */
+    setSpeakerRole(speakerId, role) {
+        return this.speakerDiarizer.setSpeakerRole(speakerId, role);
+    }
+    
+    resetSpeakers() {
+        this.speakerDiarizer.reset();
+        return this.getSpeakers();
+    }
+    
+    getVadConfig() {
+        return { ...this.vadConfig };
+    }
+    
+    /**
+     * Update VAD thresholds, hangover and utterance limits; applies to the next recording
+     */
+    setVadConfig(config = {}) {
+        const unknown = Object.keys(config).filter(key => !(key in VoiceActivityDetector.DEFAULT_CONFIG));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown VAD setting(s): ${unknown.join(', ')}`);
+        }
+        
+        const invalid = Object.entries(config).filter(([, value]) => typeof value !== 'number' || !Number.isFinite(value));
+        if (invalid.length > 0) {
+            throw new Error(`VAD settings must be numbers: ${invalid.map(([key]) => key).join(', ')}`);
+        }
+        
+        // Validates frame size against the analysis window before the config is kept
+        this.vadConfig = new VoiceActivityDetector({ ...this.vadConfig, ...config }).config;
+        console.log('SystemAudioCaptureService: VAD config updated:', this.vadConfig);
+        return this.getVadConfig();
+    }
+    
+    /**
+     * Deliver a transcription to the capture callback and listeners (final results only) and to every window
+     */
+    emitTranscription(transcriptionResult) {
+        if (transcriptionResult.final && this.transcriptionCallback) {
+            this.transcriptionCallback(transcriptionResult);
+        }
+
+        if (transcriptionResult.final) {
+            this.transcriptionListeners.forEach(listener => {
+                try {
+                    listener(transcriptionResult);
+                } catch (listenerError) {
+                    console.error('SystemAudioCaptureService: ❌ Transcription listener failed:', listenerError.message);
+                }
+            });
+        }
+
+        BrowserWindow.getAllWindows().filter(w => !w.isDestroyed()).forEach((window, index) => {
+            try {
+                window.webContents.send('transcription-from-system-audio', transcriptionResult);
+            } catch (windowError) {
+                console.error(`SystemAudioCaptureService: ❌ Failed to send transcription to window ${index + 1}:`, windowError.message);
+            }
         });
     }
 
-    async saveWavFile(wavPath, timestamp) {
+    /**
+     * Save an utterance as audio_<start time>_<channel>.wav. Microphone and
+     * system audio can start in the same millisecond, and so can utterances
+     * a VAD split; a counter is added rather than overwriting a clip.
+     */
+    async saveWavFile(wavBuffer, timestamp, channel = 'loopback') {
         try {
             // Ensure the save directory exists
             if (!fs.existsSync(this.saveDirectory)) {
@@ -337,13 +474,23 @@ class SystemAudioCaptureService {
                 console.log(`SystemAudioCaptureService: Created save directory: ${this.saveDirectory}`);
             }
 
-            const fileName = `audio_${timestamp.replace(/[:.-]/g, '_')}.wav`;
-            const destPath = path.join(this.saveDirectory, fileName);
-            fs.copyFileSync(wavPath, destPath);
+            const baseName = `audio_${timestamp.replace(/[:.-]/g, '_')}_${channel}`;
+            let destPath;
+            for (let copy = 0; !destPath; copy++) {
+                const candidate = path.join(this.saveDirectory, copy === 0 ? `${baseName}.wav` : `${baseName}_${copy}.wav`);
+                try {
+                    await fs.promises.writeFile(candidate, wavBuffer, { flag: 'wx' });
+                    destPath = candidate;
+                } catch (error) {
+                    if (error.code !== 'EEXIST') throw error;
+                }
+            }
             console.log(`SystemAudioCaptureService: 🗃️ WAV file saved to: ${destPath}`);
+            return destPath;
         } catch (error) {
+            // A failed save must not cost the transcription; the PCM is still in memory
             console.error('SystemAudioCaptureService: ❌ Error saving WAV file:', error);
-            throw error;
+            return null;
         }
     }
     
@@ -370,6 +517,11 @@ class SystemAudioCaptureService {
             isCapturing: this.isCapturing,
             hasCallback: !!this.transcriptionCallback,
             chunkInterval: !!this.chunkInterval,
+            sttEngine: this.sttEngine.name,
+            streaming: [...this.liveStreams.keys()],
+            speakers: this.getSpeakers(),
+            vad: this.getVadConfig(),
+            latency: this.audioPipeline.getLatencyStats(),
             audioChunksCount: this.audioChunks.length
         };
         
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const SqliteRepository = require('./repositories/SqliteRepository');
+const PostgresRepository = require('./repositories/PostgresRepository');
+
+const MINUTE_MS = 60 * 1000;
+const SETTINGS_PREFERENCE_KEY = 'team_sync';
+const STATE_PREFERENCE_KEY = 'team_sync_state';
+const DEFAULT_SETTINGS = { enabled: false, displayName: '', intervalMinutes: 30 };
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+// Delay after startup before the first automatic sync
+const STARTUP_DELAY_MS = 2 * MINUTE_MS;
+
+// Records per Postgres transaction
+const BATCH_SIZE = 200;
+
+// Parents before children, so every question finds its session and every answer its question
+const SYNC_KINDS = ['sessions', 'questions', 'responses', 'answers'];
+
+/**
+ * One-way sync of practice data from the local database to the team Postgres
+ * database, so coaches can review trainees' sessions, questions, AI answers
+ * and graded answers. Nothing is read back.
+ *
+ * Off until turned on: synced text is decrypted, and readable by anyone with
+ * access to the team database. Each installation is one trainee, identified by
+ * a random device id kept with the sync state. Rows are synced in id order
+ * from a per-kind cursor (sessions again after they change), and imports are
+ * upserts on the local id, so an interrupted sync resumes without duplicates.
+ */
+class TeamSyncService {
+    /**
+     * @param {Object} options - { databaseService, postgresService, batchSize (records per Postgres transaction) }
+     */
+    constructor({ databaseService, postgresService, batchSize = BATCH_SIZE }) {
+        this.databaseService = databaseService;
+        this.postgresService = postgresService;
+        this.batchSize = batchSize;
+        this.timer = null;
+        this.startupTimer = null;
+        this.syncing = null;
+        this.migrated = false;
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    get available() {
+        return this.hasDatabase && !!(this.postgresService && this.postgresService.isEnabled);
+    }
+
+    requireAvailable() {
+        if (!this.hasDatabase) {
+            throw new Error('Team sync requires the local database');
+        }
+        if (!this.postgresService.isEnabled) {
+            throw new Error('Team sync requires a team Postgres database (DB_USER and DB_PASSWORD)');
+        }
+    }
+
+    async getSettings() {
+        const saved = this.hasDatabase ? await this.databaseService.getPreference(SETTINGS_PREFERENCE_KEY, {}) : {};
+        return { ...DEFAULT_SETTINGS, ...saved };
+    }
+
+    /**
+     * @param {Object} settings - { enabled, displayName (shown to coaches), intervalMinutes (5 to 1440) }
+     */
+    async setSettings(settings = {}) {
+        if (!this.hasDatabase) {
+            throw new Error('Team sync requires the local database');
+        }
+        const current = await this.getSettings();
+        const next = {
+            enabled: settings.enabled !== undefined ? !!settings.enabled : current.enabled,
+            displayName: settings.displayName !== undefined ? String(settings.displayName || '').trim() : current.displayName,
+            intervalMinutes: settings.intervalMinutes !== undefined ? Number(settings.intervalMinutes) : current.intervalMinutes
+        };
+        if (next.displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+            throw new Error(`The display name can be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+        }
+        if (!Number.isFinite(next.intervalMinutes) || next.intervalMinutes < 5 || next.intervalMinutes > 1440) {
+            throw new Error('The sync interval must be between 5 and 1440 minutes');
+        }
+
+        await this.databaseService.setPreference(SETTINGS_PREFERENCE_KEY, next);
+        await this.startSchedule();
+        return this.getStatus();
+    }
+
+    // Cursors, device id and the outcome of the last sync
+    async getState() {
+        const state = { deviceId: null, cursors: {}, lastSyncAt: null, lastResult: null, lastError: null, ...(await this.databaseService.getPreference(STATE_PREFERENCE_KEY, {})) };
+        if (!state.deviceId) {
+            state.deviceId = crypto.randomUUID();
+            await this.saveState(state);
+        }
+        return state;
+    }
+
+    async saveState(state) {
+        await this.databaseService.setPreference(STATE_PREFERENCE_KEY, state);
+    }
+
+    /**
+     * @returns {Promise<{ available, settings, deviceId, lastSyncAt, lastResult, lastError, syncing, health }>}
+     */
+    async getStatus() {
+        const state = this.hasDatabase ? await this.getState() : {};
+        return {
+            available: this.available,
+            settings: await this.getSettings(),
+            deviceId: state.deviceId || null,
+            lastSyncAt: state.lastSyncAt || null,
+            lastResult: state.lastResult || null,
+            lastError: state.lastError || null,
+            syncing: !!this.syncing,
+            health: this.postgresService ? this.postgresService.getHealth() : { enabled: false }
+        };
+    }
+
+    /**
+     * Sync now; a sync already running is joined rather than started twice
+     *
+     * @returns {Promise<{ syncedAt, result: { [kind]: { imported, skipped } } }>}
+     */
+    async syncNow() {
+        this.requireAvailable();
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        const settings = await this.getSettings();
+        if (!settings.enabled) {
+            throw new Error('Team sync is turned off');
+        }
+
+        const state = await this.getState();
+        try {
+            const health = await this.postgresService.checkHealth();
+            if (!health.healthy) {
+                throw new Error(`The team database is not reachable: ${health.error}`);
+            }
+            if (!this.migrated) {
+                await this.postgresService.migrate();
+                this.migrated = true;
+            }
+
+            const startedAt = Date.now();
+            const local = new SqliteRepository({ databaseService: this.databaseService });
+            const remote = await PostgresRepository.forTrainee(this.postgresService, {
+                deviceId: state.deviceId,
+                displayName: settings.displayName || null
+            });
+
+            // Rows added while syncing wait for the next sync, so no answer is read before its question
+            const latest = local.getLatestIds();
+            const result = {};
+            for (const kind of SYNC_KINDS) {
+                const cursor = { lastId: 0, updatedSince: 0, ...state.cursors[kind] };
+                const totals = { imported: 0, skipped: 0 };
+                let after = kind === 'sessions' ? 0 : cursor.lastId;
+
+                for (;;) {
+                    const { records, nextAfter } = await local.listChanges(kind, {
+                        after,
+                        upTo: latest[kind],
+                        lastId: cursor.lastId,
+                        updatedSince: cursor.updatedSince,
+                        limit: this.batchSize
+                    });
+                    if (nextAfter === null) break;
+
+                    const counts = await remote.importRecords(kind, records);
+                    totals.imported += counts.imported;
+                    totals.skipped += counts.skipped;
+                    after = nextAfter;
+                }
+
+                state.cursors[kind] = {
+                    lastId: Math.max(cursor.lastId, latest[kind]),
+                    updatedSince: kind === 'sessions' ? startedAt : 0
+                };
+                await this.saveState(state);
+                result[kind] = totals;
+            }
+
+            await remote.markSynced();
+            state.lastSyncAt = Date.now();
+            state.lastResult = result;
+            state.lastError = null;
+            await this.saveState(state);
+            await this.databaseService.logEvent('team_sync_completed', { result });
+
+            return { syncedAt: state.lastSyncAt, result };
+        } catch (error) {
+            state.lastError = { message: error.message, at: Date.now() };
+            await this.saveState(state);
+            throw error;
+        }
+    }
+
+    async startSchedule() {
+        this.stopSchedule();
+        const settings = await this.getSettings();
+        if (!this.available || !settings.enabled) return;
+
+        this.startupTimer = setTimeout(() => this.runScheduledSync(), STARTUP_DELAY_MS);
+        this.timer = setInterval(() => this.runScheduledSync(), settings.intervalMinutes * MINUTE_MS);
+        this.startupTimer.unref?.();
+        this.timer.unref?.();
+    }
+
+    stopSchedule() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    // Before closing the databases: no further syncs, and the running one has written its state
+    async stop() {
+        this.stopSchedule();
+        if (this.syncing) {
+            await this.syncing.catch(() => {});
+        }
+    }
+
+    async runScheduledSync() {
+        try {
+            const { result } = await this.syncNow();
+            const imported = Object.values(result).reduce((sum, counts) => sum + counts.imported, 0);
+            console.log(`TeamSyncService: Synced ${imported} record(s) to the team database`);
+        } catch (error) {
+            console.error('TeamSyncService: Automatic sync failed:', error.message);
+        }
+    }
+}
+
+module.exports = TeamSyncService;
@@ -0,0 +1,207 @@
+const { EXPORT_FORMATS } = require('./transcript/formats');
+
+/**
+ * Full, time-stamped transcript of each session.
+ *
+ * Every final transcription (system audio, microphone or renderer capture) is
+ * stored as a segment with its speaker, source and confidence. Segments in
+ * which the interviewer asked a question are linked to the stored question and,
+ * once generated, to the AI response. Transcripts of sessions that only exist
+ * in memory (no database, or local_/practice_ ids) are kept until restart.
+ */
+class TranscriptService {
+    constructor(databaseService = null) {
+        this.databaseService = databaseService;
+        this.memorySegments = new Map(); // sessionId -> segments of sessions that are not stored
+        this.nextMemoryId = 1;
+        this.questionSegments = new Map(); // question text -> segment it was detected in, for linking the AI response
+    }
+
+    get hasDatabase() {
+        return !!(this.databaseService && this.databaseService.isInitialized);
+    }
+
+    isPersisted(sessionId) {
+        return this.hasDatabase && !!sessionId && !sessionId.startsWith('local_') && !sessionId.startsWith('practice_');
+    }
+
+    /**
+     * Store a final transcription as a segment of the session
+     *
+     * @param {string} sessionId
+     * @param {Object} transcription - result from SystemAudioCaptureService or the renderer
+     * @param {string} source - 'system_audio' | 'microphone' | 'renderer'
+     */
+    async recordSegment(sessionId, transcription, source) {
+        const text = transcription.text && transcription.text.trim();
+        if (!sessionId || !text || transcription.error || transcription.final === false) return null;
+
+        const speaker = transcription.speaker || {};
+        const startTime = transcription.startTime || transcription.timestamp || Date.now();
+        const segment = {
+            id: null,
+            sessionId,
+            text,
+            speakerId: speaker.id || null,
+            speakerRole: speaker.role || null,
+            speakerLabel: speaker.label || null,
+            channel: transcription.channel || null,
+            source,
+            confidence: typeof transcription.confidence === 'number' ? transcription.confidence : null,
+            startTime,
+            endTime: transcription.endTime || (transcription.audioDurationMs ? startTime + transcription.audioDurationMs : null),
+            questionId: null,
+            responseId: null
+        };
+
+        if (this.isPersisted(sessionId)) {
+            try {
+                const stored = await this.databaseService.storeTranscriptSegment(segment);
+                segment.id = stored.segmentId;
+                return segment;
+            } catch (error) {
+                console.error('TranscriptService: Failed to store segment, keeping it in memory:', error);
+            }
+        }
+
+        segment.id = `mem_${this.nextMemoryId++}`;
+        if (!this.memorySegments.has(sessionId)) this.memorySegments.set(sessionId, []);
+        this.memorySegments.get(sessionId).push(segment);
+        return segment;
+    }
+
+    /**
+     * Link a segment to the question detected in it
+     */
+    async linkQuestion(segment, questionId, questionText) {
+        if (!segment) return;
+
+        segment.questionId = questionId || segment.questionId;
+        if (questionText) this.questionSegments.set(questionText.trim(), segment);
+        await this.updateLinks(segment, { questionId });
+    }
+
+    /**
+     * Link the AI response for a question to the segment the question was heard in
+     */
+    async linkResponse(questionText, { questionId, responseId } = {}) {
+        const segment = questionText ? this.questionSegments.get(questionText.trim()) : null;
+        if (!segment) return;
+
+        this.questionSegments.delete(questionText.trim());
+        segment.questionId = segment.questionId || questionId || null;
+        segment.responseId = responseId || null;
+        await this.updateLinks(segment, { questionId: segment.questionId, responseId });
+    }
+
+    async updateLinks(segment, links) {
+        if (typeof segment.id !== 'number' || !this.hasDatabase) return;
+        try {
+            await this.databaseService.linkTranscriptSegment(segment.id, links);
+        } catch (error) {
+            console.error('TranscriptService: Failed to link segment:', error);
+        }
+    }
+
+    /**
+     * @returns {Promise<{sessionId, startedAt, segments}>} segments in speaking order
+     */
+    async getTranscript(sessionId) {
+        let segments = this.memorySegments.get(sessionId) || [];
+        if (this.isPersisted(sessionId)) {
+            const rows = await this.databaseService.getTranscriptSegments(sessionId);
+            segments = rows.map(row => this.fromRow(row));
+        }
+
+        segments = [...segments].sort((a, b) => a.startTime - b.startTime);
+        return {
+            sessionId,
+            startedAt: segments.length > 0 ? segments[0].startTime : null,
+            segments
+        };
+    }
+
+    /**
+     * Case-insensitive search of segment text and speaker labels. Stored text is
+     * encrypted, so matching happens after decryption rather than in SQL.
+     *
+     * @param {string} query
+     * @param {Object} options - { sessionId (all sessions when omitted), limit }
+     */
+    async search(query, { sessionId = null, limit = 50 } = {}) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return [];
+
+        let segments = sessionId
+            ? [...(this.memorySegments.get(sessionId) || [])]
+            : [...this.memorySegments.values()].flat();
+        if (this.hasDatabase && (!sessionId || this.isPersisted(sessionId))) {
+            const rows = await this.databaseService.getTranscriptSegments(sessionId);
+            segments = segments.concat(rows.map(row => this.fromRow(row)));
+        }
+
+        return segments
+            .filter(segment => segment.text.toLowerCase().includes(needle) || (segment.speakerLabel || '').toLowerCase().includes(needle))
+            .sort((a, b) => b.startTime - a.startTime)
+            .slice(0, limit)
+            .map(segment => ({ ...segment, snippet: this.snippet(segment.text, needle) }));
+    }
+
+    // Up to 60 characters either side of the first match
+    snippet(text, needle) {
+        const index = text.toLowerCase().indexOf(needle);
+        if (index < 0) return text.slice(0, 120);
+
+        const start = Math.max(0, index - 60);
+        const end = Math.min(text.length, index + needle.length + 60);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {string} format - markdown | json | srt | vtt
+     * @returns {Promise<{content, extension, format, segments}>}
+     */
+    async exportTranscript(sessionId, format = 'markdown') {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter) {
+            throw new Error(`Unknown transcript format: ${format}. Available: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const transcript = await this.getTranscript(sessionId);
+        if (transcript.segments.length === 0) {
+            throw new Error('Transcript is empty');
+        }
+
+        return {
+            content: exporter.render(transcript),
+            extension: exporter.extension,
+            format,
+            segments: transcript.segments.length
+        };
+    }
+
+    getExportFormats() {
+        return Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, name: format.name, extension: format.extension }));
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            text: row.segment_text,
+            speakerId: row.speaker_id,
+            speakerRole: row.speaker_role,
+            speakerLabel: row.speaker_label,
+            channel: row.channel,
+            source: row.source,
+            confidence: row.confidence,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            questionId: row.question_id,
+            responseId: row.response_id
+        };
+    }
+}
+
+module.exports = TranscriptService;
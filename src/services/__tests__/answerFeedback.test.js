@@ -0,0 +1,104 @@
+const AnswerFeedbackService = require('../AnswerFeedbackService');
+const QuestionDetectionService = require('../QuestionDetectionService');
+
+const CONFLICT_QUESTION = 'Tell me about a time you had a conflict with a teammate.';
+
+const STAR_ANSWER = [
+    'At my previous job our team was migrating the billing service to Kubernetes.',
+    'My goal was to get the migration done before the quarterly release.',
+    'I disagreed with a teammate about the rollout plan, so I scheduled a meeting and proposed a canary release.',
+    'As a result we shipped two weeks early and cut deployment failures by 40%.'
+].join(' ');
+
+describe('AnswerFeedbackService', () => {
+    let feedback;
+
+    beforeEach(() => {
+        feedback = new AnswerFeedbackService(new QuestionDetectionService());
+    });
+
+    test('finds every STAR part of a behavioral answer with the sentence that shows it', () => {
+        const result = feedback.evaluate({ question: CONFLICT_QUESTION, answer: STAR_ANSWER });
+
+        expect(result.questionType).toBe('behavioral');
+        expect(result.star).toMatchObject({ complete: true, missing: [], present: ['situation', 'task', 'action', 'result'] });
+        expect(result.star.situation.evidence).toMatch(/^At my previous job/);
+        expect(result.star.result.evidence).toMatch(/^As a result/);
+        expect(result.scores.structure).toEqual({ score: 10, note: 'Complete STAR structure' });
+        expect(result.strengths).toContain('Clear STAR structure');
+    });
+
+    test('suggests the STAR parts that are missing', () => {
+        const answer = STAR_ANSWER.replace(/ As a result.*$/, '');
+        const result = feedback.evaluate({ question: CONFLICT_QUESTION, answer, questionType: 'behavioral' });
+
+        expect(result.star).toMatchObject({ complete: false, missing: ['result'] });
+        expect(result.scores.structure.score).toBe(8);
+        expect(result.suggestions).toContain('Finish with the outcome, ideally measurable, and what you learned.');
+    });
+
+    test('combines the rubric scores with their weights', () => {
+        const { scores, overallScore } = feedback.evaluate({ question: CONFLICT_QUESTION, answer: STAR_ANSWER });
+
+        const weighted = scores.relevance.score * 0.35 + scores.structure.score * 0.25 +
+            scores.specificity.score * 0.25 + scores.length.score * 0.15;
+        expect(overallScore).toBe(Math.round(weighted * 10));
+    });
+
+    test('scores relevance by the key terms of the question and skill', () => {
+        const question = 'How would you design a caching layer for a database?';
+        const onTopic = feedback.evaluate({ question, answer: 'I would put a Redis cache in front of the database and design the caching keys around reads.', questionType: 'technical' });
+        const offTopic = feedback.evaluate({ question, answer: 'I enjoy hiking and spending weekends outdoors with family.', questionType: 'technical' });
+
+        expect(onTopic.scores.relevance.score).toBe(10);
+        expect(offTopic.scores.relevance).toEqual({ score: 2, note: 'Does not reference the key terms of the question' });
+        expect(offTopic.suggestions).toContain('Answer the question that was asked more directly and reuse its key terms.');
+    });
+
+    test('scores length against the target of the question type', () => {
+        expect(feedback.scoreLength(30, 'technical')).toEqual({ score: 5, note: '30 words, aim for at least 60' });
+        expect(feedback.scoreLength(200, 'behavioral').score).toBe(10);
+        expect(feedback.scoreLength(640, 'behavioral')).toEqual({ score: 3, note: '640 words, aim for at most 320' });
+    });
+
+    test('counts figures, named tools and fillers as specificity', () => {
+        const specific = feedback.evaluate({ question: 'What did you build?', answer: 'I built a queue on Kafka and Postgres that handles 5000 events per second.' });
+        const vague = feedback.evaluate({ question: 'What did you build?', answer: 'We did stuff, basically things like that, you know.' });
+
+        expect(specific.scores.specificity.score).toBeGreaterThanOrEqual(5);
+        expect(specific.scores.specificity.note).toContain('named tools or projects');
+        expect(vague.scores.specificity.score).toBe(0);
+        expect(vague.scores.specificity.note).toBe('4 vague fillers');
+    });
+
+    test('refuses an empty answer', () => {
+        expect(() => feedback.evaluate({ question: CONFLICT_QUESTION, answer: '  ' })).toThrow('Feedback needs a question and an answer');
+    });
+
+    describe('fromModelResponse()', () => {
+        const input = { question: CONFLICT_QUESTION, answer: STAR_ANSWER, model: 'gpt-4o' };
+
+        test('reads fenced JSON, clamps scores and keeps local scores the model left out', () => {
+            const text = 'Here is the grading:\n```json\n' + JSON.stringify({
+                scores: { relevance: { score: 12, note: 'On point' }, structure: 6, specificity: { score: 'n/a' } },
+                strengths: ['Clear'],
+                suggestions: ['Shorter intro', '']
+            }) + '\n```';
+            const local = feedback.evaluate(input);
+
+            const result = feedback.fromModelResponse(text, input);
+
+            expect(result.scores.relevance).toEqual({ score: 10, note: 'On point' });
+            expect(result.scores.structure).toEqual({ score: 6, note: '' });
+            expect(result.scores.specificity).toEqual(local.scores.specificity);
+            expect(result.scores.length).toEqual(local.scores.length);
+            expect(result).toMatchObject({ star: local.star, wordCount: local.wordCount, strengths: ['Clear'], suggestions: ['Shorter intro'], model: 'gpt-4o' });
+            expect(result.overallScore).toBe(Math.round((10 * 0.35 + 6 * 0.25 + local.scores.specificity.score * 0.25 + local.scores.length.score * 0.15) * 10));
+        });
+
+        test('rejects a response without rubric scores', () => {
+            expect(() => feedback.fromModelResponse('I cannot grade this answer.', input)).toThrow('Model did not return rubric feedback');
+            expect(() => feedback.fromModelResponse('{ not json }', input)).toThrow('Model did not return rubric feedback');
+        });
+    });
+});
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioPipeline = require('../audio/AudioPipeline');
+const PcmRingBuffer = require('../audio/PcmRingBuffer');
+const Resampler = require('../audio/Resampler');
+const VoiceActivityDetector = require('../audio/VoiceActivityDetector');
+const SessionReviewService = require('../SessionReviewService');
+
+// Only the capture window needs Electron, which these tests do not open
+jest.mock('electron', () => ({}));
+const SystemAudioCaptureService = require('../SystemAudioCaptureService');
+
+// Stands in for ffmpeg: reports stereo 16 kHz float output, then writes `frames`
+// (left, right) to stdout in pieces of `pieceBytes`, which need not hold whole frames
+function fakeFfmpeg(dir, frames, pieceBytes) {
+    const script = path.join(dir, 'ffmpeg');
+    fs.writeFileSync(script, `#!${process.execPath}
+const output = Buffer.alloc(${frames.length * 8});
+${JSON.stringify(frames)}.forEach(([left, right], i) => {
+    output.writeFloatLE(left, i * 8);
+    output.writeFloatLE(right, i * 8 + 4);
+});
+process.stdin.resume();
+process.stdin.on('end', async () => {
+    process.stderr.write('Stream #0:0: Audio: pcm_f32le, 16000 Hz, stereo, flt, 1024 kb/s\\n');
+    const pause = () => new Promise(resolve => setTimeout(resolve, 10));
+    await pause();
+    for (let offset = 0; offset < output.length; offset += ${pieceBytes}) {
+        process.stdout.write(output.subarray(offset, offset + ${pieceBytes}));
+        await pause();
+    }
+});
+`, { mode: 0o755 });
+    return script;
+}
+
+const RATE = 16000;
+
+// Voice-like 16 kHz PCM: harmonics of 200 Hz, or faint white noise for silence
+function tone(ms, amplitude = 0.3) {
+    const samples = new Int16Array(RATE * ms / 1000);
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / RATE;
+        const value = [1, 0.6, 0.4, 0.25].reduce((sum, weight, harmonic) => sum + weight * Math.sin(2 * Math.PI * 200 * (harmonic + 1) * t), 0) / 2.25;
+        samples[i] = Math.round(value * amplitude * 32767);
+    }
+    return samples;
+}
+
+function noise(ms, seed = 1) {
+    const samples = new Int16Array(RATE * ms / 1000);
+    let state = seed;
+    for (let i = 0; i < samples.length; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        samples[i] = Math.round((state / 2147483648 - 0.5) * 60);
+    }
+    return samples;
+}
+
+function concat(...parts) {
+    const output = new Int16Array(parts.reduce((sum, part) => sum + part.length, 0));
+    parts.reduce((offset, part) => {
+        output.set(part, offset);
+        return offset + part.length;
+    }, 0);
+    return output;
+}
+
+describe('PcmRingBuffer', () => {
+    test('overwrites the oldest samples when full and counts them', () => {
+        const ring = new PcmRingBuffer(4);
+        ring.write(Int16Array.from([1, 2, 3]));
+        ring.write(Int16Array.from([4, 5]));
+
+        expect(ring.isFull).toBe(true);
+        expect(ring.droppedSamples).toBe(1);
+        expect(Array.from(ring.read(2))).toEqual([2, 3]);
+        ring.write(Int16Array.from([6, 7]));
+        expect(Array.from(ring.read())).toEqual([4, 5, 6, 7]);
+        expect(ring.length).toBe(0);
+    });
+
+    test('keeps only the newest samples of an oversized chunk', () => {
+        const ring = new PcmRingBuffer(3);
+        ring.write(Int16Array.from([1, 2, 3, 4, 5]));
+
+        expect(Array.from(ring.read())).toEqual([3, 4, 5]);
+        expect(ring.droppedSamples).toBe(2);
+        ring.clear();
+        expect(ring.droppedSamples).toBe(0);
+    });
+
+    test('refuses a capacity that is not a positive integer', () => {
+        expect(() => new PcmRingBuffer(0)).toThrow('PcmRingBuffer capacity must be a positive integer');
+        expect(() => new PcmRingBuffer(2.5)).toThrow('PcmRingBuffer capacity must be a positive integer');
+    });
+});
+
+describe('Resampler', () => {
+    // Interleaved stereo float PCM at 48 kHz with the same signal in both channels
+    const stereo = (seconds, signal) => {
+        const frames = 48000 * seconds;
+        const output = new Float32Array(frames * 2);
+        for (let i = 0; i < frames; i++) {
+            output[i * 2] = signal(i / 48000);
+            output[i * 2 + 1] = signal(i / 48000);
+        }
+        return output;
+    };
+    const rms = samples => Math.sqrt(samples.reduce((sum, value) => sum + (value / 32767) ** 2, 0) / samples.length);
+
+    test('downmixes and converts 48 kHz stereo to 16 kHz mono', () => {
+        const resampler = new Resampler({ inputRate: 48000, channels: 2 });
+        const output = resampler.process(stereo(0.5, () => 0.5));
+
+        expect(output.length).toBeGreaterThanOrEqual(7999);
+        expect(output.length).toBeLessThanOrEqual(8000);
+        // Past the filter's start-up the level is kept
+        output.subarray(100).forEach(sample => expect(Math.abs(sample - 16384)).toBeLessThanOrEqual(2));
+    });
+
+    test('filters out what 16 kHz cannot represent', () => {
+        const speech = new Resampler({ inputRate: 48000, channels: 2 }).process(stereo(0.5, t => 0.5 * Math.sin(2 * Math.PI * 1000 * t)));
+        const whistle = new Resampler({ inputRate: 48000, channels: 2 }).process(stereo(0.5, t => 0.5 * Math.sin(2 * Math.PI * 12000 * t)));
+
+        expect(rms(speech.subarray(100))).toBeCloseTo(0.5 / Math.SQRT2, 1);
+        expect(rms(whistle.subarray(100))).toBeLessThan(0.01);
+    });
+
+    test('gives the same output for a stream fed in pieces', () => {
+        const input = stereo(0.2, t => 0.4 * Math.sin(2 * Math.PI * 440 * t));
+        const whole = new Resampler({ inputRate: 48000, channels: 2 }).process(input);
+
+        const streamed = new Resampler({ inputRate: 48000, channels: 2 });
+        const pieces = [];
+        for (let offset = 0; offset < input.length; offset += 1234) {
+            pieces.push(...streamed.process(input.subarray(offset, offset + 1234)));
+        }
+
+        expect(pieces.length).toBe(whole.length);
+        pieces.forEach((sample, i) => expect(Math.abs(sample - whole[i])).toBeLessThanOrEqual(1));
+    });
+});
+
+describe('VoiceActivityDetector', () => {
+    test('finds an utterance between silences, with pre-roll and a short tail', () => {
+        const vad = new VoiceActivityDetector();
+        const utterances = [...vad.process(concat(noise(500), tone(1000), noise(1000))), ...vad.flush()];
+
+        expect(utterances).toHaveLength(1);
+        const [utterance] = utterances;
+        expect(utterance.split).toBe(false);
+        expect(utterance.startMs).toBeGreaterThanOrEqual(200);
+        expect(utterance.startMs).toBeLessThan(500);
+        expect(utterance.endMs).toBeGreaterThanOrEqual(1500);
+        expect(utterance.endMs).toBeLessThanOrEqual(1700);
+        expect(utterance.pcm.length).toBe(utterance.durationMs * RATE / 1000);
+        expect(vad.getState()).toMatchObject({ inUtterance: false, processedMs: 2500 });
+    });
+
+    test('drops clicks shorter than the minimum utterance', () => {
+        const vad = new VoiceActivityDetector();
+
+        expect([...vad.process(concat(noise(500), tone(160), noise(1000))), ...vad.flush()]).toEqual([]);
+    });
+
+    test('splits long speech and closes the open utterance on flush', () => {
+        const vad = new VoiceActivityDetector({ maxUtteranceMs: 1000 });
+        const completed = vad.process(concat(noise(300), tone(2500)));
+        const flushed = vad.flush();
+
+        expect(completed.map(utterance => utterance.split)).toEqual([true, true]);
+        expect(completed[1].startMs).toBe(completed[0].endMs);
+        expect(flushed).toHaveLength(1);
+        expect(flushed[0]).toMatchObject({ split: false, startMs: completed[1].endMs });
+    });
+
+    test('finds the same utterances in audio fed in odd-sized pieces', () => {
+        const audio = concat(noise(400), tone(700), noise(800), tone(500), noise(900));
+        const whole = new VoiceActivityDetector();
+        const expected = [...whole.process(audio), ...whole.flush()];
+
+        const streamed = new VoiceActivityDetector();
+        const found = [];
+        for (let offset = 0; offset < audio.length; offset += 777) {
+            found.push(...streamed.process(audio.subarray(offset, offset + 777)));
+        }
+        found.push(...streamed.flush());
+
+        expect(expected).toHaveLength(2);
+        expect(found.map(({ startMs, endMs }) => ({ startMs, endMs }))).toEqual(expected.map(({ startMs, endMs }) => ({ startMs, endMs })));
+    });
+
+    test('refuses frames longer than its analysis window', () => {
+        expect(() => new VoiceActivityDetector({ frameMs: 40 })).toThrow('VAD frame of 40ms is longer than the 512-sample analysis window');
+    });
+});
+
+describe('AudioPipeline', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-audio-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps stereo frames together when output chunks split them', async () => {
+        // Only the left channel carries sound, in every other frame
+        const frames = Array.from({ length: 16 }, (_, i) => [i % 2 === 0 ? 1 : 0, 0]);
+        const pipeline = new AudioPipeline({ ffmpeg: fakeFfmpeg(dir, frames, 12) });
+
+        const { pcm, metrics } = await pipeline.decode(Buffer.from('webm'));
+
+        expect(metrics).toMatchObject({ inputSampleRate: 16000, channels: 2 });
+        expect(pcm.length).toBeGreaterThan(8);
+        pcm.forEach((sample, i) => expect(sample).toBe(i % 2 === 0 ? 16384 : 0));
+    });
+});
+
+describe('SystemAudioCaptureService', () => {
+    let dir;
+    let capture;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-audio-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        capture = new SystemAudioCaptureService({ name: 'pollinations' });
+        capture.audioPipeline = new AudioPipeline({ ffmpeg: fakeFfmpeg(dir, [], 8) });
+        capture.saveDirectory = dir;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('stopCapture() ends the decoders of open live streams', async () => {
+        capture.startAudioStream('loopback');
+        capture.startAudioStream('microphone');
+        const decoders = [...capture.liveStreams.values()].map(stream => stream.decoder);
+        decoders.forEach(decoder => jest.spyOn(decoder, 'end'));
+
+        expect(await capture.stopCapture()).toMatchObject({ success: true });
+        expect(capture.liveStreams.size).toBe(0);
+        decoders.forEach(decoder => expect(decoder.end).toHaveBeenCalled());
+    });
+
+    test('saves utterances that start in the same millisecond to separate files', async () => {
+        const timestamp = '2025-01-31T14:05:09.120Z';
+        const saved = [
+            await capture.saveWavFile(Buffer.from('loopback'), timestamp, 'loopback'),
+            await capture.saveWavFile(Buffer.from('microphone'), timestamp, 'microphone'),
+            await capture.saveWavFile(Buffer.from('split'), timestamp, 'microphone')
+        ].map(file => path.basename(file));
+
+        expect(saved).toEqual([
+            'audio_2025_01_31T14_05_09_120Z_loopback.wav',
+            'audio_2025_01_31T14_05_09_120Z_microphone.wav',
+            'audio_2025_01_31T14_05_09_120Z_microphone_1.wav'
+        ]);
+        expect(fs.readFileSync(path.join(dir, saved[1]), 'utf8')).toBe('microphone');
+
+        const review = new SessionReviewService({ audioDirectory: dir });
+        const clips = review.findAudioClips(0, Date.now());
+        const startTime = Date.parse(timestamp);
+        expect(review.findClip(clips, startTime, 'loopback')).toBe(saved[0]);
+        expect(review.findClip(clips, startTime, 'microphone')).toBe(saved[1]);
+        await expect(review.readAudioClip(saved[2])).resolves.toEqual(Buffer.from('split'));
+    });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../DatabaseService');
+const BackupService = require('../BackupService');
+const QuestionBankService = require('../QuestionBankService');
+const QuestionDetectionService = require('../QuestionDetectionService');
+
+// A separate installation: its own home directory, database, keystore and backups
+async function install(root, name) {
+    const home = path.join(root, name);
+    fs.mkdirSync(home);
+    os.homedir.mockReturnValue(home);
+
+    const database = new DatabaseService();
+    await database.initialize();
+    const backups = new BackupService({
+        databaseService: database,
+        audioDirectory: path.join(home, 'audio'),
+        backupDirectory: path.join(home, '.mockmate', 'backups')
+    });
+    return { home, database, backups };
+}
+
+function count(database, table) {
+    return database.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+}
+
+describe('BackupService', () => {
+    let root;
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-backup-'));
+        jest.spyOn(os, 'homedir');
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        source = await install(root, 'source');
+        const { sessionId } = await source.database.createSession({ companyName: 'Acme', jobDescription: 'Node.js backend engineer' });
+        const { questionId } = await source.database.storeQuestion({ sessionId, questionText: 'How does the event loop work?', questionType: 'technical' });
+        await source.database.storeAIResponse({ questionId, sessionId, responseText: 'It runs callbacks from queues', modelUsed: 'openai' });
+        await source.database.setPreference('theme', 'dark');
+
+        target = await install(root, 'target');
+    });
+
+    afterEach(async () => {
+        await source.database.close();
+        await target.database.close();
+        jest.restoreAllMocks();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('restores a passphrase-protected backup by merging and replacing', async () => {
+        const filePath = path.join(root, 'export.mmbackup');
+        const created = await source.backups.createBackup(filePath, { passphrase: 'correct horse' });
+        expect(created).toMatchObject({ filePath, encrypted: true, audioFiles: 0 });
+        expect(created.tables).toMatchObject({ sessions: 1, questions: 1, ai_responses: 1 });
+
+        const info = target.backups.inspectBackup(filePath);
+        expect(info).toMatchObject({ encrypted: true, protection: 'passphrase', audioFiles: 0 });
+        expect(info.tables).toMatchObject({ sessions: 1, questions: 1, ai_responses: 1 });
+        expect(info.categories.map(category => category.value)).toEqual(expect.arrayContaining(['sessions', 'questions', 'responses', 'preferences']));
+
+        await expect(target.backups.restoreBackup(filePath, { passphrase: 'wrong horse' })).rejects.toThrow('Wrong backup passphrase');
+        await expect(target.backups.restoreBackup(filePath)).rejects.toThrow('protected by a passphrase');
+        expect(count(target.database, 'sessions')).toBe(0);
+
+        const merged = await target.backups.restoreBackup(filePath, { passphrase: 'correct horse' });
+        expect(merged.tables).toMatchObject({ sessions: { restored: 1, skipped: 0 }, questions: { restored: 1, skipped: 0 }, ai_responses: { restored: 1, skipped: 0 } });
+        expect(path.basename(merged.snapshotPath)).toMatch(/^mockmate-v\d+-.+\.db$/);
+
+        const [session] = await target.database.getSessions();
+        const restored = await target.database.getSession(session.session_id);
+        expect(restored.company_name).toBe('Acme');
+        expect(restored.questions[0].question_text).toBe('How does the event loop work?');
+        expect(restored.responses[0].response_text).toBe('It runs callbacks from queues');
+        expect(await target.database.getPreference('theme')).toBe('dark');
+        expect((await target.database.searchDocuments('event loop')).total).toBe(1);
+
+        const mergedAgain = await target.backups.restoreBackup(filePath, { passphrase: 'correct horse' });
+        expect(mergedAgain.tables).toMatchObject({ sessions: { restored: 0, skipped: 1 }, questions: { restored: 0, skipped: 1 }, ai_responses: { restored: 0, skipped: 1 } });
+        expect(count(target.database, 'sessions')).toBe(1);
+        expect(count(target.database, 'questions')).toBe(1);
+
+        const { sessionId } = await target.database.createSession({ companyName: 'Globex' });
+        await target.database.storeQuestion({ sessionId, questionText: 'Only on the target' });
+
+        const replaced = await target.backups.restoreBackup(filePath, { passphrase: 'correct horse', mode: 'replace' });
+        expect(replaced.tables).toMatchObject({ sessions: { restored: 1, skipped: 0 }, questions: { restored: 1, skipped: 0 } });
+        expect(target.database.db.prepare('SELECT company_name FROM sessions').all()).toEqual([{ company_name: 'Acme' }]);
+        expect(count(target.database, 'questions')).toBe(1);
+        expect((await target.database.searchDocuments('target')).total).toBe(0);
+    });
+
+    test('restores only the selected categories', async () => {
+        const filePath = path.join(root, 'export.mmbackup');
+        await source.backups.createBackup(filePath);
+        expect(target.backups.inspectBackup(filePath)).toMatchObject({ encrypted: false, protection: null });
+
+        await target.backups.restoreBackup(filePath, { categories: ['preferences'] });
+        expect(count(target.database, 'sessions')).toBe(0);
+        expect(await target.database.getPreference('theme')).toBe('dark');
+    });
+
+    test('merges question bank entries of another installation by their re-keyed fingerprints', async () => {
+        const bankOf = ({ database }) => new QuestionBankService({ databaseService: database, questionDetectionService: new QuestionDetectionService() });
+        const targetBank = bankOf(target);
+        await bankOf(source).addQuestion('Tell me about yourself', { type: 'behavioral' });
+        await targetBank.addQuestion('So, tell me about yourself.', { type: 'behavioral' });
+        const fingerprints = ({ database }) => database.db.prepare('SELECT fingerprint FROM question_bank').all().map(row => row.fingerprint);
+        expect(fingerprints(source)).not.toEqual(fingerprints(target));
+
+        const filePath = path.join(root, 'export.mmbackup');
+        await source.backups.createBackup(filePath, { categories: ['questionBank'] });
+        const merged = await target.backups.restoreBackup(filePath);
+
+        expect(merged.tables.question_bank).toEqual({ restored: 0, skipped: 1 });
+        expect(count(target.database, 'question_bank')).toBe(1);
+
+        // Loaded entries are stale once a restore replaced the bank
+        await target.backups.restoreBackup(filePath, { mode: 'replace' });
+        targetBank.unload();
+        expect((await targetBank.listQuestions()).map(card => card.text)).toEqual(['Tell me about yourself']);
+    });
+
+    test('keeps only the newest database snapshots', async () => {
+        const filePath = path.join(root, 'export.mmbackup');
+        await source.backups.createBackup(filePath);
+        const snapshots = () => fs.readdirSync(target.backups.backupDirectory).filter(fileName => fileName.endsWith('.db'));
+
+        let last;
+        for (let i = 0; i < 12; i++) {
+            last = await target.backups.restoreBackup(filePath);
+        }
+
+        expect(snapshots()).toHaveLength(target.database.migrationRunner.keepBackups);
+        expect(snapshots()).toContain(path.basename(last.snapshotPath));
+    });
+
+    test('prunes automatic backups to the newest `keep`', async () => {
+        await source.backups.setSchedule({ keep: 2 });
+        for (let i = 0; i < 3; i++) {
+            await source.backups.runScheduledBackup({ force: true });
+        }
+
+        expect(source.backups.listBackups()).toHaveLength(2);
+        await expect(target.backups.restoreBackup(source.backups.listBackups()[0].filePath)).rejects.toThrow('backup key of another installation');
+    });
+});
@@ -0,0 +1,131 @@
+const DocumentPipeline = require('../DocumentPipeline');
+const SkillTaxonomy = require('../SkillTaxonomy');
+
+describe('DocumentPipeline', () => {
+    let pipeline;
+
+    beforeEach(() => {
+        pipeline = new DocumentPipeline(new SkillTaxonomy({ customFile: null }));
+    });
+
+    describe('sectioned resumes', () => {
+        const resume = [
+            'John Smith',
+            'San Francisco, CA | john@smith.dev | github.com/jsmith',
+            '',
+            '## Summary',
+            'Backend engineer with 6+ years of experience building payment systems in Go and PostgreSQL.',
+            '',
+            'EXPERIENCE',
+            'Staff Engineer | Stripe | 2021 - Present',
+            '• Designed the ledger service handling 2M transactions per day',
+            '• Mentored four engineers',
+            'Software Engineer at Square',
+            'Mar 2017 - Dec 2020',
+            '- Migrated batch jobs to Kafka streams',
+            '',
+            '**Education:**',
+            'M.S. in Computer Science',
+            'Carnegie Mellon University, 2017',
+            '',
+            'Technical Skills',
+            'Languages: Go, Python, SQL',
+            'Tools: Terraform, Bazel',
+            '',
+            'Projects',
+            'Ledger Lite',
+            '- Double-entry bookkeeping library in Go',
+            '',
+            'Certifications',
+            'AWS Certified Solutions Architect'
+        ].join('\r\n');
+
+        let parsed;
+
+        beforeEach(() => {
+            parsed = pipeline.parseResume(resume, { fileName: 'cv.txt' });
+        });
+
+        test('splits the text at headings written in any common style', () => {
+            expect(parsed.sections).toEqual(['summary', 'experience', 'education', 'skills', 'projects', 'certifications']);
+            expect(parsed.text).not.toContain('\r');
+            expect(parsed.source).toEqual({ fileName: 'cv.txt', filePath: null, fileType: 'text' });
+            expect(pipeline.matchResumeHeading('Work History:')).toBe('experience');
+            expect(pipeline.matchResumeHeading('Experience with large teams')).toBeNull();
+        });
+
+        test('reads the contact details and summary', () => {
+            expect(parsed.basicInfo).toMatchObject({ name: 'John Smith', email: 'john@smith.dev', location: 'San Francisco, CA', github: 'github.com/jsmith' });
+            expect(parsed.summary).toBe('Backend engineer with 6+ years of experience building payment systems in Go and PostgreSQL.');
+        });
+
+        test('splits the experience section into jobs with their bullets', () => {
+            expect(parsed.experience.jobs).toEqual([
+                expect.objectContaining({ title: 'Staff Engineer', company: 'Stripe', duration: '2021 - Present', current: true, description: ['Designed the ledger service handling 2M transactions per day', 'Mentored four engineers'] }),
+                expect.objectContaining({ title: 'Software Engineer', company: 'Square', startYear: 2017, endYear: 2020, current: false, description: ['Migrated batch jobs to Kafka streams'] })
+            ]);
+            // Date ranges count when the stated years are fewer
+            expect(parsed.experience.totalYears).toBe(Math.max(6, 2020 - 2017 + new Date().getFullYear() - 2021));
+        });
+
+        test('joins degree and institution lines into one entry', () => {
+            expect(parsed.education).toEqual({
+                degrees: [{ degree: 'M.S. in Computer Science', level: 'master', field: 'Computer Science', institution: 'Carnegie Mellon University', year: 2017 }],
+                institutions: ['Carnegie Mellon University'],
+                certifications: ['AWS Certified Solutions Architect']
+            });
+        });
+
+        test('rates listed skills higher and keeps listed items the taxonomy does not know', () => {
+            const skills = Object.fromEntries(parsed.skills.technical.map(skill => [skill.name, skill]));
+
+            expect(skills.Python.confidence).toBeCloseTo(0.5);
+            expect(skills.PostgreSQL.confidence).toBeCloseTo(0.3);
+            expect(skills.Bazel).toMatchObject({ category: 'other', confidence: 0.6 });
+            expect(parsed.skills.total).toBe(parsed.skills.technical.length + parsed.skills.tools.length + parsed.skills.soft.length);
+        });
+
+        test('reads projects with the technologies they mention', () => {
+            expect(parsed.projects).toEqual([
+                { title: 'Ledger Lite', description: ['Double-entry bookkeeping library in Go'], technologies: ['Go'] }
+            ]);
+        });
+    });
+
+    describe('resumes without section headings', () => {
+        const resume = [
+            'Jane Doe',
+            'jane@example.com | (555) 123-4567',
+            'Senior Software Engineer',
+            'Acme Corp | Jan 2019 - Present',
+            '- Led the move of the billing platform to Kubernetes',
+            'Backend Developer at Beta Labs, 2015 - 2018',
+            '- Built REST APIs in Node.js',
+            'Education: BSc in Computer Science, Stanford University, 2011 - 2015'
+        ].join('\n');
+
+        test('finds jobs by their date ranges', () => {
+            const { experience, basicInfo } = pipeline.parseResume(resume);
+
+            expect(basicInfo.name).toBe('Jane Doe');
+            // Study years are not work experience
+            expect(experience.totalYears).toBe(new Date().getFullYear() - 2019 + 3);
+            expect(experience.jobs).toEqual([
+                expect.objectContaining({ title: 'Senior Software Engineer', company: 'Acme Corp', startYear: 2019, current: true, description: ['Led the move of the billing platform to Kubernetes'] }),
+                expect.objectContaining({ title: 'Backend Developer', company: 'Beta Labs', startYear: 2015, endYear: 2018, description: ['Built REST APIs in Node.js'] })
+            ]);
+        });
+
+        test('leaves the section label out of the degree', () => {
+            const { education } = pipeline.parseResume(resume);
+
+            expect(education.degrees).toEqual([
+                { degree: 'BSc in Computer Science', level: 'bachelor', field: 'Computer Science', institution: 'Stanford University', year: 2015 }
+            ]);
+        });
+
+        test('finds no jobs in a resume without date ranges', () => {
+            expect(pipeline.parseResume('Jane Doe\nSoftware Engineer\nPython, Go').experience.jobs).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FieldCipher = require('../encryption/FieldCipher');
+const KeyStore = require('../encryption/KeyStore');
+const DatabaseService = require('../DatabaseService');
+
+// Written by the removed implementation: crypto.createCipher('aes-256-cbc', LEGACY_KEY) with an unused hex IV
+const LEGACY_KEY = '3f'.repeat(32);
+const LEGACY_VALUE = '97a08077f60d930a66126b270606e47c:3efa37126e89375f828ce452eac8db78b7b8a3ed1f28ccb2975c1634453c2a6b';
+
+function newCipher(keyId = 'k1', legacyKey = null) {
+    return new FieldCipher({ keys: new Map([[keyId, crypto.randomBytes(32)]]), currentKeyId: keyId, legacyKey });
+}
+
+describe('FieldCipher', () => {
+    test('decrypts values written with crypto.createCipher', () => {
+        const cipher = newCipher('k1', LEGACY_KEY);
+
+        expect(cipher.isLegacy(LEGACY_VALUE)).toBe(true);
+        expect(cipher.needsReencryption(LEGACY_VALUE)).toBe(true);
+        expect(cipher.decrypt(LEGACY_VALUE)).toBe('Tell me about yourself');
+    });
+
+    test('refuses legacy values without the legacy key', () => {
+        expect(() => newCipher().decrypt(LEGACY_VALUE)).toThrow('legacy key is not available');
+    });
+
+    test('returns plaintext left by the legacy implementation unchanged', () => {
+        const cipher = newCipher();
+        expect(cipher.decrypt('stored in the clear')).toBe('stored in the clear');
+        expect(cipher.needsReencryption('stored in the clear')).toBe(true);
+    });
+
+    test('round-trips values with a fresh IV each time', () => {
+        const cipher = newCipher();
+        const first = cipher.encrypt('What is a closure?');
+        const second = cipher.encrypt('What is a closure?');
+
+        expect(first).not.toBe(second);
+        expect(first.startsWith('v2:k1:')).toBe(true);
+        expect(cipher.decrypt(first)).toBe('What is a closure?');
+        expect(cipher.needsReencryption(first)).toBe(false);
+    });
+
+    test('rejects tampered ciphertext, auth tags and IVs', () => {
+        const cipher = newCipher();
+        const [prefix, keyId, iv, tag, encrypted] = cipher.encrypt('Describe a conflict you resolved').split(':');
+        const flip = part => {
+            const bytes = Buffer.from(part, 'base64');
+            bytes[0] ^= 0x01;
+            return bytes.toString('base64');
+        };
+
+        expect(() => cipher.decrypt([prefix, keyId, iv, tag, flip(encrypted)].join(':'))).toThrow();
+        expect(() => cipher.decrypt([prefix, keyId, iv, flip(tag), encrypted].join(':'))).toThrow();
+        expect(() => cipher.decrypt([prefix, keyId, flip(iv), tag, encrypted].join(':'))).toThrow();
+    });
+
+    test('rejects values sealed with another key of the same id', () => {
+        const value = newCipher().encrypt('secret');
+        expect(() => newCipher().decrypt(value)).toThrow();
+    });
+});
+
+describe('KeyStore', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-keystore-'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    test('rotates to a new data key and retires the old one', () => {
+        const store = new KeyStore({ dataDir, keychain: null });
+        const cipher = new FieldCipher(store.open());
+        const before = cipher.encrypt('Why this company?');
+
+        const { keyId, key } = store.addKey();
+        cipher.addKey(keyId, key);
+        expect(keyId).toBe('k2');
+        expect(cipher.needsReencryption(before)).toBe(true);
+        expect(cipher.decrypt(before)).toBe('Why this company?');
+
+        const after = cipher.encrypt(cipher.decrypt(before));
+        expect(after.split(':')[1]).toBe('k2');
+        expect(store.retireKeys()).toEqual(['k1']);
+        cipher.removeKey('k1');
+
+        const reopened = new KeyStore({ dataDir, keychain: null }).open();
+        expect(reopened.currentKeyId).toBe('k2');
+        expect([...reopened.keys.keys()]).toEqual(['k2']);
+        expect(new FieldCipher(reopened).decrypt(after)).toBe('Why this company?');
+        expect(() => new FieldCipher(reopened).decrypt(before)).toThrow('unknown key: k1');
+    });
+
+    test('does not remove the current key', () => {
+        const store = new KeyStore({ dataDir, keychain: null });
+        const cipher = new FieldCipher(store.open());
+        expect(() => cipher.removeKey('k1')).toThrow('cannot be removed');
+    });
+
+    test('requires the right passphrase', () => {
+        const created = new KeyStore({ dataDir, keychain: null }).open({ passphrase: 'correct horse' });
+        const value = new FieldCipher(created).encrypt('Walk me through your resume');
+
+        const store = new KeyStore({ dataDir, keychain: null });
+        expect(store.isPassphraseProtected()).toBe(true);
+        expect(() => store.open()).toThrow('a passphrase is required');
+        expect(() => store.open({ passphrase: 'wrong horse' })).toThrow('Wrong database passphrase');
+
+        const unlocked = store.open({ passphrase: 'correct horse' });
+        expect(new FieldCipher(unlocked).decrypt(value)).toBe('Walk me through your resume');
+    });
+
+    test('moves the legacy .key file into the keystore', () => {
+        fs.writeFileSync(path.join(dataDir, '.key'), Buffer.from(LEGACY_KEY, 'hex'));
+
+        const { legacyKey } = new KeyStore({ dataDir, keychain: null }).open();
+        expect(legacyKey).toBe(LEGACY_KEY);
+        expect(fs.existsSync(path.join(dataDir, '.key'))).toBe(false);
+        expect(new KeyStore({ dataDir, keychain: null }).open().legacyKey).toBe(LEGACY_KEY);
+    });
+});
+
+describe('DatabaseService encryption', () => {
+    let home;
+
+    beforeEach(() => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    test('re-encrypts stored values when the key is rotated', async () => {
+        const database = new DatabaseService();
+        await database.initialize();
+        const { sessionId } = await database.createSession({ companyName: 'Acme' });
+        const { questionId } = await database.storeQuestion({ sessionId, questionText: 'Explain event loops' });
+
+        const result = await database.rotateEncryptionKey();
+        expect(result).toMatchObject({ success: true, keyId: 'k2', failed: 0 });
+        expect(result.reencrypted).toBeGreaterThan(0);
+
+        const stored = database.db.prepare('SELECT question_text FROM questions WHERE id = ?').get(questionId);
+        expect(stored.question_text.split(':').slice(0, 2)).toEqual(['v2', 'k2']);
+        expect((await database.getQuestion(questionId)).question_text).toBe('Explain event loops');
+        expect(database.getEncryptionStatus()).toMatchObject({ currentKeyId: 'k2', keyCount: 1 });
+        await database.close();
+    });
+
+    test('re-encrypts legacy values on start', async () => {
+        const dataDir = path.join(home, '.mockmate');
+        fs.mkdirSync(dataDir);
+        fs.writeFileSync(path.join(dataDir, '.key'), Buffer.from(LEGACY_KEY, 'hex'));
+
+        const database = new DatabaseService();
+        await database.initialize();
+        const { sessionId } = await database.createSession();
+        const { lastInsertRowid } = database.db.prepare('INSERT INTO questions (session_id, question_text) VALUES (?, ?)').run(sessionId, LEGACY_VALUE);
+        await database.close();
+
+        const reopened = new DatabaseService();
+        await reopened.initialize();
+        const stored = reopened.db.prepare('SELECT question_text FROM questions WHERE id = ?').get(lastInsertRowid);
+        expect(stored.question_text.startsWith('v2:k1:')).toBe(true);
+        expect((await reopened.getQuestion(lastInsertRowid)).question_text).toBe('Tell me about yourself');
+        await reopened.close();
+    });
+
+    test('does not open with a wrong passphrase', async () => {
+        const database = new DatabaseService();
+        await database.initialize();
+        await database.setEncryptionPassphrase('open sesame');
+        await database.close();
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(new DatabaseService().initialize({ passphrase: 'open barley' })).rejects.toThrow('Wrong database passphrase');
+        await expect(new DatabaseService().initialize({ passphrase: null })).rejects.toThrow('a passphrase is required');
+
+        const unlocked = new DatabaseService();
+        await unlocked.initialize({ passphrase: 'open sesame' });
+        expect(unlocked.getEncryptionStatus()).toMatchObject({ protection: 'passphrase', locked: false });
+        await unlocked.close();
+    });
+});
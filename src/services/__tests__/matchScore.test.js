@@ -0,0 +1,117 @@
+const DocumentIntelligenceService = require('../DocumentIntelligenceService');
+const SkillTaxonomy = require('../SkillTaxonomy');
+
+const RESUME = {
+    skills: ['JS', 'Express', 'Postgres'],
+    experience: {
+        totalYears: 3,
+        jobs: [{ title: 'Backend Developer', description: ['Built REST APIs in Node.js for the billing team', 'Responsible for the Postgres schema migrations'] }]
+    },
+    education: { degrees: [{ degree: 'BSc Computer Science' }] },
+    industries: [{ industry: 'finance', confidence: 0.8 }]
+};
+
+const JOB = {
+    requirements: {
+        skills: [
+            { name: 'JavaScript', category: 'programming', required: true },
+            { name: 'Node.js', category: 'frameworks', required: true },
+            { name: 'Kubernetes', category: 'cloud', required: true },
+            { name: 'GraphQL', category: 'frameworks', required: false }
+        ],
+        experience: { minYears: 5, maxYears: 8 },
+        education: { level: 'bachelor', required: true, field: 'Computer Science' }
+    },
+    industries: [{ industry: 'finance', confidence: 1 }, { industry: 'technology', confidence: 1 }]
+};
+
+describe('DocumentIntelligenceService match scoring', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        service = new DocumentIntelligenceService(null, null, new SkillTaxonomy({ customFile: null }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('counts aliases and child skills for the skills a job asks for', () => {
+        const result = service.calculateSkillsMatch(RESUME.skills, JOB.requirements.skills);
+
+        expect(result.matched.map(skill => skill.name)).toEqual(['JavaScript', 'Node.js']);
+        // Missing skills are sorted by importance; nice-to-have ones count half
+        expect(result.missing).toEqual([
+            { name: 'Kubernetes', category: 'cloud', required: true, importance: 0.9 },
+            { name: 'GraphQL', category: 'frameworks', required: false, importance: 0.45 }
+        ]);
+        expect(result.score).toBeCloseTo((1.0 + 0.9) / (1.0 + 0.9 + 0.9 + 0.45));
+    });
+
+    test('finds required skills in the resume text when the skill list misses them', () => {
+        const result = service.calculateSkillsMatch([], ['Kubernetes'], ['Ran the services on K8s with Helm charts']);
+
+        expect(result).toMatchObject({ score: 1, missing: [] });
+    });
+
+    test('scores experience and education gaps', () => {
+        expect(service.calculateExperienceMatch({ totalYears: 3 }, { minYears: 5 })).toEqual({ score: 1 - 2 / 7, requiredYears: 5, maxYears: null, resumeYears: 3, gap: 2 });
+        expect(service.calculateExperienceMatch({ totalYears: 15 }, { minYears: 3, maxYears: 5 }).score).toBe(0.85);
+        expect(service.calculateExperienceMatch({}, { minYears: 3 })).toMatchObject({ score: 0.5, resumeYears: null });
+
+        expect(service.calculateEducationMatch(['MSc Data Science'], { level: 'bachelor', required: true }).score).toBe(1);
+        expect(service.calculateEducationMatch(['BSc Physics'], { level: 'master', required: true })).toMatchObject({ score: 0.6, resumeLevel: 'bachelor' });
+        expect(service.calculateEducationMatch([], { level: 'master', required: false }).score).toBe(0.6);
+    });
+
+    test('leaves out what the job description does not mention and re-weights the rest', async () => {
+        const job = { requirements: { skills: ['JavaScript'] }, industries: [] };
+
+        const result = await service.calculateMatchScore(RESUME, job);
+
+        expect(result.breakdown).toEqual({ skills: 100, experience: null, education: null, industry: null });
+        expect(result.score).toBe(1);
+    });
+
+    test('combines the components and recommends what to work on', async () => {
+        const result = await service.calculateMatchScore(RESUME, JOB);
+
+        const { skills, experience, education, industry } = result.details;
+        expect(education.score).toBe(1);
+        expect(industry).toEqual({ score: 0.5, shared: ['finance'] });
+        const expected = (skills.score * 0.4 + experience.score * 0.3 + 0.15 + industry.score * 0.15);
+        expect(result.score).toBe(Math.round(expected * 100) / 100);
+
+        const messages = result.recommendations.map(recommendation => `${recommendation.type}/${recommendation.priority}`);
+        expect(messages).toEqual([
+            'missing_skill/high',
+            'missing_skill/low',
+            'strengthen_line/medium',
+            'strengthen_line/medium',
+            'experience/medium'
+        ]);
+        expect(result.recommendations[0].skill).toBe('Kubernetes');
+        expect(result.recommendations[2]).toMatchObject({ skill: 'Node.js', line: 'Built REST APIs in Node.js for the billing team' });
+        expect(result.recommendations[3].line).toBe('Responsible for the Postgres schema migrations');
+    });
+
+    test('analyzes job description text before scoring', async () => {
+        const jobText = [
+            'Senior Backend Engineer',
+            '',
+            'Requirements:',
+            '- 5+ years of experience building services in Node.js',
+            '- Experience with Kubernetes',
+            '',
+            'Nice to have:',
+            '- GraphQL'
+        ].join('\n');
+
+        const result = await service.calculateMatchScore(RESUME, jobText);
+
+        expect(result.details.experience).toMatchObject({ requiredYears: 5, gap: 2 });
+        expect(result.details.skills.matched.map(skill => skill.name)).toContain('Node.js');
+        expect(result.details.skills.missing.find(skill => skill.name === 'GraphQL')).toMatchObject({ required: false });
+    });
+});
@@ -0,0 +1,146 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationRunner = require('../migrations/MigrationRunner');
+const migrations = require('../migrations');
+const baseline = require('../migrations/001_baseline');
+
+const LATEST = migrations[migrations.length - 1].version;
+const BASELINE_TABLES = ['sessions', 'questions', 'ai_responses', 'user_preferences', 'resume_data', 'analytics',
+    'answer_feedback', 'spoken_answers', 'transcript_segments', 'question_bank', 'question_bank_links',
+    'question_packs', 'question_bank_details'];
+
+function tableNames(db) {
+    return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all().map(row => row.name);
+}
+
+function columnNames(db, table) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+function expectLatestSchema(db) {
+    const tables = tableNames(db);
+    expect(tables).toEqual(expect.arrayContaining([...BASELINE_TABLES, 'search_documents', 'search_index', 'profiles', 'schema_version']));
+    ['sessions', 'resume_data', 'analytics', 'question_bank'].forEach(table => {
+        expect(columnNames(db, table)).toContain('profile_id');
+    });
+    expect(columnNames(db, 'profiles')).toEqual(expect.arrayContaining(['id', 'name', 'target_role', 'company_name', 'job_description', 'company_notes']));
+    expect(db.prepare('SELECT version FROM schema_version ORDER BY version').all().map(row => row.version))
+        .toEqual(migrations.map(migration => migration.version));
+}
+
+describe('MigrationRunner', () => {
+    let dir;
+    let db;
+    let runner;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-migrations-'));
+        db = new Database(path.join(dir, 'mockmate.db'));
+        runner = new MigrationRunner({ db, migrations, backupDir: path.join(dir, 'backups') });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('creates the latest schema in an empty database without a backup', async () => {
+        const result = await runner.migrate();
+
+        expect(result).toEqual({ from: 0, to: LATEST, applied: migrations.map(migration => migration.version), reverted: [], backupPath: null });
+        expectLatestSchema(db);
+        expect(db.prepare('SELECT name FROM profiles').all()).toEqual([{ name: 'Default' }]);
+        expect(fs.existsSync(path.join(dir, 'backups'))).toBe(false);
+        expect(runner.getStatus()).toMatchObject({ currentVersion: LATEST, latestVersion: LATEST, pending: [], unknown: [] });
+    });
+
+    test('upgrades a database created before versioning and backs it up first', async () => {
+        // Pre-versioning installs have the createTables() schema and no schema_version table
+        baseline.up(db);
+        db.prepare("INSERT INTO sessions (session_id, company_name, start_time) VALUES ('legacy', 'Acme', 1700000000000)").run();
+        db.prepare("INSERT INTO questions (session_id, question_text) VALUES ('legacy', 'Why Acme?')").run();
+        expect(tableNames(db)).not.toContain('schema_version');
+
+        const result = await runner.migrate();
+
+        expect(result).toMatchObject({ from: 0, to: LATEST, applied: migrations.map(migration => migration.version), reverted: [] });
+        expectLatestSchema(db);
+
+        const defaultProfile = db.prepare("SELECT id FROM profiles WHERE name = 'Default'").get().id;
+        expect(db.prepare("SELECT company_name, profile_id FROM sessions WHERE session_id = 'legacy'").get())
+            .toEqual({ company_name: 'Acme', profile_id: defaultProfile });
+        expect(db.prepare('SELECT COUNT(*) AS count FROM questions').get().count).toBe(1);
+
+        expect(path.basename(result.backupPath)).toMatch(/^mockmate-v0-.+\.db$/);
+        expect(fs.readdirSync(path.join(dir, 'backups'))).toEqual([path.basename(result.backupPath)]);
+        const backup = new Database(result.backupPath, { readonly: true });
+        try {
+            expect(tableNames(backup)).toEqual(expect.arrayContaining(BASELINE_TABLES));
+            expect(tableNames(backup)).not.toContain('profiles');
+            expect(backup.prepare('SELECT session_id FROM sessions').all()).toEqual([{ session_id: 'legacy' }]);
+        } finally {
+            backup.close();
+        }
+    });
+
+    test('converts updated_at written in seconds to milliseconds', async () => {
+        baseline.up(db);
+        db.prepare("INSERT INTO sessions (session_id, start_time, updated_at) VALUES ('seconds', 1700000000000, 1700000000)").run();
+        db.prepare("INSERT INTO sessions (session_id, start_time, updated_at) VALUES ('ms', 1700000000000, 1700000500000)").run();
+        db.prepare("INSERT INTO user_preferences (key, value) VALUES ('theme', 'dark')").run();
+
+        await runner.migrate();
+
+        expect(db.prepare('SELECT session_id, updated_at FROM sessions ORDER BY id').all()).toEqual([
+            { session_id: 'seconds', updated_at: 1700000000000 },
+            { session_id: 'ms', updated_at: 1700000500000 }
+        ]);
+        expect(db.prepare("SELECT updated_at FROM user_preferences WHERE key = 'theme'").get().updated_at).toBeGreaterThan(1e12);
+        expect(db.prepare("SELECT updated_at FROM profiles WHERE name = 'Default'").get().updated_at).toBeGreaterThan(1e12);
+    });
+
+    test('reverts to an older version and applies the migrations again', async () => {
+        await runner.migrate();
+        db.prepare("INSERT INTO sessions (session_id, start_time, profile_id) VALUES ('kept', 1700000000000, 1)").run();
+
+        const down = await runner.migrate({ to: 1 });
+        expect(down).toMatchObject({ from: LATEST, to: 1, applied: [] });
+        expect(down.reverted).toEqual(migrations.filter(migration => migration.version > 1).map(migration => migration.version).reverse());
+        expect(path.basename(down.backupPath)).toMatch(new RegExp(`^mockmate-v${LATEST}-`));
+        expect(tableNames(db)).not.toContain('profiles');
+        expect(tableNames(db)).not.toContain('search_documents');
+        expect(columnNames(db, 'sessions')).not.toContain('profile_id');
+        expect(db.prepare('SELECT session_id FROM sessions').all()).toEqual([{ session_id: 'kept' }]);
+
+        const up = await runner.migrate();
+        expect(up).toMatchObject({ from: 1, to: LATEST, reverted: [] });
+        expectLatestSchema(db);
+        expect(db.prepare("SELECT profile_id FROM sessions WHERE session_id = 'kept'").get().profile_id)
+            .toBe(db.prepare("SELECT id FROM profiles WHERE name = 'Default'").get().id);
+
+        await runner.migrate({ to: 0 });
+        expect(tableNames(db)).toEqual(['schema_version']);
+        expect(runner.getCurrentVersion()).toBe(0);
+    });
+
+    test('leaves the database at the previous version when a migration fails', async () => {
+        const failing = { version: LATEST + 1, name: 'failing', up: database => { database.exec('CREATE TABLE half_done (id INTEGER)'); throw new Error('boom'); }, down: () => {} };
+        const failingRunner = new MigrationRunner({ db, migrations: [...migrations, failing], backupDir: path.join(dir, 'backups') });
+
+        await expect(failingRunner.migrate()).rejects.toThrow(`Schema migration ${LATEST + 1} (failing) up failed: boom`);
+        expect(failingRunner.getCurrentVersion()).toBe(LATEST);
+        expect(tableNames(db)).not.toContain('half_done');
+    });
+
+    test('refuses databases migrated by a newer version of the app', async () => {
+        await runner.migrate();
+        db.prepare("INSERT INTO schema_version (version, name, applied_at) VALUES (?, 'future', 0)").run(LATEST + 1);
+
+        await expect(runner.migrate()).rejects.toThrow(`newer than this app supports (${LATEST})`);
+        await expect(runner.migrate({ to: LATEST + 5 })).rejects.toThrow();
+    });
+});
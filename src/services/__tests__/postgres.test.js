@@ -0,0 +1,379 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { newDb } = require('pg-mem');
+const PostgresService = require('../PostgresService');
+const DatabaseService = require('../DatabaseService');
+const TeamSyncService = require('../TeamSyncService');
+const SqliteRepository = require('../repositories/SqliteRepository');
+const PostgresRepository = require('../repositories/PostgresRepository');
+const postgresMigrations = require('../migrations/postgres');
+
+const LATEST = postgresMigrations[postgresMigrations.length - 1].version;
+
+function memoryPool() {
+    const { Pool } = newDb().adapters.createPg();
+    return new Pool();
+}
+
+function withCode(message, code) {
+    return Object.assign(new Error(message), { code });
+}
+
+async function count(postgres, table) {
+    const [row] = await postgres.query(`SELECT COUNT(*) AS count FROM ${table}`);
+    return Number(row.count);
+}
+
+async function columns(postgres, table) {
+    return (await postgres.query('SELECT column_name FROM information_schema.columns WHERE table_name = $1', [table]))
+        .map(row => row.column_name);
+}
+
+describe('PostgresService', () => {
+    let postgres;
+
+    beforeEach(() => {
+        postgres = new PostgresService({ pool: memoryPool(), retries: 2 });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await postgres.close();
+        jest.restoreAllMocks();
+    });
+
+    test('is disabled without a pool or credentials', async () => {
+        const { DB_USER, DB_PASSWORD } = process.env;
+        delete process.env.DB_USER;
+        delete process.env.DB_PASSWORD;
+        try {
+            const disabled = new PostgresService();
+            expect(disabled.isEnabled).toBe(false);
+            expect(await disabled.checkHealth()).toMatchObject({ enabled: false, healthy: null });
+            await expect(disabled.query('SELECT 1')).rejects.toThrow('Database connection is disabled');
+        } finally {
+            if (DB_USER !== undefined) process.env.DB_USER = DB_USER;
+            if (DB_PASSWORD !== undefined) process.env.DB_PASSWORD = DB_PASSWORD;
+        }
+    });
+
+    describe('withRetry', () => {
+        test('retries retryable failures until the operation succeeds', async () => {
+            const operation = jest.fn()
+                .mockRejectedValueOnce(withCode('could not serialize access', '40001'))
+                .mockRejectedValueOnce(withCode('deadlock detected', '40P01'))
+                .mockResolvedValue('done');
+
+            await expect(postgres.withRetry(operation, error => error.code.startsWith('40'))).resolves.toBe('done');
+            expect(operation).toHaveBeenCalledTimes(3);
+        });
+
+        test('gives up after the retries are used', async () => {
+            const operation = jest.fn().mockRejectedValue(withCode('could not serialize access', '40001'));
+
+            await expect(postgres.withRetry(operation, () => true, 1)).rejects.toThrow('could not serialize access');
+            expect(operation).toHaveBeenCalledTimes(2);
+        });
+
+        test('does not retry other failures', async () => {
+            const operation = jest.fn().mockRejectedValue(withCode('syntax error', '42601'));
+
+            await expect(postgres.withRetry(operation, () => false)).rejects.toThrow('syntax error');
+            expect(operation).toHaveBeenCalledTimes(1);
+        });
+
+        test('retries transient connection failures, not failed statements', async () => {
+            const connect = postgres.pool.connect.bind(postgres.pool);
+            jest.spyOn(postgres.pool, 'connect')
+                .mockRejectedValueOnce(withCode('connect ECONNREFUSED', 'ECONNREFUSED'))
+                .mockImplementation(connect);
+
+            expect(await postgres.query('SELECT 1 AS one')).toEqual([{ one: 1 }]);
+            expect(postgres.pool.connect).toHaveBeenCalledTimes(2);
+
+            await expect(postgres.query('SELECT * FROM missing_table')).rejects.toThrow();
+            expect(postgres.pool.connect).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('checkHealth', () => {
+        test('reports a reachable server', async () => {
+            const health = await postgres.checkHealth();
+            expect(health).toMatchObject({ enabled: true, healthy: true, error: null });
+            expect(health.latencyMs).toBeGreaterThanOrEqual(0);
+            expect(postgres.getHealth()).toEqual(health);
+        });
+
+        test('reports an unreachable server without retrying', async () => {
+            jest.spyOn(postgres.pool, 'connect').mockRejectedValue(withCode('connect ECONNREFUSED', 'ECONNREFUSED'));
+
+            expect(await postgres.checkHealth()).toMatchObject({ enabled: true, healthy: false, error: 'connect ECONNREFUSED' });
+            expect(postgres.pool.connect).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('migrate', () => {
+        test('creates the team schema once', async () => {
+            const result = await postgres.migrate();
+            expect(result).toMatchObject({ from: 0, to: LATEST, applied: postgresMigrations.map(migration => migration.version) });
+
+            const tables = (await postgres.query("SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'")).map(row => row.table_name);
+            expect(tables).toEqual(expect.arrayContaining(['schema_version', 'companies', 'job_descriptions', 'resumes', 'trainees',
+                'practice_sessions', 'practice_questions', 'practice_responses', 'practice_answers', 'trainee_preferences', 'practice_events']));
+            expect(await columns(postgres, 'practice_sessions')).toContain('profile_name');
+
+            expect(await postgres.migrate()).toMatchObject({ from: LATEST, to: LATEST, applied: [] });
+            expect(await postgres.getMigrationStatus()).toMatchObject({ currentVersion: LATEST, latestVersion: LATEST, pending: [] });
+        });
+
+        test('reverts and applies the latest migration again', async () => {
+            await postgres.migrate();
+
+            await postgres.migrate({ to: LATEST - 1 });
+            expect(await columns(postgres, 'practice_sessions')).not.toContain('profile_name');
+            expect((await postgres.getMigrationStatus()).currentVersion).toBe(LATEST - 1);
+
+            await postgres.migrate();
+            expect(await columns(postgres, 'practice_sessions')).toContain('profile_name');
+        });
+    });
+});
+
+describe.each([
+    ['sqlite', async ({ database }) => new SqliteRepository({ databaseService: database })],
+    ['postgres', async ({ postgres }) => PostgresRepository.forTrainee(postgres, { deviceId: 'device-a', displayName: 'Ann' })]
+])('%s repository', (name, createRepository) => {
+    let home;
+    let database;
+    let postgres;
+    let repository;
+
+    beforeEach(async () => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        database = new DatabaseService();
+        await database.initialize();
+        postgres = new PostgresService({ pool: memoryPool() });
+        await postgres.migrate();
+        repository = await createRepository({ database, postgres });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        await postgres.close();
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    test('stores sessions with their questions, responses and answers', async () => {
+        const { sessionId } = await repository.createSession({ companyName: 'Acme', jobDescription: 'Backend engineer', model: 'openai' });
+        const { questionId } = await repository.saveQuestion({ sessionId, text: 'Design a rate limiter', type: 'system_design' });
+        await repository.saveResponse({ questionId, sessionId, text: 'Use a token bucket', model: 'openai', responseTime: 900 });
+        await repository.saveAnswer({ questionId, sessionId, text: 'A sliding window', feedback: { overallScore: 70, questionType: 'system_design', scores: {} } });
+
+        expect(await repository.getSession(sessionId)).toMatchObject({ sessionId, companyName: 'Acme', jobDescription: 'Backend engineer', model: 'openai', status: 'active' });
+        expect(await repository.getSessionQuestions(sessionId)).toEqual([expect.objectContaining({ id: questionId, text: 'Design a rate limiter', type: 'system_design', isAnswered: true })]);
+        expect(await repository.getSessionResponses(sessionId)).toEqual([expect.objectContaining({ questionId, text: 'Use a token bucket', model: 'openai', responseTime: 900 })]);
+        expect(await repository.getSessionAnswers(sessionId)).toEqual([expect.objectContaining({ questionId, text: 'A sliding window', overallScore: 70 })]);
+        expect(await repository.listSessions()).toEqual([expect.objectContaining({ sessionId, questionCount: 1, responseCount: 1, answerCount: 1, averageScore: 70 })]);
+    });
+
+    test('updates and ends sessions', async () => {
+        const before = Date.now();
+        const { sessionId } = await repository.createSession({ companyName: 'Acme' });
+
+        expect(await repository.updateSession(sessionId, { companyName: 'Acme Inc', status: 'paused' })).toBe(true);
+        expect(await repository.updateSession('missing', { status: 'paused' })).toBe(false);
+        expect(await repository.endSession(sessionId)).toBe(true);
+
+        const session = await repository.getSession(sessionId);
+        expect(session).toMatchObject({ companyName: 'Acme Inc', status: 'completed' });
+        expect(session.endTime).toBeGreaterThanOrEqual(before);
+        expect(session.updatedAt).toBeGreaterThanOrEqual(before);
+        expect(await repository.getSession('missing')).toBeNull();
+    });
+
+    test('stores preferences and analytics', async () => {
+        await repository.setPreference('theme', 'dark');
+        await repository.setPreference('layout', { panels: ['notes'] });
+
+        expect(await repository.getPreference('theme')).toBe('dark');
+        expect(await repository.getPreference('missing', 'fallback')).toBe('fallback');
+        expect(await repository.getAllPreferences()).toMatchObject({ theme: 'dark', layout: { panels: ['notes'] } });
+
+        await repository.logEvent('practice_started', {});
+        const analytics = await repository.getAnalytics(1);
+        expect(analytics).toEqual(expect.arrayContaining([{ eventType: 'practice_started', date: new Date().toISOString().slice(0, 10), count: 1 }]));
+    });
+});
+
+describe('PostgresRepository sync imports', () => {
+    let postgres;
+
+    beforeEach(async () => {
+        postgres = new PostgresService({ pool: memoryPool() });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await postgres.migrate();
+    });
+
+    afterEach(async () => {
+        await postgres.close();
+        jest.restoreAllMocks();
+    });
+
+    test('forTrainee() finds the trainee of a device again', async () => {
+        const first = await PostgresRepository.forTrainee(postgres, { deviceId: 'device-a', displayName: 'Ann' });
+        const again = await PostgresRepository.forTrainee(postgres, { deviceId: 'device-a', displayName: 'Ann B.' });
+        const other = await PostgresRepository.forTrainee(postgres, { deviceId: 'device-b' });
+
+        expect(again.traineeId).toBe(first.traineeId);
+        expect(other.traineeId).not.toBe(first.traineeId);
+        expect(await postgres.query('SELECT device_id, display_name FROM trainees ORDER BY id')).toEqual([
+            { device_id: 'device-a', display_name: 'Ann B.' },
+            { device_id: 'device-b', display_name: null }
+        ]);
+    });
+
+    test('importRecords() upserts on local ids and skips orphans', async () => {
+        const repository = await PostgresRepository.forTrainee(postgres, { deviceId: 'device-a' });
+        const session = { sessionId: 's1', companyName: 'Acme', model: 'openai', status: 'active', startTime: 1000, endTime: null, updatedAt: 1000 };
+        const questions = [
+            { id: 7, sessionId: 's1', text: 'Why Acme?', type: 'behavioral', confidence: 0.9, source: 'audio', isAnswered: false, detectedAt: 2000 },
+            { id: 8, sessionId: 'unknown', text: 'Orphan', type: 'unknown', confidence: 0, source: 'manual', isAnswered: false, detectedAt: 2000 }
+        ];
+        const responses = [
+            { id: 3, questionId: 7, sessionId: 's1', text: 'Because', model: 'openai', createdAt: 3000 },
+            { id: 4, questionId: 99, sessionId: 's1', text: 'No question', model: 'openai', createdAt: 3000 }
+        ];
+
+        for (let i = 0; i < 2; i++) {
+            expect(await repository.importRecords('sessions', [session])).toEqual({ imported: 1, skipped: 0 });
+            expect(await repository.importRecords('questions', questions)).toEqual({ imported: 1, skipped: 1 });
+            expect(await repository.importRecords('responses', responses)).toEqual({ imported: 1, skipped: 1 });
+        }
+        expect(await count(postgres, 'practice_sessions')).toBe(1);
+        expect(await count(postgres, 'practice_questions')).toBe(1);
+        expect(await count(postgres, 'practice_responses')).toBe(1);
+
+        await repository.importRecords('sessions', [{ ...session, status: 'completed', endTime: 5000, updatedAt: 5000 }]);
+        expect(await repository.getSession('s1')).toMatchObject({ status: 'completed', endTime: 5000, updatedAt: 5000 });
+        expect(await repository.getSessionQuestions('s1')).toEqual([expect.objectContaining({ text: 'Why Acme?', isAnswered: true })]);
+        await expect(repository.importRecords('events', [{}])).rejects.toThrow('Unknown record kind: events');
+    });
+});
+
+describe('TeamSyncService', () => {
+    let home;
+    let database;
+    let postgres;
+    let sync;
+    let local;
+
+    beforeEach(async () => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        database = new DatabaseService();
+        await database.initialize();
+        postgres = new PostgresService({ pool: memoryPool() });
+        sync = new TeamSyncService({ databaseService: database, postgresService: postgres, batchSize: 4 });
+        local = new SqliteRepository({ databaseService: database });
+    });
+
+    afterEach(async () => {
+        await sync.stop();
+        await database.close();
+        await postgres.close();
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    async function practice(questionCount = 2) {
+        const { sessionId } = await local.createSession({ companyName: 'Acme', model: 'openai' });
+        for (let i = 0; i < questionCount; i++) {
+            const { questionId } = await local.saveQuestion({ sessionId, text: `Question ${i}`, type: 'technical' });
+            if (i === 0) {
+                await local.saveResponse({ questionId, sessionId, text: 'An AI answer', model: 'openai' });
+                await local.saveAnswer({ questionId, sessionId, text: 'My answer', feedback: { overallScore: 80, questionType: 'technical', scores: {} } });
+            }
+        }
+        return sessionId;
+    }
+
+    async function remoteCounts() {
+        return {
+            sessions: await count(postgres, 'practice_sessions'),
+            questions: await count(postgres, 'practice_questions'),
+            responses: await count(postgres, 'practice_responses'),
+            answers: await count(postgres, 'practice_answers')
+        };
+    }
+
+    test('is off until turned on', async () => {
+        await expect(sync.syncNow()).rejects.toThrow('Team sync is turned off');
+    });
+
+    test('syncs new rows once and changed sessions again', async () => {
+        const sessionId = await practice();
+        await sync.setSettings({ enabled: true, displayName: 'Bob' });
+        sync.stopSchedule();
+
+        const first = await sync.syncNow();
+        expect(first.result).toEqual({
+            sessions: { imported: 1, skipped: 0 },
+            questions: { imported: 2, skipped: 0 },
+            responses: { imported: 1, skipped: 0 },
+            answers: { imported: 1, skipped: 0 }
+        });
+        expect(await remoteCounts()).toEqual({ sessions: 1, questions: 2, responses: 1, answers: 1 });
+
+        const second = await sync.syncNow();
+        Object.values(second.result).forEach(counts => expect(counts).toEqual({ imported: 0, skipped: 0 }));
+        expect(await remoteCounts()).toEqual({ sessions: 1, questions: 2, responses: 1, answers: 1 });
+
+        // Ending the session writes updated_at in ms, after the last sync started
+        await local.endSession(sessionId);
+        const third = await sync.syncNow();
+        expect(third.result.sessions).toEqual({ imported: 1, skipped: 0 });
+        expect(await remoteCounts()).toEqual({ sessions: 1, questions: 2, responses: 1, answers: 1 });
+
+        const status = await sync.getStatus();
+        expect(status).toMatchObject({ available: true, lastError: null, syncing: false });
+        const remote = await PostgresRepository.forTrainee(postgres, { deviceId: status.deviceId, displayName: 'Bob' });
+        expect(await remote.getSession(sessionId)).toMatchObject({ status: 'completed', companyName: 'Acme', profileName: 'Default' });
+    });
+
+    test('resumes an interrupted sync without duplicates', async () => {
+        await practice(10);
+        await sync.setSettings({ enabled: true });
+        sync.stopSchedule();
+
+        // The second batch of questions fails, after the first was committed
+        const importRecords = PostgresRepository.prototype.importRecords;
+        let questionBatches = 0;
+        jest.spyOn(PostgresRepository.prototype, 'importRecords').mockImplementation(async function (kind, records) {
+            if (kind === 'questions' && ++questionBatches === 2) {
+                throw new Error('Connection terminated unexpectedly');
+            }
+            return importRecords.call(this, kind, records);
+        });
+
+        await expect(sync.syncNow()).rejects.toThrow('Connection terminated unexpectedly');
+        expect(await remoteCounts()).toEqual({ sessions: 1, questions: 4, responses: 0, answers: 0 });
+        const failed = await sync.getStatus();
+        expect(failed.lastError).toMatchObject({ message: 'Connection terminated unexpectedly' });
+
+        const resumed = await sync.syncNow();
+        expect(resumed.result.sessions).toEqual({ imported: 0, skipped: 0 });
+        expect(resumed.result.questions).toEqual({ imported: 10, skipped: 0 });
+        expect(await remoteCounts()).toEqual({ sessions: 1, questions: 10, responses: 1, answers: 1 });
+        expect((await sync.getStatus()).lastError).toBeNull();
+    });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../DatabaseService');
+const QuestionBankService = require('../QuestionBankService');
+const QuestionDetectionService = require('../QuestionDetectionService');
+
+describe('QuestionBankService', () => {
+    let home;
+    let database;
+    let bank;
+
+    beforeEach(async () => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        database = new DatabaseService();
+        await database.initialize();
+        bank = new QuestionBankService({ databaseService: database, questionDetectionService: new QuestionDetectionService() });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    describe('deduplication', () => {
+        test('treats reworded questions as the same and different topics as different', () => {
+            expect(bank.isSameQuestion('How would you design a URL shortener?', 'How would you design a URL shortener service?')).toBe(true);
+            expect(bank.isSameQuestion('Can you walk me through your resume?', 'Walk me through your resume.')).toBe(true);
+            expect(bank.isSameQuestion('Tell me about a time you failed.', 'Tell me about a time you led a team.')).toBe(false);
+            expect(bank.isSameQuestion('What is a closure in JavaScript?', 'What is a closure in Python?')).toBe(false);
+        });
+
+        test('merges near duplicates into one entry and counts them', async () => {
+            const { card } = await bank.addQuestion('How would you design a URL shortener?', { type: 'technical' });
+            const merged = await bank.addQuestion('How would you design a URL shortener service?', { type: 'technical' });
+            const other = await bank.addQuestion('What is a closure in Python?', { type: 'technical' });
+
+            expect(merged).toMatchObject({ isNew: false, card: { id: card.id, occurrences: 2 } });
+            expect(other.isNew).toBe(true);
+            expect(await bank.addQuestion('Go ahead.')).toBeNull();
+            expect((await bank.load()).size).toBe(2);
+        });
+    });
+
+    describe('scheduling', () => {
+        const NOW = Date.UTC(2025, 0, 31, 9);
+        const DAY = 24 * 60 * 60 * 1000;
+
+        test('maps rubric scores to SM-2 recall quality', () => {
+            expect([95, 90, 80, 60, 59, 40, 20, 5].map(score => bank.quality(score))).toEqual([5, 5, 4, 3, 2, 2, 1, 0]);
+        });
+
+        test('repeats passing answers after 1, 6, then interval × ease days', () => {
+            let card = { repetitions: 0, intervalDays: 0, easeFactor: 2.5 };
+
+            card = bank.schedule(card, 5, NOW);
+            expect(card).toEqual({ repetitions: 1, intervalDays: 1, easeFactor: 2.6, dueAt: NOW + DAY });
+            card = bank.schedule(card, 4, NOW);
+            expect(card).toMatchObject({ repetitions: 2, intervalDays: 6, easeFactor: 2.6 });
+            card = bank.schedule(card, 3, NOW);
+            expect(card).toMatchObject({ repetitions: 3, intervalDays: 16, easeFactor: 2.46 });
+        });
+
+        test('starts failed answers over the next day and never drops the ease below 1.3', () => {
+            const card = bank.schedule({ repetitions: 4, intervalDays: 40, easeFactor: 1.4 }, 0, NOW);
+
+            expect(card).toEqual({ repetitions: 0, intervalDays: 1, easeFactor: 1.3, dueAt: NOW + DAY });
+        });
+
+        test('stores reviews and queues due reviews before new questions', async () => {
+            const { card: reviewed } = await bank.addQuestion('Tell me about a time you failed.', { type: 'behavioral', seenAt: NOW - 3 * DAY });
+            const { card: fresh } = await bank.addQuestion('Why do you want to work here?', { type: 'behavioral', seenAt: NOW - 2 * DAY });
+            await bank.addQuestion('What is your greatest weakness?', { type: 'behavioral', seenAt: NOW - DAY });
+
+            await bank.review(reviewed.id, 30, NOW - 2 * DAY);
+            bank.unload();
+            const stored = (await bank.load()).get(reviewed.id);
+            expect(stored).toMatchObject({ reviewCount: 1, lastScore: 30, repetitions: 0, intervalDays: 1, dueAt: NOW - DAY });
+
+            const queue = await bank.getDueQueue({ now: NOW, newLimit: 1 });
+            expect(queue.map(card => card.id)).toEqual([reviewed.id, fresh.id]);
+            expect(bank.toPracticeQuestion(queue[0])).toMatchObject({ id: `bank_${reviewed.id}`, bankId: reviewed.id, review: true });
+
+            await expect(bank.review(9999, 80)).rejects.toThrow('Question not found in bank: 9999');
+        });
+    });
+
+    describe('fingerprints', () => {
+        const storedFingerprint = () => database.db.prepare('SELECT fingerprint FROM question_bank').get().fingerprint;
+
+        test('are keyed, so the database file does not confirm guessed questions', async () => {
+            const { card } = await bank.addQuestion('Tell me about yourself.', { type: 'behavioral' });
+            const unkeyed = crypto.createHash('sha256').update('tell me about yourself').digest('hex');
+
+            expect(storedFingerprint()).toMatch(/^[0-9a-f]{64}$/);
+            expect(storedFingerprint()).not.toBe(unkeyed);
+            expect(card.fingerprint).toBe(storedFingerprint());
+
+            const again = await bank.addQuestion('So, tell me about yourself', { type: 'behavioral' });
+            expect(again).toMatchObject({ isNew: false, card: { id: card.id, occurrences: 2 } });
+        });
+
+        test('written unkeyed before version 5 are replaced on the next start', async () => {
+            await bank.addQuestion('Tell me about yourself.', { type: 'behavioral' });
+            const keyed = storedFingerprint();
+            const unkeyed = crypto.createHash('sha256').update('tell me about yourself').digest('hex');
+            database.db.prepare('UPDATE question_bank SET fingerprint = ?').run(unkeyed);
+            // Back to a version 4 schema
+            require('../migrations/006_question_bank_profiles').down(database.db);
+            database.db.prepare('DELETE FROM schema_version WHERE version >= 5').run();
+            await database.close();
+
+            database = new DatabaseService();
+            await database.initialize();
+
+            expect(storedFingerprint()).toBe(keyed);
+        });
+    });
+
+    describe('profiles', () => {
+        test('every profile has its own bank and review schedule', async () => {
+            const first = await bank.addQuestion('Tell me about yourself.', { type: 'behavioral' });
+            const defaultProfile = database.activeProfileId;
+            const other = await database.createProfile({ name: 'Backend roles' });
+            await database.setActiveProfile(other.id);
+
+            expect((await bank.load()).size).toBe(0);
+            const second = await bank.addQuestion('Tell me about yourself.', { type: 'behavioral' });
+            expect(second).toMatchObject({ isNew: true, card: { occurrences: 1 } });
+            expect(second.card.id).not.toBe(first.card.id);
+            expect(second.card.fingerprint).not.toBe(first.card.fingerprint);
+
+            await database.setActiveProfile(defaultProfile);
+            expect([...(await bank.load()).keys()]).toEqual([first.card.id]);
+        });
+
+        test('are deleted with their profile', async () => {
+            const other = await database.createProfile({ name: 'Backend roles' });
+            const defaultProfile = database.activeProfileId;
+            await database.setActiveProfile(other.id);
+            await bank.addQuestion('Why do you want to work here?', { type: 'behavioral' });
+            await database.setActiveProfile(defaultProfile);
+
+            await database.deleteProfile(other.id);
+
+            expect(database.db.prepare('SELECT COUNT(*) AS count FROM question_bank').get().count).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../DatabaseService');
+const QuestionBankService = require('../QuestionBankService');
+const QuestionDetectionService = require('../QuestionDetectionService');
+const QuestionPackService = require('../QuestionPackService');
+const { parsePack } = require('../packs/formats');
+const { validatePack } = require('../packs/validator');
+
+const TYPES = ['behavioral', 'technical'];
+
+describe('question pack validator', () => {
+    const validate = questions => validatePack({ format: 'json', pack: {}, questions }, { types: TYPES });
+
+    test('normalizes a valid question', () => {
+        const result = validate([{
+            text: '  Tell me about   a conflict with a teammate. ',
+            type: 'Behavioral',
+            subCategories: ['Conflict Resolution'],
+            difficulty: 'senior',
+            referenceAnswer: ' Use STAR. ',
+            rubric: { 'STAR structure': 0.6, Impact: 0.4 },
+            tags: ['Team Work', 'team_work']
+        }]);
+
+        expect(result).toMatchObject({ valid: true, errors: [], warnings: [] });
+        expect(result.pack).toMatchObject({ id: 'imported_questions', name: 'Imported questions' });
+        expect(result.questions).toEqual([{
+            text: 'Tell me about a conflict with a teammate.',
+            type: 'behavioral',
+            subCategories: ['conflict_resolution'],
+            difficulty: 'hard',
+            referenceAnswer: 'Use STAR.',
+            rubric: [
+                { criterion: 'STAR structure', description: null, weight: 0.6 },
+                { criterion: 'Impact', description: null, weight: 0.4 }
+            ],
+            tags: ['team_work']
+        }]);
+    });
+
+    test('reports every problem with its place in the pack', () => {
+        const result = validate([
+            { text: 'Why?' },
+            { text: 'Explain the CAP theorem.', type: 'trivia', difficulty: 'impossible' },
+            { text: 'Explain how an index speeds up queries.', rubric: [{ criterion: 'Accuracy', weight: 2 }] },
+            'not an object'
+        ]);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            { path: 'questions[0]', message: 'Question text must be 5-1000 characters' },
+            { path: 'questions[1]', message: 'Unknown type "trivia" (expected behavioral, technical)' },
+            { path: 'questions[1]', message: 'Unknown difficulty "impossible" (expected easy, medium, hard)' },
+            { path: 'questions[2]', message: 'rubric[0] weight must be a number from 0 to 1' },
+            { path: 'questions[3]', message: 'Question must be an object or a string' }
+        ]);
+    });
+
+    test('warns about duplicates, unknown fields and rubric weights that do not add up', () => {
+        const result = validate([
+            { text: 'What is a closure?', rubric: { Accuracy: 0.5, Example: 0.2 } },
+            { text: 'What is a closure', points: 3 }
+        ]);
+
+        expect(result.valid).toBe(true);
+        expect(result.questions).toHaveLength(1);
+        expect(result.warnings).toEqual([
+            { path: 'questions[0]', message: 'rubric weights add up to 0.7, not 1' },
+            { path: 'questions[1]', message: 'Unknown field "points" ignored' },
+            { path: 'questions[1]', message: 'Duplicate of questions[0], skipped' }
+        ]);
+    });
+
+    test('refuses packs from a newer version and labels CSV problems by row', () => {
+        const newer = validatePack({ format: 'native', version: 2, pack: {}, questions: [{ text: 'What is a closure?' }] });
+        expect(newer.errors).toEqual([{ path: 'version', message: 'Pack version 2 is newer than this app supports (1)' }]);
+
+        const csv = parsePack('question,level,rubric\n"Describe a failure, and what you learned",junior,"STAR=0.5; Reflection: lessons=0.5"\nHi,,\n', 'pack.csv');
+        const result = validatePack(csv, { types: TYPES });
+        expect(result.errors).toEqual([{ path: 'row 3', message: 'Question text must be 5-1000 characters' }]);
+        expect(result.questions[0]).toMatchObject({
+            text: 'Describe a failure, and what you learned',
+            difficulty: 'easy',
+            rubric: [
+                { criterion: 'STAR', description: null, weight: 0.5 },
+                { criterion: 'Reflection', description: 'lessons', weight: 0.5 }
+            ]
+        });
+    });
+});
+
+describe('QuestionPackService', () => {
+    let home;
+    let database;
+    let bank;
+    let packs;
+
+    const writePack = (name, questions) => {
+        const file = path.join(home, name);
+        fs.writeFileSync(file, JSON.stringify({ format: 'mockmate-question-pack', version: 1, pack: { name: 'Behavioral basics' }, questions }));
+        return file;
+    };
+
+    beforeEach(async () => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        database = new DatabaseService();
+        await database.initialize();
+        const questionDetectionService = new QuestionDetectionService();
+        bank = new QuestionBankService({ databaseService: database, questionDetectionService });
+        packs = new QuestionPackService({ databaseService: database, questionBankService: bank, questionDetectionService });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    describe('conflicts with known questions', () => {
+        let existing;
+        let file;
+
+        beforeEach(async () => {
+            ({ card: existing } = await bank.addQuestion('Tell me about a time you failed.', { type: 'technical' }));
+            await packs.saveDetails(existing.id, null, { difficulty: 'easy', referenceAnswer: null, rubric: [], tags: ['mine'] });
+            file = writePack('behavioral.mmpack.json', [
+                { text: 'So, tell me about a time you failed', type: 'behavioral', difficulty: 'hard', referenceAnswer: 'Own the mistake.', tags: ['failure'] },
+                { text: 'Why do you want to work here?', type: 'behavioral' },
+                { text: 'Why do you want to work here', type: 'behavioral' }
+            ]);
+        });
+
+        test('are listed in the preview without importing anything', async () => {
+            const preview = await packs.previewImport(file);
+
+            expect(preview).toMatchObject({ valid: true, total: 2, newCount: 1 });
+            expect(preview.conflicts).toEqual([{
+                text: 'So, tell me about a time you failed',
+                existing: { id: existing.id, text: 'Tell me about a time you failed.', source: null, occurrences: 1, reviewCount: 0 },
+                similarity: 1
+            }]);
+            expect((await bank.load()).size).toBe(1);
+        });
+
+        test('skip leaves the existing question untouched', async () => {
+            const result = await packs.importPack(file, { conflictStrategy: 'skip' });
+
+            expect(result).toMatchObject({ total: 2, added: 1, merged: 0, replaced: 0, skipped: 1 });
+            expect((await packs.getDetails()).get(existing.id)).toMatchObject({ difficulty: 'easy', tags: ['mine'] });
+        });
+
+        test('merge fills in only the details the existing question lacks', async () => {
+            const result = await packs.importPack(file, { conflictStrategy: 'merge' });
+
+            expect(result).toMatchObject({ added: 1, merged: 1 });
+            expect((await packs.getDetails()).get(existing.id)).toMatchObject({ difficulty: 'easy', referenceAnswer: 'Own the mistake.', tags: ['mine', 'failure'] });
+            expect((await bank.load()).get(existing.id).type).toBe('technical');
+        });
+
+        test('replace takes the classification and details from the pack but keeps the wording', async () => {
+            const result = await packs.importPack(file, { conflictStrategy: 'replace' });
+
+            expect(result).toMatchObject({ added: 1, replaced: 1 });
+            const card = (await bank.load()).get(existing.id);
+            expect(card).toMatchObject({ text: 'Tell me about a time you failed.', type: 'behavioral' });
+            expect((await packs.getDetails()).get(existing.id)).toMatchObject({ packId: result.pack.id, difficulty: 'hard', tags: ['failure'] });
+        });
+
+        test('an unknown strategy or an invalid pack is refused', async () => {
+            await expect(packs.importPack(file, { conflictStrategy: 'overwrite' })).rejects.toThrow('Unknown conflict strategy: overwrite');
+
+            const invalid = writePack('broken.mmpack.json', [{ text: 'Why?' }]);
+            await expect(packs.importPack(invalid)).rejects.toThrow('Invalid question pack (1 problem): questions[0]: Question text must be 5-1000 characters');
+        });
+    });
+
+    test('exports imported questions with their details', async () => {
+        const file = writePack('behavioral.mmpack.json', [
+            { text: 'Describe a conflict with a teammate.', type: 'behavioral', difficulty: 'medium', tags: ['teamwork'] }
+        ]);
+        const { pack } = await packs.importPack(file);
+
+        const exported = await packs.exportPack({ format: 'native', packId: pack.id });
+
+        expect(exported).toMatchObject({ fileName: 'behavioral_basics.mmpack.json', count: 1 });
+        const reimported = validatePack(parsePack(exported.content, exported.fileName), { types: TYPES });
+        expect(reimported.questions).toEqual([expect.objectContaining({ text: 'Describe a conflict with a teammate.', type: 'behavioral', difficulty: 'medium', tags: ['teamwork'] })]);
+    });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseService = require('../DatabaseService');
+const SearchService = require('../SearchService');
+
+describe('SearchService', () => {
+    let home;
+    let database;
+    let search;
+
+    beforeEach(async () => {
+        home = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-home-'));
+        jest.spyOn(os, 'homedir').mockReturnValue(home);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        database = new DatabaseService();
+        await database.initialize();
+        search = new SearchService({ databaseService: database });
+
+        const { sessionId } = await database.createSession({ companyName: 'Acme' });
+        for (let i = 0; i < 5; i++) {
+            await database.storeQuestion({ sessionId, questionText: `Explain closures, part ${i}`, questionType: i < 3 ? 'technical' : 'behavioral' });
+        }
+        await database.storeQuestion({ sessionId, questionText: 'Tell me about yourself' });
+    });
+
+    afterEach(async () => {
+        await database.close();
+        jest.restoreAllMocks();
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    test('reports the number of matches over all pages', async () => {
+        const firstPage = await search.search('closures', { limit: 2 });
+        expect(firstPage.results).toHaveLength(2);
+        expect(firstPage.total).toBe(5);
+
+        const lastPage = await search.search('closures', { limit: 2, offset: 4 });
+        expect(lastPage.results).toHaveLength(1);
+        expect(lastPage.total).toBe(5);
+    });
+
+    test('counts only matches that pass the filters', async () => {
+        const result = await search.search('closures', { questionType: 'technical', limit: 1 });
+        expect(result.results).toHaveLength(1);
+        expect(result.total).toBe(3);
+
+        expect((await search.search('closures', { company: 'Globex' })).total).toBe(0);
+        expect((await search.search('')).total).toBe(0);
+    });
+
+    test('counts only matches of the active profile', async () => {
+        const other = await database.createProfile({ name: 'Backend roles' });
+        await database.setActiveProfile(other.id);
+
+        expect((await search.search('closures')).total).toBe(0);
+    });
+});
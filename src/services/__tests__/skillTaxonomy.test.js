@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SkillTaxonomy = require('../SkillTaxonomy');
+
+describe('SkillTaxonomy', () => {
+    let dir;
+    let customFile;
+    let taxonomy;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockmate-taxonomy-'));
+        customFile = path.join(dir, 'skill-taxonomy.json');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        taxonomy = new SkillTaxonomy({ customFile });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('resolves aliases to the canonical skill', () => {
+        expect(taxonomy.canonicalName('k8s')).toBe('Kubernetes');
+        expect(taxonomy.canonicalName('  postgres ')).toBe('PostgreSQL');
+        expect(taxonomy.canonicalName('Unknown Tool ')).toBe('Unknown Tool');
+        expect(taxonomy.getAliases('JS')).toEqual(['JavaScript', 'JS', 'ECMAScript', 'ES6']);
+        expect(taxonomy.getCategory('ReactJS')).toBe('frameworks');
+        expect(taxonomy.getWeight('Golang')).toBe(1.0);
+    });
+
+    test('walks the skill hierarchy both ways', () => {
+        expect(taxonomy.getAncestors('Express.js')).toEqual(['Node.js', 'JavaScript']);
+        expect(taxonomy.getAncestors('JavaScript')).toEqual([]);
+        expect(taxonomy.getChildren('Agile')).toEqual(expect.arrayContaining(['Scrum', 'Kanban']));
+        expect(taxonomy.getChildren('postgres')).toEqual([]);
+    });
+
+    test('matches whole words, and short or everyday names only with their capitalisation', () => {
+        expect(taxonomy.mentions('Built APIs with express.js and NodeJS', 'Node.js')).toBe(true);
+        expect(taxonomy.mentions('Deployed to K8s', 'Kubernetes')).toBe(true);
+        expect(taxonomy.countMentions('JavaScript, JS and ES6', 'JavaScript')).toBe(3);
+
+        expect(taxonomy.mentions('Wrote C++ and C# services', 'C')).toBe(false);
+        expect(taxonomy.mentions('Led the R&D team', 'R')).toBe(false);
+        expect(taxonomy.mentions('Statistics in R', 'R')).toBe(true);
+        expect(taxonomy.mentions('a swift turnaround and a lean team', 'Swift')).toBe(false);
+        expect(taxonomy.mentions('iOS apps in Swift', 'Swift')).toBe(true);
+        expect(taxonomy.mentions('Javascripting', 'JavaScript')).toBe(false);
+    });
+
+    test('finds every skill mentioned in a text with its category and weight', () => {
+        const found = taxonomy.findSkills('Senior engineer: TypeScript, React and Postgres on AWS Lambda.');
+        const names = found.map(skill => skill.name);
+
+        expect(names).toEqual(expect.arrayContaining(['TypeScript', 'React', 'PostgreSQL', 'AWS', 'Lambda']));
+        expect(names).not.toContain('JavaScript');
+        expect(found.find(skill => skill.name === 'PostgreSQL')).toEqual({ name: 'PostgreSQL', category: 'databases', weight: 0.8, occurrences: 1, parent: 'SQL' });
+    });
+
+    test('adds user skills, extends built-in ones and keeps them in the custom file', () => {
+        taxonomy.addCustomSkills([
+            { name: 'Temporal', category: 'tools', aliases: ['Temporal.io'], parent: 'Go' },
+            { name: 'kubernetes', aliases: ['kube'] },
+            { name: '  ' }
+        ]);
+
+        expect(taxonomy.canonicalName('temporal.io')).toBe('Temporal');
+        expect(taxonomy.getAncestors('Temporal')).toEqual(['Go']);
+        expect(taxonomy.canonicalName('kube')).toBe('Kubernetes');
+        expect(taxonomy.getCategory('Kubernetes')).toBe('cloud');
+
+        const reloaded = new SkillTaxonomy({ customFile });
+        expect(reloaded.getCustomEntries().skills.map(skill => skill.name)).toEqual(['Temporal', 'kubernetes']);
+        expect(reloaded.mentions('Workflows on Temporal', 'Temporal')).toBe(true);
+
+        expect(reloaded.removeCustomSkill('Temporal')).toBe(true);
+        expect(reloaded.removeCustomSkill('Temporal')).toBe(false);
+        expect(new SkillTaxonomy({ customFile }).getSkill('Temporal')).toBeNull();
+    });
+
+    test('falls back to the built-in taxonomy when the custom file is unreadable', () => {
+        fs.writeFileSync(customFile, '{ not json');
+
+        const fallback = new SkillTaxonomy({ customFile });
+
+        expect(fallback.getCustomEntries()).toEqual({ categories: {}, skills: [] });
+        expect(fallback.canonicalName('k8s')).toBe('Kubernetes');
+        expect(() => fallback.addCustomSkills([{ name: '' }])).toThrow('No valid skill entries to add');
+    });
+});
@@ -0,0 +1,87 @@
+const { EXPORT_FORMATS, formatCueTime } = require('../transcript/formats');
+
+const STARTED_AT = Date.UTC(2025, 0, 31, 14, 5, 0);
+
+const TRANSCRIPT = {
+    sessionId: 'session-1',
+    startedAt: STARTED_AT,
+    segments: [
+        {
+            id: 1, startTime: STARTED_AT + 1500, endTime: STARTED_AT + 4250, speakerId: 'spk-1', speakerRole: 'interviewer',
+            speakerLabel: null, channel: 'loopback', source: 'whisper', confidence: 0.92,
+            text: 'Why do you want to work at <Acme> & co?', questionId: 7, responseId: 3
+        },
+        {
+            id: 2, startTime: STARTED_AT + 3723004, endTime: null, speakerId: 'spk-2', speakerRole: 'candidate',
+            speakerLabel: null, channel: 'microphone', source: 'whisper', confidence: 0.88,
+            text: 'Because of the team.', questionId: null, responseId: null
+        }
+    ]
+};
+
+describe('transcript export formats', () => {
+    test('formats cue times for SubRip and WebVTT', () => {
+        expect(formatCueTime(3723004, ',')).toBe('01:02:03,004');
+        expect(formatCueTime(999.6, '.')).toBe('00:00:01.000');
+        expect(formatCueTime(-20, ',')).toBe('00:00:00,000');
+    });
+
+    test('renders SubRip cues relative to the start, at least a second long', () => {
+        expect(EXPORT_FORMATS.srt.render(TRANSCRIPT)).toBe([
+            '1',
+            '00:00:01,500 --> 00:00:04,250',
+            'Interviewer: Why do you want to work at <Acme> & co?',
+            '',
+            '2',
+            '01:02:03,004 --> 01:02:04,004',
+            'You: Because of the team.',
+            ''
+        ].join('\n'));
+    });
+
+    test('renders WebVTT with escaped voice spans', () => {
+        const labelled = { ...TRANSCRIPT, segments: [{ ...TRANSCRIPT.segments[0], speakerLabel: 'Speaker <1>' }] };
+
+        expect(EXPORT_FORMATS.vtt.render(labelled)).toBe([
+            'WEBVTT',
+            '',
+            '00:00:01.500 --> 00:00:04.250',
+            '<v Speaker &lt;1&gt;>Why do you want to work at &lt;Acme&gt; &amp; co?',
+            ''
+        ].join('\n'));
+    });
+
+    test('renders Markdown with offsets and linked questions and responses', () => {
+        const markdown = EXPORT_FORMATS.markdown.render(TRANSCRIPT);
+
+        expect(markdown).toContain('- **Started**: 2025-01-31T14:05:00.000Z');
+        expect(markdown).toContain('- **Segments**: 2');
+        expect(markdown).toContain('**[00:00:01] Interviewer** _(question #7, AI response #3)_\n\nWhy do you want to work at <Acme> & co?');
+        expect(markdown).toContain('**[01:02:03] You**\n\nBecause of the team.');
+    });
+
+    test('renders JSON with absolute times, offsets and speakers', () => {
+        const json = JSON.parse(EXPORT_FORMATS.json.render(TRANSCRIPT));
+
+        expect(json).toMatchObject({ sessionId: 'session-1', startedAt: '2025-01-31T14:05:00.000Z' });
+        expect(json.segments[0]).toEqual({
+            id: 1,
+            startTime: '2025-01-31T14:05:01.500Z',
+            endTime: '2025-01-31T14:05:04.250Z',
+            offsetMs: 1500,
+            speaker: { id: 'spk-1', role: 'interviewer', label: null },
+            channel: 'loopback',
+            source: 'whisper',
+            confidence: 0.92,
+            text: 'Why do you want to work at <Acme> & co?',
+            questionId: 7,
+            responseId: 3
+        });
+        expect(json.segments[1]).toMatchObject({ endTime: null, offsetMs: 3723004 });
+    });
+
+    test('names a file extension for every format', () => {
+        expect(Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([key, format]) => [key, format.extension])))
+            .toEqual({ markdown: 'md', json: 'json', srt: 'srt', vtt: 'vtt' });
+    });
+});
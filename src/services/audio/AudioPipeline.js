@@ -0,0 +1,309 @@
+const { spawn } = require('child_process');
+const ffmpegPath = require('ffmpeg-static');
+const PcmRingBuffer = require('./PcmRingBuffer');
+const Resampler = require('./Resampler');
+
+const STAGES = ['decode', 'resample', 'encode', 'transcribe', 'total'];
+
+// ffmpeg reports the decoded format on stderr, e.g. "Audio: pcm_f32le, 48000 Hz, stereo, flt"
+const OUTPUT_FORMAT = /Audio: pcm_f32le[^,]*, (\d+) Hz, (mono|stereo|(\d+) channels)/;
+
+/**
+ * In-memory audio path from recorded WebM to speech-to-text input.
+ *
+ * WebM (a whole recording, or recorder chunks as they arrive) is piped into
+ * ffmpeg, which decodes it to float PCM on stdout at its native rate. Each stdout chunk is downmixed and resampled to
+ * 16 kHz mono in JS as it arrives and written to a bounded PcmRingBuffer, and
+ * the result is wrapped in a WAV header without touching the disk.
+ *
+ * Per-stage latencies (decode, resample, encode, transcribe, total) are kept
+ * for every processed recording and summarised by getLatencyStats().
+ */
+class AudioPipeline {
+    constructor({ ffmpeg = ffmpegPath, sampleRate = 16000, maxSeconds = 300, timeout = 30000, maxQueuedBytes = 16 * 1024 * 1024 } = {}) {
+        this.ffmpeg = ffmpeg;
+        this.sampleRate = sampleRate;
+        this.maxSamples = sampleRate * maxSeconds;
+        this.timeout = timeout;
+        this.maxQueuedBytes = maxQueuedBytes;
+        this.resetLatencyStats();
+    }
+
+    /**
+     * Decode a complete WebM/Opus (or any ffmpeg-readable) buffer to 16-bit mono PCM
+     *
+     * @param {Buffer} inputBuffer
+     * @param {Object} options - { onSamples } called with each resampled Int16Array chunk
+     * @returns {Promise<{pcm: Int16Array, sampleRate: number, metrics: Object}>}
+     */
+    decode(inputBuffer, options = {}) {
+        const decoder = this.createDecoder({ ...options, collect: true });
+        decoder.write(inputBuffer);
+        return decoder.end();
+    }
+
+    /**
+     * Decoder for a recording that arrives in pieces (MediaRecorder timeslices).
+     * One ffmpeg process reads the chunks as they are written, and resampled
+     * audio reaches onSamples while recording is still going on.
+     *
+     * While ffmpeg's stdin is full, chunks are queued until it drains; past
+     * maxQueuedBytes further chunks are dropped and write() returns false.
+     *
+     * @param {Object} options - { onSamples, collect } - collect keeps the audio in the ring buffer for end()
+     * @returns {{write: Function, end: Function, abort: Function}} end() resolves with { pcm, sampleRate, metrics }
+     */
+    createDecoder({ onSamples = null, collect = false } = {}) {
+        const startedAt = Date.now();
+        const ring = collect ? new PcmRingBuffer(this.maxSamples) : null;
+        const metrics = {
+            inputBytes: 0,
+            inputSampleRate: null,
+            channels: null,
+            firstOutputMs: null,
+            decodeMs: 0,
+            resampleMs: 0,
+            outputSamples: 0,
+            droppedSamples: 0,
+            droppedInputBytes: 0
+        };
+
+        const child = spawn(this.ffmpeg, [
+            '-hide_banner', '-nostdin',
+            '-i', 'pipe:0',
+            '-vn', '-f', 'f32le', '-acodec', 'pcm_f32le',
+            'pipe:1'
+        ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+        let stderr = '';
+        let resampler = null;
+        let pendingBytes = Buffer.alloc(0); // Output that arrived before the format line, or a partial sample
+        let settled = false;
+        let endRequestedAt = null;
+        let resampleSinceEndMs = 0;
+        let timer = null;
+        let stdinFull = false;
+        let queued = []; // Input waiting for ffmpeg's stdin to drain
+        let queuedBytes = 0;
+        let resolveDone;
+        let rejectDone;
+
+        const done = new Promise((resolve, reject) => {
+            resolveDone = resolve;
+            rejectDone = reject;
+        });
+        // Failures before end() is called are reported by end()
+        done.catch(() => {});
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            queued = [];
+            queuedBytes = 0;
+            error ? rejectDone(error) : resolveDone(result);
+        };
+
+        // Output is held back until ffmpeg has reported the format, unless it has already exited
+        const createResampler = exited => {
+            const format = stderr.match(OUTPUT_FORMAT);
+            if (!format && !exited) return null;
+
+            // Opus in WebM always decodes at 48 kHz; assume that if ffmpeg's report was missed
+            metrics.inputSampleRate = format ? parseInt(format[1], 10) : 48000;
+            metrics.channels = !format ? 1 : format[2] === 'mono' ? 1 : format[2] === 'stereo' ? 2 : parseInt(format[3], 10);
+            return new Resampler({ inputRate: metrics.inputSampleRate, outputRate: this.sampleRate, channels: metrics.channels });
+        };
+
+        const processOutput = (exited = false) => {
+            if (!resampler) resampler = createResampler(exited);
+            if (!resampler) return;
+
+            // Whole frames only: a split frame would pair the channels of two frames in the downmix
+            const frameBytes = 4 * metrics.channels;
+            const usableBytes = pendingBytes.length - (pendingBytes.length % frameBytes);
+            if (usableBytes === 0) return;
+
+            const resampleStart = process.hrtime.bigint();
+            // Copy so the Float32Array view is 4-byte aligned
+            const floats = new Float32Array(new Uint8Array(pendingBytes.subarray(0, usableBytes)).buffer);
+            pendingBytes = pendingBytes.subarray(usableBytes);
+
+            const samples = resampler.process(floats);
+            if (ring) ring.write(samples);
+            metrics.outputSamples += samples.length;
+
+            const elapsedMs = Number(process.hrtime.bigint() - resampleStart) / 1e6;
+            metrics.resampleMs += elapsedMs;
+            if (endRequestedAt) resampleSinceEndMs += elapsedMs;
+
+            if (onSamples && samples.length > 0) onSamples(samples);
+        };
+
+        child.stdout.on('data', data => {
+            if (metrics.firstOutputMs === null) metrics.firstOutputMs = Date.now() - startedAt;
+            pendingBytes = Buffer.concat([pendingBytes, data]);
+            try {
+                processOutput();
+            } catch (error) {
+                child.kill();
+                finish(error);
+            }
+        });
+
+        child.stderr.on('data', data => {
+            // Only the stream description is needed; keep the tail for error messages
+            stderr = (stderr + data.toString()).slice(-8192);
+        });
+
+        child.on('error', error => {
+            finish(new Error(`Failed to start ffmpeg (${this.ffmpeg}): ${error.message}`));
+        });
+
+        child.on('close', code => {
+            if (code !== 0) {
+                finish(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+                return;
+            }
+
+            try {
+                processOutput(true);
+            } catch (error) {
+                finish(error);
+                return;
+            }
+
+            if (metrics.droppedInputBytes > 0) {
+                console.warn(`AudioPipeline: ffmpeg fell behind, dropped ${metrics.droppedInputBytes} input bytes`);
+            }
+
+            metrics.droppedSamples = ring ? ring.droppedSamples : 0;
+            if (metrics.droppedSamples > 0) {
+                console.warn(`AudioPipeline: Recording longer than ${this.maxSamples / this.sampleRate}s, dropped ${metrics.droppedSamples} oldest samples`);
+            }
+
+            // For a stream, decode time is what remains after the last chunk was written
+            metrics.resampleMs = Math.round(metrics.resampleMs * 10) / 10;
+            metrics.decodeMs = Math.max(0, Math.round(Date.now() - (endRequestedAt || startedAt) - resampleSinceEndMs));
+            metrics.durationMs = Math.round(metrics.outputSamples / this.sampleRate * 1000);
+
+            this.recordStage('decode', metrics.decodeMs);
+            this.recordStage('resample', metrics.resampleMs);
+            finish(null, { pcm: ring ? ring.read() : null, sampleRate: this.sampleRate, metrics });
+        });
+
+        // ffmpeg may exit before reading everything on corrupt input; the close handler reports it
+        child.stdin.on('error', () => {});
+
+        const endInput = () => {
+            if (endRequestedAt && !stdinFull && queued.length === 0 && !child.stdin.writableEnded) {
+                child.stdin.end();
+            }
+        };
+
+        child.stdin.on('drain', () => {
+            stdinFull = false;
+            while (queued.length > 0 && !stdinFull && !settled) {
+                const chunk = queued.shift();
+                queuedBytes -= chunk.length;
+                stdinFull = !child.stdin.write(chunk);
+            }
+            endInput();
+        });
+
+        return {
+            write: chunk => {
+                if (settled || endRequestedAt) return false;
+                if (stdinFull) {
+                    if (queuedBytes + chunk.length > this.maxQueuedBytes) {
+                        metrics.droppedInputBytes += chunk.length;
+                        return false;
+                    }
+                    queued.push(chunk);
+                    queuedBytes += chunk.length;
+                } else {
+                    stdinFull = !child.stdin.write(chunk);
+                }
+                metrics.inputBytes += chunk.length;
+                return true;
+            },
+            end: () => {
+                if (!endRequestedAt) {
+                    endRequestedAt = Date.now();
+                    timer = setTimeout(() => {
+                        child.kill();
+                        finish(new Error(`ffmpeg decode timed out after ${this.timeout}ms`));
+                    }, this.timeout);
+                    // Queued input is written first; the drain handler ends stdin after it
+                    endInput();
+                }
+                return done;
+            },
+            abort: () => {
+                child.kill();
+                finish(new Error('Decoding aborted'));
+            }
+        };
+    }
+
+    /**
+     * 16-bit PCM WAV file in memory
+     */
+    encodeWav(pcm, sampleRate = this.sampleRate) {
+        const encodeStart = process.hrtime.bigint();
+        const dataBytes = pcm.length * 2;
+        const wav = Buffer.alloc(44 + dataBytes);
+
+        wav.write('RIFF', 0);
+        wav.writeUInt32LE(36 + dataBytes, 4);
+        wav.write('WAVE', 8);
+        wav.write('fmt ', 12);
+        wav.writeUInt32LE(16, 16);           // fmt chunk size
+        wav.writeUInt16LE(1, 20);            // PCM
+        wav.writeUInt16LE(1, 22);            // Mono
+        wav.writeUInt32LE(sampleRate, 24);
+        wav.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+        wav.writeUInt16LE(2, 32);            // Block align
+        wav.writeUInt16LE(16, 34);           // Bits per sample
+        wav.write('data', 36);
+        wav.writeUInt32LE(dataBytes, 40);
+        Buffer.from(pcm.buffer, pcm.byteOffset, dataBytes).copy(wav, 44);
+
+        this.recordStage('encode', Number(process.hrtime.bigint() - encodeStart) / 1e6);
+        return wav;
+    }
+
+    recordStage(stage, ms) {
+        const stats = this.latency[stage];
+        if (!stats) return;
+
+        const rounded = Math.round(ms * 10) / 10;
+        stats.count++;
+        stats.totalMs += rounded;
+        stats.lastMs = rounded;
+        stats.maxMs = Math.max(stats.maxMs, rounded);
+    }
+
+    getLatencyStats() {
+        const summary = {};
+        STAGES.forEach(stage => {
+            const stats = this.latency[stage];
+            summary[stage] = {
+                count: stats.count,
+                lastMs: stats.lastMs,
+                avgMs: stats.count > 0 ? Math.round(stats.totalMs / stats.count * 10) / 10 : null,
+                maxMs: stats.count > 0 ? stats.maxMs : null
+            };
+        });
+        return summary;
+    }
+
+    resetLatencyStats() {
+        this.latency = {};
+        STAGES.forEach(stage => {
+            this.latency[stage] = { count: 0, totalMs: 0, lastMs: null, maxMs: 0 };
+        });
+    }
+}
+
+module.exports = AudioPipeline;
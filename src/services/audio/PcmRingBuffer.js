@@ -0,0 +1,73 @@
+/**
+ * Fixed-size ring buffer of 16-bit PCM samples.
+ *
+ * Decoded audio is written here before it is handed to speech-to-text, so a
+ * long or runaway recording cannot grow memory without bound: once the buffer
+ * is full the oldest samples are overwritten and counted in `droppedSamples`.
+ */
+class PcmRingBuffer {
+    constructor(capacity) {
+        if (!Number.isInteger(capacity) || capacity <= 0) {
+            throw new Error('PcmRingBuffer capacity must be a positive integer');
+        }
+        this.capacity = capacity;
+        this.samples = new Int16Array(capacity);
+        this.start = 0;
+        this.length = 0;
+        this.droppedSamples = 0;
+    }
+
+    get isFull() {
+        return this.length === this.capacity;
+    }
+
+    write(chunk) {
+        // Only the newest `capacity` samples of an oversized chunk can be kept
+        let source = chunk;
+        if (source.length > this.capacity) {
+            this.droppedSamples += source.length - this.capacity;
+            source = source.subarray(source.length - this.capacity);
+        }
+
+        const overflow = Math.max(0, this.length + source.length - this.capacity);
+        if (overflow > 0) {
+            this.start = (this.start + overflow) % this.capacity;
+            this.length -= overflow;
+            this.droppedSamples += overflow;
+        }
+
+        let writeIndex = (this.start + this.length) % this.capacity;
+        const firstPart = Math.min(source.length, this.capacity - writeIndex);
+        this.samples.set(source.subarray(0, firstPart), writeIndex);
+        if (firstPart < source.length) {
+            this.samples.set(source.subarray(firstPart), 0);
+        }
+        this.length += source.length;
+    }
+
+    /**
+     * Remove and return up to `count` of the oldest samples (all by default)
+     */
+    read(count = this.length) {
+        const size = Math.min(count, this.length);
+        const output = new Int16Array(size);
+        const firstPart = Math.min(size, this.capacity - this.start);
+
+        output.set(this.samples.subarray(this.start, this.start + firstPart));
+        if (firstPart < size) {
+            output.set(this.samples.subarray(0, size - firstPart), firstPart);
+        }
+
+        this.start = (this.start + size) % this.capacity;
+        this.length -= size;
+        return output;
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+        this.droppedSamples = 0;
+    }
+}
+
+module.exports = PcmRingBuffer;
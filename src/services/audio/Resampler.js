@@ -0,0 +1,108 @@
+/**
+ * Streaming converter from interleaved float PCM at any rate and channel count
+ * to 16-bit mono at the target rate (16 kHz for speech-to-text).
+ *
+ * Channels are averaged, a windowed-sinc low-pass removes content above the
+ * target Nyquist frequency when downsampling, and samples are linearly
+ * interpolated at the new rate. Filter and interpolation state carry over
+ * between chunks, so audio can be fed in pieces as ffmpeg produces it.
+ */
+class Resampler {
+    constructor({ inputRate, outputRate = 16000, channels = 1, taps = 63 }) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.channels = channels;
+        this.step = inputRate / outputRate;
+
+        this.kernel = this.step > 1 ? this.createLowPassKernel(taps, 0.45 / this.step) : null;
+        this.filterHistory = this.kernel ? new Float32Array(this.kernel.length - 1) : null;
+
+        this.position = 0;
+        this.lastSample = 0;
+    }
+
+    // Blackman-windowed sinc, cutoff as a fraction of the input sample rate
+    createLowPassKernel(taps, cutoff) {
+        const kernel = new Float32Array(taps);
+        const middle = (taps - 1) / 2;
+        let sum = 0;
+
+        for (let i = 0; i < taps; i++) {
+            const x = i - middle;
+            const sinc = x === 0 ? 2 * Math.PI * cutoff : Math.sin(2 * Math.PI * cutoff * x) / x;
+            const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * i / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * i / (taps - 1));
+            kernel[i] = sinc * window;
+            sum += kernel[i];
+        }
+
+        return kernel.map(value => value / sum);
+    }
+
+    /**
+     * @param {Float32Array} interleaved - samples in [-1, 1]
+     * @returns {Int16Array} mono samples at the output rate
+     */
+    process(interleaved) {
+        const mono = this.downmix(interleaved);
+        const filtered = this.kernel ? this.lowPass(mono) : mono;
+        return this.interpolate(filtered);
+    }
+
+    downmix(interleaved) {
+        if (this.channels === 1) return interleaved;
+
+        const frames = Math.floor(interleaved.length / this.channels);
+        const mono = new Float32Array(frames);
+        for (let frame = 0; frame < frames; frame++) {
+            let sum = 0;
+            for (let channel = 0; channel < this.channels; channel++) {
+                sum += interleaved[frame * this.channels + channel];
+            }
+            mono[frame] = sum / this.channels;
+        }
+        return mono;
+    }
+
+    lowPass(samples) {
+        const history = this.filterHistory.length;
+        const buffer = new Float32Array(history + samples.length);
+        buffer.set(this.filterHistory);
+        buffer.set(samples, history);
+
+        const output = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            let sum = 0;
+            for (let k = 0; k < this.kernel.length; k++) {
+                sum += this.kernel[k] * buffer[i + k];
+            }
+            output[i] = sum;
+        }
+
+        this.filterHistory = buffer.slice(buffer.length - history);
+        return output;
+    }
+
+    interpolate(samples) {
+        if (samples.length === 0) return new Int16Array(0);
+
+        const output = new Int16Array(Math.ceil((samples.length - this.position) / this.step) + 1);
+        let count = 0;
+
+        // position is relative to the first sample of this chunk; -1 is the last sample of the previous one
+        while (this.position < samples.length - 1) {
+            const index = Math.floor(this.position);
+            const fraction = this.position - index;
+            const current = index < 0 ? this.lastSample : samples[index];
+            const value = current + (samples[index + 1] - current) * fraction;
+
+            output[count++] = Math.max(-32768, Math.min(32767, Math.round(value * 32767)));
+            this.position += this.step;
+        }
+
+        this.position -= samples.length;
+        this.lastSample = samples[samples.length - 1];
+        return output.subarray(0, count);
+    }
+}
+
+module.exports = Resampler;
@@ -0,0 +1,275 @@
+const fft = require('./fft');
+
+const FFT_SIZE = 512;
+const MEL_BANDS = 24;
+const PITCH_RANGE = { min: 70, max: 400 };
+
+const DEFAULT_DIARIZER_CONFIG = {
+    similarityThreshold: 0.82, // Cosine similarity needed to join an existing speaker
+    maxSpeakersPerChannel: 4
+};
+
+// Who is expected on each capture channel before clustering refines it
+const CHANNEL_ROLES = {
+    microphone: 'candidate',
+    loopback: 'interviewer'
+};
+
+function hzToMel(hz) {
+    return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * Tags utterances with a speaker.
+ *
+ * The capture channel decides first: the microphone carries the candidate,
+ * system audio (loopback) carries the interviewer. Within a channel,
+ * utterances are clustered online by a voice embedding (mean-normalised log
+ * mel band energies plus median pitch), so a practice partner sitting next to
+ * the candidate gets their own speaker id. On the microphone the speaker with
+ * the most speech is the candidate and anyone else is treated as the
+ * interviewer; roles can be corrected with setSpeakerRole().
+ */
+class SpeakerDiarizer {
+    constructor(config = {}, sampleRate = 16000) {
+        this.config = { ...DEFAULT_DIARIZER_CONFIG, ...config };
+        this.sampleRate = sampleRate;
+        this.melFilters = this.createMelFilters();
+        this.reset();
+    }
+
+    reset() {
+        this.channels = {};
+        this.roleOverrides = {};
+    }
+
+    /**
+     * @param {string} channel - 'microphone' | 'loopback'
+     * @param {Int16Array} pcm - one utterance
+     * @returns {Object} { id, channel, role, label, similarity, isNew }
+     */
+    assign(channel, pcm) {
+        const speakers = this.channels[channel] || (this.channels[channel] = []);
+        const embedding = this.computeEmbedding(pcm);
+        const durationMs = Math.round(pcm.length / this.sampleRate * 1000);
+
+        let best = null;
+        let bestSimilarity = -1;
+        speakers.forEach(speaker => {
+            const similarity = embedding ? this.cosineSimilarity(embedding, speaker.centroid) : -1;
+            if (similarity > bestSimilarity) {
+                best = speaker;
+                bestSimilarity = similarity;
+            }
+        });
+
+        // Too little voiced audio to tell voices apart: attribute it to the channel's main speaker
+        if (!embedding) {
+            best = this.getDominantSpeaker(channel);
+            bestSimilarity = null;
+        }
+
+        let isNew = false;
+        const joinsExisting = best && (bestSimilarity === null
+            || bestSimilarity >= this.config.similarityThreshold
+            || speakers.length >= this.config.maxSpeakersPerChannel);
+
+        if (joinsExisting) {
+            if (embedding) {
+                // Running mean keeps the centroid stable as the speaker talks more
+                const weight = Math.min(best.utterances, 20);
+                best.centroid = best.centroid.map((value, index) => (value * weight + embedding[index]) / (weight + 1));
+            }
+        } else {
+            best = {
+                id: `${channel}-${speakers.length + 1}`,
+                channel,
+                centroid: embedding || new Float32Array(MEL_BANDS + 1),
+                utterances: 0,
+                speechMs: 0
+            };
+            speakers.push(best);
+            isNew = true;
+        }
+
+        best.utterances++;
+        best.speechMs += durationMs;
+
+        return {
+            id: best.id,
+            channel,
+            role: this.getRole(best),
+            label: this.getLabel(best),
+            similarity: bestSimilarity === null || isNew ? null : Math.round(bestSimilarity * 100) / 100,
+            isNew
+        };
+    }
+
+    getDominantSpeaker(channel) {
+        const speakers = this.channels[channel] || [];
+        return speakers.reduce((dominant, speaker) => (!dominant || speaker.speechMs > dominant.speechMs ? speaker : dominant), null);
+    }
+
+    getRole(speaker) {
+        if (this.roleOverrides[speaker.id]) return this.roleOverrides[speaker.id];
+
+        const channelRole = CHANNEL_ROLES[speaker.channel] || 'interviewer';
+        if (channelRole !== 'candidate') return channelRole;
+
+        // Other voices picked up by the candidate's microphone belong to the practice partner
+        return this.getDominantSpeaker(speaker.channel) === speaker ? 'candidate' : 'interviewer';
+    }
+
+    getLabel(speaker) {
+        const role = this.getRole(speaker);
+        const sameRole = Object.values(this.channels).flat().filter(other => this.getRole(other) === role);
+        const base = role === 'candidate' ? 'You' : 'Interviewer';
+        return sameRole.length > 1 ? `${base} ${sameRole.indexOf(speaker) + 1}` : base;
+    }
+
+    setSpeakerRole(speakerId, role) {
+        if (!['candidate', 'interviewer'].includes(role)) {
+            throw new Error(`Unknown speaker role: ${role}`);
+        }
+        const exists = Object.values(this.channels).flat().some(speaker => speaker.id === speakerId);
+        if (!exists) {
+            throw new Error(`Unknown speaker: ${speakerId}`);
+        }
+        this.roleOverrides[speakerId] = role;
+        return this.getSpeakers();
+    }
+
+    getSpeakers() {
+        return Object.values(this.channels).flat().map(speaker => ({
+            id: speaker.id,
+            channel: speaker.channel,
+            role: this.getRole(speaker),
+            label: this.getLabel(speaker),
+            utterances: speaker.utterances,
+            speechMs: speaker.speechMs
+        }));
+    }
+
+    /**
+     * Voice embedding of an utterance, or null when it has too little voiced audio
+     */
+    computeEmbedding(pcm) {
+        const frameSize = Math.round(this.sampleRate * 0.032);
+        const hop = Math.round(frameSize / 2);
+        const frames = [];
+
+        for (let start = 0; start + frameSize <= pcm.length; start += hop) {
+            const frame = pcm.subarray(start, start + frameSize);
+            let energy = 0;
+            for (let i = 0; i < frame.length; i++) energy += (frame[i] / 32768) ** 2;
+            frames.push({ frame, energy: energy / frame.length });
+        }
+
+        // Only the louder half of the frames carries the voice; the rest is pauses and breath
+        const energies = frames.map(entry => entry.energy).sort((a, b) => a - b);
+        const median = energies[Math.floor(energies.length / 2)] || 0;
+        const voiced = frames.filter(entry => entry.energy >= median && entry.energy > 1e-6);
+        if (voiced.length < 5) return null;
+
+        const bands = new Float32Array(MEL_BANDS);
+        const pitches = [];
+        voiced.forEach(({ frame }) => {
+            const logMel = this.logMelEnergies(frame);
+            logMel.forEach((value, index) => { bands[index] += value / voiced.length; });
+
+            const pitch = this.estimatePitch(frame);
+            if (pitch) pitches.push(pitch);
+        });
+
+        // Subtracting the mean removes overall loudness and channel gain
+        const mean = bands.reduce((sum, value) => sum + value, 0) / MEL_BANDS;
+        const embedding = new Float32Array(MEL_BANDS + 1);
+        bands.forEach((value, index) => { embedding[index] = value - mean; });
+
+        pitches.sort((a, b) => a - b);
+        const pitch = pitches.length > 0 ? pitches[Math.floor(pitches.length / 2)] : 0;
+        // Octaves above 70 Hz, scaled to weigh about as much as a few mel bands
+        embedding[MEL_BANDS] = pitch ? Math.log2(pitch / PITCH_RANGE.min) * 3 : 0;
+
+        return embedding;
+    }
+
+    logMelEnergies(frame) {
+        const real = new Float32Array(FFT_SIZE);
+        const imag = new Float32Array(FFT_SIZE);
+        for (let i = 0; i < frame.length && i < FFT_SIZE; i++) {
+            real[i] = (frame[i] / 32768) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frame.length - 1)));
+        }
+        fft(real, imag);
+
+        return this.melFilters.map(filter => {
+            let energy = 1e-10;
+            filter.forEach(({ bin, weight }) => {
+                energy += weight * (real[bin] * real[bin] + imag[bin] * imag[bin]);
+            });
+            return Math.log(energy);
+        });
+    }
+
+    // Triangular filters evenly spaced on the mel scale between 100 Hz and 7 kHz
+    createMelFilters() {
+        const minMel = hzToMel(100);
+        const maxMel = hzToMel(Math.min(7000, this.sampleRate / 2));
+        const binHz = this.sampleRate / FFT_SIZE;
+        const edges = Array.from({ length: MEL_BANDS + 2 }, (_, index) => melToHz(minMel + (maxMel - minMel) * index / (MEL_BANDS + 1)) / binHz);
+
+        return Array.from({ length: MEL_BANDS }, (_, band) => {
+            const [left, center, right] = [edges[band], edges[band + 1], edges[band + 2]];
+            const filter = [];
+            for (let bin = Math.floor(left); bin <= Math.ceil(right); bin++) {
+                const weight = bin <= center ? (bin - left) / (center - left) : (right - bin) / (right - center);
+                if (weight > 0) filter.push({ bin, weight });
+            }
+            return filter;
+        });
+    }
+
+    // Autocorrelation pitch estimate; null for unvoiced frames
+    estimatePitch(frame) {
+        const minLag = Math.floor(this.sampleRate / PITCH_RANGE.max);
+        const maxLag = Math.min(Math.ceil(this.sampleRate / PITCH_RANGE.min), frame.length - 1);
+
+        let energy = 0;
+        for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+        if (energy === 0) return null;
+
+        let bestLag = 0;
+        let bestCorrelation = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            let correlation = 0;
+            for (let i = 0; i + lag < frame.length; i++) correlation += frame[i] * frame[i + lag];
+            correlation /= energy;
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+
+        return bestCorrelation > 0.3 && bestLag > 0 ? this.sampleRate / bestLag : null;
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+SpeakerDiarizer.DEFAULT_CONFIG = DEFAULT_DIARIZER_CONFIG;
+
+module.exports = SpeakerDiarizer;
@@ -0,0 +1,233 @@
+const fft = require('./fft');
+
+const DEFAULT_VAD_CONFIG = {
+    frameMs: 20,
+    // A frame is loud enough when it is this far above the adaptive noise floor and above the absolute minimum
+    energyMarginDb: 9,
+    minEnergyDb: -50,
+    // Speech concentrates energy in 80-4000 Hz and is harmonic; hiss and fan noise are spectrally flat
+    speechBandRatio: 0.6,
+    maxSpectralFlatness: 0.4,
+    onsetMs: 80,           // Voiced audio needed before an utterance starts
+    hangoverMs: 600,       // Silence tolerated inside an utterance before it ends
+    preRollMs: 200,        // Audio kept from before the onset so first syllables are not clipped
+    minUtteranceMs: 250,   // Utterances with less voiced audio (clicks, coughs) are dropped
+    maxUtteranceMs: 20000  // Longer speech is split so transcription never waits on a monologue
+};
+
+const FFT_SIZE = 512;
+
+/**
+ * Energy- and spectrum-based voice activity detection on 16 kHz mono PCM.
+ *
+ * Samples are analysed in short frames. A frame counts as voiced when its
+ * energy clears the adaptive noise floor and its spectrum looks like speech
+ * (energy in the speech band, low spectral flatness). Runs of voiced frames
+ * become utterances; an utterance ends after `hangoverMs` of silence or is
+ * split at `maxUtteranceMs`.
+ *
+ * process() and flush() return the utterances completed so far as
+ * { pcm, startMs, endMs, durationMs, split } with times relative to the first
+ * sample fed in.
+ */
+class VoiceActivityDetector {
+    constructor(config = {}, sampleRate = 16000) {
+        this.sampleRate = sampleRate;
+        this.configure(config);
+        this.reset();
+    }
+
+    configure(config = {}) {
+        this.config = { ...DEFAULT_VAD_CONFIG, ...this.config, ...config };
+        this.frameSize = Math.round(this.sampleRate * this.config.frameMs / 1000);
+        if (this.frameSize > FFT_SIZE) {
+            throw new Error(`VAD frame of ${this.config.frameMs}ms is longer than the ${FFT_SIZE}-sample analysis window`);
+        }
+        return this.config;
+    }
+
+    reset() {
+        this.pending = new Int16Array(0);
+        this.processedSamples = 0;
+        this.noiseFloorDb = null;
+        this.voicedRun = 0;
+        this.silentRun = 0;
+        this.preRoll = [];
+        this.utterance = null;
+    }
+
+    /**
+     * @param {Int16Array} samples
+     * @returns {Array} completed utterances
+     */
+    process(samples) {
+        const completed = [];
+        let buffer = samples;
+        if (this.pending.length > 0) {
+            buffer = new Int16Array(this.pending.length + samples.length);
+            buffer.set(this.pending);
+            buffer.set(samples, this.pending.length);
+        }
+
+        let offset = 0;
+        while (offset + this.frameSize <= buffer.length) {
+            const frame = buffer.subarray(offset, offset + this.frameSize);
+            this.processFrame(frame, completed);
+            offset += this.frameSize;
+        }
+
+        this.pending = buffer.slice(offset);
+        return completed;
+    }
+
+    /**
+     * End of stream: close the open utterance, if any
+     */
+    flush() {
+        const completed = [];
+        if (this.utterance) {
+            this.finishUtterance(completed, this.utterance.frames.length - this.silentRun);
+        }
+        this.utterance = null;
+        this.pending = new Int16Array(0);
+        return completed;
+    }
+
+    processFrame(frame, completed) {
+        const frameStartSample = this.processedSamples;
+        this.processedSamples += frame.length;
+
+        const analysis = this.analyzeFrame(frame);
+        const voiced = this.isVoiced(analysis);
+        if (!voiced) this.updateNoiseFloor(analysis.energyDb);
+
+        if (!this.utterance) {
+            this.preRoll.push({ frame: Int16Array.from(frame), start: frameStartSample });
+            const maxPreRoll = Math.ceil((this.config.preRollMs + this.config.onsetMs) / this.config.frameMs);
+            if (this.preRoll.length > maxPreRoll) this.preRoll.shift();
+
+            this.voicedRun = voiced ? this.voicedRun + 1 : 0;
+            if (this.voicedRun * this.config.frameMs >= this.config.onsetMs) {
+                this.startUtterance();
+            }
+            return;
+        }
+
+        this.utterance.frames.push(Int16Array.from(frame));
+        if (voiced) {
+            this.silentRun = 0;
+            this.utterance.voicedMs += this.config.frameMs;
+        } else {
+            this.silentRun++;
+        }
+
+        const lengthMs = this.utterance.frames.length * this.config.frameMs;
+        if (this.silentRun * this.config.frameMs >= this.config.hangoverMs) {
+            this.finishUtterance(completed, this.utterance.frames.length - this.silentRun);
+        } else if (lengthMs >= this.config.maxUtteranceMs) {
+            this.finishUtterance(completed, this.utterance.frames.length, true);
+        }
+    }
+
+    startUtterance() {
+        this.utterance = {
+            frames: this.preRoll.map(entry => entry.frame),
+            startSample: this.preRoll[0].start,
+            voicedMs: this.voicedRun * this.config.frameMs
+        };
+        this.preRoll = [];
+        this.voicedRun = 0;
+        this.silentRun = 0;
+    }
+
+    // Trailing silence beyond a short tail is trimmed; a split utterance continues as a new one
+    finishUtterance(completed, voicedFrames, split = false) {
+        const tailFrames = Math.min(this.silentRun, Math.ceil(this.config.preRollMs / this.config.frameMs));
+        const frames = this.utterance.frames.slice(0, voicedFrames + tailFrames);
+        const durationMs = frames.length * this.config.frameMs;
+        const startMs = Math.round(this.utterance.startSample / this.sampleRate * 1000);
+
+        if (this.utterance.voicedMs >= this.config.minUtteranceMs) {
+            const pcm = new Int16Array(frames.length * this.frameSize);
+            frames.forEach((frame, index) => pcm.set(frame, index * this.frameSize));
+            completed.push({ pcm, startMs, endMs: startMs + durationMs, durationMs, split });
+        }
+
+        if (split) {
+            this.utterance = {
+                frames: [],
+                startSample: this.utterance.startSample + frames.length * this.frameSize,
+                voicedMs: 0
+            };
+        } else {
+            this.utterance = null;
+            this.preRoll = [];
+        }
+        this.silentRun = 0;
+    }
+
+    analyzeFrame(frame) {
+        let sumSquares = 0;
+        for (let i = 0; i < frame.length; i++) {
+            const value = frame[i] / 32768;
+            sumSquares += value * value;
+        }
+        const energyDb = 10 * Math.log10(sumSquares / frame.length + 1e-10);
+
+        // Hann-windowed power spectrum
+        const real = new Float32Array(FFT_SIZE);
+        const imag = new Float32Array(FFT_SIZE);
+        for (let i = 0; i < frame.length; i++) {
+            real[i] = (frame[i] / 32768) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frame.length - 1)));
+        }
+        fft(real, imag);
+
+        const binHz = this.sampleRate / FFT_SIZE;
+        let total = 0;
+        let speechBand = 0;
+        let logSum = 0;
+        const bins = FFT_SIZE / 2;
+        for (let bin = 1; bin <= bins; bin++) {
+            const power = real[bin] * real[bin] + imag[bin] * imag[bin] + 1e-12;
+            const frequency = bin * binHz;
+            total += power;
+            logSum += Math.log(power);
+            if (frequency >= 80 && frequency <= 4000) speechBand += power;
+        }
+
+        return {
+            energyDb,
+            speechBandRatio: speechBand / total,
+            spectralFlatness: Math.exp(logSum / bins) / (total / bins)
+        };
+    }
+
+    isVoiced({ energyDb, speechBandRatio, spectralFlatness }) {
+        const threshold = Math.max(this.config.minEnergyDb, (this.noiseFloorDb ?? this.config.minEnergyDb) + this.config.energyMarginDb);
+        if (energyDb < threshold) return false;
+        return speechBandRatio >= this.config.speechBandRatio && spectralFlatness <= this.config.maxSpectralFlatness;
+    }
+
+    // Tracks background level from unvoiced frames; falls quickly and rises slowly
+    updateNoiseFloor(energyDb) {
+        if (this.noiseFloorDb === null) {
+            this.noiseFloorDb = energyDb;
+            return;
+        }
+        const rate = energyDb < this.noiseFloorDb ? 0.2 : 0.02;
+        this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+    }
+
+    getState() {
+        return {
+            config: { ...this.config },
+            noiseFloorDb: this.noiseFloorDb === null ? null : Math.round(this.noiseFloorDb * 10) / 10,
+            inUtterance: !!this.utterance,
+            processedMs: Math.round(this.processedSamples / this.sampleRate * 1000)
+        };
+    }
+}
+
+VoiceActivityDetector.DEFAULT_CONFIG = DEFAULT_VAD_CONFIG;
+
+module.exports = VoiceActivityDetector;
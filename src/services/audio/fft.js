@@ -0,0 +1,33 @@
+// In-place iterative radix-2 FFT; real and imag must have the same power-of-two length
+function fft(real, imag) {
+    const n = real.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const evenIndex = start + k;
+                const oddIndex = evenIndex + size / 2;
+                const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+                const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+                real[oddIndex] = real[evenIndex] - oddReal;
+                imag[oddIndex] = imag[evenIndex] - oddImag;
+                real[evenIndex] += oddReal;
+                imag[evenIndex] += oddImag;
+            }
+        }
+    }
+}
+
+module.exports = fft;
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { ZipWriter, ZipReader } = require('./zip');
+
+const ARCHIVE_FORMAT = 'mockmate-backup';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXTENSION = 'mmbackup';
+const MANIFEST = 'manifest.json';
+const CHECK_ENTRY = 'check';
+
+// Same cost as the keystore's key-encryption key
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function tableEntry(table) {
+    return `data/${table}.json`;
+}
+
+function audioEntry(fileName) {
+    return `audio/${fileName}`;
+}
+
+/**
+ * Entry key of an archive: derived from the passphrase with scrypt, or from the
+ * keystore's backup key with HKDF; the salt is per archive
+ */
+function deriveKey(encryption, { passphrase = null, key = null }) {
+    const salt = Buffer.from(encryption.salt, 'base64');
+    if (encryption.mode === 'passphrase') {
+        if (!passphrase) {
+            throw new Error('This backup is protected by a passphrase');
+        }
+        const { N, r, p } = encryption.kdf;
+        return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: SCRYPT_OPTIONS.maxmem });
+    }
+    if (!key) {
+        throw new Error('This backup was sealed with the backup key of the installation that made it');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', key, salt, ARCHIVE_FORMAT, 32));
+}
+
+// Compressed, then sealed with AES-256-GCM; the entry name is authenticated so entries cannot be swapped
+function seal(key, name, content) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(name, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(zlib.deflateRawSync(content)), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+function open(key, name, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+    decipher.setAAD(Buffer.from(name, 'utf8'));
+    decipher.setAuthTag(sealed.subarray(12, 28));
+    return zlib.inflateRawSync(Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]));
+}
+
+/**
+ * Writes a backup archive: a zip file with
+ *
+ *   manifest.json          format, version, schema version, contents (never encrypted)
+ *   data/<table>.json      rows of one table, encrypted columns decrypted
+ *   audio/<file>.wav       saved session audio
+ *
+ * With a passphrase or key every entry but the manifest is sealed (see seal()),
+ * and a `check` entry lets a wrong passphrase be reported before restoring.
+ * Written to a temporary file and renamed, so a failed backup leaves nothing behind.
+ */
+class BackupArchiveWriter {
+    /**
+     * @param {Object} options - { passphrase } or { key } (keystore backup key); neither writes plain entries
+     */
+    constructor(filePath, { passphrase = null, key = null } = {}) {
+        this.filePath = filePath;
+        this.temporaryPath = `${filePath}.tmp`;
+        this.zip = new ZipWriter(this.temporaryPath);
+        this.encryption = null;
+        this.key = null;
+
+        if (passphrase || key) {
+            this.encryption = {
+                mode: passphrase ? 'passphrase' : 'keystore',
+                algorithm: 'aes-256-gcm',
+                salt: crypto.randomBytes(16).toString('base64'),
+                kdf: passphrase ? { name: 'scrypt', N: SCRYPT_OPTIONS.N, r: SCRYPT_OPTIONS.r, p: SCRYPT_OPTIONS.p } : { name: 'hkdf-sha256' }
+            };
+            this.key = deriveKey(this.encryption, { passphrase, key });
+            this.add(CHECK_ENTRY, Buffer.from(ARCHIVE_FORMAT));
+        }
+    }
+
+    add(name, content, { compress = true } = {}) {
+        if (this.key) {
+            this.zip.add(name, seal(this.key, name, content), { compress: false });
+        } else {
+            this.zip.add(name, content, { compress });
+        }
+    }
+
+    addTable(table, rows) {
+        this.add(tableEntry(table), Buffer.from(JSON.stringify(rows), 'utf8'));
+    }
+
+    addAudio(fileName, content) {
+        this.add(audioEntry(fileName), content, { compress: false });
+    }
+
+    /**
+     * @param {Object} manifest - { createdAt, schemaVersion, categories, tables: { table: row count }, audio: [file names] }
+     */
+    finish(manifest) {
+        this.zip.add(MANIFEST, JSON.stringify({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            ...manifest,
+            encryption: this.encryption
+        }, null, 2));
+        this.zip.close();
+        fs.renameSync(this.temporaryPath, this.filePath);
+        return this.filePath;
+    }
+
+    abort() {
+        this.zip.abort();
+        fs.rmSync(this.temporaryPath, { force: true });
+    }
+}
+
+/**
+ * Reads a backup archive written by BackupArchiveWriter
+ */
+class BackupArchiveReader {
+    constructor(filePath) {
+        this.zip = new ZipReader(filePath);
+        this.key = null;
+
+        try {
+            if (!this.zip.has(MANIFEST)) {
+                throw new Error('Not a MockMate backup');
+            }
+            this.manifest = JSON.parse(this.zip.readEntry(MANIFEST).toString('utf8'));
+            if (this.manifest.format !== ARCHIVE_FORMAT) {
+                throw new Error('Not a MockMate backup');
+            }
+            if (this.manifest.version > ARCHIVE_VERSION) {
+                throw new Error(`Backup format version ${this.manifest.version} is newer than this app supports`);
+            }
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+    }
+
+    get encrypted() {
+        return !!this.manifest.encryption;
+    }
+
+    /**
+     * @param {Object} secrets - { passphrase } or { key }, whichever the archive was sealed with
+     */
+    unlock(secrets = {}) {
+        if (!this.encrypted) return;
+
+        const key = deriveKey(this.manifest.encryption, secrets);
+        try {
+            open(key, CHECK_ENTRY, this.zip.readEntry(CHECK_ENTRY));
+        } catch (error) {
+            throw new Error(this.manifest.encryption.mode === 'passphrase'
+                ? 'Wrong backup passphrase'
+                : 'This backup was sealed with the backup key of another installation');
+        }
+        this.key = key;
+    }
+
+    read(name) {
+        const content = this.zip.readEntry(name);
+        if (!this.encrypted) return content;
+        if (!this.key) {
+            throw new Error('The backup is locked');
+        }
+        return open(this.key, name, content);
+    }
+
+    hasTable(table) {
+        return this.zip.has(tableEntry(table));
+    }
+
+    readTable(table) {
+        return JSON.parse(this.read(tableEntry(table)).toString('utf8'));
+    }
+
+    readAudio(fileName) {
+        return this.read(audioEntry(fileName));
+    }
+
+    close() {
+        this.zip.close();
+    }
+}
+
+module.exports = { BackupArchiveWriter, BackupArchiveReader, ARCHIVE_EXTENSION };
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Without ZIP64 extensions: sizes and offsets are 32-bit, entry counts 16-bit
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Writes a zip file entry by entry, so only one entry is held in memory at a time
+ */
+class ZipWriter {
+    constructor(filePath) {
+        this.fd = fs.openSync(filePath, 'w', 0o600);
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    /**
+     * @param {string} name - path inside the archive
+     * @param {Buffer|string} data
+     * @param {Object} options - { compress: false for data that does not compress (audio, ciphertext) }
+     */
+    add(name, data, { compress = true } = {}) {
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const stored = compress ? zlib.deflateRawSync(content) : content;
+        const method = compress ? DEFLATED : STORED;
+        const fileName = Buffer.from(name, 'utf8');
+        const { time, date } = dosDateTime(new Date());
+        const crc = zlib.crc32(content);
+
+        if (this.entries.length >= MAX_ENTRIES || content.length > MAX_SIZE || this.offset + stored.length + 30 + fileName.length > MAX_SIZE) {
+            throw new Error('The backup is too large for the archive format (4 GB or 65535 files)');
+        }
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(UTF8_NAMES, 6);
+        header.writeUInt16LE(method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(crc, 14);
+        header.writeUInt32LE(stored.length, 18);
+        header.writeUInt32LE(content.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        this.entries.push({ fileName, method, time, date, crc, compressedSize: stored.length, size: content.length, offset: this.offset });
+        this.write(Buffer.concat([header, fileName]));
+        this.write(stored);
+    }
+
+    write(buffer) {
+        fs.writeSync(this.fd, buffer, 0, buffer.length, this.offset);
+        this.offset += buffer.length;
+    }
+
+    // Central directory and end record; the archive is not readable before this
+    close() {
+        const directoryOffset = this.offset;
+        this.entries.forEach(entry => {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(UTF8_NAMES, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.fileName.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            this.write(Buffer.concat([header, entry.fileName]));
+        });
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - directoryOffset, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        this.write(end);
+
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    // Closes the file without finishing the archive (after a failure)
+    abort() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+/**
+ * Reads single entries of a zip file without loading the whole archive
+ */
+class ZipReader {
+    constructor(filePath) {
+        this.fd = fs.openSync(filePath, 'r');
+        this.size = fs.fstatSync(this.fd).size;
+        try {
+            this.entries = this.readDirectory();
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+    }
+
+    read(length, position) {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(this.fd, buffer, 0, length, position);
+        if (bytesRead !== length) {
+            throw new Error('The archive is truncated');
+        }
+        return buffer;
+    }
+
+    readDirectory() {
+        // The end record is in the last 22 bytes, followed by a comment of up to 64 KB
+        const tailLength = Math.min(this.size, 22 + 0xffff);
+        const tail = this.read(tailLength, this.size - tailLength);
+        let endIndex = -1;
+        for (let index = tail.length - 22; index >= 0; index--) {
+            if (tail.readUInt32LE(index) === END_OF_CENTRAL_DIRECTORY) {
+                endIndex = index;
+                break;
+            }
+        }
+        if (endIndex < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const count = tail.readUInt16LE(endIndex + 10);
+        const directory = this.read(tail.readUInt32LE(endIndex + 12), tail.readUInt32LE(endIndex + 16));
+        const entries = new Map();
+        let position = 0;
+        for (let index = 0; index < count; index++) {
+            if (directory.readUInt32LE(position) !== CENTRAL_HEADER) {
+                throw new Error('The archive directory is corrupt');
+            }
+            const nameLength = directory.readUInt16LE(position + 28);
+            const extraLength = directory.readUInt16LE(position + 30);
+            const commentLength = directory.readUInt16LE(position + 32);
+            const name = directory.toString('utf8', position + 46, position + 46 + nameLength);
+            entries.set(name, {
+                name,
+                method: directory.readUInt16LE(position + 10),
+                crc: directory.readUInt32LE(position + 16),
+                compressedSize: directory.readUInt32LE(position + 20),
+                size: directory.readUInt32LE(position + 24),
+                offset: directory.readUInt32LE(position + 42)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    names() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * @returns {Buffer} the entry's content, checked against its CRC
+     */
+    readEntry(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing from the archive: ${name}`);
+        }
+
+        const header = this.read(30, entry.offset);
+        if (header.readUInt32LE(0) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt archive entry: ${name}`);
+        }
+        const dataOffset = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const stored = this.read(entry.compressedSize, dataOffset);
+
+        let content;
+        if (entry.method === STORED) {
+            content = stored;
+        } else if (entry.method === DEFLATED) {
+            content = zlib.inflateRawSync(stored, { maxOutputLength: Math.max(1, entry.size) });
+        } else {
+            throw new Error(`Unsupported compression method ${entry.method}: ${name}`);
+        }
+
+        if (content.length !== entry.size || zlib.crc32(content) !== entry.crc) {
+            throw new Error(`Corrupt archive entry: ${name}`);
+        }
+        return content;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = { ZipWriter, ZipReader };
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const PREFIX = 'v2';
+
+// Values written by the createCipher based implementation: hex IV (unused) and hex ciphertext
+const LEGACY_FORMAT = /^[0-9a-f]{32}:[0-9a-f]+$/;
+
+/**
+ * Authenticated encryption of single database fields.
+ *
+ * Every value gets a fresh 96-bit IV and is sealed with AES-256-GCM under the
+ * current data key. The stored form names the key it was written with:
+ *
+ *   v2:<key id>:<iv>:<auth tag>:<ciphertext>     (base64 parts)
+ *
+ * so values stay readable while a key rotation re-encrypts them. Tampered or
+ * undecryptable values throw instead of coming back as ciphertext.
+ *
+ * Values of the old format (aes-256-cbc through the removed crypto.createCipher,
+ * whose IV was never used) are read with the legacy key for migration; text that
+ * was stored unencrypted when that implementation failed is returned unchanged.
+ */
+class FieldCipher {
+    /**
+     * @param {Object} options - { keys: Map of key id -> 32-byte Buffer, currentKeyId, legacyKey (hex string of the old .key file) }
+     */
+    constructor({ keys, currentKeyId, legacyKey = null }) {
+        this.keys = new Map(keys);
+        this.currentKeyId = currentKeyId;
+        this.legacyKey = legacyKey;
+
+        if (!this.keys.has(currentKeyId)) {
+            throw new Error(`Encryption key not found: ${currentKeyId}`);
+        }
+    }
+
+    addKey(keyId, key, makeCurrent = true) {
+        this.keys.set(keyId, key);
+        if (makeCurrent) this.currentKeyId = keyId;
+    }
+
+    removeKey(keyId) {
+        if (keyId === this.currentKeyId) {
+            throw new Error('The current encryption key cannot be removed');
+        }
+        this.keys.delete(keyId);
+    }
+
+    encrypt(text) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentKeyId), iv);
+        const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+        return [PREFIX, this.currentKeyId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), encrypted.toString('base64')].join(':');
+    }
+
+    decrypt(value) {
+        if (this.isEncrypted(value)) {
+            const [, keyId, iv, tag, encrypted] = value.split(':');
+            const key = this.keys.get(keyId);
+            if (!key) {
+                throw new Error(`Value was encrypted with an unknown key: ${keyId}`);
+            }
+
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+        }
+
+        if (this.isLegacy(value)) {
+            return this.decryptLegacy(value);
+        }
+        return value;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+    }
+
+    isLegacy(value) {
+        return typeof value === 'string' && LEGACY_FORMAT.test(value);
+    }
+
+    // Anything not sealed with the current key: legacy ciphertext, plaintext, or an older key
+    needsReencryption(value) {
+        if (!value) return false;
+        return !this.isEncrypted(value) || value.split(':')[1] !== this.currentKeyId;
+    }
+
+    /**
+     * crypto.createDecipher('aes-256-cbc', password) with the key and IV derived
+     * the way OpenSSL's EVP_BytesToKey does (MD5, one round, no salt)
+     */
+    decryptLegacy(value) {
+        if (!this.legacyKey) {
+            throw new Error('Value uses the legacy format but the legacy key is not available');
+        }
+
+        const password = Buffer.from(this.legacyKey, 'utf8');
+        let derived = Buffer.alloc(0);
+        let block = Buffer.alloc(0);
+        while (derived.length < 48) {
+            block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+            derived = Buffer.concat([derived, block]);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+        const encrypted = value.split(':')[1];
+        return decipher.update(encrypted, 'hex', 'utf8') + decipher.final('utf8');
+    }
+}
+
+module.exports = FieldCipher;
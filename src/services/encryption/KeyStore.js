@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEYSTORE_VERSION = 1;
+const PROTECTIONS = ['keychain', 'passphrase', 'file'];
+
+// scrypt cost for deriving the key-encryption key (about 100 ms)
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * OS keychain through Electron's safeStorage (Keychain on macOS, DPAPI on
+ * Windows, libsecret/kwallet on Linux). Null outside Electron, before the app
+ * is ready, or when Linux has no keyring and would fall back to a hardcoded password.
+ */
+function defaultKeychain() {
+    let safeStorage;
+    try {
+        ({ safeStorage } = require('electron'));
+    } catch (error) {
+        return null;
+    }
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) return null;
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function'
+        && ['basic_text', 'unknown'].includes(safeStorage.getSelectedStorageBackend())) {
+        return null;
+    }
+
+    return {
+        encrypt: secret => safeStorage.encryptString(secret.toString('base64')).toString('base64'),
+        decrypt: stored => Buffer.from(safeStorage.decryptString(Buffer.from(stored, 'base64')), 'base64')
+    };
+}
+
+/**
+ * Data keys for field encryption, kept in ~/.mockmate/keystore.json.
+ *
+ * Each data key is a random 256-bit key, stored wrapped (AES-256-GCM) by a
+ * key-encryption key derived with scrypt from either
+ *   keychain   - a random secret held by the OS keychain, or
+ *   passphrase - a passphrase the user enters; nothing to derive it is stored.
+ * Without a usable keychain the random secret is kept in the keystore file
+ * itself (`file`, readable by the user only), as the old .key file was.
+ *
+ * Changing the protection re-wraps the data keys; the data itself is only
+ * re-encrypted when a new data key is added (rotation). Several data keys exist
+ * only while a rotation or migration is in progress. The search index, the
+ * question bank fingerprints and automatic backups have keys of their own,
+ * wrapped the same way.
+ */
+class KeyStore {
+    constructor({ dataDir, keychain = undefined }) {
+        this.path = path.join(dataDir, 'keystore.json');
+        this.legacyKeyPath = path.join(dataDir, '.key');
+        this.keychain = keychain === undefined ? defaultKeychain() : keychain;
+        this.data = null;
+        this.kek = null;
+        this.keys = new Map();
+        this.legacyKey = null;
+        this.searchKey = null;
+        this.fingerprintKey = null;
+        this.backupKey = null;
+    }
+
+    exists() {
+        return fs.existsSync(this.path);
+    }
+
+    isPassphraseProtected() {
+        if (!this.exists()) return false;
+        return JSON.parse(fs.readFileSync(this.path, 'utf8')).protection === 'passphrase';
+    }
+
+    /**
+     * Load the keystore, creating it on first use
+     *
+     * @param {Object} options - { passphrase: required for passphrase-protected stores, protects a new one }
+     * @returns {{ keys: Map, currentKeyId, legacyKey }}
+     */
+    open({ passphrase = null } = {}) {
+        if (this.exists()) {
+            this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+            if (this.data.version > KEYSTORE_VERSION) {
+                throw new Error(`Keystore version ${this.data.version} is newer than this app supports`);
+            }
+            this.kek = this.deriveKek(this.data, passphrase);
+
+            this.keys = new Map();
+            try {
+                Object.entries(this.data.keys).forEach(([keyId, wrapped]) => this.keys.set(keyId, this.unwrap(wrapped)));
+                this.legacyKey = this.data.legacyKey ? this.unwrap(this.data.legacyKey) : null;
+                this.searchKey = this.data.searchKey ? this.unwrap(this.data.searchKey) : null;
+                this.fingerprintKey = this.data.fingerprintKey ? this.unwrap(this.data.fingerprintKey) : null;
+                this.backupKey = this.data.backupKey ? this.unwrap(this.data.backupKey) : null;
+            } catch (error) {
+                throw new Error(this.data.protection === 'passphrase' ? 'Wrong database passphrase' : `Could not unlock the encryption keys: ${error.message}`);
+            }
+        } else {
+            const protection = passphrase ? 'passphrase' : (this.keychain ? 'keychain' : 'file');
+            this.data = { version: KEYSTORE_VERSION, keys: {}, createdAt: Date.now() };
+            this.protect(protection, passphrase);
+
+            const keyId = 'k1';
+            this.keys = new Map([[keyId, crypto.randomBytes(32)]]);
+            this.data.currentKeyId = keyId;
+            this.save();
+            if (protection === 'file') {
+                console.warn('KeyStore: No OS keychain available, the database key secret is stored in the keystore file');
+            }
+        }
+
+        this.importLegacyKey();
+        return {
+            keys: new Map(this.keys),
+            currentKeyId: this.data.currentKeyId,
+            legacyKey: this.legacyKey ? this.legacyKey.toString('hex') : null
+        };
+    }
+
+    deriveKek(data, passphrase) {
+        const salt = Buffer.from(data.kdf.salt, 'base64');
+        const { N, r, p } = data.kdf;
+        const options = { N, r, p, maxmem: SCRYPT_OPTIONS.maxmem };
+
+        if (data.protection === 'passphrase') {
+            if (!passphrase) {
+                throw new Error('The database is locked: a passphrase is required');
+            }
+            return crypto.scryptSync(passphrase.normalize('NFKC'), salt, 32, options);
+        }
+        if (data.protection === 'keychain') {
+            if (!this.keychain) {
+                throw new Error('The database key is held by the OS keychain, which is not available');
+            }
+            return crypto.scryptSync(this.keychain.decrypt(data.secret), salt, 32, options);
+        }
+        return crypto.scryptSync(Buffer.from(data.secret, 'base64'), salt, 32, options);
+    }
+
+    /**
+     * New key-encryption key for the given protection (fresh salt and secret)
+     */
+    protect(protection, passphrase = null) {
+        if (!PROTECTIONS.includes(protection)) {
+            throw new Error(`Unknown key protection: ${protection}`);
+        }
+        if (protection === 'passphrase' && !passphrase) {
+            throw new Error('A passphrase is required');
+        }
+        if (protection === 'keychain' && !this.keychain) {
+            throw new Error('The OS keychain is not available');
+        }
+
+        const salt = crypto.randomBytes(16);
+        const kdf = { name: 'scrypt', salt: salt.toString('base64'), N: SCRYPT_OPTIONS.N, r: SCRYPT_OPTIONS.r, p: SCRYPT_OPTIONS.p };
+        const secret = protection === 'passphrase' ? null : crypto.randomBytes(32);
+
+        delete this.data.secret;
+        if (protection === 'keychain') this.data.secret = this.keychain.encrypt(secret);
+        if (protection === 'file') this.data.secret = secret.toString('base64');
+
+        this.data.protection = protection;
+        this.data.kdf = kdf;
+        this.kek = this.deriveKek(this.data, passphrase);
+    }
+
+    /**
+     * Switch between keychain, passphrase and file protection; the data keys stay the same
+     */
+    setProtection(protection, passphrase = null) {
+        this.requireOpen();
+        this.protect(protection, passphrase);
+        this.save();
+    }
+
+    /**
+     * Add a new data key and make it current. The old keys stay until retireKeys()
+     *
+     * @returns {{ keyId, key }}
+     */
+    addKey() {
+        this.requireOpen();
+        const next = Math.max(0, ...[...this.keys.keys()].map(keyId => Number(keyId.slice(1)) || 0)) + 1;
+        const keyId = `k${next}`;
+        const key = crypto.randomBytes(32);
+
+        this.keys.set(keyId, key);
+        this.data.currentKeyId = keyId;
+        this.data.rotatedAt = Date.now();
+        this.save();
+        return { keyId, key };
+    }
+
+    /**
+     * Drop every data key but the current one, once nothing is encrypted with them
+     */
+    retireKeys() {
+        this.requireOpen();
+        const retired = [...this.keys.keys()].filter(keyId => keyId !== this.data.currentKeyId);
+        if (retired.length === 0) return [];
+
+        retired.forEach(keyId => this.keys.delete(keyId));
+        this.save();
+        return retired;
+    }
+
+    /**
+     * Key of the full-text search index's term hashes. Independent of the data
+     * keys, so rotating those does not require rebuilding the index.
+     */
+    getSearchKey() {
+        this.requireOpen();
+        if (!this.searchKey) {
+            this.searchKey = crypto.randomBytes(32);
+            this.save();
+        }
+        return this.searchKey;
+    }
+
+    /**
+     * Key of the question bank's duplicate fingerprints. Like the search key it
+     * outlives data key rotation.
+     */
+    getFingerprintKey() {
+        this.requireOpen();
+        if (!this.fingerprintKey) {
+            this.fingerprintKey = crypto.randomBytes(32);
+            this.save();
+        }
+        return this.fingerprintKey;
+    }
+
+    /**
+     * Key of automatic backups, which hold decrypted rows sealed again under this
+     * key; they stay readable after the data keys are rotated.
+     */
+    getBackupKey() {
+        this.requireOpen();
+        if (!this.backupKey) {
+            this.backupKey = crypto.randomBytes(32);
+            this.save();
+        }
+        return this.backupKey;
+    }
+
+    /**
+     * Move the unprotected .key file of the createCipher implementation into the
+     * keystore. It stays there so database backups taken before the upgrade can
+     * still be restored and re-encrypted.
+     */
+    importLegacyKey() {
+        if (!fs.existsSync(this.legacyKeyPath)) return;
+
+        this.legacyKey = fs.readFileSync(this.legacyKeyPath);
+        this.save();
+        fs.unlinkSync(this.legacyKeyPath);
+        console.log('KeyStore: Moved the legacy database key into the keystore');
+    }
+
+    wrap(key) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.kek, iv);
+        const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+        return [iv, cipher.getAuthTag(), wrapped].map(part => part.toString('base64')).join(':');
+    }
+
+    unwrap(wrapped) {
+        const [iv, tag, key] = wrapped.split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.kek, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(key), decipher.final()]);
+    }
+
+    // Written to a temporary file and renamed so a crash never leaves a half-written keystore
+    save() {
+        this.data.keys = {};
+        this.keys.forEach((key, keyId) => { this.data.keys[keyId] = this.wrap(key); });
+        if (this.legacyKey) this.data.legacyKey = this.wrap(this.legacyKey);
+        if (this.searchKey) this.data.searchKey = this.wrap(this.searchKey);
+        if (this.fingerprintKey) this.data.fingerprintKey = this.wrap(this.fingerprintKey);
+        if (this.backupKey) this.data.backupKey = this.wrap(this.backupKey);
+
+        const temporary = `${this.path}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(temporary, this.path);
+    }
+
+    requireOpen() {
+        if (!this.data || !this.kek) {
+            throw new Error('The keystore is not open');
+        }
+    }
+
+    status() {
+        return {
+            protection: this.data ? this.data.protection : null,
+            keychainAvailable: !!this.keychain,
+            currentKeyId: this.data ? this.data.currentKeyId : null,
+            keyCount: this.keys.size,
+            createdAt: this.data ? this.data.createdAt : null,
+            rotatedAt: this.data ? this.data.rotatedAt || null : null
+        };
+    }
+}
+
+module.exports = KeyStore;
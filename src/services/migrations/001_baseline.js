@@ -0,0 +1,261 @@
+/**
+ * Migration 1: the schema as DatabaseService.createTables() created it before
+ * versioned migrations. Every statement is IF NOT EXISTS, so installs that
+ * predate schema_version adopt it without changes.
+ */
+module.exports = {
+    version: 1,
+    name: 'baseline',
+
+    up(db) {
+        // Sessions table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT UNIQUE NOT NULL,
+                company_name TEXT,
+                job_description TEXT,
+                start_time INTEGER NOT NULL,
+                end_time INTEGER,
+                status TEXT DEFAULT 'active',
+                model_used TEXT,
+                total_questions INTEGER DEFAULT 0,
+                total_responses INTEGER DEFAULT 0,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        // Questions table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS questions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                question_text TEXT NOT NULL,
+                question_type TEXT DEFAULT 'unknown',
+                confidence_score REAL DEFAULT 0.0,
+                source TEXT DEFAULT 'manual',
+                detected_at INTEGER DEFAULT (strftime('%s', 'now')),
+                context TEXT,
+                is_answered BOOLEAN DEFAULT 0,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
+            )
+        `);
+
+        // AI Responses table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ai_responses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                question_id INTEGER NOT NULL,
+                session_id TEXT NOT NULL,
+                response_text TEXT NOT NULL,
+                model_used TEXT NOT NULL,
+                response_time INTEGER,
+                token_count INTEGER,
+                confidence_score REAL DEFAULT 0.0,
+                user_rating INTEGER,
+                is_used BOOLEAN DEFAULT 0,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                FOREIGN KEY (question_id) REFERENCES questions (id),
+                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
+            )
+        `);
+
+        // User preferences table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS user_preferences (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT UNIQUE NOT NULL,
+                value TEXT NOT NULL,
+                data_type TEXT DEFAULT 'string',
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        // Resume data table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS resume_data (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                file_name TEXT NOT NULL,
+                file_path TEXT,
+                content TEXT NOT NULL,
+                skills TEXT,
+                experience TEXT,
+                education TEXT,
+                uploaded_at INTEGER DEFAULT (strftime('%s', 'now')),
+                is_active BOOLEAN DEFAULT 1
+            )
+        `);
+
+        // Analytics table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS analytics (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event_type TEXT NOT NULL,
+                event_data TEXT,
+                session_id TEXT,
+                timestamp INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        // Rubric feedback on practice answers
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS answer_feedback (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                question_id INTEGER NOT NULL,
+                session_id TEXT NOT NULL,
+                answer_text TEXT NOT NULL,
+                answer_source TEXT DEFAULT 'typed',
+                question_type TEXT,
+                overall_score INTEGER,
+                feedback TEXT,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                FOREIGN KEY (question_id) REFERENCES questions (id),
+                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
+            )
+        `);
+
+        // Diarized candidate speech, kept apart from the interviewer's questions
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS spoken_answers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                question_id INTEGER,
+                speaker_id TEXT,
+                channel TEXT,
+                answer_text TEXT NOT NULL,
+                start_time INTEGER,
+                end_time INTEGER,
+                confidence REAL,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                FOREIGN KEY (question_id) REFERENCES questions (id),
+                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
+            )
+        `);
+
+        // Time-stamped transcript of every final transcription in a session
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS transcript_segments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                segment_text TEXT NOT NULL,
+                speaker_id TEXT,
+                speaker_role TEXT,
+                speaker_label TEXT,
+                channel TEXT,
+                source TEXT,
+                confidence REAL,
+                start_time INTEGER NOT NULL,
+                end_time INTEGER,
+                question_id INTEGER,
+                response_id INTEGER,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                FOREIGN KEY (question_id) REFERENCES questions (id),
+                FOREIGN KEY (response_id) REFERENCES ai_responses (id),
+                FOREIGN KEY (session_id) REFERENCES sessions (session_id)
+            )
+        `);
+
+        // Deduplicated questions scheduled for spaced-repetition practice
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS question_bank (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                question_text TEXT NOT NULL,
+                fingerprint TEXT UNIQUE NOT NULL,
+                question_type TEXT,
+                sub_categories TEXT,
+                category TEXT,
+                skill TEXT,
+                source TEXT,
+                occurrences INTEGER DEFAULT 1,
+                first_seen INTEGER NOT NULL,
+                last_seen INTEGER NOT NULL,
+                repetitions INTEGER DEFAULT 0,
+                interval_days REAL DEFAULT 0,
+                ease_factor REAL DEFAULT 2.5,
+                due_at INTEGER NOT NULL,
+                review_count INTEGER DEFAULT 0,
+                last_score INTEGER,
+                last_reviewed_at INTEGER,
+                suspended BOOLEAN DEFAULT 0,
+                created_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        // Which bank entry each stored question was merged into (none for questions too short to bank), and whether its feedback was applied
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS question_bank_links (
+                question_id INTEGER PRIMARY KEY,
+                bank_id INTEGER,
+                reviewed_at INTEGER,
+                FOREIGN KEY (question_id) REFERENCES questions (id),
+                FOREIGN KEY (bank_id) REFERENCES question_bank (id)
+            )
+        `);
+
+        // Curated question packs imported from files
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS question_packs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                pack_key TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                author TEXT,
+                tags TEXT,
+                source_format TEXT,
+                imported_at INTEGER NOT NULL
+            )
+        `);
+
+        // Pack metadata of bank questions: difficulty, reference answer, rubric and tags
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS question_bank_details (
+                bank_id INTEGER PRIMARY KEY,
+                pack_id INTEGER,
+                difficulty TEXT,
+                reference_answer TEXT,
+                rubric TEXT,
+                tags TEXT,
+                updated_at INTEGER NOT NULL,
+                FOREIGN KEY (bank_id) REFERENCES question_bank (id),
+                FOREIGN KEY (pack_id) REFERENCES question_packs (id)
+            )
+        `);
+
+        // Create indexes for better performance
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status);
+            CREATE INDEX IF NOT EXISTS idx_questions_session ON questions(session_id);
+            CREATE INDEX IF NOT EXISTS idx_responses_question ON ai_responses(question_id);
+            CREATE INDEX IF NOT EXISTS idx_analytics_type ON analytics(event_type);
+            CREATE INDEX IF NOT EXISTS idx_analytics_session ON analytics(session_id);
+            CREATE INDEX IF NOT EXISTS idx_feedback_question ON answer_feedback(question_id);
+            CREATE INDEX IF NOT EXISTS idx_feedback_session ON answer_feedback(session_id);
+            CREATE INDEX IF NOT EXISTS idx_spoken_answers_session ON spoken_answers(session_id);
+            CREATE INDEX IF NOT EXISTS idx_transcript_session ON transcript_segments(session_id, start_time);
+            CREATE INDEX IF NOT EXISTS idx_question_bank_due ON question_bank(due_at);
+            CREATE INDEX IF NOT EXISTS idx_question_bank_links_bank ON question_bank_links(bank_id);
+            CREATE INDEX IF NOT EXISTS idx_question_bank_details_pack ON question_bank_details(pack_id);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS question_bank_details;
+            DROP TABLE IF EXISTS question_packs;
+            DROP TABLE IF EXISTS question_bank_links;
+            DROP TABLE IF EXISTS question_bank;
+            DROP TABLE IF EXISTS transcript_segments;
+            DROP TABLE IF EXISTS spoken_answers;
+            DROP TABLE IF EXISTS answer_feedback;
+            DROP TABLE IF EXISTS analytics;
+            DROP TABLE IF EXISTS resume_data;
+            DROP TABLE IF EXISTS user_preferences;
+            DROP TABLE IF EXISTS ai_responses;
+            DROP TABLE IF EXISTS questions;
+            DROP TABLE IF EXISTS sessions;
+        `);
+    }
+};
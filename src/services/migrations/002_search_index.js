@@ -0,0 +1,37 @@
+/**
+ * Migration 2: full-text search. `search_index` is a contentless FTS5 table of
+ * keyed term hashes (see search/SearchIndex.js); `search_documents` says which
+ * row each entry belongs to. Existing rows are indexed on the next start.
+ */
+module.exports = {
+    version: 2,
+    name: 'search_index',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS search_documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                doc_type TEXT NOT NULL,
+                doc_id TEXT NOT NULL,
+                session_id TEXT,
+                question_type TEXT,
+                model TEXT,
+                created_at INTEGER NOT NULL,
+                UNIQUE (doc_type, doc_id)
+            )
+        `);
+
+        db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(terms, content='', contentless_delete=1);
+            CREATE INDEX IF NOT EXISTS idx_search_documents_created ON search_documents(created_at);
+            CREATE INDEX IF NOT EXISTS idx_search_documents_session ON search_documents(session_id);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP TABLE IF EXISTS search_index;
+            DROP TABLE IF EXISTS search_documents;
+        `);
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration 3: profiles, one per candidate or target role, each with the
+ * company and job description last used with it and notes on the company.
+ * Sessions, resumes and analytics events belong to a profile; everything
+ * stored before goes to the "Default" profile. Questions, answers and
+ * transcripts belong to their session's profile; the question bank and
+ * preferences are shared.
+ */
+module.exports = {
+    version: 3,
+    name: 'profiles',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS profiles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                target_role TEXT,
+                company_name TEXT,
+                job_description TEXT,
+                company_notes TEXT,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+        db.prepare("INSERT INTO profiles (name) SELECT 'Default' WHERE NOT EXISTS (SELECT 1 FROM profiles)").run();
+        const defaultProfile = db.prepare('SELECT MIN(id) AS id FROM profiles').get().id;
+
+        // Without REFERENCES: SQLite cannot drop a column that is part of a foreign key
+        ['sessions', 'resume_data', 'analytics'].forEach(table => {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN profile_id INTEGER`);
+            db.prepare(`UPDATE ${table} SET profile_id = ?`).run(defaultProfile);
+        });
+
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_sessions_profile ON sessions(profile_id, start_time);
+            CREATE INDEX IF NOT EXISTS idx_resume_data_profile ON resume_data(profile_id);
+            CREATE INDEX IF NOT EXISTS idx_analytics_profile ON analytics(profile_id, timestamp);
+        `);
+    },
+
+    down(db) {
+        db.exec(`
+            DROP INDEX IF EXISTS idx_analytics_profile;
+            DROP INDEX IF EXISTS idx_resume_data_profile;
+            DROP INDEX IF EXISTS idx_sessions_profile;
+            ALTER TABLE analytics DROP COLUMN profile_id;
+            ALTER TABLE resume_data DROP COLUMN profile_id;
+            ALTER TABLE sessions DROP COLUMN profile_id;
+            DROP TABLE IF EXISTS profiles;
+        `);
+    }
+};
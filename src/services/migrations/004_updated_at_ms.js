@@ -0,0 +1,21 @@
+/**
+ * Migration 4: `updated_at` in milliseconds. The column defaults wrote seconds
+ * while updates wrote Date.now(), so sessions, profiles and preferences held
+ * both. Values below 1e11 (1973 in ms, the year 5138 in seconds) are seconds.
+ * New rows set updated_at themselves; the defaults are left as they are.
+ */
+const TABLES = ['sessions', 'profiles', 'user_preferences'];
+
+module.exports = {
+    version: 4,
+    name: 'updated_at_ms',
+
+    up(db) {
+        TABLES.forEach(table => {
+            db.prepare(`UPDATE ${table} SET updated_at = updated_at * 1000 WHERE updated_at < 100000000000`).run();
+        });
+    },
+
+    // Version 3 wrote milliseconds on every update too, so there is nothing to undo
+    down() {}
+};
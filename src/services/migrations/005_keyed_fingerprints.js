@@ -0,0 +1,18 @@
+/**
+ * Migration 5: keyed question bank fingerprints. Version 4 stored an unkeyed
+ * SHA-256 of each normalized question next to its encrypted text, so guessed
+ * questions could be confirmed from the database file alone. The hashes are
+ * replaced by placeholders here; DatabaseService computes the keyed
+ * fingerprints on the next start, since migrations run without the keys.
+ */
+module.exports = {
+    version: 5,
+    name: 'keyed_fingerprints',
+
+    up(db) {
+        db.prepare("UPDATE question_bank SET fingerprint = 'unkeyed:' || id").run();
+    },
+
+    // Keyed fingerprints never equal the hashes version 4 computes, which then falls back to fuzzy matching
+    down() {}
+};
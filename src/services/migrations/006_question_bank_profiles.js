@@ -0,0 +1,38 @@
+/**
+ * Migration 6: the question bank belongs to a profile, so candidates coached
+ * on one installation do not share due cards and review schedules. Entries go
+ * to the profile of the first session they were asked in, or to the first
+ * profile. Fingerprints are keyed with the profile as well (see
+ * questionbank/fingerprint.js); they are dropped here and recomputed on the
+ * next start.
+ */
+module.exports = {
+    version: 6,
+    name: 'question_bank_profiles',
+
+    up(db) {
+        const firstProfile = db.prepare('SELECT MIN(id) AS id FROM profiles').get().id;
+
+        // Without REFERENCES: SQLite cannot drop a column that is part of a foreign key
+        db.exec('ALTER TABLE question_bank ADD COLUMN profile_id INTEGER');
+        db.prepare(`
+            UPDATE question_bank SET
+                profile_id = COALESCE((
+                    SELECT s.profile_id FROM question_bank_links l
+                    JOIN questions q ON q.id = l.question_id
+                    JOIN sessions s ON s.session_id = q.session_id
+                    WHERE l.bank_id = question_bank.id
+                    ORDER BY q.id LIMIT 1
+                ), ?),
+                fingerprint = 'unkeyed:' || id
+        `).run(firstProfile);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_question_bank_profile ON question_bank(profile_id, due_at)');
+    },
+
+    down(db) {
+        db.exec(`
+            DROP INDEX IF EXISTS idx_question_bank_profile;
+            ALTER TABLE question_bank DROP COLUMN profile_id;
+        `);
+    }
+};
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+// Copies of the database file, written before migrations and restores
+const BACKUP_FILE = /^mockmate-v\d+-.+\.db$/;
+
+/**
+ * Versioned schema migrations for a better-sqlite3 database.
+ *
+ * Applied versions are recorded in `schema_version`. Each migration runs in
+ * its own transaction together with its schema_version row, so a failing
+ * migration leaves the database at the previous version. Before changing a
+ * database that already has tables, a copy is written to the backup directory;
+ * only the newest `keepBackups` copies are kept there.
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} options - { db, migrations: [{ version, name, up, down }], backupDir, keepBackups }
+     */
+    constructor({ db, migrations, backupDir = null, keepBackups = 10 }) {
+        this.db = db;
+        this.backupDir = backupDir;
+        this.keepBackups = keepBackups;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        this.migrations.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw new Error(`Invalid migration version: ${migration.version}`);
+            }
+            if (index > 0 && this.migrations[index - 1].version === migration.version) {
+                throw new Error(`Duplicate migration version: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${migration.version} needs up() and down()`);
+            }
+        });
+    }
+
+    get latestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    ensureVersionTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_version (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at INTEGER NOT NULL
+            )
+        `);
+    }
+
+    getAppliedMigrations() {
+        this.ensureVersionTable();
+        return this.db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version ASC').all();
+    }
+
+    getCurrentVersion() {
+        this.ensureVersionTable();
+        return this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+    }
+
+    /**
+     * @returns {{ currentVersion, latestVersion, applied, pending, unknown }}
+     */
+    getStatus() {
+        const applied = this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const currentVersion = this.getCurrentVersion();
+
+        return {
+            currentVersion,
+            latestVersion: this.latestVersion,
+            applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+            pending: this.migrations
+                .filter(migration => !appliedVersions.has(migration.version))
+                .map(migration => ({ version: migration.version, name: migration.name })),
+            // Applied by a newer version of the app
+            unknown: applied.filter(row => !this.migrations.some(migration => migration.version === row.version)).map(row => row.version)
+        };
+    }
+
+    /**
+     * Apply pending migrations up to `to`, or revert applied ones above it
+     *
+     * @param {Object} options - { to: target version (defaults to the latest), backup }
+     * @returns {Promise<{ from, to, applied, reverted, backupPath }>}
+     */
+    async migrate({ to = this.latestVersion, backup = true } = {}) {
+        const status = this.getStatus();
+        if (status.unknown.length > 0) {
+            throw new Error(`Database schema version ${status.currentVersion} is newer than this app supports (${this.latestVersion})`);
+        }
+        if (to !== 0 && !this.migrations.some(migration => migration.version === to)) {
+            throw new Error(`Unknown schema version: ${to}`);
+        }
+
+        const appliedVersions = new Set(status.applied.map(row => row.version));
+        const toApply = this.migrations.filter(migration => migration.version <= to && !appliedVersions.has(migration.version));
+        const toRevert = this.migrations.filter(migration => migration.version > to && appliedVersions.has(migration.version)).reverse();
+        const result = { from: status.currentVersion, to: status.currentVersion, applied: [], reverted: [], backupPath: null };
+        if (toApply.length === 0 && toRevert.length === 0) return result;
+
+        if (backup && this.hasUserTables()) {
+            result.backupPath = await this.backup(status.currentVersion);
+        }
+
+        for (const migration of toRevert) {
+            this.run(migration, 'down');
+            result.reverted.push(migration.version);
+        }
+        for (const migration of toApply) {
+            this.run(migration, 'up');
+            result.applied.push(migration.version);
+        }
+
+        result.to = this.getCurrentVersion();
+        return result;
+    }
+
+    run(migration, direction) {
+        const apply = this.db.transaction(() => {
+            migration[direction](this.db);
+            if (direction === 'up') {
+                this.db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)').run(migration.version, migration.name, Date.now());
+            } else {
+                this.db.prepare('DELETE FROM schema_version WHERE version = ?').run(migration.version);
+            }
+        });
+
+        try {
+            apply();
+            console.log(`Schema migration ${migration.version} (${migration.name}) ${direction === 'up' ? 'applied' : 'reverted'}`);
+        } catch (error) {
+            throw new Error(`Schema migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`);
+        }
+    }
+
+    hasUserTables() {
+        return !!this.db.prepare(`
+            SELECT 1 FROM sqlite_master
+            WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+            LIMIT 1
+        `).get();
+    }
+
+    /**
+     * Online copy of the whole database before migrating
+     */
+    async backup(fromVersion) {
+        if (!this.backupDir) return null;
+        fs.mkdirSync(this.backupDir, { recursive: true });
+
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(this.backupDir, `mockmate-v${fromVersion}-${stamp}.db`);
+        await this.db.backup(backupPath);
+        console.log(`Database backed up to ${backupPath}`);
+
+        const removed = this.pruneBackups();
+        if (removed.length > 0) {
+            console.log(`Removed ${removed.length} old database backup(s)`);
+        }
+        return backupPath;
+    }
+
+    /**
+     * Database copies in the backup directory, newest first
+     */
+    listBackups() {
+        if (!this.backupDir || !fs.existsSync(this.backupDir)) return [];
+        return fs.readdirSync(this.backupDir)
+            .filter(fileName => BACKUP_FILE.test(fileName))
+            .map(fileName => ({ fileName, filePath: path.join(this.backupDir, fileName), createdAt: fs.statSync(path.join(this.backupDir, fileName)).mtimeMs }))
+            .sort((a, b) => b.createdAt - a.createdAt || b.fileName.localeCompare(a.fileName));
+    }
+
+    pruneBackups(keep = this.keepBackups) {
+        const removed = this.listBackups().slice(keep);
+        removed.forEach(backup => fs.rmSync(backup.filePath, { force: true }));
+        return removed.map(backup => backup.fileName);
+    }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,148 @@
+// Errors of a migration that another client applied at the same time
+const CONCURRENT_APPLY_ERRORS = new Set([
+    '23505', // unique_violation: the schema_version row or a catalog entry
+    '42P07'  // duplicate_table
+]);
+
+/**
+ * Versioned schema migrations for the team Postgres database.
+ *
+ * The Postgres counterpart of MigrationRunner: applied versions are recorded
+ * in `schema_version`, and each migration runs in one transaction with its
+ * schema_version row (DDL is transactional in Postgres), so a failing migration
+ * leaves the database at the previous version. There is no file backup; the
+ * server's own backups cover it.
+ *
+ * Several trainees' apps may migrate the same server at once. The one that
+ * loses the race fails on the schema_version row (or the tables it creates)
+ * and rolls back; the version is then applied, so it carries on.
+ */
+class PostgresMigrationRunner {
+    /**
+     * @param {Object} options - { postgres: PostgresService (query, transaction), migrations: [{ version, name, up, down }] }
+     */
+    constructor({ postgres, migrations }) {
+        this.postgres = postgres;
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+        this.migrations.forEach((migration, index) => {
+            if (!Number.isInteger(migration.version) || migration.version < 1) {
+                throw new Error(`Invalid migration version: ${migration.version}`);
+            }
+            if (index > 0 && this.migrations[index - 1].version === migration.version) {
+                throw new Error(`Duplicate migration version: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${migration.version} needs up() and down()`);
+            }
+        });
+    }
+
+    get latestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    // Looked up first rather than CREATE TABLE IF NOT EXISTS alone, which pg-mem rejects for an existing table
+    async ensureVersionTable() {
+        const [exists] = await this.postgres.query(`
+            SELECT 1 FROM information_schema.tables
+            WHERE table_schema = current_schema() AND table_name = 'schema_version'
+        `);
+        if (exists) return;
+
+        try {
+            await this.postgres.query(`
+                CREATE TABLE IF NOT EXISTS schema_version (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at BIGINT NOT NULL
+                )
+            `);
+        } catch (error) {
+            if (!CONCURRENT_APPLY_ERRORS.has(error.code)) throw error;
+        }
+    }
+
+    async getAppliedMigrations() {
+        await this.ensureVersionTable();
+        const rows = await this.postgres.query('SELECT version, name, applied_at FROM schema_version ORDER BY version ASC');
+        return rows.map(row => ({ version: Number(row.version), name: row.name, appliedAt: Number(row.applied_at) }));
+    }
+
+    /**
+     * @returns {Promise<{ currentVersion, latestVersion, applied, pending, unknown }>}
+     */
+    async getStatus() {
+        const applied = await this.getAppliedMigrations();
+        const appliedVersions = new Set(applied.map(row => row.version));
+
+        return {
+            currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            latestVersion: this.latestVersion,
+            applied,
+            pending: this.migrations
+                .filter(migration => !appliedVersions.has(migration.version))
+                .map(migration => ({ version: migration.version, name: migration.name })),
+            // Applied by a newer version of the app
+            unknown: applied.filter(row => !this.migrations.some(migration => migration.version === row.version)).map(row => row.version)
+        };
+    }
+
+    /**
+     * Apply pending migrations up to `to`, or revert applied ones above it
+     *
+     * @param {Object} options - { to: target version (defaults to the latest) }
+     * @returns {Promise<{ from, to, applied, reverted }>}
+     */
+    async migrate({ to = this.latestVersion } = {}) {
+        const status = await this.getStatus();
+        if (status.unknown.length > 0) {
+            throw new Error(`Team database schema version ${status.currentVersion} is newer than this app supports (${this.latestVersion})`);
+        }
+        if (to !== 0 && !this.migrations.some(migration => migration.version === to)) {
+            throw new Error(`Unknown schema version: ${to}`);
+        }
+
+        const appliedVersions = new Set(status.applied.map(row => row.version));
+        const toApply = this.migrations.filter(migration => migration.version <= to && !appliedVersions.has(migration.version));
+        const toRevert = this.migrations.filter(migration => migration.version > to && appliedVersions.has(migration.version)).reverse();
+        const result = { from: status.currentVersion, to: status.currentVersion, applied: [], reverted: [] };
+
+        for (const migration of toRevert) {
+            await this.run(migration, 'down');
+            result.reverted.push(migration.version);
+        }
+        for (const migration of toApply) {
+            if (await this.run(migration, 'up')) result.applied.push(migration.version);
+        }
+
+        result.to = (await this.getStatus()).currentVersion;
+        return result;
+    }
+
+    /**
+     * @returns {Promise<boolean>} false when another client applied the migration first
+     */
+    async run(migration, direction) {
+        try {
+            await this.postgres.transaction(async client => {
+                await migration[direction](client);
+                if (direction === 'up') {
+                    await client.query('INSERT INTO schema_version (version, name, applied_at) VALUES ($1, $2, $3)', [migration.version, migration.name, Date.now()]);
+                } else {
+                    await client.query('DELETE FROM schema_version WHERE version = $1', [migration.version]);
+                }
+            }, { retries: 0 });
+            console.log(`Team database migration ${migration.version} (${migration.name}) ${direction === 'up' ? 'applied' : 'reverted'}`);
+            return true;
+        } catch (error) {
+            if (direction === 'up' && CONCURRENT_APPLY_ERRORS.has(error.code)) {
+                const applied = await this.getAppliedMigrations();
+                if (applied.some(row => row.version === migration.version)) return false;
+            }
+            throw new Error(`Team database migration ${migration.version} (${migration.name}) ${direction} failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = PostgresMigrationRunner;
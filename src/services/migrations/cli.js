@@ -0,0 +1,125 @@
+/**
+ * Schema migrations from the command line, without starting the app:
+ *
+ *   npm run db:migrate -- status            applied and pending migrations
+ *   npm run db:migrate -- up [version]      apply pending migrations (up to version)
+ *   npm run db:migrate -- down <version>    revert migrations above version (0 reverts all)
+ *
+ * `--db <path>` selects another database file (default ~/.mockmate/mockmate.db).
+ * `--postgres` migrates the team Postgres database configured by the DB_*
+ * variables (.env is read) instead.
+ * Runs under Electron because better-sqlite3 is built for its Node version.
+ * Migrations only touch the schema, so the encryption keys are not needed.
+ */
+const Database = require('better-sqlite3');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const MigrationRunner = require('./MigrationRunner');
+const migrations = require('./index');
+
+function parseArgs(argv) {
+    const postgres = argv.includes('--postgres');
+    const args = argv.slice(2).filter(arg => !arg.startsWith('--') || arg === '--db');
+    const dbIndex = args.indexOf('--db');
+    const dbPath = dbIndex >= 0 ? args.splice(dbIndex, 2)[1] : path.join(os.homedir(), '.mockmate', 'mockmate.db');
+    const [command = 'status', version] = args;
+    return { command, version: version === undefined ? undefined : Number(version), dbPath, postgres };
+}
+
+function printStatus(status) {
+    console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}`);
+    status.applied.forEach(migration => {
+        console.log(`  applied  ${String(migration.version).padStart(3, '0')} ${migration.name} (${new Date(migration.appliedAt).toISOString()})`);
+    });
+    status.pending.forEach(migration => {
+        console.log(`  pending  ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+    });
+    if (status.unknown.length > 0) {
+        console.log(`  unknown  ${status.unknown.join(', ')} (applied by a newer version of the app)`);
+    }
+}
+
+// Why `target` cannot be reached with `command` from `current`, or null when it can
+function directionError(command, target, current) {
+    if (command === 'up' ? target < current : target > current) {
+        return `The database is at version ${current}; use ${command === 'up' ? 'down' : 'up'} to go to ${target}`;
+    }
+    return null;
+}
+
+async function migratePostgres(command, version) {
+    require('dotenv').config();
+    const PostgresService = require('../PostgresService');
+    const postgres = new PostgresService();
+    if (!postgres.isEnabled) {
+        console.error('No team database configured (DB_USER and DB_PASSWORD)');
+        return 1;
+    }
+
+    try {
+        const runner = postgres.getMigrationRunner();
+        if (command !== 'status') {
+            const target = command === 'up' ? (version ?? runner.latestVersion) : version;
+            const error = directionError(command, target, (await runner.getStatus()).currentVersion);
+            if (error) {
+                console.error(error);
+                return 1;
+            }
+
+            const result = await runner.migrate({ to: target });
+            console.log(`Migrated from version ${result.from} to ${result.to}`);
+        }
+        printStatus(await runner.getStatus());
+        return 0;
+    } finally {
+        await postgres.close();
+    }
+}
+
+async function main() {
+    const { command, version, dbPath, postgres } = parseArgs(process.argv);
+    if (!['status', 'up', 'down'].includes(command) || (version !== undefined && !Number.isInteger(version))) {
+        console.error('Usage: db:migrate [status | up [version] | down <version>] [--db <path> | --postgres]');
+        return 1;
+    }
+    if (command === 'down' && version === undefined) {
+        console.error('down needs the version to migrate to');
+        return 1;
+    }
+    if (postgres) {
+        return migratePostgres(command, version);
+    }
+    if (!fs.existsSync(dbPath)) {
+        console.error(`No database at ${dbPath}`);
+        return 1;
+    }
+
+    const db = new Database(dbPath);
+    try {
+        const runner = new MigrationRunner({ db, migrations, backupDir: path.join(path.dirname(dbPath), 'backups') });
+        if (command !== 'status') {
+            const target = command === 'up' ? (version ?? runner.latestVersion) : version;
+            const error = directionError(command, target, runner.getCurrentVersion());
+            if (error) {
+                console.error(error);
+                return 1;
+            }
+
+            const result = await runner.migrate({ to: target });
+            if (result.backupPath) console.log(`Backup: ${result.backupPath}`);
+            console.log(`Migrated from version ${result.from} to ${result.to}`);
+        }
+        printStatus(runner.getStatus());
+        return 0;
+    } finally {
+        db.close();
+    }
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,12 @@
+/**
+ * Schema migrations in version order. Add new ones as NNN_description.js with
+ * { version, name, up(db), down(db) } and list them here; never edit one that has shipped.
+ */
+module.exports = [
+    require('./001_baseline'),
+    require('./002_search_index'),
+    require('./003_profiles'),
+    require('./004_updated_at_ms'),
+    require('./005_keyed_fingerprints'),
+    require('./006_question_bank_profiles')
+];
@@ -0,0 +1,46 @@
+/**
+ * Postgres migration 1: the tables of db_schema.sql (companies, job
+ * descriptions and resumes). Every statement is IF NOT EXISTS, so servers set
+ * up from db_schema.sql before versioned migrations adopt it without changes.
+ */
+module.exports = {
+    version: 1,
+    name: 'baseline',
+
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS companies (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL UNIQUE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS job_descriptions (
+                id SERIAL PRIMARY KEY,
+                company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+                title TEXT,
+                description TEXT NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS resumes (
+                id SERIAL PRIMARY KEY,
+                candidate_name TEXT,
+                file_path TEXT,
+                extracted_text TEXT,
+                structured_data JSONB,
+                uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS resumes');
+        await db.query('DROP TABLE IF EXISTS job_descriptions');
+        await db.query('DROP TABLE IF EXISTS companies');
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * Postgres migration 2: practice data of a team, one trainee per installation.
+ *
+ * Rows are scoped by trainee. Rows synced from a trainee's local database keep
+ * its row id in `local_id`, so syncing again updates them instead of adding
+ * copies; rows written through PostgresRepository directly have none. Times
+ * are epoch milliseconds, like sessions.start_time in the local database.
+ */
+module.exports = {
+    version: 2,
+    name: 'team_practice',
+
+    async up(db) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trainees (
+                id SERIAL PRIMARY KEY,
+                device_id TEXT NOT NULL UNIQUE,
+                display_name TEXT,
+                created_at BIGINT NOT NULL,
+                last_sync_at BIGINT
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS practice_sessions (
+                id SERIAL PRIMARY KEY,
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                session_id TEXT NOT NULL,
+                company_name TEXT,
+                job_description TEXT,
+                model_used TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                start_time BIGINT NOT NULL,
+                end_time BIGINT,
+                updated_at BIGINT NOT NULL,
+                UNIQUE (trainee_id, session_id)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS practice_questions (
+                id SERIAL PRIMARY KEY,
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                session_id TEXT NOT NULL,
+                local_id INTEGER,
+                question_text TEXT NOT NULL,
+                question_type TEXT,
+                confidence_score REAL,
+                source TEXT,
+                is_answered BOOLEAN NOT NULL DEFAULT FALSE,
+                detected_at BIGINT NOT NULL,
+                UNIQUE (trainee_id, local_id),
+                FOREIGN KEY (trainee_id, session_id) REFERENCES practice_sessions (trainee_id, session_id) ON DELETE CASCADE
+            )
+        `);
+
+        // AI answers
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS practice_responses (
+                id SERIAL PRIMARY KEY,
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                session_id TEXT NOT NULL,
+                local_id INTEGER,
+                question_id INTEGER NOT NULL REFERENCES practice_questions(id) ON DELETE CASCADE,
+                response_text TEXT NOT NULL,
+                model_used TEXT,
+                response_time INTEGER,
+                token_count INTEGER,
+                user_rating INTEGER,
+                created_at BIGINT NOT NULL,
+                UNIQUE (trainee_id, local_id)
+            )
+        `);
+
+        // The trainee's own answers with their rubric feedback
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS practice_answers (
+                id SERIAL PRIMARY KEY,
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                session_id TEXT NOT NULL,
+                local_id INTEGER,
+                question_id INTEGER NOT NULL REFERENCES practice_questions(id) ON DELETE CASCADE,
+                answer_text TEXT NOT NULL,
+                answer_source TEXT,
+                question_type TEXT,
+                overall_score INTEGER,
+                feedback JSONB,
+                created_at BIGINT NOT NULL,
+                UNIQUE (trainee_id, local_id)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS trainee_preferences (
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                key TEXT NOT NULL,
+                value JSONB,
+                updated_at BIGINT NOT NULL,
+                PRIMARY KEY (trainee_id, key)
+            )
+        `);
+
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS practice_events (
+                id SERIAL PRIMARY KEY,
+                trainee_id INTEGER NOT NULL REFERENCES trainees(id) ON DELETE CASCADE,
+                event_type TEXT NOT NULL,
+                event_data JSONB,
+                session_id TEXT,
+                occurred_at BIGINT NOT NULL
+            )
+        `);
+
+        await db.query('CREATE INDEX IF NOT EXISTS idx_practice_sessions_trainee ON practice_sessions (trainee_id, start_time)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_practice_questions_session ON practice_questions (trainee_id, session_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_practice_responses_session ON practice_responses (trainee_id, session_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_practice_answers_session ON practice_answers (trainee_id, session_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_practice_events_trainee ON practice_events (trainee_id, occurred_at)');
+    },
+
+    async down(db) {
+        await db.query('DROP TABLE IF EXISTS practice_events');
+        await db.query('DROP TABLE IF EXISTS trainee_preferences');
+        await db.query('DROP TABLE IF EXISTS practice_answers');
+        await db.query('DROP TABLE IF EXISTS practice_responses');
+        await db.query('DROP TABLE IF EXISTS practice_questions');
+        await db.query('DROP TABLE IF EXISTS practice_sessions');
+        await db.query('DROP TABLE IF EXISTS trainees');
+    }
+};
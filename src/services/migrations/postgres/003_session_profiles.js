@@ -0,0 +1,16 @@
+/**
+ * Postgres migration 3: the name of the local profile a synced session was
+ * practised under, so coaches can tell a trainee's target roles apart.
+ */
+module.exports = {
+    version: 3,
+    name: 'session_profiles',
+
+    async up(db) {
+        await db.query('ALTER TABLE practice_sessions ADD COLUMN IF NOT EXISTS profile_name TEXT');
+    },
+
+    async down(db) {
+        await db.query('ALTER TABLE practice_sessions DROP COLUMN IF EXISTS profile_name');
+    }
+};
@@ -0,0 +1,10 @@
+/**
+ * Postgres schema migrations in version order, run by PostgresMigrationRunner.
+ * Add new ones as NNN_description.js with { version, name, async up(db), async down(db) }
+ * (db is a client with query(text, params)) and list them here; never edit one that has shipped.
+ */
+module.exports = [
+    require('./001_baseline'),
+    require('./002_team_practice'),
+    require('./003_session_profiles')
+];
@@ -0,0 +1,248 @@
+/**
+ * Question pack file formats.
+ *
+ * Native (.mmpack.json): { format: 'mockmate-question-pack', version, pack, questions }
+ * where pack is { id, name, description, author, tags } and each question is
+ * { text, type, subCategories, difficulty, referenceAnswer, rubric, tags }.
+ * rubric is a list of { criterion, description, weight }.
+ *
+ * Plain JSON: an array of questions, or an object with a `questions` array and
+ * optional pack fields. Question keys may be snake_case (sub_category, reference_answer).
+ *
+ * CSV: one question per row with a header row. Columns: text (or question),
+ * type, sub_category, difficulty, reference_answer, rubric, tags. Lists are
+ * separated by `;` or `|`; a rubric is either JSON or `criterion: description`
+ * items, optionally with `=weight` ("STAR structure=0.4; Impact: mentions numbers").
+ *
+ * Parsers return raw { pack, questions } for the validator; nothing is checked here.
+ */
+
+const PACK_FORMAT = 'mockmate-question-pack';
+const PACK_VERSION = 1;
+
+const CSV_COLUMNS = ['text', 'type', 'sub_category', 'difficulty', 'reference_answer', 'rubric', 'tags'];
+
+const COLUMN_ALIASES = {
+    question: 'text',
+    question_text: 'text',
+    question_type: 'type',
+    category: 'type',
+    subcategory: 'sub_category',
+    sub_categories: 'sub_category',
+    subcategories: 'sub_category',
+    level: 'difficulty',
+    answer: 'reference_answer',
+    model_answer: 'reference_answer',
+    referenceanswer: 'reference_answer',
+    tag: 'tags'
+};
+
+function splitList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null || value === '') return [];
+    return String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+}
+
+// Question keys from any of the accepted spellings
+function fromRawQuestion(raw) {
+    if (typeof raw === 'string') return { text: raw };
+    if (!raw || typeof raw !== 'object') return raw;
+
+    const {
+        question, subCategory, sub_category, sub_categories, reference_answer, answer,
+        ...rest
+    } = raw;
+    const subCategories = raw.subCategories ?? sub_categories ?? subCategory ?? sub_category;
+    return {
+        ...rest,
+        text: raw.text ?? question,
+        subCategories: subCategories === undefined ? undefined : splitList(subCategories),
+        referenceAnswer: raw.referenceAnswer ?? reference_answer ?? answer,
+        tags: raw.tags === undefined ? undefined : splitList(raw.tags)
+    };
+}
+
+function parseJSONPack(content) {
+    let data;
+    try {
+        data = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+        return { format: 'json', pack: {}, questions: data.map(fromRawQuestion) };
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('Expected a question pack object or an array of questions');
+    }
+
+    const native = data.format === PACK_FORMAT;
+    const { questions, pack, format, version, ...packFields } = data;
+    return {
+        format: native ? 'native' : 'json',
+        version: native ? version : undefined,
+        pack: native ? (pack || {}) : { ...packFields, ...(pack || {}) },
+        questions: Array.isArray(questions) ? questions.map(fromRawQuestion) : questions
+    };
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain separators, quotes ("") and line breaks
+ */
+function parseCSVRows(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// "STAR structure=0.4; Impact: mentions numbers" or a JSON rubric
+function parseRubricCell(value) {
+    const trimmed = (value || '').trim();
+    if (!trimmed) return undefined;
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return trimmed; // Left for the validator to report
+        }
+    }
+
+    return splitList(trimmed).map(item => {
+        const weightMatch = item.match(/=\s*([\d.]+)\s*$/);
+        const body = weightMatch ? item.slice(0, weightMatch.index).trim() : item;
+        const separator = body.indexOf(':');
+        return {
+            criterion: (separator >= 0 ? body.slice(0, separator) : body).trim(),
+            description: separator >= 0 ? body.slice(separator + 1).trim() : undefined,
+            weight: weightMatch ? Number(weightMatch[1]) : undefined
+        };
+    });
+}
+
+function parseCSVPack(content) {
+    const rows = parseCSVRows(content);
+    if (rows.length < 2) {
+        throw new Error('CSV needs a header row and at least one question');
+    }
+
+    const header = rows[0].map(cell => {
+        const key = cell.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        return COLUMN_ALIASES[key] || key;
+    });
+    if (!header.includes('text')) {
+        throw new Error('CSV header needs a "text" or "question" column');
+    }
+
+    const questions = rows.slice(1).map(cells => {
+        const raw = {};
+        header.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+            if (value !== '') raw[column] = value;
+        });
+        return {
+            text: raw.text,
+            type: raw.type ? raw.type.toLowerCase() : undefined,
+            subCategories: raw.sub_category ? splitList(raw.sub_category) : undefined,
+            difficulty: raw.difficulty ? raw.difficulty.toLowerCase() : undefined,
+            referenceAnswer: raw.reference_answer,
+            rubric: parseRubricCell(raw.rubric),
+            tags: raw.tags ? splitList(raw.tags) : undefined
+        };
+    });
+
+    return { format: 'csv', pack: {}, questions, firstRow: 2 };
+}
+
+/**
+ * @param {string} content
+ * @param {string} fileName - picks the parser by extension
+ */
+function parsePack(content, fileName = '') {
+    if (/\.csv$/i.test(fileName)) {
+        return parseCSVPack(content);
+    }
+    return parseJSONPack(content);
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function rubricToCSV(rubric) {
+    return (rubric || []).map(item => [
+        item.criterion,
+        item.description ? `: ${item.description}` : '',
+        typeof item.weight === 'number' ? `=${item.weight}` : ''
+    ].join('')).join('; ');
+}
+
+const EXPORT_FORMATS = {
+    native: {
+        extension: 'mmpack.json',
+        name: 'MockMate question pack',
+        render: ({ pack, questions }) => JSON.stringify({ format: PACK_FORMAT, version: PACK_VERSION, pack, questions }, null, 2)
+    },
+    json: {
+        extension: 'json',
+        name: 'JSON',
+        render: ({ questions }) => JSON.stringify(questions, null, 2)
+    },
+    csv: {
+        extension: 'csv',
+        name: 'CSV',
+        render: ({ questions }) => [
+            CSV_COLUMNS.join(','),
+            ...questions.map(question => [
+                question.text,
+                question.type,
+                (question.subCategories || []).join('; '),
+                question.difficulty,
+                question.referenceAnswer,
+                rubricToCSV(question.rubric),
+                (question.tags || []).join('; ')
+            ].map(csvField).join(','))
+        ].join('\r\n') + '\r\n'
+    }
+};
+
+module.exports = { PACK_FORMAT, PACK_VERSION, EXPORT_FORMATS, parsePack, parseCSVRows };
@@ -0,0 +1,211 @@
+/**
+ * Validation of parsed question packs (see formats.js).
+ *
+ * Returns every problem at once so a pack can be fixed in one pass. Errors
+ * make the pack unusable; warnings (unknown fields, duplicate questions,
+ * rubric weights that do not add up to 1) are reported and the pack is
+ * imported without the offending parts.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DIFFICULTY_ALIASES = { junior: 'easy', beginner: 'easy', mid: 'medium', intermediate: 'medium', senior: 'hard', advanced: 'hard' };
+
+const QUESTION_FIELDS = ['id', 'text', 'type', 'subCategories', 'difficulty', 'referenceAnswer', 'rubric', 'tags'];
+const PACK_FIELDS = ['id', 'name', 'description', 'author', 'tags', 'createdAt', 'version'];
+
+const LIMITS = {
+    questions: 5000,
+    text: { min: 5, max: 1000 },
+    referenceAnswer: 10000,
+    tag: 40,
+    name: 120,
+    description: 2000,
+    rubricItems: 20
+};
+
+// snake_case identifier for tags and sub-categories
+function slug(value) {
+    return String(value).trim().toLowerCase().replace(/[^a-z0-9+#]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+/**
+ * @param {Object} parsed - { format, version, pack, questions, firstRow } from parsePack()
+ * @param {Object} options - { types: allowed question types, defaultName }
+ * @returns {{ valid, errors, warnings, pack, questions }} normalized pack and questions when valid
+ */
+function validatePack(parsed, { types = [], defaultName = 'Imported questions' } = {}) {
+    const errors = [];
+    const warnings = [];
+    const rowLabel = index => (parsed.firstRow ? `row ${parsed.firstRow + index}` : `questions[${index}]`);
+
+    if (parsed.format === 'native' && parsed.version !== undefined && parsed.version > 1) {
+        errors.push({ path: 'version', message: `Pack version ${parsed.version} is newer than this app supports (1)` });
+    }
+
+    const rawPack = parsed.pack && typeof parsed.pack === 'object' ? parsed.pack : {};
+    Object.keys(rawPack).filter(key => !PACK_FIELDS.includes(key)).forEach(key => {
+        warnings.push({ path: `pack.${key}`, message: 'Unknown pack field ignored' });
+    });
+
+    const pack = {
+        id: rawPack.id ? slug(rawPack.id) : null,
+        name: typeof rawPack.name === 'string' && rawPack.name.trim() ? rawPack.name.trim() : defaultName,
+        description: typeof rawPack.description === 'string' ? rawPack.description.trim() : '',
+        author: typeof rawPack.author === 'string' ? rawPack.author.trim() : '',
+        tags: Array.isArray(rawPack.tags) ? [...new Set(rawPack.tags.filter(tag => typeof tag === 'string').map(slug).filter(Boolean))] : []
+    };
+    if (pack.name.length > LIMITS.name) {
+        errors.push({ path: 'pack.name', message: `Name is longer than ${LIMITS.name} characters` });
+    }
+    if (pack.description.length > LIMITS.description) {
+        errors.push({ path: 'pack.description', message: `Description is longer than ${LIMITS.description} characters` });
+    }
+    pack.id = pack.id || slug(pack.name);
+
+    if (!Array.isArray(parsed.questions)) {
+        errors.push({ path: 'questions', message: 'Pack has no questions array' });
+        return { valid: false, errors, warnings, pack, questions: [] };
+    }
+    if (parsed.questions.length === 0) {
+        errors.push({ path: 'questions', message: 'Pack has no questions' });
+    }
+    if (parsed.questions.length > LIMITS.questions) {
+        errors.push({ path: 'questions', message: `Pack has more than ${LIMITS.questions} questions` });
+    }
+
+    const seen = new Map();
+    const questions = [];
+    parsed.questions.slice(0, LIMITS.questions).forEach((raw, index) => {
+        const at = rowLabel(index);
+        const error = message => errors.push({ path: at, message });
+        const warn = message => warnings.push({ path: at, message });
+
+        if (!raw || typeof raw !== 'object') {
+            error('Question must be an object or a string');
+            return;
+        }
+        Object.keys(raw).filter(key => !QUESTION_FIELDS.includes(key) && raw[key] !== undefined).forEach(key => {
+            warn(`Unknown field "${key}" ignored`);
+        });
+
+        const text = typeof raw.text === 'string' ? raw.text.trim().replace(/\s+/g, ' ') : '';
+        if (!text) {
+            error('Question text is missing');
+            return;
+        }
+        if (text.length < LIMITS.text.min || text.length > LIMITS.text.max) {
+            error(`Question text must be ${LIMITS.text.min}-${LIMITS.text.max} characters`);
+            return;
+        }
+
+        const key = normalizeText(text);
+        if (seen.has(key)) {
+            warn(`Duplicate of ${seen.get(key)}, skipped`);
+            return;
+        }
+        seen.set(key, at);
+
+        const question = { text, type: null, subCategories: [], difficulty: null, referenceAnswer: null, rubric: [], tags: [] };
+
+        if (raw.type !== undefined && raw.type !== null && raw.type !== '') {
+            const type = String(raw.type).trim().toLowerCase();
+            if (types.length > 0 && !types.includes(type)) {
+                error(`Unknown type "${raw.type}" (expected ${types.join(', ')})`);
+            } else {
+                question.type = type;
+            }
+        }
+
+        if (raw.subCategories !== undefined) {
+            if (!Array.isArray(raw.subCategories) || raw.subCategories.some(item => typeof item !== 'string')) {
+                error('subCategories must be a list of strings');
+            } else {
+                question.subCategories = [...new Set(raw.subCategories.map(slug).filter(Boolean))];
+            }
+        }
+
+        if (raw.difficulty !== undefined && raw.difficulty !== null && raw.difficulty !== '') {
+            const difficulty = String(raw.difficulty).trim().toLowerCase();
+            const resolved = DIFFICULTIES.includes(difficulty) ? difficulty : DIFFICULTY_ALIASES[difficulty];
+            if (!resolved) {
+                error(`Unknown difficulty "${raw.difficulty}" (expected ${DIFFICULTIES.join(', ')})`);
+            } else {
+                question.difficulty = resolved;
+            }
+        }
+
+        if (raw.referenceAnswer !== undefined && raw.referenceAnswer !== null) {
+            if (typeof raw.referenceAnswer !== 'string') {
+                error('referenceAnswer must be text');
+            } else if (raw.referenceAnswer.length > LIMITS.referenceAnswer) {
+                error(`referenceAnswer is longer than ${LIMITS.referenceAnswer} characters`);
+            } else {
+                question.referenceAnswer = raw.referenceAnswer.trim() || null;
+            }
+        }
+
+        if (raw.rubric !== undefined && raw.rubric !== null) {
+            question.rubric = validateRubric(raw.rubric, error, warn);
+        }
+
+        if (raw.tags !== undefined) {
+            if (!Array.isArray(raw.tags) || raw.tags.some(tag => typeof tag !== 'string')) {
+                error('tags must be a list of strings');
+            } else {
+                const tags = raw.tags.map(slug).filter(Boolean);
+                tags.filter(tag => tag.length > LIMITS.tag).forEach(tag => warn(`Tag "${tag}" is longer than ${LIMITS.tag} characters, skipped`));
+                question.tags = [...new Set(tags.filter(tag => tag.length <= LIMITS.tag))];
+            }
+        }
+
+        questions.push(question);
+    });
+
+    return { valid: errors.length === 0, errors, warnings, pack, questions };
+}
+
+// List of { criterion, description, weight }; plain strings are criteria without weight
+function validateRubric(rubric, error, warn) {
+    const items = Array.isArray(rubric) ? rubric : (rubric && typeof rubric === 'object'
+        ? Object.entries(rubric).map(([criterion, value]) => (typeof value === 'number' ? { criterion, weight: value } : { criterion, description: value }))
+        : null);
+    if (!items) {
+        error('rubric must be a list of criteria');
+        return [];
+    }
+    if (items.length > LIMITS.rubricItems) {
+        error(`rubric has more than ${LIMITS.rubricItems} criteria`);
+        return [];
+    }
+
+    const result = [];
+    items.forEach((item, index) => {
+        const entry = typeof item === 'string' ? { criterion: item } : item;
+        if (!entry || typeof entry.criterion !== 'string' || !entry.criterion.trim()) {
+            error(`rubric[${index}] needs a criterion`);
+            return;
+        }
+        if (entry.weight !== undefined && entry.weight !== null && (typeof entry.weight !== 'number' || !Number.isFinite(entry.weight) || entry.weight < 0 || entry.weight > 1)) {
+            error(`rubric[${index}] weight must be a number from 0 to 1`);
+            return;
+        }
+        result.push({
+            criterion: entry.criterion.trim(),
+            description: typeof entry.description === 'string' && entry.description.trim() ? entry.description.trim() : null,
+            weight: typeof entry.weight === 'number' ? entry.weight : null
+        });
+    });
+
+    const weighted = result.filter(item => item.weight !== null);
+    const total = weighted.reduce((sum, item) => sum + item.weight, 0);
+    if (weighted.length > 0 && weighted.length === result.length && Math.abs(total - 1) > 0.01) {
+        warn(`rubric weights add up to ${Math.round(total * 100) / 100}, not 1`);
+    }
+    return result;
+}
+
+module.exports = { validatePack, DIFFICULTIES };
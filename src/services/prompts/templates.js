@@ -0,0 +1,109 @@
+/**
+ * Built-in prompt templates used by PromptTemplateService.
+ *
+ * Syntax:
+ *   {{name}}              variable
+ *   {{#name}}...{{/name}} section, rendered only when the variable is set
+ *   {{>name}}             partial (another template's user text)
+ *
+ * Bump `version` whenever a template changes so saved user overrides can be
+ * flagged as based on an older version.
+ *
+ * `variants` are keyed by QuestionDetectionService.classifyQuestion() types
+ * (behavioral, technical, company, personal, general) and override the
+ * template's system and/or user text for that type.
+ */
+
+const ANSWER_SYSTEM = 'You are an expert interview coach. Provide concise and direct answers that are highly relevant to the question. Include just enough context to make the answer clear and relatable, but avoid unnecessary elaboration or tangential details.';
+
+const FEEDBACK_SYSTEM = 'You are a strict but fair interview coach grading a candidate\'s answer. ' +
+    'Score relevance, structure, specificity and length from 0 to 10, each with a one-sentence note. ' +
+    'Reply with JSON only, no other text: ' +
+    '{"scores": {"relevance": {"score": 0, "note": ""}, "structure": {"score": 0, "note": ""}, "specificity": {"score": 0, "note": ""}, "length": {"score": 0, "note": ""}}, "strengths": [""], "suggestions": [""]}';
+
+const DEFAULT_TEMPLATES = {
+    'candidate-context': {
+        version: 1,
+        description: 'Company, job description and resume block shared by the other templates',
+        partial: true,
+        user: '{{#company}}Company: {{company}}\n{{/company}}' +
+            '{{#position}}Position: {{position}}\n{{/position}}' +
+            '{{#jobDescription}}Job Description: {{jobDescription}}\n{{/jobDescription}}' +
+            '{{#resume}}Candidate Resume Data:\n{{resume}}\n{{/resume}}'
+    },
+
+    'answer': {
+        version: 1,
+        description: 'Answer an interview question for the candidate',
+        system: ANSWER_SYSTEM,
+        user: '{{>candidate-context}}\nQuestion: {{question}}\n\nYour expert answer:',
+        variants: {
+            behavioral: {
+                system: `${ANSWER_SYSTEM} For behavioral questions answer in first person using the STAR method (Situation, Task, Action, Result), drawing on the candidate's resume where possible and ending with a measurable result.`
+            },
+            technical: {
+                system: `${ANSWER_SYSTEM} For technical questions be precise: state the key concept first, mention trade-offs or complexity where relevant and include a short code snippet only if it makes the answer clearer.`
+            },
+            company: {
+                system: `${ANSWER_SYSTEM} For questions about the company connect the candidate's motivation to the company and role described in the job description. Do not invent facts about the company.`
+            },
+            personal: {
+                system: `${ANSWER_SYSTEM} For personal questions answer in first person, keep it authentic and tie strengths, goals or motivation back to the role.`
+            }
+        }
+    },
+
+    'screen-vision': {
+        version: 1,
+        description: 'Find and answer the interview question in a screenshot (vision models)',
+        user: 'You are an expert interview coach. Analyze the attached screenshot, identify the interview question, and then provide a concise, accurate, and well-structured answer suitable for a job interview. If no question is visible, state that and provide a general interview tip.'
+    },
+
+    'screen-no-text': {
+        version: 1,
+        description: 'Screenshot analysis when OCR found no usable text',
+        user: 'You are an expert interview coach. Analyze the attached screenshot. If no discernible text or question is visible, provide a general interview tip or observation about the image content.'
+    },
+
+    'screen-ocr': {
+        version: 1,
+        description: 'Solve the request found in text extracted from a screenshot',
+        user: 'You are an expert technical assistant. Your primary goal is to directly fulfill requests or solve problems presented in the extracted text. Analyze the following text, which was extracted from a screenshot.\n\n' +
+            '{{>candidate-context}}' +
+            '\n**Your task is to:**\n\n' +
+            '1.  **Identify the core request:** Is it a question to be answered, a coding challenge to be solved, a file to be written (like an Ansible playbook or Dockerfile), or a general task requiring direct action?\n' +
+            '2.  **Provide a direct solution/response:**\n' +
+            '    *   **If it\'s a question:** Answer it concisely and accurately, as an expert would.\n' +
+            '    *   **If it\'s a coding challenge or request to write code/file:** Provide the complete, correct, and well-commented code/file directly. Do NOT just describe how to solve it; provide the solution itself.\n' +
+            '    *   **If it\'s a general task:** Perform the task or provide the most direct and helpful output to complete it.\n\n' +
+            '**Crucially, your output should be the solution or direct response, not a meta-analysis or a question about the task.**\n\n' +
+            'Extracted Text from Screenshot:\n"""\n{{extractedText}}\n"""\n\nYour Direct Response/Solution:'
+    },
+
+    'answer-feedback': {
+        version: 1,
+        description: 'Grade a candidate\'s answer against the rubric (session review, re-run with any model)',
+        system: FEEDBACK_SYSTEM,
+        user: '{{>candidate-context}}\nQuestion: {{question}}\n\nCandidate answer:\n"""\n{{answer}}\n"""\n\nGrade this answer.',
+        variants: {
+            behavioral: {
+                system: `${FEEDBACK_SYSTEM} This is a behavioral question: judge structure by the STAR method (Situation, Task, Action, Result) and name any missing part in the suggestions.`
+            }
+        }
+    },
+
+    'context-answer': {
+        version: 1,
+        description: 'Word-limited answer built from the saved resume and job description (ContextService)',
+        system: ANSWER_SYSTEM,
+        user: '{{>candidate-context}}\nQUESTION: {{question}}\n\n' +
+            'Provide a concise, relevant answer that:\n' +
+            '1. Directly addresses the question\n' +
+            '2. Relates to the candidate\'s background when relevant\n' +
+            '3. Aligns with the job requirements\n' +
+            '4. Is professional and interview-appropriate\n' +
+            '5. Keeps the response focused and under 150 words\n'
+    }
+};
+
+module.exports = { DEFAULT_TEMPLATES };
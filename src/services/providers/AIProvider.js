@@ -0,0 +1,220 @@
+/**
+ * Base class for AI backends used by AIService.
+ *
+ * A provider knows how to reach one chat-completions style server: where the
+ * endpoints live, which headers it needs and what it can do. AIService builds
+ * the messages and hands the request body to the provider, so swapping the
+ * backend never touches prompt or streaming logic in the callers.
+ */
+class AIProvider {
+    constructor(config = {}) {
+        this.name = 'base';
+        this.displayName = 'Base Provider';
+        this.config = config;
+
+        // What the backend supports - reported to the renderer with the model list
+        this.capabilities = {
+            streaming: true,
+            vision: false,
+            audio: false
+        };
+
+        this.defaultTimeout = config.timeout || 15000;
+        this.visionModel = null;
+    }
+
+    /**
+     * Endpoint for chat completion requests (OpenAI wire format)
+     */
+    getChatEndpoint() {
+        throw new Error(`${this.name} provider does not implement getChatEndpoint()`);
+    }
+
+    /**
+     * Headers sent with every request to this provider
+     */
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'User-Agent': 'MockMate-AI/1.0.4'
+        };
+    }
+
+    /**
+     * Map a UI model id to the id the backend expects
+     */
+    resolveModel(modelId) {
+        return modelId;
+    }
+
+    /**
+     * Raw model list as returned by the backend (array of ids or objects)
+     */
+    async listModels() {
+        return [];
+    }
+
+    /**
+     * Model ids to offer when the backend cannot be reached
+     */
+    getFallbackModels() {
+        return [];
+    }
+
+    /**
+     * Fallback completion used when the primary chat request fails.
+     * Providers without a secondary endpoint simply rethrow.
+     */
+    async createFallbackCompletion() {
+        throw new Error(`${this.displayName} has no fallback endpoint`);
+    }
+
+    /**
+     * Send a chat completion request and return the normalized result.
+     * Streams through onChunk when the server answers with server-sent events.
+     *
+     * @param {Object} requestBody - OpenAI-style body (model, messages, stream, ...)
+     * @param {Object} options - { onChunk, timeout, signal }
+     * @returns {Promise<{response: string, model: string, timestamp: string, responseTime: number}>}
+     */
+    async createChatCompletion(requestBody, options = {}) {
+        const { onChunk = null, timeout = this.defaultTimeout, signal = null } = options;
+        const body = this.prepareRequestBody(requestBody);
+
+        const timeoutSignal = AbortSignal.timeout(timeout);
+        const requestSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+
+        const startTime = Date.now();
+        const response = await fetch(this.getChatEndpoint(), {
+            method: 'POST',
+            headers: {
+                ...this.getHeaders(),
+                'Accept': onChunk ? 'text/event-stream' : 'application/json'
+            },
+            body: JSON.stringify(body),
+            signal: requestSignal
+        });
+
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+
+        const contentType = response.headers.get('content-type');
+        if (contentType && contentType.includes('text/event-stream')) {
+            return await this.processStream(response.body.getReader(), onChunk, startTime, body.model);
+        }
+
+        const jsonData = await response.json();
+        return {
+            response: this.extractContent(jsonData),
+            model: body.model,
+            timestamp: new Date().toISOString(),
+            responseTime: Date.now() - startTime,
+            streamed: false
+        };
+    }
+
+    /**
+     * Hook for providers that need extra or fewer fields in the request body
+     */
+    prepareRequestBody(requestBody) {
+        return requestBody;
+    }
+
+    // Stream processing shared by every OpenAI-compatible server. Streams
+    // character-by-character for a smoother typing effect in the response window.
+    async processStream(reader, onChunk = null, startTime = Date.now(), model = null) {
+        let accumulatedContent = '';
+        let buffer = '';
+        const decoder = new TextDecoder('utf-8');
+
+        const finish = () => ({
+            response: accumulatedContent,
+            model: model,
+            timestamp: new Date().toISOString(),
+            responseTime: Date.now() - startTime,
+            streamed: true
+        });
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+
+                const data = line.substring(6).trim();
+                if (data === '[DONE]') {
+                    return finish();
+                }
+
+                if (data) {
+                    try {
+                        const json = JSON.parse(data);
+                        const content = json.choices?.[0]?.delta?.content || json.choices?.[0]?.message?.content || json.content || '';
+
+                        if (content) {
+                            accumulatedContent += content;
+                            if (onChunk) {
+                                for (const char of content) {
+                                    onChunk({ content: char, model: model, timestamp: new Date().toISOString() });
+                                }
+                            }
+                        }
+                    } catch (parseError) {
+                        console.warn('Stream parse error (non-critical):', parseError.message);
+                    }
+                }
+            }
+        }
+
+        return finish();
+    }
+
+    extractContent(jsonData) {
+        if (typeof jsonData === 'string') {
+            return jsonData;
+        } else if (jsonData.choices && jsonData.choices[0]) {
+            return jsonData.choices[0].message?.content || jsonData.choices[0].text || '';
+        } else if (jsonData.response) {
+            return jsonData.response;
+        } else if (jsonData.text) {
+            return jsonData.text;
+        }
+        return '';
+    }
+
+    getInfo() {
+        return {
+            name: this.name,
+            displayName: this.displayName,
+            capabilities: { ...this.capabilities }
+        };
+    }
+
+    async healthCheck() {
+        try {
+            const models = await this.listModels();
+            return {
+                status: 'healthy',
+                provider: this.name,
+                modelsAvailable: Array.isArray(models) ? models.length : 0,
+                timestamp: new Date().toISOString()
+            };
+        } catch (error) {
+            return {
+                status: 'unhealthy',
+                provider: this.name,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+}
+
+module.exports = AIProvider;
@@ -0,0 +1,83 @@
+const axios = require('axios');
+const AIProvider = require('./AIProvider');
+
+/**
+ * Any server speaking the OpenAI REST dialect: llama.cpp's llama-server,
+ * Ollama (/v1), LM Studio, vLLM, LocalAI or the OpenAI API itself.
+ *
+ * Local servers differ in what they support, so capabilities come from
+ * configuration instead of being assumed.
+ */
+class OpenAICompatibleProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'openai-compatible';
+        this.displayName = config.displayName || 'OpenAI-compatible';
+
+        this.baseURL = (config.baseURL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+        this.apiKey = config.apiKey || null;
+        this.defaultModel = config.defaultModel || null;
+        this.visionModel = config.visionModel || this.defaultModel;
+        this.discoveredModels = [];
+
+        this.capabilities = {
+            streaming: config.streaming !== false,
+            vision: !!config.vision,
+            audio: !!config.audio
+        };
+
+        // Local models can be slow on CPU, give them more time than the public API
+        this.defaultTimeout = config.timeout || 120000;
+    }
+
+    getChatEndpoint() {
+        return `${this.baseURL}/chat/completions`;
+    }
+
+    resolveModel(modelId) {
+        // The UI default ('openai') means nothing to a local server
+        if (!modelId || modelId === 'openai') {
+            return this.defaultModel || this.discoveredModels[0] || modelId;
+        }
+        return modelId;
+    }
+
+    prepareRequestBody(requestBody) {
+        const body = { ...requestBody };
+        if (!this.capabilities.streaming) {
+            body.stream = false;
+        }
+        return body;
+    }
+
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'MockMate-AI/1.0.4'
+        };
+
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        return headers;
+    }
+
+    async listModels() {
+        const response = await axios.get(`${this.baseURL}/models`, {
+            headers: this.getHeaders(),
+            timeout: 10000
+        });
+
+        // OpenAI format is { object: 'list', data: [{ id }] }; some servers return the array directly
+        const models = Array.isArray(response.data) ? response.data : (response.data.data || response.data.models || []);
+        this.discoveredModels = models.map(model => typeof model === 'string' ? model : (model.id || model.name || model.model));
+        return this.discoveredModels;
+    }
+
+    getFallbackModels() {
+        return this.defaultModel ? [this.defaultModel] : [];
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
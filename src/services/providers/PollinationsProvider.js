@@ -0,0 +1,150 @@
+const axios = require('axios');
+const AIProvider = require('./AIProvider');
+
+/**
+ * Pollinations public API - the original (and default) MockMate backend.
+ */
+class PollinationsProvider extends AIProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'pollinations';
+        this.displayName = 'Pollinations';
+
+        this.textBaseURL = config.baseURL || 'https://text.pollinations.ai';
+        this.imageBaseURL = config.imageBaseURL || 'https://image.pollinations.ai';
+        this.openaiEndpoint = `${this.textBaseURL}/openai`;
+        this.apiKey = config.apiKey || process.env.POLLINATION_API_KEY || null;
+        this.referer = config.referer || process.env.POLLINATION_REFERER || 'https://pollinations.ai/';
+
+        this.capabilities = {
+            streaming: true,
+            vision: true,
+            audio: true,
+            imageGeneration: true,
+            search: true
+        };
+
+        // Updated model mappings based on latest API documentation
+        this.models = {
+            'openai': 'openai',
+            'openai-large': 'openai-large',
+            'claude-hybridspace': 'claude-hybridspace',
+            'mistral': 'mistral',
+            'gemini-pro': 'gemini-pro',
+            'llama-3-70b': 'llama-3-70b',
+            'mixtral-8x7b': 'mixtral-8x7b',
+            'searchgpt': 'searchgpt'
+        };
+
+        this.visionModel = 'openai';
+
+        // Image analysis and answer grading on the public API can take up to 30 s
+        this.defaultTimeout = config.timeout || 30000;
+    }
+
+    getChatEndpoint() {
+        return this.openaiEndpoint;
+    }
+
+    resolveModel(modelId) {
+        return this.models[modelId] || modelId;
+    }
+
+    prepareRequestBody(requestBody) {
+        return { ...requestBody, private: true };
+    }
+
+    // Get authentication headers
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'MockMate-AI/1.0.4'
+        };
+
+        // Add Authorization header if API key is available
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        // Add Referer header for tier authentication based on Pollinations API docs
+        // This helps identify the application/domain for tier access
+        headers['Referer'] = this.referer;
+
+        // Add additional headers for seed tier access
+        headers['Accept'] = 'application/json';
+        headers['Cache-Control'] = 'no-cache';
+
+        return headers;
+    }
+
+    async listModels() {
+        console.log(`Attempting to fetch models from: ${this.textBaseURL}/models`);
+        const response = await axios.get(`${this.textBaseURL}/models`, {
+            headers: this.getHeaders(),
+            timeout: 30000
+        });
+        console.log('API Response Status:', response.status);
+        return response.data;
+    }
+
+    getFallbackModels() {
+        return Object.keys(this.models);
+    }
+
+    // Fallback using the plain text endpoint, which accepts prompt/system instead of messages
+    async createFallbackCompletion({ prompt, system, model, temperature, max_tokens, signal }) {
+        console.log('Sending request to Fallback POST endpoint:', this.textBaseURL);
+
+        const requestBody = {
+            prompt: prompt,
+            model: model,
+            seed: Math.floor(Math.random() * 1000),
+            private: true,
+            system: system,
+            temperature: temperature,
+            max_tokens: max_tokens,
+            stream: true,
+            top_p: 1.0,
+            presence_penalty: 0.2,
+            frequency_penalty: 0.2
+        };
+
+        // Use POST instead of GET to avoid URI too large errors for long prompts.
+        const response = await axios.post(this.textBaseURL, requestBody, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MockMate-AI/1.0.4'
+            },
+            timeout: 25000,
+            signal: signal || undefined
+        });
+
+        console.log('Fallback API Response Status:', response.status);
+        return response.data;
+    }
+
+    buildImageUrl(prompt, params) {
+        const encodedPrompt = encodeURIComponent(prompt);
+        const queryString = new URLSearchParams(params).toString();
+        return `${this.imageBaseURL}/prompt/${encodedPrompt}?${queryString}`;
+    }
+
+    async search(query) {
+        const encodedQuery = encodeURIComponent(query);
+
+        const response = await axios.get(`${this.textBaseURL}/${encodedQuery}`, {
+            params: {
+                model: 'searchgpt',
+                private: true
+            },
+            headers: {
+                'User-Agent': 'MockMate-AI/1.0.4'
+            },
+            timeout: 25000
+        });
+
+        return response.data;
+    }
+}
+
+module.exports = PollinationsProvider;
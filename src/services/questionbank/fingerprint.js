@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Spoken filler that does not change the question
+const FILLER_PREFIX = /^(?:(?:so|okay|ok|alright|right|well|um+|uh+|and|now|next|great|thanks|thank you)\s+)+/;
+
+// Stored in place of a fingerprint until it is computed with the key (see migrations/005_keyed_fingerprints.js)
+const UNKEYED_PREFIX = 'unkeyed:';
+
+/**
+ * Question text as compared for duplicates: lower case, letters and digits
+ * only, leading filler removed
+ */
+function normalizeQuestion(text) {
+    return (text || '')
+        .toLowerCase()
+        .replace(/[’']/g, '')
+        .replace(/[^a-z0-9+#]+/g, ' ')
+        .trim()
+        .replace(FILLER_PREFIX, '')
+        .trim();
+}
+
+/**
+ * Exact-duplicate key of a normalized question in a profile's bank. Keyed
+ * (HMAC-SHA256 under the keystore's fingerprint key) because it sits next to
+ * the encrypted text: a plain hash would let anyone with the database file
+ * confirm guessed questions. The profile is part of it so every profile can
+ * hold the same question once.
+ */
+function fingerprintQuestion(key, profileId, normalized) {
+    return crypto.createHmac('sha256', key).update(`${profileId}:${normalized}`).digest('hex');
+}
+
+module.exports = { normalizeQuestion, fingerprintQuestion, UNKEYED_PREFIX };
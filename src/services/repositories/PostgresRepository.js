@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const Repository = require('./Repository');
+
+// Record fields of a session that updateSession() may change, and their columns
+const SESSION_COLUMNS = {
+    companyName: 'company_name',
+    jobDescription: 'job_description',
+    model: 'model_used',
+    status: 'status'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// BIGINT, COUNT() and AVG() come back from pg as strings
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+// $2, $3, ... for the values after the trainee id
+function placeholders(values, offset = 2) {
+    return values.map((_, index) => `$${index + offset}`).join(', ');
+}
+
+/**
+ * Repository over the team Postgres database (migrations/postgres), scoped
+ * to one trainee. Create it with forTrainee(), which registers the
+ * installation as a trainee on first use.
+ *
+ * Works with anything PostgresService wraps: a server, a local container or a
+ * pg-mem pool. importRecords() is the receiving end of TeamSyncService.
+ */
+class PostgresRepository extends Repository {
+    /**
+     * @param {Object} options - { postgres: PostgresService, traineeId }
+     */
+    constructor({ postgres, traineeId }) {
+        super();
+        this.name = 'postgres';
+        this.postgres = postgres;
+        this.traineeId = traineeId;
+    }
+
+    /**
+     * @param {PostgresService} postgres
+     * @param {Object} trainee - { deviceId: stable id of the installation, displayName: shown to coaches }
+     */
+    static async forTrainee(postgres, { deviceId, displayName = null }) {
+        const [row] = await postgres.query(`
+            INSERT INTO trainees (device_id, display_name, created_at)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (device_id) DO UPDATE SET display_name = EXCLUDED.display_name
+            RETURNING id
+        `, [deviceId, displayName, Date.now()]);
+        return new PostgresRepository({ postgres, traineeId: row.id });
+    }
+
+    toSession(row) {
+        return {
+            sessionId: row.session_id,
+            companyName: row.company_name,
+            jobDescription: row.job_description,
+            model: row.model_used,
+            status: row.status,
+            startTime: toNumber(row.start_time),
+            endTime: toNumber(row.end_time),
+            updatedAt: toNumber(row.updated_at),
+            profileName: row.profile_name ?? null
+        };
+    }
+
+    toQuestion(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            text: row.question_text,
+            type: row.question_type,
+            confidence: row.confidence_score,
+            source: row.source,
+            isAnswered: row.is_answered,
+            detectedAt: toNumber(row.detected_at)
+        };
+    }
+
+    toResponse(row) {
+        return {
+            id: row.id,
+            questionId: row.question_id,
+            sessionId: row.session_id,
+            text: row.response_text,
+            model: row.model_used,
+            responseTime: row.response_time,
+            tokenCount: row.token_count,
+            rating: row.user_rating,
+            createdAt: toNumber(row.created_at)
+        };
+    }
+
+    toAnswer(row) {
+        return {
+            id: row.id,
+            questionId: row.question_id,
+            sessionId: row.session_id,
+            text: row.answer_text,
+            source: row.answer_source,
+            questionType: row.question_type,
+            overallScore: row.overall_score,
+            feedback: row.feedback,
+            createdAt: toNumber(row.created_at)
+        };
+    }
+
+    // Sessions
+    async createSession({ companyName = null, jobDescription = null, model = null } = {}) {
+        const sessionId = `session_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+        const now = Date.now();
+        await this.postgres.query(`
+            INSERT INTO practice_sessions (trainee_id, session_id, company_name, job_description, model_used, start_time, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [this.traineeId, sessionId, companyName, jobDescription, model || 'google', now, now]);
+
+        await this.logEvent('session_created', { sessionId, companyName, model });
+        return { sessionId };
+    }
+
+    async getSession(sessionId) {
+        const [row] = await this.postgres.query('SELECT * FROM practice_sessions WHERE trainee_id = $1 AND session_id = $2', [this.traineeId, sessionId]);
+        return row ? this.toSession(row) : null;
+    }
+
+    async listSessions({ limit = 50, offset = 0 } = {}) {
+        const rows = await this.postgres.query(`
+            SELECT * FROM practice_sessions
+            WHERE trainee_id = $1
+            ORDER BY start_time DESC
+            LIMIT $2 OFFSET $3
+        `, [this.traineeId, limit, offset]);
+        if (rows.length === 0) return [];
+
+        // Per-table counts for the page, rather than correlated subqueries
+        const sessionIds = rows.map(row => row.session_id);
+        const countBySession = async (table, extra = '') => {
+            const counts = new Map();
+            (await this.postgres.query(`
+                SELECT session_id, COUNT(*) AS count${extra}
+                FROM ${table}
+                WHERE trainee_id = $1 AND session_id IN (${placeholders(sessionIds)})
+                GROUP BY session_id
+            `, [this.traineeId, ...sessionIds])).forEach(row => counts.set(row.session_id, row));
+            return counts;
+        };
+        const questions = await countBySession('practice_questions');
+        const responses = await countBySession('practice_responses');
+        const answers = await countBySession('practice_answers', ', AVG(overall_score) AS average_score');
+
+        return rows.map(row => {
+            const answer = answers.get(row.session_id);
+            return {
+                ...this.toSession(row),
+                questionCount: toNumber(questions.get(row.session_id)?.count) || 0,
+                responseCount: toNumber(responses.get(row.session_id)?.count) || 0,
+                answerCount: toNumber(answer?.count) || 0,
+                averageScore: answer && answer.average_score !== null ? Math.round(Number(answer.average_score)) : null
+            };
+        });
+    }
+
+    async updateSession(sessionId, updates = {}) {
+        const fields = Object.keys(SESSION_COLUMNS).filter(field => updates[field] !== undefined);
+        const values = fields.map(field => updates[field]);
+        const assignments = fields.map((field, index) => `${SESSION_COLUMNS[field]} = $${index + 4}`);
+
+        const rows = await this.postgres.query(`
+            UPDATE practice_sessions
+            SET ${[...assignments, 'updated_at = $3'].join(', ')}
+            WHERE trainee_id = $1 AND session_id = $2
+            RETURNING id
+        `, [this.traineeId, sessionId, Date.now(), ...values]);
+
+        if (rows.length > 0 && fields.length > 0) await this.logEvent('session_updated', { sessionId, fields });
+        return rows.length > 0;
+    }
+
+    async endSession(sessionId) {
+        const endTime = Date.now();
+        const rows = await this.postgres.query(`
+            UPDATE practice_sessions
+            SET end_time = $3, status = 'completed', updated_at = $3
+            WHERE trainee_id = $1 AND session_id = $2
+            RETURNING id
+        `, [this.traineeId, sessionId, endTime]);
+
+        await this.logEvent('session_ended', { sessionId, endTime });
+        return rows.length > 0;
+    }
+
+    // Questions, AI responses and graded answers
+    async saveQuestion({ sessionId, text, type = 'unknown', confidence = 0, source = 'manual' }) {
+        const [row] = await this.postgres.query(`
+            INSERT INTO practice_questions (trainee_id, session_id, question_text, question_type, confidence_score, source, detected_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING id
+        `, [this.traineeId, sessionId, text, type, confidence, source, Date.now()]);
+
+        await this.logEvent('question_stored', { questionId: row.id, sessionId, type });
+        return { questionId: row.id };
+    }
+
+    async getSessionQuestions(sessionId) {
+        const rows = await this.postgres.query(`
+            SELECT * FROM practice_questions
+            WHERE trainee_id = $1 AND session_id = $2
+            ORDER BY detected_at ASC, id ASC
+        `, [this.traineeId, sessionId]);
+        return rows.map(row => this.toQuestion(row));
+    }
+
+    async saveResponse({ questionId, sessionId, text, model, responseTime = null, tokenCount = null }) {
+        const responseId = await this.postgres.transaction(async client => {
+            const [row] = await client.query(`
+                INSERT INTO practice_responses (trainee_id, session_id, question_id, response_text, model_used, response_time, token_count, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            `, [this.traineeId, sessionId, questionId, text, model, responseTime, tokenCount, Date.now()]);
+            await client.query('UPDATE practice_questions SET is_answered = TRUE WHERE trainee_id = $1 AND id = $2', [this.traineeId, questionId]);
+            return row.id;
+        });
+
+        await this.logEvent('response_generated', { responseId, questionId, sessionId, model });
+        return { responseId };
+    }
+
+    async getSessionResponses(sessionId) {
+        const rows = await this.postgres.query(`
+            SELECT * FROM practice_responses
+            WHERE trainee_id = $1 AND session_id = $2
+            ORDER BY created_at ASC, id ASC
+        `, [this.traineeId, sessionId]);
+        return rows.map(row => this.toResponse(row));
+    }
+
+    async saveAnswer({ questionId, sessionId, text, source = 'typed', feedback }) {
+        const { scores, star, strengths, suggestions, wordCount, model } = feedback;
+        const answerId = await this.postgres.transaction(async client => {
+            const [row] = await client.query(`
+                INSERT INTO practice_answers (trainee_id, session_id, question_id, answer_text, answer_source, question_type, overall_score, feedback, created_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING id
+            `, [
+                this.traineeId, sessionId, questionId, text, source,
+                feedback.questionType || null,
+                feedback.overallScore,
+                JSON.stringify({ scores, star, strengths, suggestions, wordCount, model: model || null }),
+                Date.now()
+            ]);
+            await client.query('UPDATE practice_questions SET is_answered = TRUE WHERE trainee_id = $1 AND id = $2', [this.traineeId, questionId]);
+            return row.id;
+        });
+
+        await this.logEvent('answer_scored', { feedbackId: answerId, questionId, sessionId, score: feedback.overallScore });
+        return { answerId };
+    }
+
+    async getSessionAnswers(sessionId) {
+        const rows = await this.postgres.query(`
+            SELECT * FROM practice_answers
+            WHERE trainee_id = $1 AND session_id = $2
+            ORDER BY created_at ASC, id ASC
+        `, [this.traineeId, sessionId]);
+        return rows.map(row => this.toAnswer(row));
+    }
+
+    // Preferences
+    async getPreference(key, defaultValue = null) {
+        const [row] = await this.postgres.query('SELECT value FROM trainee_preferences WHERE trainee_id = $1 AND key = $2', [this.traineeId, key]);
+        return row ? row.value : defaultValue;
+    }
+
+    async setPreference(key, value) {
+        await this.postgres.query(`
+            INSERT INTO trainee_preferences (trainee_id, key, value, updated_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (trainee_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at
+        `, [this.traineeId, key, JSON.stringify(value === undefined ? null : value), Date.now()]);
+        await this.logEvent('preference_saved', { key });
+        return true;
+    }
+
+    async getAllPreferences() {
+        const preferences = {};
+        (await this.postgres.query('SELECT key, value FROM trainee_preferences WHERE trainee_id = $1 ORDER BY key', [this.traineeId]))
+            .forEach(row => { preferences[row.key] = row.value; });
+        return preferences;
+    }
+
+    // Analytics
+    async logEvent(eventType, eventData = {}) {
+        try {
+            await this.postgres.query(`
+                INSERT INTO practice_events (trainee_id, event_type, event_data, session_id, occurred_at)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [this.traineeId, eventType, JSON.stringify(eventData), eventData.sessionId || null, Date.now()]);
+        } catch (error) {
+            console.error('Log event failed:', error);
+        }
+    }
+
+    async getAnalytics(days = 30) {
+        // Whole UTC days since the epoch, like DATE(timestamp, 'unixepoch') in SQLite
+        const rows = await this.postgres.query(`
+            SELECT event_type, occurred_at / ${DAY_MS} AS day, COUNT(*) AS count
+            FROM practice_events
+            WHERE trainee_id = $1 AND occurred_at >= $2
+            GROUP BY event_type, occurred_at / ${DAY_MS}
+        `, [this.traineeId, Date.now() - days * DAY_MS]);
+
+        return rows
+            .map(row => ({ eventType: row.event_type, day: Math.floor(Number(row.day)), count: Number(row.count) }))
+            .sort((a, b) => b.day - a.day || b.count - a.count)
+            .map(({ eventType, day, count }) => ({ eventType, date: new Date(day * DAY_MS).toISOString().slice(0, 10), count }));
+    }
+
+    /**
+     * Upsert records read from a trainee's local database (SqliteRepository.listChanges)
+     * in one transaction. Rows are matched on their local id (sessions on
+     * their session id), so importing the same records again changes nothing.
+     * Records whose session or question is not in Postgres are skipped.
+     *
+     * @param {string} kind - 'sessions', 'questions', 'responses' or 'answers'
+     * @returns {Promise<{ imported, skipped }>}
+     */
+    async importRecords(kind, records) {
+        if (records.length === 0) return { imported: 0, skipped: 0 };
+
+        return this.postgres.transaction(async client => {
+            switch (kind) {
+                case 'sessions':
+                    return this.importSessions(client, records);
+                case 'questions':
+                    return this.importQuestions(client, records);
+                case 'responses':
+                case 'answers':
+                    return this.importAnswers(client, kind, records);
+                default:
+                    throw new Error(`Unknown record kind: ${kind}`);
+            }
+        });
+    }
+
+    async importSessions(client, records) {
+        for (const session of records) {
+            await client.query(`
+                INSERT INTO practice_sessions (trainee_id, session_id, company_name, job_description, model_used, status, start_time, end_time, updated_at, profile_name)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                ON CONFLICT (trainee_id, session_id) DO UPDATE SET
+                    company_name = EXCLUDED.company_name,
+                    job_description = EXCLUDED.job_description,
+                    model_used = EXCLUDED.model_used,
+                    status = EXCLUDED.status,
+                    start_time = EXCLUDED.start_time,
+                    end_time = EXCLUDED.end_time,
+                    updated_at = EXCLUDED.updated_at,
+                    profile_name = EXCLUDED.profile_name
+            `, [
+                this.traineeId, session.sessionId, session.companyName, session.jobDescription, session.model,
+                session.status || 'active', session.startTime, session.endTime, session.updatedAt || session.startTime,
+                session.profileName || null
+            ]);
+        }
+        return { imported: records.length, skipped: 0 };
+    }
+
+    async importQuestions(client, records) {
+        const sessionIds = [...new Set(records.map(question => question.sessionId))];
+        const known = new Set((await client.query(
+            `SELECT session_id FROM practice_sessions WHERE trainee_id = $1 AND session_id IN (${placeholders(sessionIds)})`,
+            [this.traineeId, ...sessionIds]
+        )).map(row => row.session_id));
+
+        const result = { imported: 0, skipped: 0 };
+        for (const question of records) {
+            if (!known.has(question.sessionId)) {
+                result.skipped++;
+                continue;
+            }
+            await client.query(`
+                INSERT INTO practice_questions (trainee_id, session_id, local_id, question_text, question_type, confidence_score, source, is_answered, detected_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                ON CONFLICT (trainee_id, local_id) DO UPDATE SET
+                    question_text = EXCLUDED.question_text,
+                    question_type = EXCLUDED.question_type,
+                    confidence_score = EXCLUDED.confidence_score,
+                    source = EXCLUDED.source,
+                    is_answered = EXCLUDED.is_answered
+            `, [
+                this.traineeId, question.sessionId, question.id, question.text, question.type,
+                question.confidence, question.source, !!question.isAnswered, question.detectedAt
+            ]);
+            result.imported++;
+        }
+        return result;
+    }
+
+    // AI responses and graded answers both hang off a question, found by its local id
+    async importAnswers(client, kind, records) {
+        const localQuestionIds = [...new Set(records.map(record => record.questionId))];
+        const questionIds = new Map((await client.query(
+            `SELECT id, local_id FROM practice_questions WHERE trainee_id = $1 AND local_id IN (${placeholders(localQuestionIds)})`,
+            [this.traineeId, ...localQuestionIds]
+        )).map(row => [Number(row.local_id), row.id]));
+
+        const result = { imported: 0, skipped: 0 };
+        const answered = new Set();
+        for (const record of records) {
+            const questionId = questionIds.get(record.questionId);
+            if (!questionId) {
+                result.skipped++;
+                continue;
+            }
+
+            if (kind === 'responses') {
+                await client.query(`
+                    INSERT INTO practice_responses (trainee_id, session_id, local_id, question_id, response_text, model_used, response_time, token_count, user_rating, created_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    ON CONFLICT (trainee_id, local_id) DO UPDATE SET
+                        response_text = EXCLUDED.response_text,
+                        user_rating = EXCLUDED.user_rating
+                `, [
+                    this.traineeId, record.sessionId, record.id, questionId, record.text, record.model,
+                    record.responseTime, record.tokenCount, record.rating, record.createdAt
+                ]);
+            } else {
+                await client.query(`
+                    INSERT INTO practice_answers (trainee_id, session_id, local_id, question_id, answer_text, answer_source, question_type, overall_score, feedback, created_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                    ON CONFLICT (trainee_id, local_id) DO UPDATE SET
+                        answer_text = EXCLUDED.answer_text,
+                        overall_score = EXCLUDED.overall_score,
+                        feedback = EXCLUDED.feedback
+                `, [
+                    this.traineeId, record.sessionId, record.id, questionId, record.text, record.source,
+                    record.questionType, record.overallScore, record.feedback ? JSON.stringify(record.feedback) : null, record.createdAt
+                ]);
+            }
+            answered.add(questionId);
+            result.imported++;
+        }
+
+        if (answered.size > 0) {
+            const ids = [...answered];
+            await client.query(`UPDATE practice_questions SET is_answered = TRUE WHERE trainee_id = $1 AND id IN (${placeholders(ids)})`, [this.traineeId, ...ids]);
+        }
+        return result;
+    }
+
+    async markSynced() {
+        await this.postgres.query('UPDATE trainees SET last_sync_at = $2 WHERE id = $1', [this.traineeId, Date.now()]);
+    }
+}
+
+module.exports = PostgresRepository;
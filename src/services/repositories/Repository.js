@@ -0,0 +1,138 @@
+/**
+ * Base class for the practice data stores: the local SQLite database
+ * (SqliteRepository) and a team Postgres database (PostgresRepository).
+ *
+ * Both speak the same plain records, so callers do not depend on either schema:
+ *
+ *   session   { sessionId, companyName, jobDescription, model, status, startTime, endTime, updatedAt, profileName }
+ *   question  { id, sessionId, text, type, confidence, source, isAnswered, detectedAt }
+ *   response  { id, questionId, sessionId, text, model, responseTime, tokenCount, rating, createdAt }
+ *   answer    { id, questionId, sessionId, text, source, questionType, overallScore, feedback, createdAt }
+ *
+ * Times are epoch milliseconds; ids are those of the store the record came from.
+ */
+class Repository {
+    constructor() {
+        this.name = 'base';
+    }
+
+    // Sessions
+
+    /**
+     * @param {Object} session - { companyName, jobDescription, model }
+     * @returns {Promise<{ sessionId: string }>}
+     */
+    async createSession() {
+        throw new Error(`${this.name} repository does not implement createSession()`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} session record
+     */
+    async getSession() {
+        throw new Error(`${this.name} repository does not implement getSession()`);
+    }
+
+    /**
+     * Newest first, with questionCount, responseCount, answerCount and averageScore
+     *
+     * @param {Object} options - { limit, offset }
+     */
+    async listSessions() {
+        throw new Error(`${this.name} repository does not implement listSessions()`);
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {Object} updates - any of { companyName, jobDescription, model, status }
+     * @returns {Promise<boolean>} whether the session exists
+     */
+    async updateSession() {
+        throw new Error(`${this.name} repository does not implement updateSession()`);
+    }
+
+    async endSession() {
+        throw new Error(`${this.name} repository does not implement endSession()`);
+    }
+
+    // Questions, AI responses and graded answers
+
+    /**
+     * @param {Object} question - { sessionId, text, type, confidence, source }
+     * @returns {Promise<{ questionId }>}
+     */
+    async saveQuestion() {
+        throw new Error(`${this.name} repository does not implement saveQuestion()`);
+    }
+
+    /**
+     * @returns {Promise<Array>} question records in the order they were asked
+     */
+    async getSessionQuestions() {
+        throw new Error(`${this.name} repository does not implement getSessionQuestions()`);
+    }
+
+    /**
+     * Also marks the question answered
+     *
+     * @param {Object} response - { questionId, sessionId, text, model, responseTime, tokenCount }
+     * @returns {Promise<{ responseId }>}
+     */
+    async saveResponse() {
+        throw new Error(`${this.name} repository does not implement saveResponse()`);
+    }
+
+    async getSessionResponses() {
+        throw new Error(`${this.name} repository does not implement getSessionResponses()`);
+    }
+
+    /**
+     * Also marks the question answered
+     *
+     * @param {Object} answer - { questionId, sessionId, text, source, feedback } (feedback as AnswerFeedbackService returns it)
+     * @returns {Promise<{ answerId }>}
+     */
+    async saveAnswer() {
+        throw new Error(`${this.name} repository does not implement saveAnswer()`);
+    }
+
+    async getSessionAnswers() {
+        throw new Error(`${this.name} repository does not implement getSessionAnswers()`);
+    }
+
+    // Preferences: JSON-compatible values by key
+
+    async getPreference() {
+        throw new Error(`${this.name} repository does not implement getPreference()`);
+    }
+
+    async setPreference() {
+        throw new Error(`${this.name} repository does not implement setPreference()`);
+    }
+
+    async getAllPreferences() {
+        throw new Error(`${this.name} repository does not implement getAllPreferences()`);
+    }
+
+    // Analytics
+
+    /**
+     * Never throws; a lost event is not worth failing the caller for
+     *
+     * @param {string} eventType
+     * @param {Object} eventData - sessionId, when present, is recorded with the event
+     */
+    async logEvent() {
+        throw new Error(`${this.name} repository does not implement logEvent()`);
+    }
+
+    /**
+     * @param {number} days
+     * @returns {Promise<Array<{ eventType, date: 'YYYY-MM-DD' (UTC), count }>>} newest day first
+     */
+    async getAnalytics() {
+        throw new Error(`${this.name} repository does not implement getAnalytics()`);
+    }
+}
+
+module.exports = Repository;
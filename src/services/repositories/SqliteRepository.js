@@ -0,0 +1,266 @@
+const Repository = require('./Repository');
+
+// Record fields of a session that updateSession() may change, and their columns
+const SESSION_COLUMNS = {
+    companyName: 'company_name',
+    jobDescription: 'job_description',
+    model: 'model_used',
+    status: 'status'
+};
+
+// Sessions with the name of the profile they belong to
+const SESSION_SELECT = 'SELECT s.*, p.name AS profile_name FROM sessions s LEFT JOIN profiles p ON p.id = s.profile_id';
+
+// Tables behind the record kinds of listChanges()
+const CHANGE_TABLES = {
+    sessions: 'sessions',
+    questions: 'questions',
+    responses: 'ai_responses',
+    answers: 'answer_feedback'
+};
+
+// Rows read per listChanges() call by default
+const DEFAULT_CHANGE_LIMIT = 200;
+
+// created_at and detected_at are in seconds; sessions.updated_at is in ms
+function secondsToMs(value) {
+    return value === null || value === undefined ? null : value * 1000;
+}
+
+/**
+ * Repository over the local SQLite database.
+ *
+ * Writes go through DatabaseService, so encryption, the search index, stats
+ * and analytics events behave as they do for the rest of the app. Records are
+ * decrypted. listChanges() feeds TeamSyncService.
+ */
+class SqliteRepository extends Repository {
+    constructor({ databaseService }) {
+        super();
+        this.name = 'sqlite';
+        this.databaseService = databaseService;
+    }
+
+    get db() {
+        return this.databaseService.db;
+    }
+
+    decrypt(value) {
+        return value === null || value === undefined ? value : this.databaseService.decrypt(value);
+    }
+
+    toSession(row) {
+        return {
+            sessionId: row.session_id,
+            companyName: row.company_name,
+            jobDescription: row.job_description ?? null,
+            model: row.model_used,
+            status: row.status,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            updatedAt: row.updated_at,
+            profileName: row.profile_name ?? null
+        };
+    }
+
+    toQuestion(row) {
+        return {
+            id: row.id,
+            sessionId: row.session_id,
+            text: this.decrypt(row.question_text),
+            type: row.question_type,
+            confidence: row.confidence_score,
+            source: row.source,
+            isAnswered: !!row.is_answered,
+            detectedAt: secondsToMs(row.detected_at)
+        };
+    }
+
+    toResponse(row) {
+        return {
+            id: row.id,
+            questionId: row.question_id,
+            sessionId: row.session_id,
+            text: this.decrypt(row.response_text),
+            model: row.model_used,
+            responseTime: row.response_time,
+            tokenCount: row.token_count,
+            rating: row.user_rating,
+            createdAt: secondsToMs(row.created_at)
+        };
+    }
+
+    toAnswer(row) {
+        return {
+            id: row.id,
+            questionId: row.question_id,
+            sessionId: row.session_id,
+            text: this.decrypt(row.answer_text),
+            source: row.answer_source,
+            questionType: row.question_type,
+            overallScore: row.overall_score,
+            feedback: typeof row.feedback === 'string' ? JSON.parse(row.feedback) : row.feedback,
+            createdAt: secondsToMs(row.created_at)
+        };
+    }
+
+    // Sessions
+    async createSession({ companyName = null, jobDescription = null, model = null } = {}) {
+        const { sessionId } = await this.databaseService.createSession({ companyName, jobDescription, model });
+        return { sessionId };
+    }
+
+    async getSession(sessionId) {
+        const row = this.db.prepare(`${SESSION_SELECT} WHERE s.session_id = ?`).get(sessionId);
+        return row ? this.toSession(row) : null;
+    }
+
+    async listSessions({ limit = 50, offset = 0 } = {}) {
+        const rows = await this.databaseService.getSessions({ limit, offset });
+        return rows.map(row => ({
+            ...this.toSession(row),
+            questionCount: row.question_count,
+            responseCount: row.response_count,
+            answerCount: row.answer_count,
+            averageScore: row.average_score
+        }));
+    }
+
+    async updateSession(sessionId, updates = {}) {
+        const columns = {};
+        Object.entries(SESSION_COLUMNS).forEach(([field, column]) => {
+            if (updates[field] !== undefined) columns[column] = updates[field];
+        });
+        if (Object.keys(columns).length === 0) {
+            return !!(await this.getSession(sessionId));
+        }
+        return this.databaseService.updateSession(sessionId, columns);
+    }
+
+    async endSession(sessionId) {
+        return this.databaseService.endSession(sessionId);
+    }
+
+    // Questions, AI responses and graded answers
+    async saveQuestion({ sessionId, text, type = 'unknown', confidence = 0, source = 'manual' }) {
+        const { questionId } = await this.databaseService.storeQuestion({
+            sessionId,
+            questionText: text,
+            questionType: type,
+            confidenceScore: confidence,
+            source
+        });
+        return { questionId };
+    }
+
+    async getSessionQuestions(sessionId) {
+        return this.db.prepare('SELECT * FROM questions WHERE session_id = ? ORDER BY id ASC').all(sessionId)
+            .map(row => this.toQuestion(row));
+    }
+
+    async saveResponse({ questionId, sessionId, text, model, responseTime = null, tokenCount = null }) {
+        const { responseId } = await this.databaseService.storeAIResponse({
+            questionId,
+            sessionId,
+            responseText: text,
+            modelUsed: model,
+            responseTime,
+            tokenCount
+        });
+        return { responseId };
+    }
+
+    async getSessionResponses(sessionId) {
+        return this.db.prepare('SELECT * FROM ai_responses WHERE session_id = ? ORDER BY id ASC').all(sessionId)
+            .map(row => this.toResponse(row));
+    }
+
+    async saveAnswer({ questionId, sessionId, text, source = 'typed', feedback }) {
+        const { feedbackId } = await this.databaseService.storeAnswerFeedback({
+            questionId,
+            sessionId,
+            answerText: text,
+            answerSource: source,
+            feedback
+        });
+        return { answerId: feedbackId };
+    }
+
+    async getSessionAnswers(sessionId) {
+        return this.db.prepare('SELECT * FROM answer_feedback WHERE session_id = ? ORDER BY id ASC').all(sessionId)
+            .map(row => this.toAnswer(row));
+    }
+
+    // Preferences
+    async getPreference(key, defaultValue = null) {
+        return this.databaseService.getPreference(key, defaultValue);
+    }
+
+    async setPreference(key, value) {
+        return this.databaseService.setPreference(key, value);
+    }
+
+    async getAllPreferences() {
+        return this.databaseService.getAllPreferences();
+    }
+
+    // Analytics
+    async logEvent(eventType, eventData = {}) {
+        return this.databaseService.logEvent(eventType, eventData);
+    }
+
+    async getAnalytics(days = 30) {
+        const rows = await this.databaseService.getAnalytics(days);
+        return rows.map(row => ({ eventType: row.event_type, date: row.date, count: row.count }));
+    }
+
+    /**
+     * Highest row id of each record kind, to bound a sync to the rows that
+     * existed when it started
+     */
+    getLatestIds() {
+        const latest = {};
+        Object.entries(CHANGE_TABLES).forEach(([kind, table]) => {
+            latest[kind] = this.db.prepare(`SELECT COALESCE(MAX(id), 0) AS id FROM ${table}`).get().id;
+        });
+        return latest;
+    }
+
+    /**
+     * Rows added since the last sync, in id order, as records. Sessions are
+     * also listed when updated (ended, renamed) at or after `updatedSince`.
+     *
+     * @param {string} kind - 'sessions', 'questions', 'responses' or 'answers'
+     * @param {Object} cursor - { after: row id to page from, upTo: highest row id to list, lastId: highest id already synced (sessions), updatedSince: ms (sessions), limit }
+     * @returns {Promise<{ records: Array, nextAfter: number|null }>} nextAfter is null when there are no more rows
+     */
+    async listChanges(kind, { after = 0, upTo = Number.MAX_SAFE_INTEGER, lastId = 0, updatedSince = 0, limit = DEFAULT_CHANGE_LIMIT } = {}) {
+        const table = CHANGE_TABLES[kind];
+        if (!table) {
+            throw new Error(`Unknown record kind: ${kind}`);
+        }
+
+        const rows = kind === 'sessions'
+            ? this.db.prepare(`
+                ${SESSION_SELECT}
+                WHERE s.id > ? AND s.id <= ? AND (s.id > ? OR s.updated_at >= ?)
+                ORDER BY s.id ASC
+                LIMIT ?
+            `).all(after, upTo, lastId, updatedSince, limit)
+            : this.db.prepare(`SELECT * FROM ${table} WHERE id > ? AND id <= ? ORDER BY id ASC LIMIT ?`).all(after, upTo, limit);
+
+        const toRecord = {
+            sessions: row => this.toSession(row),
+            questions: row => this.toQuestion(row),
+            responses: row => this.toResponse(row),
+            answers: row => this.toAnswer(row)
+        }[kind];
+
+        return {
+            records: rows.map(toRecord),
+            nextAfter: rows.length > 0 ? rows[rows.length - 1].id : null
+        };
+    }
+}
+
+module.exports = SqliteRepository;
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+// Letters and digits, keeping "c++" and "c#" whole
+const TOKEN = /[\p{L}\p{N}][\p{L}\p{N}]*(?:\+\+|#)?/gu;
+
+// Hex characters of the HMAC kept per term (80 bits)
+const TERM_LENGTH = 20;
+
+/**
+ * Normalized search term: lowercase, accents removed, plural endings stripped
+ */
+function normalizeTerm(token) {
+    let term = token.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    if (term.length > 4 && term.endsWith('ies')) {
+        term = `${term.slice(0, -3)}y`;
+    } else if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) {
+        term = term.slice(0, -1);
+    }
+    return term;
+}
+
+/**
+ * @returns {Array<{term, start, end}>} terms with their position in the text
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(TOKEN)) {
+        tokens.push({ term: normalizeTerm(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+/**
+ * Words and "quoted phrases" of a search query, as lists of terms
+ */
+function parseQuery(query) {
+    const groups = [];
+    const phrase = /"([^"]*)"/g;
+    let rest = String(query || '');
+    for (const match of rest.matchAll(phrase)) {
+        const terms = tokenize(match[1]).map(token => token.term);
+        if (terms.length > 0) groups.push(terms);
+    }
+    rest = rest.replace(phrase, ' ');
+    tokenize(rest).forEach(token => groups.push([token.term]));
+    return groups;
+}
+
+/**
+ * Part of the text around the first match, with the matched words marked
+ *
+ * @returns {{ text, highlights: Array<[start, end]> }} highlight offsets are relative to the snippet
+ */
+function buildSnippet(text, terms, radius = 80) {
+    const source = String(text || '');
+    const wanted = new Set(terms);
+    const matches = tokenize(source).filter(token => wanted.has(token.term));
+    if (matches.length === 0) {
+        return { text: source.length > radius * 2 ? `${source.slice(0, radius * 2)}…` : source, highlights: [] };
+    }
+
+    let start = Math.max(0, matches[0].start - radius);
+    let end = Math.min(source.length, matches[0].end + radius);
+    // Do not cut words in half
+    while (start > 0 && /\S/.test(source[start - 1])) start--;
+    while (end < source.length && /\S/.test(source[end])) end++;
+
+    const prefix = start > 0 ? '…' : '';
+    return {
+        text: `${prefix}${source.slice(start, end)}${end < source.length ? '…' : ''}`,
+        highlights: matches
+            .filter(token => token.start >= start && token.end <= end)
+            .map(token => [token.start - start + prefix.length, token.end - start + prefix.length])
+    };
+}
+
+/**
+ * FTS5 index over encrypted text that does not store the text.
+ *
+ * Every term is replaced by a keyed hash (HMAC-SHA256 under a search key kept
+ * in the keystore, separate from the data keys) before it is written to the
+ * `search_index` FTS5 table, which is contentless. Queries hash their terms the
+ * same way, so matching and bm25 ranking work while the index holds neither
+ * words nor text; snippets are built from the decrypted rows afterwards.
+ * Whole words only: prefixes and fuzzy matches are not supported.
+ *
+ * `search_documents` holds what each index row points at (document type, row
+ * id, session, question type, model, time) for filtering.
+ */
+class SearchIndex {
+    constructor({ db, key }) {
+        this.db = db;
+        this.key = key;
+    }
+
+    hashTerm(term) {
+        return crypto.createHmac('sha256', this.key).update(term).digest('hex').slice(0, TERM_LENGTH);
+    }
+
+    /**
+     * Add or replace the index entry of a document
+     *
+     * @param {Object} doc - { docType, docId, text, sessionId, questionType, model, createdAt (ms) }
+     */
+    add(doc) {
+        const terms = tokenize(doc.text).map(token => this.hashTerm(token.term)).join(' ');
+        const upsert = this.db.transaction(() => {
+            this.remove(doc.docType, doc.docId);
+            if (!terms) return;
+
+            const result = this.db.prepare(`
+                INSERT INTO search_documents (doc_type, doc_id, session_id, question_type, model, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(doc.docType, String(doc.docId), doc.sessionId || null, doc.questionType || null, doc.model || null, doc.createdAt || Date.now());
+            this.db.prepare('INSERT INTO search_index (rowid, terms) VALUES (?, ?)').run(result.lastInsertRowid, terms);
+        });
+        upsert();
+    }
+
+    remove(docType, docId) {
+        const existing = this.db.prepare('SELECT id FROM search_documents WHERE doc_type = ? AND doc_id = ?').get(docType, String(docId));
+        if (!existing) return;
+        this.db.prepare('DELETE FROM search_index WHERE rowid = ?').run(existing.id);
+        this.db.prepare('DELETE FROM search_documents WHERE id = ?').run(existing.id);
+    }
+
+    clear() {
+        this.db.exec('DELETE FROM search_index; DELETE FROM search_documents;');
+    }
+
+    /**
+     * @param {string} query - words (all must match) and "quoted phrases"
+     * @param {Object} filters - { docTypes, questionType, company, model (of AI responses), from, to (ms), profileId, limit, offset }
+     * @returns {{ terms, total, hits: Array<{ id, docType, docId, sessionId, questionType, model, company, createdAt, score }> }} total counts every match, not just this page
+     */
+    search(query, { docTypes = null, questionType = null, company = null, model = null, from = null, to = null, profileId = null, limit = 50, offset = 0 } = {}) {
+        const groups = parseQuery(query);
+        const terms = [...new Set(groups.flat())];
+        if (groups.length === 0) return { terms, total: 0, hits: [] };
+
+        const match = groups.map(group => `"${group.map(term => this.hashTerm(term)).join(' ')}"`).join(' AND ');
+        const conditions = ['search_index MATCH ?'];
+        const params = [match];
+
+        if (Array.isArray(docTypes) && docTypes.length > 0) {
+            conditions.push(`d.doc_type IN (${docTypes.map(() => '?').join(', ')})`);
+            params.push(...docTypes);
+        }
+        if (questionType) {
+            conditions.push('d.question_type = ?');
+            params.push(questionType);
+        }
+        if (company) {
+            conditions.push('s.company_name = ? COLLATE NOCASE');
+            params.push(company);
+        }
+        if (model) {
+            conditions.push('d.model = ?');
+            params.push(model);
+        }
+        if (from) {
+            conditions.push('d.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('d.created_at <= ?');
+            params.push(to);
+        }
+        if (profileId) {
+            // Documents belong to the profile of their session, resumes to their own
+            conditions.push('COALESCE(s.profile_id, r.profile_id) = ?');
+            params.push(profileId);
+        }
+
+        const matching = `
+            FROM search_index
+            JOIN search_documents d ON d.id = search_index.rowid
+            LEFT JOIN sessions s ON s.session_id = d.session_id
+            LEFT JOIN resume_data r ON d.doc_type = 'resume' AND r.id = CAST(d.doc_id AS INTEGER)
+            WHERE ${conditions.join(' AND ')}
+        `;
+        const rows = this.db.prepare(`
+            SELECT d.*, s.company_name, bm25(search_index) AS score
+            ${matching}
+            ORDER BY score ASC, d.created_at DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${matching}`).get(...params);
+
+        return {
+            terms,
+            total,
+            hits: rows.map(row => ({
+                id: row.id,
+                docType: row.doc_type,
+                docId: row.doc_id,
+                sessionId: row.session_id,
+                questionType: row.question_type,
+                model: row.model,
+                company: row.company_name,
+                createdAt: row.created_at,
+                // bm25 is lower for better matches
+                score: Math.round(-row.score * 1000) / 1000
+            }))
+        };
+    }
+}
+
+module.exports = { SearchIndex, tokenize, parseQuery, buildSnippet };
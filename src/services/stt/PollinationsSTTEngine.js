@@ -0,0 +1,61 @@
+const axios = require('axios');
+const STTEngine = require('./STTEngine');
+
+/**
+ * Transcription through the Pollinations `openai-audio` model. The whole
+ * buffer is sent in one request, so there are no partial hypotheses.
+ */
+class PollinationsSTTEngine extends STTEngine {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'pollinations';
+        this.displayName = 'Pollinations (openai-audio)';
+        this.apiEndpoint = config.apiEndpoint || 'https://text.pollinations.ai/openai';
+        this.defaultTimeout = config.timeout || 30000;
+    }
+
+    async transcribe(wavBuffer, options = {}) {
+        const payload = {
+            model: 'openai-audio',
+            messages: [
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: 'Transcribe this audio:' },
+                        {
+                            type: 'input_audio',
+                            input_audio: {
+                                data: wavBuffer.toString('base64'),
+                                format: 'wav'
+                            }
+                        }
+                    ]
+                }
+            ]
+        };
+
+        const response = await axios.post(this.apiEndpoint, payload, {
+            timeout: options.timeout || this.defaultTimeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MockMate-Desktop/1.0',
+                'Authorization': `Bearer ${process.env.POLLINATIONS_API_KEY}`,
+                'Referer': process.env.POLLINATIONS_API_HEADER || 'mockmate'
+            }
+        });
+
+        if (response.status !== 200) {
+            throw new Error(`STT API error: ${response.status} ${response.statusText} - ${JSON.stringify(response.data)}`);
+        }
+
+        const text = (response.data.choices?.[0]?.message?.content || '').trim();
+        return {
+            text,
+            confidence: 0.9, // Pollinations doesn't return confidence, use default
+            segments: [],
+            engine: this.name
+        };
+    }
+}
+
+module.exports = PollinationsSTTEngine;
@@ -0,0 +1,52 @@
+/**
+ * Base class for speech-to-text engines used by SystemAudioCaptureService.
+ *
+ * An engine turns a 16 kHz mono WAV buffer into text. Engines that decode
+ * incrementally report partial hypotheses through `onPartial` while they run;
+ * the promise resolves with the final hypothesis.
+ */
+class STTEngine {
+    constructor(config = {}) {
+        this.name = 'base';
+        this.displayName = 'Base STT Engine';
+        this.config = config;
+        this.language = config.language || 'en';
+
+        this.capabilities = {
+            partials: false, // Reports interim hypotheses while decoding
+            offline: false   // Works without a network connection
+        };
+
+        this.defaultTimeout = config.timeout || 60000;
+    }
+
+    /**
+     * Whether the engine can be used as configured (binary and model present, ...)
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Transcribe one WAV buffer
+     *
+     * @param {Buffer} wavBuffer - 16 kHz mono PCM WAV
+     * @param {Object} options - { onPartial, language, timeout }
+     * @returns {Promise<{text: string, confidence: number, segments: Array, engine: string}>}
+     */
+    async transcribe() {
+        throw new Error(`${this.name} engine does not implement transcribe()`);
+    }
+
+    getInfo() {
+        return {
+            name: this.name,
+            displayName: this.displayName,
+            language: this.language,
+            available: this.isAvailable(),
+            capabilities: { ...this.capabilities }
+        };
+    }
+}
+
+module.exports = STTEngine;
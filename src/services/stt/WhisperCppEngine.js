@@ -0,0 +1,134 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const STTEngine = require('./STTEngine');
+
+// whisper.cpp prints one line per decoded segment: "[00:00:01.000 --> 00:00:04.200]   Text"
+const SEGMENT_LINE = /^\[(\d{2}):(\d{2}):(\d{2})\.(\d{3}) --> (\d{2}):(\d{2}):(\d{2})\.(\d{3})\]\s*(.*)$/;
+
+function toMs(hours, minutes, seconds, millis) {
+    return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 + parseInt(millis, 10);
+}
+
+/**
+ * Local transcription with whisper.cpp (https://github.com/ggerganov/whisper.cpp)
+ * run as a child process. The WAV is piped to stdin and every segment the
+ * decoder prints is reported as a partial hypothesis, so the UI can show text
+ * before the whole buffer is decoded. Needs no network.
+ *
+ * Configuration: binaryPath (whisper-cli, or `main` in older builds), modelPath
+ * (a ggml model such as ggml-base.en.bin), language and threads.
+ */
+class WhisperCppEngine extends STTEngine {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'whisper-cpp';
+        this.displayName = 'whisper.cpp (local)';
+        this.binaryPath = config.binaryPath || 'whisper-cli';
+        this.modelPath = config.modelPath || null;
+        this.threads = config.threads || 4;
+
+        this.capabilities = {
+            partials: true,
+            offline: true
+        };
+
+        // CPU decoding of a long answer can take a while
+        this.defaultTimeout = config.timeout || 120000;
+    }
+
+    isAvailable() {
+        if (!this.modelPath || !fs.existsSync(this.modelPath)) return false;
+        // A bare command name is resolved through PATH when spawned
+        return !path.isAbsolute(this.binaryPath) || fs.existsSync(this.binaryPath);
+    }
+
+    async transcribe(wavBuffer, options = {}) {
+        if (!this.modelPath || !fs.existsSync(this.modelPath)) {
+            throw new Error(`whisper.cpp model not found: ${this.modelPath || 'WHISPER_MODEL_PATH is not set'}`);
+        }
+
+        const args = [
+            '-m', this.modelPath,
+            '-l', options.language || this.language,
+            '-t', String(this.threads),
+            '-np', // Only print the transcript
+            '-f', '-'
+        ];
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.binaryPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+            const segments = [];
+            let pending = '';
+            let stderr = '';
+            let settled = false;
+
+            const finish = (error, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                error ? reject(error) : resolve(result);
+            };
+
+            const timer = setTimeout(() => {
+                child.kill();
+                finish(new Error(`whisper.cpp timed out after ${options.timeout || this.defaultTimeout}ms`));
+            }, options.timeout || this.defaultTimeout);
+
+            const handleLine = line => {
+                const match = line.trim().match(SEGMENT_LINE);
+                if (!match || !match[9].trim()) return;
+
+                segments.push({
+                    start: toMs(match[1], match[2], match[3], match[4]),
+                    end: toMs(match[5], match[6], match[7], match[8]),
+                    text: match[9].trim()
+                });
+
+                if (options.onPartial) {
+                    options.onPartial({
+                        text: segments.map(segment => segment.text).join(' '),
+                        segments: [...segments],
+                        engine: this.name
+                    });
+                }
+            };
+
+            child.stdout.on('data', data => {
+                pending += data.toString();
+                const lines = pending.split('\n');
+                pending = lines.pop();
+                lines.forEach(handleLine);
+            });
+
+            child.stderr.on('data', data => {
+                stderr += data.toString();
+            });
+
+            child.on('error', error => {
+                finish(new Error(`Failed to start whisper.cpp (${this.binaryPath}): ${error.message}`));
+            });
+
+            child.on('close', code => {
+                if (pending) handleLine(pending);
+                if (code !== 0) {
+                    finish(new Error(`whisper.cpp exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+                    return;
+                }
+
+                finish(null, {
+                    text: segments.map(segment => segment.text).join(' ').trim(),
+                    confidence: 0.85, // The text output carries no token probabilities
+                    segments,
+                    engine: this.name
+                });
+            });
+
+            // whisper.cpp may exit before reading everything (bad model, bad args); the close handler reports it
+            child.stdin.on('error', () => {});
+            child.stdin.end(wavBuffer);
+        });
+    }
+}
+
+module.exports = WhisperCppEngine;
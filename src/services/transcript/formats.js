@@ -0,0 +1,102 @@
+/**
+ * Transcript exporters. Each takes { sessionId, startedAt, segments } where
+ * segments are ordered by startTime (epoch ms) and carry text, speakerLabel,
+ * speakerRole, source, confidence and linked questionId/responseId.
+ * Subtitle cue times are relative to the first segment.
+ */
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// 00:01:02,345 (SRT) or 00:01:02.345 (WebVTT)
+function formatCueTime(ms, separator) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+// Subtitle cues need a visible duration even when a segment has no end time
+function cueTimes(segment, origin) {
+    const start = segment.startTime - origin;
+    const end = Math.max(segment.endTime || 0, segment.startTime + 1000) - origin;
+    return { start, end };
+}
+
+function speakerName(segment) {
+    return segment.speakerLabel || (segment.speakerRole === 'candidate' ? 'You' : 'Interviewer');
+}
+
+function toMarkdown(transcript) {
+    const origin = transcript.startedAt;
+    const lines = [
+        '# Interview Transcript',
+        '',
+        `- **Session**: ${transcript.sessionId}`,
+        `- **Started**: ${new Date(origin).toISOString()}`,
+        `- **Segments**: ${transcript.segments.length}`,
+        ''
+    ];
+
+    transcript.segments.forEach(segment => {
+        const offset = formatCueTime(segment.startTime - origin, '.').slice(0, 8);
+        const links = [
+            segment.questionId ? `question #${segment.questionId}` : null,
+            segment.responseId ? `AI response #${segment.responseId}` : null
+        ].filter(Boolean);
+
+        lines.push(`**[${offset}] ${speakerName(segment)}**${links.length > 0 ? ` _(${links.join(', ')})_` : ''}`);
+        lines.push('');
+        lines.push(segment.text);
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function toJSON(transcript) {
+    return JSON.stringify({
+        sessionId: transcript.sessionId,
+        startedAt: new Date(transcript.startedAt).toISOString(),
+        segments: transcript.segments.map(segment => ({
+            id: segment.id,
+            startTime: new Date(segment.startTime).toISOString(),
+            endTime: segment.endTime ? new Date(segment.endTime).toISOString() : null,
+            offsetMs: segment.startTime - transcript.startedAt,
+            speaker: { id: segment.speakerId, role: segment.speakerRole, label: segment.speakerLabel },
+            channel: segment.channel,
+            source: segment.source,
+            confidence: segment.confidence,
+            text: segment.text,
+            questionId: segment.questionId,
+            responseId: segment.responseId
+        }))
+    }, null, 2);
+}
+
+function toSRT(transcript) {
+    return transcript.segments.map((segment, index) => {
+        const { start, end } = cueTimes(segment, transcript.startedAt);
+        return `${index + 1}\n${formatCueTime(start, ',')} --> ${formatCueTime(end, ',')}\n${speakerName(segment)}: ${segment.text}\n`;
+    }).join('\n');
+}
+
+function toWebVTT(transcript) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = transcript.segments.map(segment => {
+        const { start, end } = cueTimes(segment, transcript.startedAt);
+        return `${formatCueTime(start, '.')} --> ${formatCueTime(end, '.')}\n<v ${escape(speakerName(segment))}>${escape(segment.text)}\n`;
+    });
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', name: 'Markdown', render: toMarkdown },
+    json: { extension: 'json', name: 'JSON', render: toJSON },
+    srt: { extension: 'srt', name: 'SubRip subtitles', render: toSRT },
+    vtt: { extension: 'vtt', name: 'WebVTT subtitles', render: toWebVTT }
+};
+
+module.exports = { EXPORT_FORMATS, formatCueTime };